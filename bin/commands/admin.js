@@ -1,51 +1,97 @@
 'use strict';
 
-const { ContractId } = require('@hashgraph/sdk');
-const { loadInterface, createClient, loadOperator } = require('../../utils/clientFactory');
-const { contractExecuteFunction } = require('../../utils/solidityHelpers');
-const { estimateGas, logTransactionResult } = require('../../utils/gasHelpers');
 const { parseSerials } = require('../../lib/serialParser');
 const Output = require('../../lib/output');
-require('dotenv').config();
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { LazyVoterError } = require('../../lib/errors');
+const { logTransactionResult } = require('../../utils/gasHelpers');
+const { exportIfRequested } = require('../../lib/offlineTransaction');
+const { printSimulation } = require('../../lib/simulation');
+const { resolveConfig } = require('../../lib/config');
+const { promptPassphrase } = require('../../lib/keystore');
 
-function resolveWriteConfig(argv) {
-	const network = (argv.network || process.env.ENVIRONMENT || 'TEST').toUpperCase();
-	const contractIdStr = argv.contractId || argv['contract-id'] || process.env.LAZYVOTE_CONTRACT_ID || process.env.CONTRACT_ID;
-	if (!contractIdStr) {
-		console.error('Error: Contract ID required. Use --contract-id or set CONTRACT_ID in .env');
+function resolveContract(argv) {
+	const config = resolveConfig(argv);
+	if (!config.contractId) {
+		console.error('Error: Contract ID required. Use --proposal, --contract-id, a profile (lazyvote config set contract-id) or set CONTRACT_ID in .env');
 		process.exit(2);
 	}
-	const { operatorId, operatorKey } = loadOperator();
-	const client = createClient(network, operatorId, operatorKey);
-	const iface = loadInterface('LazyVoter');
-	return { network, contractId: ContractId.fromString(contractIdStr), client, operatorId, iface };
+	return config;
 }
 
-async function execAdmin(argv, fnName, params, gasLimit, label) {
+/**
+ * Run an owner-only call through LazyVoterClient: gas is estimated first, so a call that
+ * would revert fails with its typed error before anything is submitted.
+ * @param {object} argv
+ * @param {object} call - { fnName, params, fallbackGas, label } for --export-unsigned and output
+ * @param {function(LazyVoterClient, object, Output): Promise<TxResult|object>} run - Client call; resolves to
+ *   a TxResult, a batch summary, or with { simulate: true } the simulation(s)
+ */
+async function execAdmin(argv, call, run) {
 	const out = new Output(argv);
+	let voter;
 	try {
-		const config = resolveWriteConfig(argv);
-		const gasInfo = await estimateGas(
-			config.network, config.contractId, config.iface, config.operatorId,
-			fnName, params, gasLimit,
-		);
-		const result = await contractExecuteFunction(
-			config.contractId, config.iface, config.client, gasInfo.gasLimit,
-			fnName, params,
-		);
-		logTransactionResult(result, label, gasInfo);
-		const statusStr = typeof result[0] === 'object' && result[0].status
-			? result[0].status.toString() : result[0]?.toString();
-		if (statusStr === 'SUCCESS') {
-			out.success({ action: label, transactionId: result[2]?.transactionId?.toString() });
-		} else {
-			out.error('ADMIN_FAILED', `${label} failed: ${result[0]?.message || statusStr}`);
+		const config = resolveContract(argv);
+		const exported = await exportIfRequested(argv, out, {
+			network: config.network, mirrorUrl: config.mirrorUrl, contractId: config.contractId, contractName: 'LazyVoter',
+			functionName: call.fnName, params: call.params, fallbackGas: call.fallbackGas,
+		});
+		if (exported) return;
+
+		voter = new LazyVoterClient({
+			contractId: config.contractId, network: config.network, mirrorUrl: config.mirrorUrl,
+			accountId: config.accountId, privateKey: config.privateKey,
+			key: config.key, passphrase: promptPassphrase,
+		});
+		if (argv.dryRun) {
+			const simulation = await run(voter, { simulate: true, from: argv.payer }, out);
+			printSimulation(out, simulation.simulations ?? simulation);
+			process.exit(simulation.success ? 0 : 3);
+		}
+
+		const result = await run(voter, {}, out);
+		if (result.batches) {
+			if (!result.success) {
+				out.error(result.error, `${call.label} stopped after ${result.completedBatches} of ${result.totalBatches} transaction(s): ${result.error.message}`);
+				process.exit(3);
+			}
+			out.success({ action: call.label, processed: result.processed, transactions: result.batches.map(b => b.transactionId) }, (d) => {
+				console.log(`\n  ${call.label}: ${d.processed} serial(s) in ${d.transactions.length} transaction(s)\n`);
+			});
+			return;
+		}
+		logTransactionResult(result, call.label);
+		out.success({ action: call.label, ...result.toJSON() });
+	}
+	catch (err) {
+		if (err instanceof LazyVoterError) {
+			out.error(err, `${call.label} ${err.transactionId ? 'failed' : 'would fail'}: ${err.message}`);
 			process.exit(3);
 		}
-	} catch (err) {
 		out.error('ADMIN_ERROR', err.message);
 		process.exit(1);
 	}
+	finally {
+		if (voter) voter.close();
+	}
+}
+
+function addSerials(argv) {
+	const serials = parseSerials(argv.serials);
+	if (argv.exportUnsigned && serials.length > argv.batchSize) {
+		new Output(argv).error('INVALID_ARGS', `--export-unsigned writes a single transaction; export at most ${argv.batchSize} serials (--batch-size) at a time`);
+		process.exit(2);
+	}
+	return execAdmin(argv, {
+		fnName: 'addEligibleSerials', params: [serials],
+		fallbackGas: 80_000 + serials.length * 50_000, label: 'Add Eligible Serials',
+	}, (voter, options, out) => voter.addEligibleSerials(serials, {
+		...options,
+		batchSize: argv.batchSize,
+		onProgress: (p) => {
+			out.info(`  [${p.batch}/${p.totalBatches}] ${p.serials.length} serials ${p.success ? '✓' : `✗ ${p.error.message}`}${p.transactionId ? `  ${p.transactionId}` : ''}`);
+		},
+	}));
 }
 
 module.exports = {
@@ -56,35 +102,41 @@ module.exports = {
 			.command({
 				command: 'pause',
 				describe: 'Pause voting',
-				handler: (argv) => execAdmin(argv, 'pauseVoting', [], 200_000, 'Pause Voting'),
+				handler: (argv) => execAdmin(argv, { fnName: 'pauseVoting', params: [], fallbackGas: 200_000, label: 'Pause Voting' },
+					(voter, options) => voter.pauseVoting(options)),
 			})
 			.command({
 				command: 'unpause',
 				describe: 'Unpause voting',
-				handler: (argv) => execAdmin(argv, 'unpauseVoting', [], 200_000, 'Unpause Voting'),
+				handler: (argv) => execAdmin(argv, { fnName: 'unpauseVoting', params: [], fallbackGas: 200_000, label: 'Unpause Voting' },
+					(voter, options) => voter.unpauseVoting(options)),
 			})
 			.command({
 				command: 'add-serials <serials>',
 				describe: 'Add eligible serial numbers (before voting starts)',
-				builder: { serials: { type: 'string', description: 'Comma-separated serials or ranges' } },
-				handler: (argv) => {
-					const serials = parseSerials(argv.serials);
-					return execAdmin(argv, 'addEligibleSerials', [serials], 80_000 + serials.length * 50_000, 'Add Eligible Serials');
+				builder: {
+					serials: { type: 'string', description: 'Comma-separated serials or ranges' },
+					'batch-size': { type: 'number', default: 200, description: 'Serials per addEligibleSerials transaction' },
 				},
+				handler: addSerials,
 			})
 			.command({
 				command: 'set-message <message>',
 				describe: 'Update the vote message (before voting starts)',
 				builder: { message: { type: 'string', description: 'New vote message' } },
-				handler: (argv) => execAdmin(argv, 'updateVoteMessage', [argv.message], 300_000, 'Update Vote Message'),
+				handler: (argv) => execAdmin(argv, { fnName: 'updateVoteMessage', params: [argv.message], fallbackGas: 300_000, label: 'Update Vote Message' },
+					(voter, options) => voter.updateVoteMessage(argv.message, options)),
 			})
 			.command({
 				command: 'set-quorum <quorum>',
 				describe: 'Update the quorum requirement (before voting starts)',
 				builder: { quorum: { type: 'number', description: 'New quorum value' } },
-				handler: (argv) => execAdmin(argv, 'updateQuorum', [argv.quorum], 200_000, 'Update Quorum'),
+				handler: (argv) => execAdmin(argv, { fnName: 'updateQuorum', params: [argv.quorum], fallbackGas: 200_000, label: 'Update Quorum' },
+					(voter, options) => voter.updateQuorum(argv.quorum, options)),
 			})
 			.demandCommand(1, 'Specify an admin subcommand. Run with --help for options.');
 	},
-	handler: () => {},
+	handler: () => {
+		// subcommands do the work
+	},
 };
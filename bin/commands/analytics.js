@@ -0,0 +1,70 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Output = require('../../lib/output');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { INTERVALS, buildTimeline, renderTimelineChart, renderTimelineCsv } = require('../../lib/analytics');
+const { EventIndex } = require('../../lib/eventIndex');
+const { resolveConfig } = require('../../lib/config');
+
+module.exports = {
+	command: 'analytics <subcommand>',
+	describe: 'Participation analytics from the vote event history',
+	builder: (yargs) => {
+		return yargs
+			.command({
+				command: 'timeline',
+				describe: 'Cumulative turnout, Yes/No/Abstain progression, re-votes and voters per hour or day across the voting window',
+				builder: {
+					interval: { type: 'string', choices: Object.keys(INTERVALS), description: 'Bucket size (default: hour for windows up to 3 days, else day)' },
+					csv: { type: 'string', description: 'Also write the timeline as CSV to this file' },
+					width: { type: 'number', default: 40, description: 'Chart width in characters' },
+					'from-index': { type: 'boolean', default: false, description: 'Sync the local event index (lazyvote events) and read from it' },
+				},
+				handler: async (argv) => {
+					const out = new Output(argv);
+					let voter;
+					try {
+						const config = resolveConfig(argv);
+						if (!config.contractId) {
+							out.error('MISSING_CONFIG', 'Contract ID required. Use --proposal, --contract-id, a profile (lazyvote config set contract-id) or set CONTRACT_ID in .env');
+							process.exit(2);
+						}
+						voter = new LazyVoterClient({ contractId: config.contractId, network: config.network, mirrorUrl: config.mirrorUrl });
+						out.info(`\n  Reading vote events for ${config.contractId} on ${config.network}...`);
+						const timeline = await buildTimeline(voter, {
+							interval: argv.interval,
+							index: argv.fromIndex ? EventIndex.open() : undefined,
+						});
+						if (argv.csv) {
+							fs.mkdirSync(path.dirname(path.resolve(argv.csv)), { recursive: true });
+							fs.writeFileSync(argv.csv, renderTimelineCsv(timeline));
+						}
+						out.success({ ...timeline, csv: argv.csv ?? null }, (d) => {
+							const last = d.buckets.at(-1);
+							const reVotes = d.buckets.reduce((sum, b) => sum + b.reVotes, 0);
+							console.log(`\n  TURNOUT TIMELINE ${d.contractId} on ${d.network}, per ${d.interval}`);
+							console.log(`  Window ${new Date(d.startTime * 1000).toISOString()} - ${new Date(d.endTime * 1000).toISOString()}, ${d.eligible} eligible serial(s)\n`);
+							renderTimelineChart(d, { width: argv.width }).forEach(line => console.log(`  ${line}`));
+							console.log('\n  █ Yes  ▓ No  ▒ Abstain  · not voted');
+							console.log(`  ${d.events} vote transaction(s), ${reVotes} re-vote(s), ${last.uniqueVoters} unique voter(s), turnout ${last.turnout}%`);
+							if (d.csv) console.log(`  CSV written to ${d.csv}`);
+							console.log('');
+						});
+					}
+					catch (err) {
+						out.error('ANALYTICS_ERROR', err.message);
+						process.exit(1);
+					}
+					finally {
+						if (voter) voter.close();
+					}
+				},
+			})
+			.demandCommand(1, 'Specify an analytics subcommand. Run with --help for options.');
+	},
+	handler: () => {
+		// subcommands do the work
+	},
+};
@@ -0,0 +1,91 @@
+'use strict';
+
+const Output = require('../../lib/output');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { loadProposalSpec, planProposal, formatPlan, applyPlan } = require('../../lib/plan');
+const { resolveConfig } = require('../../lib/config');
+const { promptPassphrase } = require('../../lib/keystore');
+const { LazyVoterError, VoteStartedError } = require('../../lib/errors');
+
+function printPlan(plan) {
+	console.log();
+	formatPlan(plan).forEach(line => console.log(line ? `  ${line}` : ''));
+	console.log();
+}
+
+module.exports = {
+	command: 'apply <file>',
+	describe: 'Bring the contract in line with a proposal file using the fewest update transactions (before voting starts)',
+	builder: {
+		file: { type: 'string', description: 'Proposal file (JSON): voteMessage, quorum, eligibleSerials or snapshot' },
+		'batch-size': { type: 'number', default: 200, description: 'Serials per updateEligibleSerials transaction' },
+	},
+	handler: async (argv) => {
+		const out = new Output(argv);
+		let voter;
+		try {
+			const spec = loadProposalSpec(argv.file);
+			const config = resolveConfig({ ...argv, contractId: argv.contractId ?? spec.contractId, network: argv.network ?? spec.network });
+			if (!config.contractId) {
+				out.error('MISSING_CONFIG', 'Contract ID required. Set contractId in the proposal file or use --contract-id / --proposal');
+				process.exit(2);
+			}
+			voter = new LazyVoterClient({
+				contractId: config.contractId, network: config.network, mirrorUrl: config.mirrorUrl,
+				accountId: config.accountId, privateKey: config.privateKey,
+				key: config.key, passphrase: promptPassphrase,
+			});
+			const plan = await planProposal(voter, spec, { batchSize: argv.batchSize });
+			if (plan.started) {
+				out.error(new VoteStartedError({ startTime: plan.startTime }), `Voting started at ${new Date(plan.startTime * 1000).toISOString()}; ${plan.contractId} can no longer be changed`);
+				process.exit(3);
+			}
+			if (!plan.changes) {
+				out.success({ file: argv.file, applied: false, ...plan }, printPlan);
+				return;
+			}
+			if (!argv.json) printPlan(plan);
+			if (argv.dryRun) {
+				out.success({ file: argv.file, applied: false, ...plan }, () => console.log('  Dry run: nothing submitted.\n'));
+				return;
+			}
+			if (!argv.yes && !argv.json) {
+				const readlineSync = require('readline-sync');
+				if (!readlineSync.keyInYNStrict(`  Apply ${plan.transactions} transaction(s) to ${plan.contractId}?`)) {
+					out.info('  Apply cancelled.');
+					process.exit(0);
+				}
+			}
+
+			const result = await applyPlan(voter, plan, {
+				onProgress: (p) => {
+					const what = p.step === 'eligibleSerials'
+						? `eligibleSerials [${p.batch}/${p.totalBatches}] +${p.add} -${p.remove}`
+						: p.step;
+					out.info(`  ${what} ${p.success ? '✓' : `✗ ${p.error.message}`}${p.transactionId ? `  ${p.transactionId}` : ''}`);
+				},
+			});
+			if (!result.success) {
+				const done = result.steps.filter(s => s.success).length;
+				out.error(result.error instanceof LazyVoterError ? result.error : 'APPLY_ERROR', `Apply stopped after ${done} of ${plan.transactions} transaction(s): ${result.error.message}`, [
+					`See what is left with: lazyvote plan ${argv.file}`,
+				]);
+				process.exit(3);
+			}
+			out.success({ file: argv.file, applied: true, ...plan, steps: result.steps }, (d) => {
+				console.log(`\n  Applied ${d.steps.length} transaction(s) to ${d.contractId}\n`);
+			});
+		}
+		catch (err) {
+			if (err instanceof LazyVoterError) {
+				out.error(err);
+				process.exit(3);
+			}
+			out.error('APPLY_ERROR', err.message);
+			process.exit(1);
+		}
+		finally {
+			if (voter) voter.close();
+		}
+	},
+};
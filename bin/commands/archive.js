@@ -0,0 +1,117 @@
+'use strict';
+
+const Output = require('../../lib/output');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { createArchive, readArchive, verifyArchive, writeArchive } = require('../../lib/archive');
+const { resolveConfig, resolveOperator } = require('../../lib/config');
+const { promptPassphrase } = require('../../lib/keystore');
+
+function printVerification(d) {
+	const mark = ok => (ok ? '✓' : '✗');
+	console.log(`\n  ARCHIVE ${d.file}: ${d.contractId} on ${d.network}, state as of ${d.asOf}\n`);
+	console.log(`  ${mark(d.intact)} Content hash ${d.hash}${d.intact ? '' : ' does not match the content: the bundle was edited'}`);
+	if (d.signature) {
+		const s = d.signature;
+		console.log(`  ${mark(s.valid)} Signature by ${s.account}${s.valid ? '' : ' is invalid'}`);
+		if (s.valid) {
+			if (s.keyMatchesAccount !== null) console.log(`  ${mark(s.keyMatchesAccount)} Signing key ${s.keyMatchesAccount ? 'is' : 'is not'} the key of ${s.account}`);
+			else console.log(`  ✗ ${s.account} has a key list; the signing key could not be matched to it`);
+			if (s.ownerAtArchive !== null) console.log(`  ${mark(s.ownerAtArchive)} ${s.account} ${s.ownerAtArchive ? 'owned' : 'did not own'} the contract as of the archive`);
+			else console.log('  - The archived log has no ownership event; checked against the current owner');
+			console.log(`  ${s.ownerAtArchive === null ? mark(s.currentOwner) : (s.currentOwner ? '✓' : '-')} ${s.account} ${s.currentOwner ? 'is' : 'is not'} the current contract owner`);
+		}
+	}
+	else {
+		console.log('  - Not signed');
+	}
+	d.sections.forEach((s) => {
+		console.log(`  ${mark(s.matches)} ${s.section}: ${s.matches ? 'same as on chain' : `differs from chain state: ${s.differences.slice(0, 10).join(', ')}${s.differences.length > 10 ? ` and ${s.differences.length - 10} more` : ''}`}`);
+	});
+	console.log(`\n  ${d.verified ? 'VERIFIED' : 'NOT VERIFIED'}\n`);
+}
+
+module.exports = {
+	command: 'archive <subcommand>',
+	describe: 'Freeze an ended vote in a tamper-evident bundle and verify bundles against the chain',
+	builder: (yargs) => {
+		return yargs
+			.command({
+				command: 'create',
+				describe: 'Archive proposal, eligible set, every VoteInfo, the event log and tallies with a canonical hash',
+				builder: {
+					out: { type: 'string', description: 'Bundle file (default: archive-<contract>.json)' },
+					sign: { type: 'boolean', default: false, description: 'Sign the hash with the owner key (--key or the configured private key)' },
+					force: { type: 'boolean', default: false, description: 'Archive even though voting has not ended' },
+				},
+				handler: async (argv) => {
+					const out = new Output(argv);
+					let voter;
+					try {
+						const config = resolveConfig(argv);
+						if (!config.contractId) {
+							out.error('MISSING_CONFIG', 'Contract ID required. Use --proposal, --contract-id, a profile (lazyvote config set contract-id) or set CONTRACT_ID in .env');
+							process.exit(2);
+						}
+						let signer;
+						if (argv.sign) {
+							const { operatorId, operatorKey } = resolveOperator(config, { passphrase: promptPassphrase });
+							signer = { accountId: operatorId, privateKey: operatorKey };
+						}
+						voter = new LazyVoterClient({ contractId: config.contractId, network: config.network, mirrorUrl: config.mirrorUrl });
+						out.info(`\n  Archiving ${config.contractId} on ${config.network}...`);
+						const bundle = await createArchive(voter, { signer, force: argv.force });
+						const file = argv.out || `archive-${bundle.content.contractId}.json`;
+						writeArchive(file, bundle);
+						const c = bundle.content;
+						out.success({
+							file, hash: bundle.hash, status: bundle.status, signedBy: bundle.signature?.account ?? null,
+							eligible: c.proposal.eligibleSerials.length, votes: c.votes.length, events: c.events.length, tallies: c.tallies,
+						}, (d) => {
+							console.log(`\n  Archived ${d.votes} vote(s), ${d.eligible} eligible serial(s) and ${d.events} event(s) to ${d.file}`);
+							console.log(`  Status:  ${d.status}`);
+							console.log(`  Hash:    ${d.hash}`);
+							console.log(`  Signed:  ${d.signedBy ?? 'no (use --sign with the owner key)'}`);
+							console.log(`  Check it any time with: lazyvote archive verify ${d.file}\n`);
+						});
+					}
+					catch (err) {
+						out.error('ARCHIVE_ERROR', err.message);
+						process.exit(1);
+					}
+					finally {
+						if (voter) voter.close();
+					}
+				},
+			})
+			.command({
+				command: 'verify <bundle>',
+				describe: 'Check a bundle\'s hash and signature and compare it with chain state re-read through the mirror node',
+				handler: async (argv) => {
+					const out = new Output(argv);
+					let voter;
+					try {
+						const bundle = readArchive(argv.bundle);
+						const { contractId, network, asOf } = bundle.content;
+						// The bundle names its contract and network; only the mirror URL comes from the flags or profile
+						const config = resolveConfig({ ...argv, contractId, network });
+						voter = new LazyVoterClient({ contractId, network: config.network, mirrorUrl: config.mirrorUrl });
+						out.info(`\n  Re-reading ${contractId} on ${config.network} through the mirror node...`);
+						const result = await verifyArchive(voter, bundle);
+						out.success({ file: argv.bundle, contractId, network: config.network, asOf, ...result }, printVerification);
+						if (!result.verified) process.exit(3);
+					}
+					catch (err) {
+						out.error('ARCHIVE_ERROR', err.message);
+						process.exit(1);
+					}
+					finally {
+						if (voter) voter.close();
+					}
+				},
+			})
+			.demandCommand(1, 'Specify an archive subcommand. Run with --help for options.');
+	},
+	handler: () => {
+		// subcommands do the work
+	},
+};
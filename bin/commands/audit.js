@@ -0,0 +1,97 @@
+'use strict';
+
+const Output = require('../../lib/output');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { auditTally, createAuditSummary, writeAuditSummary } = require('../../lib/audit');
+const { EventIndex } = require('../../lib/eventIndex');
+const { resolveConfig, resolveOperator } = require('../../lib/config');
+const { promptPassphrase } = require('../../lib/keystore');
+
+const CHECK_LABELS = {
+	results: 'getResults counters match the replayed tally',
+	votedSerials: 'getVotedSerials matches the serials seen in events',
+	voteInfo: 'getVoteInfo matches the last event for every serial',
+	voters: 'getAllVoters counts match the replayed voters',
+};
+
+function describeDivergence(d) {
+	const vote = v => (v ? `${v.choice} by ${v.voter} at ${v.timestamp}` : 'no vote');
+	const describers = {
+		results: () => `${d.field}: replayed ${d.replayed}, contract reports ${d.contract}`,
+		votedSerials: () => `serial ${d.serial}: ${d.replayed ? 'voted in events but missing from getVotedSerials' : 'in getVotedSerials but no VoteCasted event'}`,
+		voteInfo: () => `serial ${d.serial} (${d.fields.join(', ')}): replayed ${vote(d.replayed)}, contract ${vote(d.contract)}`,
+		voters: () => `${d.voter}: replayed ${d.replayed} vote(s), contract reports ${d.contract}`,
+	};
+	return describers[d.check]();
+}
+
+function printAudit(d) {
+	const t = (label, x) => `${label} Yes ${x.yes}, No ${x.no}, Abstain ${x.abstain} (${x.total})`;
+	console.log(`\n  TALLY AUDIT ${d.contractId} on ${d.network}, events up to ${d.asOf}\n`);
+	console.log(`  Replayed ${d.events} VoteCasted event(s) covering ${d.serials} serial(s)`);
+	console.log(`  ${t('Replayed:', d.replayed)}`);
+	console.log(`  ${t('Contract:', d.contract)}\n`);
+	d.checks.forEach((c) => {
+		console.log(`  ${c.divergences ? '✗' : '✓'} ${CHECK_LABELS[c.check]}${c.divergences ? ` - ${c.divergences} divergence(s)` : ''}`);
+	});
+	if (d.divergences.length) {
+		console.log('\n  Divergences:');
+		d.divergences.slice(0, 50).forEach(x => console.log(`    ${describeDivergence(x)}`));
+		if (d.divergences.length > 50) console.log(`    ...and ${d.divergences.length - 50} more (see ${d.file})`);
+	}
+	if (d.status === 'Active') console.log('\n  Voting is still active: votes cast while the audit ran can show up as divergences. Re-run once it ends.');
+	console.log(`\n  ${d.consistent ? 'CONSISTENT' : 'DIVERGENT'} - summary ${d.hash} written to ${d.file}`);
+	console.log(`  Signed: ${d.signedBy ?? 'no (use --sign)'}\n`);
+}
+
+module.exports = {
+	command: 'audit <subcommand>',
+	describe: 'Independently check contract state against the event log',
+	builder: (yargs) => {
+		return yargs
+			.command({
+				command: 'tally',
+				describe: 'Replay every VoteCasted event (last vote wins per serial) and compare with getResults, getVotedSerials and getVoteInfo',
+				builder: {
+					out: { type: 'string', description: 'Audit summary file (default: audit-tally-<contract>.json)' },
+					sign: { type: 'boolean', default: false, description: 'Sign the summary hash with the auditor key (--key or the configured private key)' },
+					'from-index': { type: 'boolean', default: false, description: 'Sync the local event index (lazyvote events) and replay from it' },
+				},
+				handler: async (argv) => {
+					const out = new Output(argv);
+					let voter;
+					try {
+						const config = resolveConfig(argv);
+						if (!config.contractId) {
+							out.error('MISSING_CONFIG', 'Contract ID required. Use --proposal, --contract-id, a profile (lazyvote config set contract-id) or set CONTRACT_ID in .env');
+							process.exit(2);
+						}
+						let signer;
+						if (argv.sign) {
+							const { operatorId, operatorKey } = resolveOperator(config, { passphrase: promptPassphrase });
+							signer = { accountId: operatorId, privateKey: operatorKey };
+						}
+						voter = new LazyVoterClient({ contractId: config.contractId, network: config.network, mirrorUrl: config.mirrorUrl });
+						out.info(`\n  Replaying vote events for ${config.contractId} on ${config.network}...`);
+						const audit = await auditTally(voter, { index: argv.fromIndex ? EventIndex.open() : undefined });
+						const summary = createAuditSummary(audit, { signer });
+						const file = argv.out || `audit-tally-${audit.contractId}.json`;
+						writeAuditSummary(file, summary);
+						out.success({ file, hash: summary.hash, signedBy: summary.signature?.account ?? null, ...audit }, printAudit);
+						if (!audit.consistent) process.exit(3);
+					}
+					catch (err) {
+						out.error('AUDIT_ERROR', err.message);
+						process.exit(1);
+					}
+					finally {
+						if (voter) voter.close();
+					}
+				},
+			})
+			.demandCommand(1, 'Specify an audit subcommand. Run with --help for options.');
+	},
+	handler: () => {
+		// subcommands do the work
+	},
+};
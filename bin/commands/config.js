@@ -0,0 +1,104 @@
+'use strict';
+
+const Output = require('../../lib/output');
+const { ProfileStore, SETTINGS, resolveConfig } = require('../../lib/config');
+
+// Secrets are never printed, only where they come from
+function display(field, value) {
+	if (value === null || value === undefined) return null;
+	return SETTINGS[field].secret ? '(set)' : value;
+}
+
+module.exports = {
+	command: 'config <subcommand>',
+	describe: 'Manage configuration profiles (network, mirror, operator, contract, registry)',
+	builder: (yargs) => {
+		return yargs
+			.command({
+				command: 'show',
+				describe: 'Show the effective configuration and where each value comes from',
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const store = ProfileStore.load();
+						const config = resolveConfig(argv);
+						const settings = Object.keys(SETTINGS).map(field => ({
+							key: SETTINGS[field].key,
+							value: display(field, config[field]),
+							source: config.sources[field],
+						}));
+						const data = {
+							file: store.file,
+							current: store.current,
+							active: config.profile,
+							profiles: Object.keys(store.profiles).sort(),
+							settings,
+						};
+						out.success(data, (d) => {
+							console.log(`\n  CONFIGURATION (${d.file})\n`);
+							console.log(`  Profiles: ${d.profiles.length ? d.profiles.map(p => (p === d.current ? `${p} (current)` : p)).join(', ') : 'none'}`);
+							console.log(`  Active:   ${d.active ?? 'none (env only)'}\n`);
+							d.settings.forEach((s) => {
+								console.log(`  ${s.key.padEnd(12)} ${String(s.value ?? '-').padEnd(45)} ${s.source ?? ''}`);
+							});
+							console.log();
+						});
+					}
+					catch (err) {
+						out.error('CONFIG_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.command({
+				command: 'use <name>',
+				describe: 'Make a profile the default for every command',
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const store = ProfileStore.load();
+						store.use(argv.name);
+						store.save();
+						out.success({ file: store.file, current: store.current }, (d) => {
+							console.log(`\n  Now using profile ${d.current}\n`);
+						});
+					}
+					catch (err) {
+						out.error('CONFIG_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.command({
+				command: 'set <setting> <value>',
+				describe: `Set a value in a profile (--profile, else the current one). Keys: ${Object.values(SETTINGS).map(s => s.key).join(', ')}`,
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const store = ProfileStore.load();
+						const name = argv.profile || store.current;
+						if (!name) {
+							out.error('CONFIG_ERROR', 'No current profile. Name one with --profile, e.g. lazyvote config set network test --profile testnet-ops');
+							process.exit(2);
+						}
+						const profile = store.set(name, argv.setting, String(argv.value));
+						store.save();
+						const values = Object.fromEntries(Object.keys(profile).map(field => [SETTINGS[field].key, display(field, profile[field])]));
+						out.success({ file: store.file, profile: name, current: store.current, values }, (d) => {
+							console.log(`\n  Profile ${d.profile}${d.profile === d.current ? ' (current)' : ''}`);
+							Object.entries(d.values).forEach(([key, value]) => console.log(`  ${key.padEnd(12)} ${value}`));
+							console.log();
+						});
+					}
+					catch (err) {
+						out.error('CONFIG_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.demandCommand(1, 'Specify a config subcommand. Run with --help for options.');
+	},
+	handler: () => {
+		// subcommands do the work
+	},
+};
@@ -1,12 +1,15 @@
 'use strict';
 
 const { ContractId, AccountId } = require('@hashgraph/sdk');
-const { loadInterface, createClient, loadOperator } = require('../../utils/clientFactory');
-const { contractExecuteFunction } = require('../../utils/solidityHelpers');
-const { estimateGas, logTransactionResult } = require('../../utils/gasHelpers');
+const { logTransactionResult } = require('../../utils/gasHelpers');
 const { parseSerials } = require('../../lib/serialParser');
 const Output = require('../../lib/output');
-require('dotenv').config();
+const LazyDelegateRegistryClient = require('../../lib/LazyDelegateRegistryClient');
+const { LazyVoterError } = require('../../lib/errors');
+const { exportIfRequested } = require('../../lib/offlineTransaction');
+const { printSimulation } = require('../../lib/simulation');
+const { resolveConfig } = require('../../lib/config');
+const { promptPassphrase } = require('../../lib/keystore');
 
 module.exports = {
 	command: 'delegate <token> <serials> <to>',
@@ -18,17 +21,14 @@ module.exports = {
 	},
 	handler: async (argv) => {
 		const out = new Output(argv);
+		let registry;
 		try {
-			const network = (argv.network || process.env.ENVIRONMENT || 'TEST').toUpperCase();
-			const registryIdStr = process.env.LAZYVOTE_DELEGATE_REGISTRY_ID || process.env.LAZY_DELEGATE_REGISTRY_CONTRACT_ID;
-			if (!registryIdStr) {
-				out.error('MISSING_CONFIG', 'Delegate registry ID required. Set LAZY_DELEGATE_REGISTRY_CONTRACT_ID in .env');
+			const config = resolveConfig(argv);
+			const network = config.network;
+			if (!config.registryId) {
+				out.error('MISSING_CONFIG', 'Delegate registry ID required. Use --proposal, a profile (lazyvote config set registry-id) or set LAZY_DELEGATE_REGISTRY_CONTRACT_ID in .env');
 				process.exit(2);
 			}
-			const registryId = ContractId.fromString(registryIdStr);
-			const { operatorId, operatorKey } = loadOperator();
-			const client = createClient(network, operatorId, operatorKey);
-			const iface = loadInterface('LazyDelegateRegistry');
 
 			const serials = parseSerials(argv.serials);
 			const tokenAddress = AccountId.fromString(argv.token).toSolidityAddress();
@@ -37,32 +37,40 @@ module.exports = {
 				delegateAddress = AccountId.fromString(delegateAddress).toSolidityAddress();
 			}
 
-			out.info(`\n  Delegating serials ${serials.join(', ')} of token ${argv.token} to ${argv.to}`);
-
-			const gasInfo = await estimateGas(
-				network, registryId, iface, operatorId,
-				'delegateNFT', [delegateAddress, tokenAddress, serials],
-				300_000 + 180_000 * serials.length,
-			);
+			const exported = await exportIfRequested(argv, out, {
+				network, mirrorUrl: config.mirrorUrl, contractName: 'LazyDelegateRegistry', contractId: ContractId.fromString(config.registryId),
+				functionName: 'delegateNFT', params: [delegateAddress, tokenAddress, serials],
+				fallbackGas: 300_000 + 180_000 * serials.length,
+			});
+			if (exported) return;
 
-			const result = await contractExecuteFunction(
-				registryId, iface, client, gasInfo.gasLimit,
-				'delegateNFT', [delegateAddress, tokenAddress, serials],
-			);
+			registry = new LazyDelegateRegistryClient({
+				contractId: config.registryId, network, mirrorUrl: config.mirrorUrl,
+				accountId: config.accountId, privateKey: config.privateKey,
+				key: config.key, passphrase: promptPassphrase,
+			});
+			if (argv.dryRun) {
+				const simulation = await registry.delegateNFT(argv.to, argv.token, serials, { simulate: true, from: argv.payer });
+				printSimulation(out, simulation);
+				process.exit(simulation.success ? 0 : 3);
+			}
 
-			logTransactionResult(result, 'Delegate NFT', gasInfo);
+			out.info(`\n  Delegating serials ${serials.join(', ')} of token ${argv.token} to ${argv.to}`);
 
-			const statusStr = typeof result[0] === 'object' && result[0].status
-				? result[0].status.toString() : result[0]?.toString();
-			if (statusStr === 'SUCCESS') {
-				out.success({ token: argv.token, serials, delegate: argv.to });
-			} else {
-				out.error('DELEGATE_FAILED', `Delegation failed: ${result[0]?.message || statusStr}`);
+			const tx = await registry.delegateNFT(argv.to, argv.token, serials);
+			logTransactionResult(tx, 'Delegate NFT');
+			out.success({ token: argv.token, serials, delegate: argv.to, ...tx.toJSON() });
+		}
+		catch (err) {
+			if (err instanceof LazyVoterError) {
+				out.error(err, `Delegation ${err.transactionId ? 'failed' : 'would fail'}: ${err.message}`);
 				process.exit(3);
 			}
-		} catch (err) {
 			out.error('DELEGATE_ERROR', err.message);
 			process.exit(1);
 		}
+		finally {
+			if (registry) registry.close();
+		}
 	},
 };
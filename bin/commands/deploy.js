@@ -1,35 +1,255 @@
 'use strict';
 
 const Output = require('../../lib/output');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { formatSerials, parseSerials } = require('../../lib/serialParser');
+const { parseTime } = require('../../lib/timeParser');
+const { MAX_CONSTRUCTOR_SERIALS, SEED_MARGIN_SECONDS, deployRegistry, deployVoter, parseTokenId, validateNftToken } = require('../../lib/deploy');
+const { resolveConfig, resolveOperator } = require('../../lib/config');
+const { promptPassphrase } = require('../../lib/keystore');
+const { DeploymentManifest } = require('../../lib/manifest');
+const { createClient } = require('../../utils/clientFactory');
+
+const bytecodeOptions = {
+	'bytecode-file-id': { type: 'string', description: 'Deploy from bytecode already uploaded to a Hedera file' },
+	'artifact-dir': { type: 'string', default: './artifacts/contracts', description: 'Hardhat artifacts directory (without --bytecode-file-id)' },
+	manifest: { type: 'boolean', default: true, description: 'Record the deployment in deployments/<network>.json (--no-manifest to skip)' },
+};
+
+function loadManifest(argv, network) {
+	return argv.manifest ? DeploymentManifest.load(network) : null;
+}
+
+function confirm(argv, out, question) {
+	if (argv.yes || argv.json) return;
+	const readlineSync = require('readline-sync');
+	if (!readlineSync.keyInYNStrict(question)) {
+		out.info('  Deployment cancelled.');
+		process.exit(0);
+	}
+}
+
+function formatTime(seconds) {
+	return `${new Date(seconds * 1000).toISOString()} (${seconds})`;
+}
+
+// Add the serials left out of the constructor, one transaction per batch
+async function seedSerials(argv, out, config, contractId, serials) {
+	const voter = new LazyVoterClient({
+		contractId, network: config.network, mirrorUrl: config.mirrorUrl,
+		accountId: config.accountId, privateKey: config.privateKey,
+		key: config.key, passphrase: promptPassphrase,
+	});
+	try {
+		out.info(`  Seeding ${serials.length} eligible serials in batches of ${argv.batchSize}`);
+		return await voter.addEligibleSerials(serials, {
+			batchSize: argv.batchSize,
+			onProgress: (p) => {
+				out.info(`  [${p.batch}/${p.totalBatches}] ${p.serials.length} serials ${p.success ? '✓' : `✗ ${p.error.message}`}${p.transactionId ? `  ${p.transactionId}` : ''}`);
+			},
+		});
+	}
+	finally {
+		voter.close();
+	}
+}
 
 module.exports = {
 	command: 'deploy <subcommand>',
-	describe: 'Deploy contracts (delegates to deployment scripts)',
+	describe: 'Deploy a LazyVoter or LazyDelegateRegistry contract',
 	builder: (yargs) => {
 		return yargs
 			.command({
 				command: 'registry',
 				describe: 'Deploy a new LazyDelegateRegistry',
-				handler: (argv) => {
+				builder: bytecodeOptions,
+				handler: async (argv) => {
 					const out = new Output(argv);
-					out.info('\n  To deploy a LazyDelegateRegistry, run:');
-					out.info('  node scripts/deployment/deploy-LazyDelegateRegistry.js --env TEST\n');
-					out.info('  Full deployment via CLI will be available in v1.1.');
-					out.info('  Run with --help for the deployment script options.\n');
+					let client;
+					try {
+						const config = resolveConfig(argv);
+						const { operatorId, operatorKey } = resolveOperator(config, { passphrase: promptPassphrase });
+						out.info(`\n  Deploying LazyDelegateRegistry on ${config.network} as ${operatorId}`);
+						out.info(`  Bytecode: ${argv.bytecodeFileId ? `file ${argv.bytecodeFileId}` : argv.artifactDir}\n`);
+						if (argv.dryRun) {
+							out.success({ deployed: false, network: config.network, operator: operatorId.toString() }, () => {
+								console.log('  Dry run: nothing deployed.\n');
+							});
+							return;
+						}
+						confirm(argv, out, '  Deploy LazyDelegateRegistry?');
+
+						client = createClient(config.network, operatorId, operatorKey);
+						const manifest = loadManifest(argv, config.network);
+						const deployed = await deployRegistry(client, operatorId, {
+							bytecodeFileId: argv.bytecodeFileId, artifactDir: argv.artifactDir, manifest,
+						});
+						out.success({ deployed: true, network: config.network, ...deployed, manifest: manifest?.file ?? null }, (d) => {
+							console.log(`\n  LazyDelegateRegistry deployed: ${d.contractId} (${d.address})`);
+							if (d.manifest) console.log(`  Recorded in ${d.manifest}`);
+							console.log(`  Next: lazyvote deploy voter --registry ${d.contractId} ...\n`);
+						});
+					}
+					catch (err) {
+						out.error('DEPLOY_ERROR', err.message);
+						process.exit(1);
+					}
+					finally {
+						if (client) client.close();
+					}
 				},
 			})
 			.command({
 				command: 'voter',
 				describe: 'Deploy a new LazyVoter contract',
-				handler: (argv) => {
+				builder: {
+					'vote-message': { type: 'string', demandOption: true, description: 'Question or proposal text' },
+					'nft-token': { type: 'string', demandOption: true, description: 'Voting NFT collection (0.0.X or 0x...)' },
+					registry: { type: 'string', description: 'LazyDelegateRegistry contract ID (default: --proposal, the profile or LAZY_DELEGATE_REGISTRY_CONTRACT_ID)' },
+					quorum: { type: 'number', demandOption: true, description: 'Votes needed for quorum' },
+					start: { type: 'string', demandOption: true, description: 'Voting start: ISO date, unix timestamp or relative ("in 2h")' },
+					end: { type: 'string', demandOption: true, description: 'Voting end: ISO date, unix timestamp or relative ("in 7d")' },
+					'eligible-serials': { type: 'string', description: 'Eligible serials or ranges (e.g., "1-500,612"); can be added later with admin add-serials' },
+					'batch-size': { type: 'number', default: 200, description: `Serials per transaction when seeding more than ${MAX_CONSTRUCTOR_SERIALS} serials after deployment` },
+					...bytecodeOptions,
+				},
+				handler: async (argv) => {
 					const out = new Output(argv);
-					out.info('\n  To deploy a LazyVoter, run:');
-					out.info('  node scripts/deployment/deploy-LazyVoter.js --help\n');
-					out.info('  Required options: --vote-message, --nft-token, --registry, --quorum, --start-time, --end-time');
-					out.info('  Full deployment via CLI will be available in v1.1.\n');
+					let client;
+					try {
+						const config = resolveConfig(argv);
+						const network = config.network;
+						const registry = argv.registry || config.registryId;
+						if (!registry) {
+							out.error('MISSING_CONFIG', 'Delegate registry ID required. Use --registry, --proposal, a profile (lazyvote config set registry-id) or set LAZY_DELEGATE_REGISTRY_CONTRACT_ID in .env', [
+								'Deploy one first with: lazyvote deploy registry',
+							]);
+							process.exit(2);
+						}
+						const now = Math.floor(Date.now() / 1000);
+						const startTime = parseTime(argv.start, now);
+						const endTime = parseTime(argv.end, now);
+						if (endTime <= startTime) {
+							out.error('INVALID_TIME', `End time ${formatTime(endTime)} must be after start time ${formatTime(startTime)}`);
+							process.exit(2);
+						}
+						if (!Number.isInteger(argv.quorum) || argv.quorum < 0) {
+							out.error('INVALID_QUORUM', `Quorum must be a non-negative integer (got ${argv.quorum})`);
+							process.exit(2);
+						}
+						const eligibleSerials = argv.eligibleSerials ? parseSerials(argv.eligibleSerials) : [];
+						const seeding = eligibleSerials.length > MAX_CONSTRUCTOR_SERIALS;
+						if (seeding && startTime < now + SEED_MARGIN_SECONDS) {
+							out.error('INVALID_TIME', `Seeding ${eligibleSerials.length} serials after deployment needs the vote to start at least ${SEED_MARGIN_SECONDS / 60} minutes from now`, [
+								'Choose a later --start, e.g. "in 1h"',
+							]);
+							process.exit(2);
+						}
+
+						const nftToken = parseTokenId(argv.nftToken).toString();
+						const token = await validateNftToken(network, nftToken, { mirrorUrl: config.mirrorUrl });
+						const { operatorId, operatorKey } = resolveOperator(config, { passphrase: promptPassphrase });
+
+						const plan = {
+							network,
+							operator: operatorId.toString(),
+							voteMessage: argv.voteMessage,
+							nftToken,
+							token,
+							registry,
+							quorum: argv.quorum,
+							startTime,
+							endTime,
+							eligibleSerials: eligibleSerials.length,
+							seedAfterDeploy: seeding,
+						};
+						out.info(`\n  Deploying LazyVoter on ${network} as ${plan.operator}\n`);
+						out.info(`  Message:  ${plan.voteMessage}`);
+						out.info(`  NFT:      ${nftToken} ${token.name} (${token.symbol}), supply ${token.totalSupply}`);
+						out.info(`  Registry: ${registry}`);
+						out.info(`  Quorum:   ${plan.quorum}${eligibleSerials.length ? ` of ${eligibleSerials.length} eligible` : ''}`);
+						out.info(`  Start:    ${formatTime(startTime)}`);
+						out.info(`  End:      ${formatTime(endTime)}`);
+						out.info(`  Serials:  ${eligibleSerials.length === 0 ? 'none yet (add with admin add-serials before the start)' : seeding ? `${eligibleSerials.length}, seeded after deployment` : `${eligibleSerials.length}, in the constructor`}\n`);
+						if (argv.dryRun) {
+							out.success({ deployed: false, ...plan }, () => {
+								console.log('  Dry run: nothing deployed.\n');
+							});
+							return;
+						}
+						confirm(argv, out, '  Deploy LazyVoter?');
+
+						client = createClient(network, operatorId, operatorKey);
+						const manifest = loadManifest(argv, network);
+						const deployed = await deployVoter(client, operatorId, {
+							voteMessage: argv.voteMessage, nftToken, quorum: argv.quorum, startTime, endTime, registry, eligibleSerials,
+							bytecodeFileId: argv.bytecodeFileId, artifactDir: argv.artifactDir, manifest,
+						});
+						out.info(`  Deployed ${deployed.contractId} (${deployed.address})`);
+
+						const data = {
+							deployed: true, ...plan,
+							contractId: deployed.contractId, address: deployed.address, transactionId: deployed.transactionId,
+							bytecodeHash: deployed.bytecodeHash, manifest: manifest?.file ?? null,
+						};
+						if (deployed.pendingSerials.length > 0) {
+							const seeded = await seedSerials(argv, out, config, deployed.contractId, deployed.pendingSerials);
+							data.seeding = { batches: seeded.totalBatches, completedBatches: seeded.completedBatches, processed: seeded.processed };
+							if (manifest) {
+								const done = seeded.batches.filter(b => b.success).flatMap(b => b.serials);
+								manifest.update('LazyVoter', deployed.contractId, { seededSerials: formatSerials(done) });
+								manifest.save();
+							}
+							if (!seeded.success) {
+								out.error(seeded.error, `Deployed ${deployed.contractId} but seeding stopped after ${seeded.processed} of ${deployed.pendingSerials.length} serials: ${seeded.error.message}`, [
+									`Add the rest with: lazyvote admin add-serials <serials> --contract-id ${deployed.contractId}`,
+								]);
+								process.exit(3);
+							}
+						}
+						out.success(data, (d) => {
+							console.log(`\n  LazyVoter deployed: ${d.contractId} (${d.address})`);
+							if (d.seeding) console.log(`  Seeded ${d.seeding.processed} eligible serials in ${d.seeding.batches} transaction(s)`);
+							if (d.manifest) console.log(`  Recorded in ${d.manifest}`);
+							console.log(`  Next: lazyvote proposals add <alias> ${d.contractId}\n`);
+						});
+					}
+					catch (err) {
+						out.error('DEPLOY_ERROR', err.message);
+						process.exit(1);
+					}
+					finally {
+						if (client) client.close();
+					}
+				},
+			})
+			.command({
+				command: 'list',
+				describe: 'Show the deployments recorded in the manifest for the network',
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const manifest = DeploymentManifest.load(resolveConfig(argv).network);
+						out.success({ file: manifest.file, network: manifest.network, deployments: manifest.list() }, (d) => {
+							console.log(`\n  DEPLOYMENTS on ${d.network} (${d.file})\n`);
+							if (d.deployments.length === 0) console.log('  None recorded. Deploy with: lazyvote deploy registry / deploy voter');
+							d.deployments.forEach((e) => {
+								console.log(`  ${e.timestamp}  ${e.contractName.padEnd(20)} ${e.contractId}  by ${e.deployer}${e.transactionId ? `  ${e.transactionId}` : ''}`);
+								Object.entries(e.constructorArgs).forEach(([name, value]) => console.log(`    ${name}: ${value}`));
+								if (e.seededSerials) console.log(`    seeded after deployment: ${e.seededSerials}`);
+							});
+							console.log();
+						});
+					}
+					catch (err) {
+						out.error('DEPLOY_ERROR', err.message);
+						process.exit(1);
+					}
 				},
 			})
-			.demandCommand(1, 'Specify: registry or voter');
+			.demandCommand(1, 'Specify: registry, voter or list');
+	},
+	handler: () => {
+		// subcommands do the work
 	},
-	handler: () => {},
 };
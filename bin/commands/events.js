@@ -0,0 +1,154 @@
+'use strict';
+
+const Output = require('../../lib/output');
+const { EventIndex, defaultIndexDir } = require('../../lib/eventIndex');
+const { resolveConfig } = require('../../lib/config');
+const { parseTime } = require('../../lib/timeParser');
+
+// Consensus timestamps pass through; anything else goes through parseTime (ISO, unix, "3d ago")
+function toTimestamp(value) {
+	if (value === undefined) return undefined;
+	return /^\d+\.\d{1,9}$/.test(value) ? value : parseTime(value);
+}
+
+function formatArgs(args) {
+	return Object.entries(args ?? {}).map(([k, v]) => `${k}=${Array.isArray(v) ? `[${v.join(',')}]` : v}`).join(' ');
+}
+
+function openIndex(argv) {
+	return EventIndex.open(argv.dir || defaultIndexDir());
+}
+
+module.exports = {
+	command: 'events <subcommand>',
+	describe: 'Keep a local index of contract events synced from the mirror node and query it',
+	builder: (yargs) => {
+		return yargs
+			.option('dir', { type: 'string', description: 'Index directory (default: LAZYVOTE_INDEX_DIR, ./.lazyvote/index or ~/.lazyvote/index)' })
+			.command({
+				command: 'add [contract]',
+				describe: 'Track a LazyVoter (default: the configured contract) or LazyDelegateRegistry contract',
+				builder: {
+					registry: { type: 'boolean', default: false, description: 'The contract is a LazyDelegateRegistry (default: the configured registry)' },
+				},
+				handler: (argv) => {
+					const out = new Output(argv);
+					try {
+						const config = resolveConfig(argv);
+						const contractId = argv.contract || (argv.registry ? config.registryId : config.contractId);
+						if (!contractId) {
+							out.error('MISSING_CONFIG', `Contract ID required. Pass it or configure ${argv.registry ? 'registry-id' : 'contract-id'} (lazyvote config set)`);
+							process.exit(2);
+						}
+						const index = openIndex(argv);
+						const entry = index.track(contractId, config.network, argv.registry ? 'LazyDelegateRegistry' : 'LazyVoter');
+						out.success({ dir: index.dir, ...entry }, (d) => {
+							console.log(`\n  Indexing ${d.kind} ${d.contractId} on ${d.network} in ${d.dir}`);
+							console.log('  Fetch its history with: lazyvote events sync\n');
+						});
+					}
+					catch (err) {
+						out.error('INDEX_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.command({
+				command: 'sync [contract]',
+				describe: 'Fetch every log since the last sync for all tracked contracts (or one)',
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const config = resolveConfig(argv);
+						const index = openIndex(argv);
+						const results = await index.sync({ contractId: argv.contract }, {
+							mirrorUrls: { [config.network]: config.mirrorUrl },
+							onProgress: (p) => {
+								if (p.added && p.added % 1000 === 0) out.info(`  ${p.contractId}: ${p.added} new event(s)...`);
+							},
+						});
+						out.success({ dir: index.dir, contracts: results }, (d) => {
+							console.log('');
+							d.contracts.forEach((c) => {
+								console.log(`  ${c.contractId} (${c.network}): ${c.added} new event(s), up to ${c.lastTimestamp ?? 'no events yet'}`);
+							});
+							console.log('');
+						});
+					}
+					catch (err) {
+						out.error('INDEX_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.command({
+				command: 'status',
+				describe: 'List tracked contracts with their event counts and last sync',
+				handler: (argv) => {
+					const out = new Output(argv);
+					try {
+						const index = openIndex(argv);
+						out.success({ dir: index.dir, contracts: index.list() }, (d) => {
+							console.log(`\n  EVENT INDEX ${d.dir}\n`);
+							if (!d.contracts.length) console.log('  No contracts tracked. Add one with: lazyvote events add <contractId>');
+							d.contracts.forEach((c) => {
+								console.log(`  ${c.contractId.padEnd(14)} ${c.network.padEnd(8)} ${c.kind.padEnd(21)} ${String(c.events).padStart(7)} event(s)  last ${c.lastTimestamp ?? '-'}  synced ${c.syncedAt ?? 'never'}`);
+							});
+							console.log('');
+						});
+					}
+					catch (err) {
+						out.error('INDEX_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.command({
+				command: 'query [contract]',
+				describe: 'Read stored events (default: the configured contract) without calling the mirror node',
+				builder: {
+					event: { type: 'string', description: 'Event name, e.g. VoteCasted' },
+					from: { type: 'string', description: 'From time: consensus timestamp, ISO date, unix seconds or relative ("3d ago")' },
+					to: { type: 'string', description: 'To time, same forms as --from' },
+					limit: { type: 'number', description: 'Maximum events to return' },
+					desc: { type: 'boolean', default: false, description: 'Newest first' },
+				},
+				handler: (argv) => {
+					const out = new Output(argv);
+					try {
+						const config = resolveConfig(argv);
+						const contractId = argv.contract || config.contractId;
+						if (!contractId) {
+							out.error('MISSING_CONFIG', 'Contract ID required. Pass it, use --contract-id or configure contract-id (lazyvote config set)');
+							process.exit(2);
+						}
+						const events = openIndex(argv).query({
+							contractId,
+							network: config.network,
+							name: argv.event,
+							fromTimestamp: toTimestamp(argv.from),
+							toTimestamp: toTimestamp(argv.to),
+							order: argv.desc ? 'desc' : 'asc',
+							limit: argv.limit,
+						});
+						out.success({ contractId, network: config.network, count: events.length, events }, (d) => {
+							console.log('');
+							d.events.forEach((e) => {
+								const time = new Date(Number(e.consensusTimestamp.split('.')[0]) * 1000).toISOString();
+								console.log(`  ${time}  ${e.consensusTimestamp}#${e.logIndex}  ${e.name ?? '(undecoded)'}  ${formatArgs(e.args)}`);
+							});
+							console.log(`\n  ${d.count} event(s)\n`);
+						});
+					}
+					catch (err) {
+						out.error('INDEX_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.demandCommand(1, 'Specify an events subcommand. Run with --help for options.');
+	},
+	handler: () => {
+		// subcommands do the work
+	},
+};
@@ -0,0 +1,69 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Output = require('../../lib/output');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { FORMATS, buildReport, renderReport } = require('../../lib/report');
+const { resolveConfig } = require('../../lib/config');
+
+// --format wins; otherwise the --out extension (.markdown counts as md)
+function reportFormat(argv) {
+	if (argv.format) return argv.format;
+	const ext = path.extname(argv.out ?? '').slice(1).toLowerCase().replace(/^markdown$/, 'md').replace(/^htm$/, 'html');
+	return FORMATS.includes(ext) ? ext : null;
+}
+
+module.exports = {
+	command: 'export',
+	describe: 'Write a full results report: per-serial votes, per-voter counts, tallies, quorum and turnout',
+	builder: {
+		format: { type: 'string', choices: FORMATS, description: 'Report format (default: from the --out extension)' },
+		out: { type: 'string', description: 'Report file (default: results-<contract>.<format>)' },
+	},
+	handler: async (argv) => {
+		const out = new Output(argv);
+		let voter;
+		try {
+			const config = resolveConfig(argv);
+			if (!config.contractId) {
+				out.error('MISSING_CONFIG', 'Contract ID required. Use --proposal, --contract-id, a profile (lazyvote config set contract-id) or set CONTRACT_ID in .env');
+				process.exit(2);
+			}
+			const format = reportFormat(argv);
+			if (!format) {
+				out.error('INVALID_ARGS', `Report format required. Use --format ${FORMATS.join('|')} or an --out file ending in one of them`);
+				process.exit(2);
+			}
+
+			voter = new LazyVoterClient({ contractId: config.contractId, network: config.network, mirrorUrl: config.mirrorUrl });
+			out.info(`\n  Reading votes from ${config.contractId} on ${config.network}...`);
+			const report = await buildReport(voter, {
+				onProgress: (p) => {
+					if (p.phase === 'timestamps' && (p.done === p.total || p.done % 100 === 0)) {
+						out.info(`  Vote timestamps ${p.done}/${p.total}`);
+					}
+				},
+			});
+			const file = argv.out || `results-${report.contractId}.${format}`;
+			fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+			fs.writeFileSync(file, renderReport(report, format));
+
+			out.success({
+				file, format,
+				votes: report.votes.length, voters: report.voters.length,
+				tallies: report.tallies, quorum: report.quorum, turnout: report.turnout,
+			}, (d) => {
+				console.log(`\n  Wrote ${d.format.toUpperCase()} report to ${d.file}`);
+				console.log(`  ${d.votes} vote(s) by ${d.voters} voter(s), turnout ${d.turnout}%, quorum ${d.quorum.reached ? 'REACHED' : 'NOT REACHED'}\n`);
+			});
+		}
+		catch (err) {
+			out.error('EXPORT_ERROR', err.message);
+			process.exit(1);
+		}
+		finally {
+			if (voter) voter.close();
+		}
+	},
+};
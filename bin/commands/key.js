@@ -0,0 +1,93 @@
+'use strict';
+
+const fs = require('fs');
+const Output = require('../../lib/output');
+const { Keystore, normalizeKeyType, parseKeyMaterial } = require('../../lib/keystore');
+
+// Hidden terminal input; secrets are never taken as arguments so they stay out of shell history
+function askSecret(question) {
+	if (!process.stdin.isTTY) {
+		throw new Error(`${question.trim().replace(/:$/, '')} needed. Run in a terminal, or see --help for non-interactive options`);
+	}
+	const readlineSync = require('readline-sync');
+	return readlineSync.question(question, { hideEchoBack: true, mask: '' });
+}
+
+function newPassphrase(name) {
+	if (process.env.LAZYVOTE_KEY_PASSPHRASE) return process.env.LAZYVOTE_KEY_PASSPHRASE;
+	const passphrase = askSecret(`  New passphrase for key "${name}": `);
+	if (askSecret('  Repeat passphrase: ') !== passphrase) {
+		throw new Error('Passphrases do not match');
+	}
+	return passphrase;
+}
+
+module.exports = {
+	command: 'key <subcommand>',
+	describe: 'Manage the encrypted keystore used with --key',
+	builder: (yargs) => {
+		return yargs
+			.command({
+				command: 'import <name>',
+				describe: 'Encrypt a private key (DER, hex, PEM or BIP-39 mnemonic) into the keystore',
+				builder: {
+					name: { type: 'string', description: 'Name used with --key' },
+					type: { type: 'string', demandOption: true, choices: ['ed25519', 'ecdsa'], description: 'Key type (required; DER and PEM keys must match it)' },
+					file: { type: 'string', description: 'Read the key material from this file instead of prompting' },
+					account: { type: 'string', description: 'Account the key operates, used when no account ID is configured' },
+					index: { type: 'number', default: 0, description: 'Derivation index for a mnemonic' },
+					replace: { type: 'boolean', default: false, description: 'Overwrite an existing key' },
+				},
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const store = Keystore.load();
+						normalizeKeyType(argv.type);
+						const material = argv.file ? fs.readFileSync(argv.file, 'utf8') : askSecret('  Private key or mnemonic: ');
+						const pemPassphrase = material.includes('ENCRYPTED PRIVATE KEY') ? askSecret('  PEM passphrase: ') : undefined;
+						const privateKey = await parseKeyMaterial(material, argv.type, { pemPassphrase, index: argv.index });
+						const entry = store.add(argv.name, privateKey, newPassphrase(argv.name), {
+							accountId: argv.account, replace: argv.replace,
+						});
+						store.save();
+						out.success({ file: store.file, key: entry }, (d) => {
+							console.log(`\n  Imported ${d.key.name} (${d.key.type})${d.key.accountId ? ` for ${d.key.accountId}` : ''}`);
+							console.log(`  Public key: ${d.key.publicKey}`);
+							console.log(`  Saved to ${d.file}. Use it with: lazyvote --key ${d.key.name} ...\n`);
+						});
+					}
+					catch (err) {
+						out.error('KEY_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.command({
+				command: 'list',
+				describe: 'List keys in the keystore (names, types, accounts and public keys only)',
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const store = Keystore.load();
+						out.success({ file: store.file, keys: store.list() }, (d) => {
+							console.log(`\n  KEYSTORE (${d.file})\n`);
+							if (d.keys.length === 0) console.log('  No keys yet. Add one with: lazyvote key import <name> --type <ed25519|ecdsa>');
+							const width = Math.max(...d.keys.map(k => k.name.length), 4);
+							d.keys.forEach((k) => {
+								console.log(`  ${k.name.padEnd(width)}  ${k.type.padEnd(7)}  ${(k.accountId ?? '-').padEnd(14)}  ${k.publicKey}`);
+							});
+							console.log();
+						});
+					}
+					catch (err) {
+						out.error('KEY_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.demandCommand(1, 'Specify a key subcommand. Run with --help for options.');
+	},
+	handler: () => {
+		// subcommands do the work
+	},
+};
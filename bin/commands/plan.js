@@ -0,0 +1,42 @@
+'use strict';
+
+const Output = require('../../lib/output');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { loadProposalSpec, planProposal, formatPlan } = require('../../lib/plan');
+const { resolveConfig } = require('../../lib/config');
+
+module.exports = {
+	command: 'plan <file>',
+	describe: 'Diff a proposal file (message, quorum, eligible serials) against the contract before voting starts',
+	builder: {
+		file: { type: 'string', description: 'Proposal file (JSON): voteMessage, quorum, eligibleSerials or snapshot' },
+		'batch-size': { type: 'number', default: 200, description: 'Serials per updateEligibleSerials transaction' },
+	},
+	handler: async (argv) => {
+		const out = new Output(argv);
+		let voter;
+		try {
+			const spec = loadProposalSpec(argv.file);
+			const config = resolveConfig({ ...argv, contractId: argv.contractId ?? spec.contractId, network: argv.network ?? spec.network });
+			if (!config.contractId) {
+				out.error('MISSING_CONFIG', 'Contract ID required. Set contractId in the proposal file or use --contract-id / --proposal');
+				process.exit(2);
+			}
+			voter = new LazyVoterClient({ contractId: config.contractId, network: config.network, mirrorUrl: config.mirrorUrl });
+			const plan = await planProposal(voter, spec, { batchSize: argv.batchSize });
+			out.success({ file: argv.file, ...plan }, (d) => {
+				console.log();
+				formatPlan(d).forEach(line => console.log(line ? `  ${line}` : ''));
+				if (d.changes && !d.started) console.log(`  Run: lazyvote apply ${d.file}`);
+				console.log();
+			});
+		}
+		catch (err) {
+			out.error('PLAN_ERROR', err.message);
+			process.exit(1);
+		}
+		finally {
+			if (voter) voter.close();
+		}
+	},
+};
@@ -0,0 +1,148 @@
+'use strict';
+
+const { ContractId, TokenId } = require('@hashgraph/sdk');
+const { loadInterface, readContractValue } = require('../../utils/clientFactory');
+const { mirrorTarget } = require('../../utils/hederaMirrorHelpers');
+const Output = require('../../lib/output');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { ProposalBook, defaultBookPath } = require('../../lib/proposalBook');
+const { mapConcurrent } = require('../../lib/pagination');
+const { resolveConfig } = require('../../lib/config');
+
+// Status and tallies for one entry; an unreachable contract is reported, not fatal
+async function liveState(entry) {
+	const voter = new LazyVoterClient({ contractId: entry.contractId, network: entry.network });
+	try {
+		const [status, results, quorum, hasQuorum, eligible] = await Promise.all([
+			voter.getStatus(),
+			voter.getResults(),
+			voter.getQuorum(),
+			voter.hasQuorum(),
+			voter.totalEligibleVoters(),
+		]);
+		return { ...entry, live: { status, ...results, quorum, quorumReached: hasQuorum, eligible }, error: null };
+	}
+	catch (err) {
+		return { ...entry, live: null, error: err.message };
+	}
+	finally {
+		voter.close();
+	}
+}
+
+// NFT token and registry straight from the deployment, for entries added without them
+async function readDeployment(contractId, network) {
+	const id = ContractId.fromString(contractId);
+	const iface = loadInterface('LazyVoter');
+	const [token, registry] = await Promise.all([
+		readContractValue(network, id, iface, 'NFT_TOKEN'),
+		readContractValue(network, id, iface, 'lazyDelegateRegistry'),
+	]);
+	return {
+		nftToken: TokenId.fromSolidityAddress(token[0]).toString(),
+		registry: ContractId.fromSolidityAddress(registry[0]).toString(),
+	};
+}
+
+module.exports = {
+	command: 'proposals <subcommand>',
+	describe: 'Manage the local proposal book (aliases for LazyVoter deployments)',
+	builder: (yargs) => {
+		return yargs
+			.command({
+				command: 'list',
+				describe: 'List proposals with live status and results',
+				builder: {
+					offline: { type: 'boolean', default: false, description: 'Only show the book, do not query the contracts' },
+				},
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const book = ProposalBook.load();
+						const entries = argv.offline ? book.list() : await mapConcurrent(book.list(), liveState);
+						out.success({ file: book.file, proposals: entries }, (d) => {
+							console.log(`\n  PROPOSALS (${d.file})\n`);
+							if (d.proposals.length === 0) console.log('  None yet. Add one with: lazyvote proposals add <alias> <contractId>');
+							d.proposals.forEach((p) => {
+								console.log(`  ${p.alias}  ${p.contractId} (${p.network})${p.description ? `  ${p.description}` : ''}`);
+								if (p.live) {
+									const total = p.live.yes + p.live.no + p.live.abstain;
+									console.log(`    ${p.live.status}  Yes ${p.live.yes} / No ${p.live.no} / Abstain ${p.live.abstain}  (${total} of ${p.live.eligible})  quorum ${p.live.quorum} ${p.live.quorumReached ? 'REACHED' : 'not reached'}`);
+								}
+								else if (p.error) {
+									console.log(`    unreachable: ${p.error}`);
+								}
+							});
+							console.log();
+						});
+					}
+					catch (err) {
+						out.error('PROPOSALS_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.command({
+				command: 'add <alias> <contractId>',
+				describe: 'Add a LazyVoter deployment under an alias',
+				builder: {
+					alias: { type: 'string', description: 'Short name used with --proposal' },
+					contractId: { type: 'string', description: 'LazyVoter contract ID (e.g., 0.0.12345)' },
+					'nft-token': { type: 'string', description: 'Voting NFT token ID (read from the contract if omitted)' },
+					registry: { type: 'string', description: 'LazyDelegateRegistry contract ID (read from the contract if omitted)' },
+					description: { type: 'string', description: 'Free-text note shown in the list' },
+					local: { type: 'boolean', default: false, description: 'Store in ./.lazyvote/proposals.json instead of the home directory' },
+					replace: { type: 'boolean', default: false, description: 'Overwrite an existing alias' },
+				},
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const book = ProposalBook.load(defaultBookPath({ local: argv.local }));
+						const { network, mirrorUrl } = resolveConfig({ profile: argv.profile, network: argv.network, mirrorUrl: argv.mirrorUrl });
+						let { nftToken, registry } = argv;
+						if (!nftToken || !registry) {
+							const deployed = await readDeployment(argv.contractId, mirrorTarget(network, mirrorUrl));
+							nftToken = nftToken || deployed.nftToken;
+							registry = registry || deployed.registry;
+						}
+						const entry = book.add(argv.alias, {
+							contractId: argv.contractId, network, nftToken, registry, description: argv.description,
+						}, { replace: argv.replace });
+						book.save();
+						out.success({ file: book.file, proposal: entry }, (d) => {
+							console.log(`\n  Added ${d.proposal.alias} → ${d.proposal.contractId} (${d.proposal.network})`);
+							console.log(`  NFT token: ${d.proposal.nftToken}  Registry: ${d.proposal.registry}`);
+							console.log(`  Saved to ${d.file}. Use it with: lazyvote --proposal ${d.proposal.alias} ...\n`);
+						});
+					}
+					catch (err) {
+						out.error('PROPOSALS_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.command({
+				command: 'remove <alias>',
+				describe: 'Remove a proposal from the book (the contract is untouched)',
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const book = ProposalBook.load();
+						const entry = book.remove(argv.alias);
+						book.save();
+						out.success({ file: book.file, removed: entry }, (d) => {
+							console.log(`\n  Removed ${d.removed.alias} (${d.removed.contractId}) from ${d.file}\n`);
+						});
+					}
+					catch (err) {
+						out.error('PROPOSALS_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.demandCommand(1, 'Specify a proposals subcommand. Run with --help for options.');
+	},
+	handler: () => {
+		// subcommands do the work
+	},
+};
@@ -2,24 +2,26 @@
 
 const { ContractId, AccountId } = require('@hashgraph/sdk');
 const { loadInterface, readContractValue } = require('../../utils/clientFactory');
+const { mirrorTarget } = require('../../utils/hederaMirrorHelpers');
 const Output = require('../../lib/output');
-require('dotenv').config();
+const { paginate, toArray } = require('../../lib/pagination');
+const { resolveConfig: resolveSettings } = require('../../lib/config');
 
 function resolveConfig(argv) {
-	const network = (argv.network || process.env.ENVIRONMENT || 'TEST').toUpperCase();
-	const contractIdStr = argv.contractId || argv['contract-id'] || process.env.LAZYVOTE_CONTRACT_ID || process.env.CONTRACT_ID;
-	if (!contractIdStr) {
-		console.error('Error: Contract ID required. Use --contract-id or set CONTRACT_ID in .env');
+	const config = resolveSettings(argv);
+	if (!config.contractId) {
+		console.error('Error: Contract ID required. Use --proposal, --contract-id, a profile (lazyvote config set contract-id) or set CONTRACT_ID in .env');
 		process.exit(2);
 	}
-	const contractId = ContractId.fromString(contractIdStr);
-	const operatorId = process.env.ACCOUNT_ID ? AccountId.fromString(process.env.ACCOUNT_ID) : null;
+	const network = config.network;
+	const contractId = ContractId.fromString(config.contractId);
+	const operatorId = config.accountId ? AccountId.fromString(config.accountId) : null;
 	const iface = loadInterface('LazyVoter');
-	return { network, contractId, operatorId, iface };
+	return { network, mirror: mirrorTarget(network, config.mirrorUrl), contractId, operatorId, iface };
 }
 
 async function read(config, fnName, params = []) {
-	return readContractValue(config.network, config.contractId, config.iface, fnName, params, config.operatorId);
+	return readContractValue(config.mirror, config.contractId, config.iface, fnName, params, config.operatorId);
 }
 
 module.exports = {
@@ -141,13 +143,19 @@ module.exports = {
 				builder: {
 					offset: { type: 'number', default: 0, description: 'Pagination offset' },
 					limit: { type: 'number', default: 100, description: 'Max results to return' },
+					all: { type: 'boolean', default: false, description: 'Page through the full eligible set (uses --limit as page size)' },
 				},
 				handler: async (argv) => {
 					const out = new Output(argv);
 					try {
 						const config = resolveConfig(argv);
-						const result = await read(config, 'getEligibleSerials', [argv.offset, argv.limit]);
-						const serials = result[0].map(Number);
+						const fetchPage = async (offset, limit) => {
+							const result = await read(config, 'getEligibleSerials', [offset, limit]);
+							return result[0].map(Number);
+						};
+						const serials = argv.all
+							? await toArray(paginate(fetchPage, { offset: argv.offset, pageSize: argv.limit }))
+							: await fetchPage(argv.offset, argv.limit);
 						out.success({ serials, count: serials.length, offset: argv.offset }, (d) => {
 							console.log(`\n  ELIGIBLE SERIALS (${d.count} shown, offset ${d.offset})\n`);
 							console.log(`  ${d.serials.join(', ')}`);
@@ -1,12 +1,15 @@
 'use strict';
 
 const { ContractId, AccountId } = require('@hashgraph/sdk');
-const { loadInterface, createClient, loadOperator } = require('../../utils/clientFactory');
-const { contractExecuteFunction } = require('../../utils/solidityHelpers');
-const { estimateGas, logTransactionResult } = require('../../utils/gasHelpers');
+const { logTransactionResult } = require('../../utils/gasHelpers');
 const { parseSerials } = require('../../lib/serialParser');
 const Output = require('../../lib/output');
-require('dotenv').config();
+const LazyDelegateRegistryClient = require('../../lib/LazyDelegateRegistryClient');
+const { LazyVoterError } = require('../../lib/errors');
+const { exportIfRequested } = require('../../lib/offlineTransaction');
+const { printSimulation } = require('../../lib/simulation');
+const { resolveConfig } = require('../../lib/config');
+const { promptPassphrase } = require('../../lib/keystore');
 
 module.exports = {
 	command: 'revoke <token> <serials>',
@@ -17,47 +20,52 @@ module.exports = {
 	},
 	handler: async (argv) => {
 		const out = new Output(argv);
+		let registry;
 		try {
-			const network = (argv.network || process.env.ENVIRONMENT || 'TEST').toUpperCase();
-			const registryIdStr = process.env.LAZYVOTE_DELEGATE_REGISTRY_ID || process.env.LAZY_DELEGATE_REGISTRY_CONTRACT_ID;
-			if (!registryIdStr) {
-				out.error('MISSING_CONFIG', 'Delegate registry ID required. Set LAZY_DELEGATE_REGISTRY_CONTRACT_ID in .env');
+			const config = resolveConfig(argv);
+			const network = config.network;
+			if (!config.registryId) {
+				out.error('MISSING_CONFIG', 'Delegate registry ID required. Use --proposal, a profile (lazyvote config set registry-id) or set LAZY_DELEGATE_REGISTRY_CONTRACT_ID in .env');
 				process.exit(2);
 			}
-			const registryId = ContractId.fromString(registryIdStr);
-			const { operatorId, operatorKey } = loadOperator();
-			const client = createClient(network, operatorId, operatorKey);
-			const iface = loadInterface('LazyDelegateRegistry');
 
 			const serials = parseSerials(argv.serials);
 			const tokenAddress = AccountId.fromString(argv.token).toSolidityAddress();
 
-			out.info(`\n  Revoking delegation for serials ${serials.join(', ')} of token ${argv.token}`);
-
-			const gasInfo = await estimateGas(
-				network, registryId, iface, operatorId,
-				'revokeDelegateNFT', [tokenAddress, serials],
-				200_000 + 120_000 * serials.length,
-			);
+			const exported = await exportIfRequested(argv, out, {
+				network, mirrorUrl: config.mirrorUrl, contractName: 'LazyDelegateRegistry', contractId: ContractId.fromString(config.registryId),
+				functionName: 'revokeDelegateNFT', params: [tokenAddress, serials],
+				fallbackGas: 200_000 + 120_000 * serials.length,
+			});
+			if (exported) return;
 
-			const result = await contractExecuteFunction(
-				registryId, iface, client, gasInfo.gasLimit,
-				'revokeDelegateNFT', [tokenAddress, serials],
-			);
+			registry = new LazyDelegateRegistryClient({
+				contractId: config.registryId, network, mirrorUrl: config.mirrorUrl,
+				accountId: config.accountId, privateKey: config.privateKey,
+				key: config.key, passphrase: promptPassphrase,
+			});
+			if (argv.dryRun) {
+				const simulation = await registry.revokeDelegateNFT(argv.token, serials, { simulate: true, from: argv.payer });
+				printSimulation(out, simulation);
+				process.exit(simulation.success ? 0 : 3);
+			}
 
-			logTransactionResult(result, 'Revoke Delegation', gasInfo);
+			out.info(`\n  Revoking delegation for serials ${serials.join(', ')} of token ${argv.token}`);
 
-			const statusStr = typeof result[0] === 'object' && result[0].status
-				? result[0].status.toString() : result[0]?.toString();
-			if (statusStr === 'SUCCESS') {
-				out.success({ token: argv.token, serials });
-			} else {
-				out.error('REVOKE_FAILED', `Revocation failed: ${result[0]?.message || statusStr}`);
+			const tx = await registry.revokeDelegateNFT(argv.token, serials);
+			logTransactionResult(tx, 'Revoke Delegation');
+			out.success({ token: argv.token, serials, ...tx.toJSON() });
+		}
+		catch (err) {
+			if (err instanceof LazyVoterError) {
+				out.error(err, `Revocation ${err.transactionId ? 'failed' : 'would fail'}: ${err.message}`);
 				process.exit(3);
 			}
-		} catch (err) {
 			out.error('REVOKE_ERROR', err.message);
 			process.exit(1);
 		}
+		finally {
+			if (registry) registry.close();
+		}
 	},
 };
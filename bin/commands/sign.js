@@ -0,0 +1,51 @@
+'use strict';
+
+const { signTransactionFile, readTransactionFile, formatSummary, loadSigningKeys } = require('../../lib/offlineTransaction');
+const Output = require('../../lib/output');
+const { promptPassphrase } = require('../../lib/keystore');
+
+module.exports = {
+	command: 'sign <file>',
+	describe: 'Sign an exported transaction file (works offline)',
+	builder: {
+		file: { type: 'string', description: 'Transaction file written by --export-unsigned' },
+		'key-file': { type: 'array', string: true, default: [], description: 'File holding a private key (repeat for several keys); --key signs with a keystore key' },
+		out: { type: 'string', description: 'Write the signed transaction here instead of updating <file>' },
+	},
+	handler: async (argv) => {
+		const out = new Output(argv);
+		if (argv.keyFile.length === 0 && !argv.key) {
+			out.error('INVALID_ARGS', 'Nothing to sign with. Use --key <name> for a keystore key or --key-file <file>');
+			process.exit(2);
+		}
+		try {
+			const { doc } = readTransactionFile(argv.file);
+			const keys = loadSigningKeys(argv, promptPassphrase);
+
+			out.info('\n  TRANSACTION TO SIGN\n');
+			out.info(formatSummary(doc).split('\n').map(line => `  ${line}`).join('\n'));
+			out.info('');
+
+			if (!argv.yes && !argv.json) {
+				const readlineSync = require('readline-sync');
+				const confirm = readlineSync.keyInYNStrict(`  Sign with ${keys.length} key(s)?`);
+				if (!confirm) {
+					out.info('  Signing cancelled.');
+					process.exit(0);
+				}
+			}
+
+			const signed = await signTransactionFile(argv.file, keys, argv.out || argv.file);
+			const file = argv.out || argv.file;
+			out.success({ file, transactionId: signed.decoded.transactionId, signatures: signed.signatures }, (d) => {
+				console.log(`\n  Signed. ${d.signatures.length} signature(s) in ${d.file}`);
+				d.signatures.forEach(s => console.log(`  ${s.publicKey}`));
+				console.log();
+			});
+		}
+		catch (err) {
+			out.error('SIGN_ERROR', err.message);
+			process.exit(1);
+		}
+	},
+};
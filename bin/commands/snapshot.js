@@ -0,0 +1,128 @@
+'use strict';
+
+const Output = require('../../lib/output');
+const { createSnapshot, readSnapshot, writeSnapshot } = require('../../lib/snapshot');
+const { formatSerials } = require('../../lib/serialParser');
+const { resolveConfig } = require('../../lib/config');
+const { loadRules, REASONS } = require('../../lib/eligibility');
+
+// Serial count per owner, largest first
+function holdersOf(snapshot) {
+	const counts = new Map();
+	snapshot.serials.forEach(({ owner }) => counts.set(owner, (counts.get(owner) ?? 0) + 1));
+	return [...counts.entries()]
+		.map(([owner, serials]) => ({ owner, serials }))
+		.sort((a, b) => b.serials - a.serials || a.owner.localeCompare(b.owner));
+}
+
+function printSummary(d) {
+	console.log(`\n  SNAPSHOT of ${d.token} on ${d.network} at ${d.timestamp}${d.file ? ` (${d.file})` : ''}\n`);
+	console.log(`  Serials:  ${d.serials} (${d.ranges || 'none'})`);
+	console.log(`  Holders:  ${d.holders}`);
+	console.log(`  Hash:     ${d.hash}`);
+	if (d.rules) {
+		console.log(`  Rules:    ${d.rules.file} (${d.rules.hash})`);
+		console.log(`\n  Excluded: ${d.excluded.length}`);
+		for (const group of excludedByRule(d.excluded)) {
+			console.log(`  ${group.rule.padEnd(24)} ${String(group.serials.length).padStart(6)}  ${group.reason}: ${formatSerials(group.serials)}`);
+		}
+	}
+	if (d.topHolders.length) {
+		console.log('\n  Top holders:');
+		d.topHolders.forEach(h => console.log(`  ${h.owner.padEnd(16)} ${h.serials}`));
+	}
+	console.log();
+}
+
+// Excluded serials grouped by the rule that removed them, in rule order
+function excludedByRule(excluded) {
+	return Object.keys(REASONS)
+		.map(rule => ({ rule, reason: REASONS[rule], serials: excluded.filter(e => e.rule === rule).map(e => e.serial) }))
+		.filter(group => group.serials.length);
+}
+
+function summarize(snapshot, file) {
+	return {
+		file,
+		network: snapshot.network,
+		token: snapshot.token,
+		timestamp: snapshot.timestamp,
+		serials: snapshot.serials.length,
+		ranges: formatSerials(snapshot.serials.map(s => s.serial)),
+		holders: snapshot.holders,
+		hash: snapshot.hash,
+		topHolders: holdersOf(snapshot).slice(0, 10),
+		rules: snapshot.rules ?? null,
+		excluded: snapshot.excluded ?? [],
+	};
+}
+
+module.exports = {
+	command: 'snapshot <subcommand>',
+	describe: 'Build and review NFT holder snapshots for eligible serials',
+	builder: (yargs) => {
+		return yargs
+			.command({
+				command: 'create',
+				describe: 'Reconstruct serial → owner at a past consensus timestamp from mirror-node history',
+				builder: {
+					token: { type: 'string', description: 'NFT token ID (default: the --proposal NFT token)' },
+					at: { type: 'string', description: 'Consensus timestamp (seconds.nanos), ISO date, unix timestamp or relative ("3d ago"); default: now' },
+					out: { type: 'string', description: 'Snapshot file (default: snapshot-<token>-<seconds>.json)' },
+					rules: { type: 'string', description: 'Eligibility rule file (JSON) to filter holders: treasury, contracts, deleted accounts, allow/deny lists, serial ranges, holdings limits, metadata traits' },
+				},
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const config = resolveConfig(argv);
+						const token = argv.token || config.nftToken;
+						if (!token) {
+							out.error('MISSING_CONFIG', 'NFT token required. Use --token or --proposal');
+							process.exit(2);
+						}
+						const rules = argv.rules ? loadRules(argv.rules) : undefined;
+						out.info(`\n  Building snapshot of ${token} on ${config.network}...`);
+						const snapshot = await createSnapshot(config.network, token, {
+							mirrorUrl: config.mirrorUrl,
+							at: argv.at,
+							rules,
+							onProgress: (p) => {
+								if (p.phase === 'history' && (p.done === p.total || p.done % 50 === 0)) {
+									out.info(`  Resolved history for ${p.done}/${p.total} changed serials`);
+								}
+								if (p.phase === 'rules' && p.done === 0) {
+									out.info(`  Applying eligibility rules from ${argv.rules} to ${p.total} serials`);
+								}
+							},
+						});
+						const file = argv.out || `snapshot-${snapshot.token}-${snapshot.timestamp.split('.')[0]}.json`;
+						writeSnapshot(file, snapshot);
+						out.success(summarize(snapshot, file), printSummary);
+					}
+					catch (err) {
+						out.error('SNAPSHOT_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.command({
+				command: 'show <file>',
+				describe: 'Check a snapshot file against its hash and summarize it',
+				handler: async (argv) => {
+					const out = new Output(argv);
+					try {
+						const snapshot = readSnapshot(argv.file);
+						out.success(summarize(snapshot, argv.file), printSummary);
+					}
+					catch (err) {
+						out.error('SNAPSHOT_ERROR', err.message);
+						process.exit(1);
+					}
+				},
+			})
+			.demandCommand(1, 'Specify a snapshot subcommand. Run with --help for options.');
+	},
+	handler: () => {
+		// subcommands do the work
+	},
+};
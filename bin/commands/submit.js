@@ -0,0 +1,45 @@
+'use strict';
+
+const { submitTransactionFile, loadSigningKeys } = require('../../lib/offlineTransaction');
+const Output = require('../../lib/output');
+const { promptPassphrase } = require('../../lib/keystore');
+
+module.exports = {
+	command: 'submit <file>',
+	describe: 'Broadcast a signed transaction file',
+	builder: {
+		file: { type: 'string', description: 'Transaction file signed with lazyvote sign' },
+		'key-file': { type: 'array', string: true, default: [], description: 'Extra key(s) to sign with before sending; --key adds a keystore key' },
+		'min-signatures': { type: 'number', default: 1, description: 'Refuse to send with fewer signatures' },
+	},
+	handler: async (argv) => {
+		const out = new Output(argv);
+		try {
+			const result = await submitTransactionFile(argv.file, {
+				privateKeys: loadSigningKeys(argv, promptPassphrase),
+				minSignatures: argv.minSignatures,
+			});
+			const data = {
+				status: result.status,
+				transactionId: result.transactionId,
+				function: result.doc.decoded.functionName,
+				contractId: result.doc.decoded.contractId,
+			};
+			if (result.status === 'SUCCESS') {
+				out.success(data, (d) => {
+					console.log(`\n  ${d.function} submitted successfully`);
+					console.log(`  Transaction: ${d.transactionId}`);
+					console.log();
+				});
+			}
+			else {
+				out.error('SUBMIT_FAILED', `Transaction ${data.transactionId} failed: ${data.status}`);
+				process.exit(3);
+			}
+		}
+		catch (err) {
+			out.error('SUBMIT_ERROR', err.message);
+			process.exit(1);
+		}
+	},
+};
@@ -1,79 +1,197 @@
 'use strict';
 
-const { ContractId, AccountId } = require('@hashgraph/sdk');
-const { loadInterface, readContractValue, createClient, loadOperator } = require('../../utils/clientFactory');
-const { contractExecuteFunction } = require('../../utils/solidityHelpers');
-const { estimateGas, logTransactionResult } = require('../../utils/gasHelpers');
+const { ContractId } = require('@hashgraph/sdk');
 const { parseSerials } = require('../../lib/serialParser');
 const Output = require('../../lib/output');
-require('dotenv').config();
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const { exportIfRequested, resolvePayerId } = require('../../lib/offlineTransaction');
+const { printSimulation } = require('../../lib/simulation');
+const { LazyVoterError } = require('../../lib/errors');
+const { resolveConfig } = require('../../lib/config');
+const { promptPassphrase } = require('../../lib/keystore');
+const { VOTE_TYPES } = require('../../lib/voteTypes');
 
-const VOTE_TYPES = { yes: 1, no: 0, abstain: 2 };
+// Client bound to the resolved network, contract and operator
+function voterClient(config) {
+	return new LazyVoterClient({
+		contractId: config.contractId, network: config.network, mirrorUrl: config.mirrorUrl,
+		accountId: config.accountId, privateKey: config.privateKey,
+		key: config.key, passphrase: promptPassphrase,
+	});
+}
+
+async function runPreflight(argv, config, serials) {
+	const voter = voterClient(config);
+	try {
+		return await voter.validateVote(serials, { voter: argv.voter, voteType: argv.choice });
+	}
+	finally {
+		voter.close();
+	}
+}
+
+async function discoverSerials(argv, out, config) {
+	const voter = voterClient(config);
+	try {
+		let account;
+		if (argv.check) account = argv.voter;
+		else if (argv.exportUnsigned) account = resolvePayerId(argv);
+		const found = await voter.discoverVotableSerials({ voter: account });
+		out.info(`\n  Serials controlled by ${found.voter}:`);
+		out.info(`  Owned:            ${found.owned.length}${found.delegatedAway.length ? ` (${found.delegatedAway.length} delegated away)` : ''}`);
+		out.info(`  Delegated to you: ${found.delegatedIn.length}`);
+		out.info(`  Eligible to vote: ${found.serials.length}`);
+		return found.serials;
+	}
+	finally {
+		voter.close();
+	}
+}
+
+function printReport(report) {
+	console.log(`\n  PRE-FLIGHT CHECK for ${report.voter}\n`);
+	console.log(`  Status:  ${report.status}${report.paused ? ' (paused)' : ''}`);
+	console.log(`  Window:  ${new Date(report.startTime * 1000).toISOString()} → ${new Date(report.endTime * 1000).toISOString()} (${report.windowOpen ? 'open' : 'closed'})`);
+	report.issues.forEach(issue => console.log(`  ✗ ${issue.message}`));
+	console.log();
+	report.serials.forEach((entry) => {
+		const via = entry.delegatedTo ? `delegated to ${entry.delegatedTo}` : `owner ${entry.owner ?? 'unknown'}`;
+		const previous = entry.previousVote ? `, voted ${entry.previousVote.choice.toUpperCase()}` : '';
+		const verdict = entry.canVote ? '✓' : `✗ ${entry.error.message}`;
+		console.log(`  #${entry.serial}  ${via}${previous}  ${verdict}`);
+	});
+	console.log(`\n  ${report.votable.length} votable, ${report.blocked.length} blocked`);
+	console.log();
+}
 
 module.exports = {
 	command: 'vote <serials> <choice>',
 	describe: 'Cast a vote with your eligible NFT serials',
 	builder: {
-		serials: { type: 'string', description: 'Comma-separated serials or ranges (e.g., "1,2,3" or "1-10")' },
+		serials: { type: 'string', description: 'Comma-separated serials or ranges (e.g., "1,2,3" or "1-10"), or "all" for every eligible serial you own or hold a delegation for' },
 		choice: { type: 'string', description: 'Vote choice: yes, no, or abstain', choices: ['yes', 'no', 'abstain'] },
+		check: { type: 'boolean', default: false, description: 'Only run the pre-flight check and print the per-serial report' },
+		checkpoint: { type: 'string', description: 'Record progress in this file; re-run with the same file to resume an interrupted vote' },
+		'skip-check': { type: 'boolean', default: false, description: 'Skip the pre-flight check (offending serials are then dropped on revert)' },
+		voter: { type: 'string', description: 'Account to check as with --check (default: operator)' },
 	},
 	handler: async (argv) => {
 		const out = new Output(argv);
 		try {
-			const network = (argv.network || process.env.ENVIRONMENT || 'TEST').toUpperCase();
-			const contractIdStr = argv.contractId || argv['contract-id'] || process.env.LAZYVOTE_CONTRACT_ID || process.env.CONTRACT_ID;
-			if (!contractIdStr) {
-				out.error('MISSING_CONFIG', 'Contract ID required. Use --contract-id or set CONTRACT_ID in .env');
+			const config = resolveConfig(argv);
+			const network = config.network;
+			if (!config.contractId) {
+				out.error('MISSING_CONFIG', 'Contract ID required. Use --proposal, --contract-id, a profile (lazyvote config set contract-id) or set CONTRACT_ID in .env');
 				process.exit(2);
 			}
-			const contractId = ContractId.fromString(contractIdStr);
-			const { operatorId, operatorKey } = loadOperator();
-			const client = createClient(network, operatorId, operatorKey);
-			const iface = loadInterface('LazyVoter');
+			const contractId = ContractId.fromString(config.contractId);
 
-			const serials = parseSerials(argv.serials);
+			const serials = argv.serials.toLowerCase() === 'all'
+				? await discoverSerials(argv, out, config)
+				: parseSerials(argv.serials);
+			if (serials.length === 0) {
+				out.error('NO_VOTABLE_SERIALS', 'No eligible serials are owned by or delegated to this account');
+				process.exit(3);
+			}
 			const voteType = VOTE_TYPES[argv.choice.toLowerCase()];
 
-			out.info(`\n  Voting ${argv.choice.toUpperCase()} with serials: ${serials.join(', ')}`);
-			out.info(`  Contract: ${contractId} on ${network}\n`);
+			if (argv.check) {
+				const report = await runPreflight(argv, config, serials);
+				out.success(report, printReport);
+				process.exit(report.canVote ? 0 : 3);
+			}
 
-			// Confirmation
-			if (!argv.yes && !argv.json) {
-				const readlineSync = require('readline-sync');
-				const confirm = readlineSync.keyInYNStrict('  Proceed with vote?');
-				if (!confirm) {
-					out.info('  Vote cancelled.');
-					process.exit(0);
-				}
+			if (argv.exportUnsigned && serials.length > LazyVoterClient.MAX_VOTE_SERIALS) {
+				out.error('TOO_MANY_SERIALS', `An exported vote can carry at most ${LazyVoterClient.MAX_VOTE_SERIALS} serials (got ${serials.length})`, [
+					'Export one transaction per group of 40 serials',
+				]);
+				process.exit(2);
 			}
+			const exported = await exportIfRequested(argv, out, {
+				network, mirrorUrl: config.mirrorUrl, contractName: 'LazyVoter', contractId,
+				functionName: 'vote', params: [serials, voteType],
+				fallbackGas: 200_000 + 100_000 * serials.length,
+			});
+			if (exported) return;
 
-			const gasInfo = await estimateGas(
-				network, contractId, iface, operatorId,
-				'vote', [serials, voteType],
-				200_000 + 100_000 * serials.length,
-			);
+			const voter = voterClient(config);
+			try {
+				if (argv.dryRun) {
+					const simulation = await voter.vote(serials, voteType, {
+						simulate: true, from: argv.payer || config.accountId,
+					});
+					printSimulation(out, simulation.simulations);
+					process.exit(simulation.success ? 0 : 3);
+				}
 
-			const result = await contractExecuteFunction(
-				contractId, iface, client, gasInfo.gasLimit,
-				'vote', [serials, voteType],
-			);
+				let toVote = serials;
+				if (!argv.skipCheck) {
+					const report = await voter.validateVote(serials, { voteType: argv.choice });
+					if (report.issues.length > 0 || report.votable.length === 0) {
+						if (!argv.json) printReport(report);
+						const first = report.issues[0] ?? report.serials.find(e => !e.canVote).error;
+						out.error(first, `Vote would fail: ${first.message}`, ['Re-run with --check for the full report']);
+						process.exit(3);
+					}
+					report.serials.filter(e => !e.canVote).forEach((entry) => {
+						out.info(`  Skipping #${entry.serial}: ${entry.error.message}`);
+					});
+					toVote = report.votable;
+				}
 
-			logTransactionResult(result, 'Vote', gasInfo);
+				const transactions = Math.ceil(toVote.length / LazyVoterClient.MAX_VOTE_SERIALS);
+				out.info(`\n  Voting ${argv.choice.toUpperCase()} with ${toVote.length} serials in ${transactions} transaction(s): ${toVote.join(', ')}`);
+				out.info(`  Contract: ${contractId} on ${network}\n`);
 
-			const statusStr = typeof result[0] === 'object' && result[0].status
-				? result[0].status.toString() : result[0]?.toString();
+				// Confirmation
+				if (!argv.yes && !argv.json) {
+					const readlineSync = require('readline-sync');
+					const confirm = readlineSync.keyInYNStrict('  Proceed with vote?');
+					if (!confirm) {
+						out.info('  Vote cancelled.');
+						process.exit(0);
+					}
+				}
 
-			if (statusStr === 'SUCCESS') {
-				out.success({ serials, choice: argv.choice, transactionId: result[2]?.transactionId?.toString() }, (d) => {
-					console.log(`\n  Vote ${d.choice.toUpperCase()} cast successfully for serials: ${d.serials.join(', ')}`);
-					if (d.transactionId) console.log(`  Transaction: ${d.transactionId}`);
-					console.log();
+				const summary = await voter.vote(toVote, voteType, {
+					checkpointFile: argv.checkpoint,
+					onProgress: (p) => {
+						const verdict = p.success ? '✓' : p.dropped !== null ? `✗ dropped #${p.dropped} (${p.error.code}), retrying` : `✗ ${p.error.message}`;
+						out.info(`  [${p.batch}/${p.totalBatches}] ${p.serials.length} serials ${verdict}${p.transactionId ? `  ${p.transactionId}` : ''}`);
+					},
 				});
-			} else {
-				out.error('VOTE_FAILED', `Vote failed: ${result[0]?.message || statusStr}`);
-				process.exit(3);
+				if (summary.skipped > 0) out.info(`  Resumed from ${argv.checkpoint}: ${summary.skipped} serials already done`);
+
+				const data = {
+					choice: argv.choice,
+					voted: summary.voted,
+					dropped: summary.dropped,
+					transactions: summary.transactions.filter(t => t.success).map(t => t.tx),
+				};
+				if (summary.success) {
+					out.success(data, (d) => {
+						console.log(`\n  Vote ${d.choice.toUpperCase()} cast successfully for ${d.voted.length} serials: ${d.voted.join(', ')}`);
+						d.dropped.forEach(x => console.log(`  Dropped #${x.serial}: ${x.message}`));
+						d.transactions.forEach(t => console.log(`  Transaction: ${t.transactionId}${t.fee !== null ? `  (fee ${t.fee} HBAR)` : ''}`));
+						console.log();
+					});
+				}
+				else {
+					const suggestions = argv.checkpoint
+						? [`${summary.voted.length} serials are recorded in ${argv.checkpoint}; re-run the same command to resume`]
+						: [`${summary.voted.length} serials were voted before the failure; use --checkpoint to resume safely`];
+					out.error(summary.error, `Vote failed: ${summary.error.message}`, suggestions);
+					process.exit(3);
+				}
+			}
+			finally {
+				voter.close();
 			}
 		} catch (err) {
+			if (err instanceof LazyVoterError) {
+				out.error(err, `Vote would fail: ${err.message}`);
+				process.exit(3);
+			}
 			out.error('VOTE_ERROR', err.message);
 			process.exit(1);
 		}
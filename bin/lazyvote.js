@@ -3,6 +3,16 @@
 
 const yargs = require('yargs/yargs');
 const { hideBin } = require('yargs/helpers');
+const { createLogger, setLogger, consoleSink, jsonLinesSink } = require('../lib/logger');
+
+// Progress lines (gas estimates, transaction results) go to stderr: human lines by default,
+// nothing with --json unless --verbose/--trace asks for JSON lines
+function configureLogging(argv) {
+	let level = argv.json ? 'silent' : 'info';
+	if (argv.verbose) level = 'debug';
+	if (argv.trace) level = 'trace';
+	setLogger(createLogger({ level, sink: argv.json ? jsonLinesSink(process.stderr) : consoleSink() }));
+}
 
 yargs(hideBin(process.argv))
 	.scriptName('lazyvote')
@@ -13,15 +23,45 @@ yargs(hideBin(process.argv))
 	.command(require('./commands/delegate'))
 	.command(require('./commands/revoke'))
 	.command(require('./commands/deploy'))
+	.command(require('./commands/sign'))
+	.command(require('./commands/submit'))
+	.command(require('./commands/proposals'))
+	.command(require('./commands/config'))
+	.command(require('./commands/key'))
+	.command(require('./commands/snapshot'))
+	.command(require('./commands/plan'))
+	.command(require('./commands/apply'))
+	.command(require('./commands/export'))
+	.command(require('./commands/archive'))
+	.command(require('./commands/audit'))
+	.command(require('./commands/events'))
+	.command(require('./commands/analytics'))
 	.option('contract-id', {
 		alias: 'c',
 		type: 'string',
-		description: 'LazyVoter contract ID (overrides LAZYVOTE_CONTRACT_ID or CONTRACT_ID env var)',
+		description: 'LazyVoter contract ID (overrides --proposal, the profile and LAZYVOTE_CONTRACT_ID / CONTRACT_ID)',
+	})
+	.option('profile', {
+		type: 'string',
+		description: 'Configuration profile (overrides LAZYVOTE_PROFILE and the current profile)',
+	})
+	.option('proposal', {
+		alias: 'p',
+		type: 'string',
+		description: 'Proposal alias from the proposal book; supplies network, contract and registry',
 	})
 	.option('network', {
 		alias: 'n',
 		type: 'string',
-		description: 'Network: test, main, preview, local (overrides ENVIRONMENT env var)',
+		description: 'Network: test, main, preview, local (overrides --proposal, the profile and ENVIRONMENT)',
+	})
+	.option('key', {
+		type: 'string',
+		description: 'Keystore key to sign with, prompts for its passphrase (overrides the profile and LAZYVOTE_KEY)',
+	})
+	.option('mirror-url', {
+		type: 'string',
+		description: 'Custom mirror node base URL (overrides the profile and LAZYVOTE_MIRROR_URL)',
 	})
 	.option('json', {
 		type: 'boolean',
@@ -34,6 +74,38 @@ yargs(hideBin(process.argv))
 		description: 'Skip confirmation prompts',
 		default: false,
 	})
+	.option('dry-run', {
+		type: 'boolean',
+		description: 'Simulate write commands through the mirror node and report the outcome without submitting',
+		default: false,
+	})
+	.option('export-unsigned', {
+		type: 'string',
+		description: 'Write the unsigned transaction to <file> instead of submitting (offline signing)',
+	})
+	.option('payer', {
+		type: 'string',
+		description: 'Payer account for --export-unsigned (overrides the configured account)',
+	})
+	.option('nodes', {
+		type: 'string',
+		description: 'Comma-separated node account IDs for --export-unsigned (default: first 3 nodes)',
+	})
+	.option('valid-start', {
+		type: 'string',
+		description: 'Start of the 180s submit window for --export-unsigned (ISO date or unix seconds)',
+	})
+	.option('verbose', {
+		type: 'boolean',
+		description: 'Log debug detail to stderr (JSON lines with --json)',
+		default: false,
+	})
+	.option('trace', {
+		type: 'boolean',
+		description: 'Like --verbose, and also log raw mirror node requests and responses',
+		default: false,
+	})
+	.middleware(configureLogging)
 	.demandCommand(1, 'Please specify a command. Run with --help for usage.')
 	.strict()
 	.help()
@@ -0,0 +1,466 @@
+'use strict';
+
+const { AccountId, ContractId } = require('@hashgraph/sdk');
+const { createClient, loadInterface, readContractValue } = require('../utils/clientFactory');
+const { contractExecuteFunction } = require('../utils/solidityHelpers');
+const { estimateGas } = require('../utils/gasHelpers');
+const { mirrorTarget } = require('../utils/hederaMirrorHelpers');
+const { toEvmAddress, isZeroAddress } = require('./address');
+const { simulateCall } = require('./simulation');
+const { scopeClientLogger } = require('./logger');
+const { hasOperator, operatorAccountId, resolveConfig, resolveOperator } = require('./config');
+const TxResult = require('./txResult');
+
+/**
+ * High-level client for interacting with a deployed LazyDelegateRegistry contract.
+ * Covers the full registry ABI: NFT and wallet delegation, revocation and the
+ * enumeration views. Every address parameter accepts a Hedera ID (0.0.X) or an
+ * EVM address (0x...). Serials are returned as numbers and addresses as EVM strings.
+ */
+class LazyDelegateRegistryClient {
+	/**
+	 * @param {object} options
+	 * @param {string|ContractId} [options.contractId] - LazyDelegateRegistry contract ID (e.g., '0.0.12345'); from the profile or env if not provided
+	 * @param {string} [options.network='TEST'] - Network: TEST, MAIN, PREVIEW, LOCAL
+	 * @param {string} [options.accountId] - Operator account ID (from the profile or env if not provided)
+	 * @param {string} [options.privateKey] - Operator private key (from the profile or env if not provided)
+	 * @param {string} [options.key] - Keystore key to sign with instead of a plaintext private key (see `lazyvote key import`)
+	 * @param {string|function(string): string} [options.passphrase] - Passphrase for options.key, or a function of the key name returning it
+	 * @param {string} [options.keystoreFile] - Keystore file (default: LAZYVOTE_KEYSTORE_FILE or ~/.lazyvote/keystore.json)
+	 * @param {string} [options.profile] - Configuration profile (default: LAZYVOTE_PROFILE or the current one)
+	 * @param {string} [options.mirrorUrl] - Custom mirror node base URL, used by this client only
+	 * @param {Logger} [options.logger] - Logger for this client's calls (default: the process logger, warnings and errors to stderr unless set with setLogger)
+	 */
+	constructor(options = {}) {
+		this.logger = options.logger ?? null;
+		const config = resolveConfig({
+			profile: options.profile,
+			network: options.network,
+			mirrorUrl: options.mirrorUrl,
+			accountId: options.accountId,
+			privateKey: options.privateKey,
+			key: options.key,
+			keystoreFile: options.keystoreFile,
+			registryId: options.contractId?.toString(),
+		});
+		if (!config.registryId) {
+			throw new Error('Delegate registry contract ID required. Provide contractId, set registry-id in a profile or set LAZY_DELEGATE_REGISTRY_CONTRACT_ID.');
+		}
+		this.contractId = ContractId.fromString(config.registryId);
+		this.network = config.network;
+		this.mirrorUrl = config.mirrorUrl;
+		// Mirror node calls go through this target, so a custom mirror URL is this client's alone
+		this.mirror = mirrorTarget(this.network, this.mirrorUrl);
+		this.iface = loadInterface('LazyDelegateRegistry');
+
+		// Credentials are kept unresolved: the key is parsed or unlocked on the first write, so
+		// read-only use never prompts for a passphrase or touches the keystore
+		this._operator = hasOperator(config)
+			? { config, options: { passphrase: options.passphrase, keystoreFile: options.keystoreFile } }
+			: null;
+		this.operatorId = this._operator && config.accountId ? AccountId.fromString(config.accountId) : null;
+		this.operatorKey = null;
+		this.client = null;
+	}
+
+	// --- READ METHODS (no signing needed) ---
+
+	/**
+	 * Get the wallet-level delegate for a wallet
+	 * @param {string} wallet - Hedera account ID or EVM address
+	 * @returns {Promise<string|null>} delegate EVM address, or null if none set
+	 */
+	async getDelegateWallet(wallet) {
+		const result = await this._read('getDelegateWallet', [this._toAddress(wallet)]);
+		return this._nullIfZero(result[0]);
+	}
+
+	/**
+	 * Check if a wallet has delegated to the proposed delegate
+	 * @param {string} wallet - Hedera account ID or EVM address
+	 * @param {string} proposedDelegate - Hedera account ID or EVM address
+	 * @returns {Promise<boolean>}
+	 */
+	async checkDelegateWallet(wallet, proposedDelegate) {
+		const result = await this._read('checkDelegateWallet', [
+			this._toAddress(wallet), this._toAddress(proposedDelegate),
+		]);
+		return result[0];
+	}
+
+	/**
+	 * Check if the proposed delegate can act for a specific NFT
+	 * (current owner, wallet delegate, or valid token-level delegate)
+	 * @param {string} proposedDelegate - Hedera account ID or EVM address
+	 * @param {string} token - NFT token ID or EVM address
+	 * @param {number} serial
+	 * @returns {Promise<boolean>}
+	 */
+	async checkDelegateToken(proposedDelegate, token, serial) {
+		const result = await this._read('checkDelegateToken', [
+			this._toAddress(proposedDelegate), this._toAddress(token), serial,
+		]);
+		return result[0];
+	}
+
+	/**
+	 * Get the wallets that have delegated to a delegate wallet
+	 * @param {string} delegate - Hedera account ID or EVM address
+	 * @returns {Promise<string[]>}
+	 */
+	async getWalletsDelegatedTo(delegate) {
+		const result = await this._read('getWalletsDelegatedTo', [this._toAddress(delegate)]);
+		return Array.from(result[0]);
+	}
+
+	/**
+	 * Get the delegate for a specific NFT serial
+	 * @param {string} token - NFT token ID or EVM address
+	 * @param {number} serial
+	 * @returns {Promise<string|null>} delegate EVM address, or null if not delegated
+	 */
+	async getNFTDelegatedTo(token, serial) {
+		const result = await this._read('getNFTDelegatedTo', [this._toAddress(token), serial]);
+		return this._nullIfZero(result[0]);
+	}
+
+	/**
+	 * Batch lookup of delegates across tokens
+	 * @param {string[]} tokens - NFT token IDs or EVM addresses
+	 * @param {number[][]} serials - serials per token, aligned with tokens
+	 * @returns {Promise<Array<Array<string|null>>>}
+	 */
+	async getNFTListDelegatedTo(tokens, serials) {
+		this._requireAligned(tokens, serials);
+		const result = await this._read('getNFTListDelegatedTo', [tokens.map(t => this._toAddress(t)), serials]);
+		return result[0].map(list => Array.from(list).map(a => this._nullIfZero(a)));
+	}
+
+	/**
+	 * Check if an NFT delegation is still valid (owner has not transferred it)
+	 * @param {string} token - NFT token ID or EVM address
+	 * @param {number} serial
+	 * @returns {Promise<boolean>}
+	 */
+	async checkNFTDelegationIsValid(token, serial) {
+		const result = await this._read('checkNFTDelegationIsValid', [this._toAddress(token), serial]);
+		return result[0];
+	}
+
+	/**
+	 * Batch check delegation validity across tokens
+	 * @param {string[]} tokens - NFT token IDs or EVM addresses
+	 * @param {number[][]} serials - serials per token, aligned with tokens
+	 * @returns {Promise<boolean[][]>}
+	 */
+	async checkNFTDelegationIsValidBatch(tokens, serials) {
+		this._requireAligned(tokens, serials);
+		const result = await this._read('checkNFTDelegationIsValidBatch', [tokens.map(t => this._toAddress(t)), serials]);
+		return result[0].map(list => Array.from(list));
+	}
+
+	/**
+	 * Get all NFTs delegated to a delegate wallet
+	 * @param {string} delegate - Hedera account ID or EVM address
+	 * @returns {Promise<Array<{token: string, serials: number[]}>>}
+	 */
+	async getNFTsDelegatedTo(delegate) {
+		const result = await this._read('getNFTsDelegatedTo', [this._toAddress(delegate)]);
+		return this._zipTokenSerials(result[0], result[1]);
+	}
+
+	/**
+	 * Get all NFTs delegated by an owner wallet
+	 * @param {string} owner - Hedera account ID or EVM address
+	 * @param {boolean} [includeSerials=true] - false returns tokens only (serials empty)
+	 * @returns {Promise<Array<{token: string, serials: number[]}>>}
+	 */
+	async getDelegatedNFTsBy(owner, includeSerials = true) {
+		const result = await this._read('getDelegatedNFTsBy', [this._toAddress(owner), includeSerials]);
+		return this._zipTokenSerials(result[0], result[1]);
+	}
+
+	/**
+	 * Get serials of a token delegated to a delegate wallet
+	 * @param {string} delegate - Hedera account ID or EVM address
+	 * @param {string} token - NFT token ID or EVM address
+	 * @returns {Promise<number[]>}
+	 */
+	async getSerialsDelegatedTo(delegate, token) {
+		const result = await this._read('getSerialsDelegatedTo', [this._toAddress(delegate), this._toAddress(token)]);
+		return result[0].map(Number);
+	}
+
+	/**
+	 * Get a page of serials of a token delegated to a delegate wallet
+	 * @param {string} delegate - Hedera account ID or EVM address
+	 * @param {string} token - NFT token ID or EVM address
+	 * @param {number} offset
+	 * @param {number} limit - offset + limit must not exceed the total (contract reverts)
+	 * @returns {Promise<number[]>}
+	 */
+	async getSerialsDelegatedToRange(delegate, token, offset, limit) {
+		const result = await this._read('getSerialsDelegatedToRange', [
+			this._toAddress(delegate), this._toAddress(token), offset, limit,
+		]);
+		return result[0].map(Number);
+	}
+
+	/**
+	 * Get serials of a token delegated by an owner wallet
+	 * @param {string} owner - Hedera account ID or EVM address
+	 * @param {string} token - NFT token ID or EVM address
+	 * @returns {Promise<number[]>}
+	 */
+	async getSerialsDelegatedBy(owner, token) {
+		const result = await this._read('getSerialsDelegatedBy', [this._toAddress(owner), this._toAddress(token)]);
+		return result[0].map(Number);
+	}
+
+	/**
+	 * Get a page of serials of a token delegated by an owner wallet
+	 * @param {string} owner - Hedera account ID or EVM address
+	 * @param {string} token - NFT token ID or EVM address
+	 * @param {number} offset
+	 * @param {number} limit - offset + limit must not exceed the total (contract reverts)
+	 * @returns {Promise<number[]>}
+	 */
+	async getSerialsDelegatedByRange(owner, token, offset, limit) {
+		const result = await this._read('getSerialsDelegatedByRange', [
+			this._toAddress(owner), this._toAddress(token), offset, limit,
+		]);
+		return result[0].map(Number);
+	}
+
+	/**
+	 * Get all tokens with at least one delegated serial
+	 * @returns {Promise<string[]>}
+	 */
+	async getTokensWithDelegates() {
+		const result = await this._read('getTokensWithDelegates');
+		return Array.from(result[0]);
+	}
+
+	/**
+	 * Get a page of tokens with delegations
+	 * @param {number} offset
+	 * @param {number} limit - offset + limit must not exceed the total (contract reverts)
+	 * @returns {Promise<string[]>}
+	 */
+	async getTokensWithDelegatesRange(offset, limit) {
+		const result = await this._read('getTokensWithDelegatesRange', [offset, limit]);
+		return Array.from(result[0]);
+	}
+
+	/**
+	 * Get the number of tokens with delegations
+	 * @returns {Promise<number>}
+	 */
+	async getTotalTokensWithDelegates() {
+		const result = await this._read('getTotalTokensWithDelegates');
+		return Number(result[0]);
+	}
+
+	/**
+	 * Get all wallets with a wallet-level delegation
+	 * @returns {Promise<string[]>}
+	 */
+	async getWalletsWithDelegates() {
+		const result = await this._read('getWalletsWithDelegates');
+		return Array.from(result[0]);
+	}
+
+	/**
+	 * Get a page of wallets with wallet-level delegations
+	 * @param {number} offset
+	 * @param {number} limit - offset + limit must not exceed the total (contract reverts)
+	 * @returns {Promise<string[]>}
+	 */
+	async getWalletsWithDelegatesRange(offset, limit) {
+		const result = await this._read('getWalletsWithDelegatesRange', [offset, limit]);
+		return Array.from(result[0]);
+	}
+
+	/**
+	 * Get the number of wallets with wallet-level delegations
+	 * @returns {Promise<number>}
+	 */
+	async getTotalWalletsWithDelegates() {
+		const result = await this._read('getTotalWalletsWithDelegates');
+		return Number(result[0]);
+	}
+
+	/**
+	 * Get the total number of serials currently delegated
+	 * @returns {Promise<number>}
+	 */
+	async totalSerialsDelegated() {
+		const result = await this._read('totalSerialsDelegated');
+		return Number(result[0]);
+	}
+
+	// --- WRITE METHODS (require operator credentials) ---
+
+	/**
+	 * Delegate NFT serials to another wallet (caller must own each serial)
+	 * @param {string} delegate - Hedera account ID or EVM address
+	 * @param {string} token - NFT token ID or EVM address
+	 * @param {number[]} serials
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async delegateNFT(delegate, token, serials, options = {}) {
+		return this._execute(
+			'delegateNFT', [this._toAddress(delegate), this._toAddress(token), serials],
+			300_000 + 180_000 * serials.length, options,
+		);
+	}
+
+	/**
+	 * Delegate serials across several tokens to another wallet
+	 * @param {string} delegate - Hedera account ID or EVM address
+	 * @param {string[]} tokens - NFT token IDs or EVM addresses
+	 * @param {number[][]} serials - serials per token, aligned with tokens
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async delegateNFTs(delegate, tokens, serials, options = {}) {
+		this._requireAligned(tokens, serials);
+		const total = serials.reduce((sum, list) => sum + list.length, 0);
+		return this._execute(
+			'delegateNFTs', [this._toAddress(delegate), tokens.map(t => this._toAddress(t)), serials],
+			300_000 + 180_000 * total, options,
+		);
+	}
+
+	/**
+	 * Revoke delegation for NFT serials
+	 * @param {string} token - NFT token ID or EVM address
+	 * @param {number[]} serials
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async revokeDelegateNFT(token, serials, options = {}) {
+		return this._execute(
+			'revokeDelegateNFT', [this._toAddress(token), serials],
+			200_000 + 120_000 * serials.length, options,
+		);
+	}
+
+	/**
+	 * Revoke delegation for serials across several tokens
+	 * @param {string[]} tokens - NFT token IDs or EVM addresses
+	 * @param {number[][]} serials - serials per token, aligned with tokens
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async revokeDelegateNFTs(tokens, serials, options = {}) {
+		this._requireAligned(tokens, serials);
+		const total = serials.reduce((sum, list) => sum + list.length, 0);
+		return this._execute(
+			'revokeDelegateNFTs', [tokens.map(t => this._toAddress(t)), serials],
+			200_000 + 120_000 * total, options,
+		);
+	}
+
+	/**
+	 * Delegate the whole operator wallet to another wallet
+	 * @param {string} delegate - Hedera account ID or EVM address
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async delegateWalletTo(delegate, options = {}) {
+		return this._execute('delegateWalletTo', [this._toAddress(delegate)], 300_000, options);
+	}
+
+	/**
+	 * Remove the operator's wallet-level delegation
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async revokeDelegateWallet(options = {}) {
+		return this._execute('revokeDelegateWallet', [], 200_000, options);
+	}
+
+	/**
+	 * Release the underlying Hedera client (open network channels keep Node running)
+	 */
+	close() {
+		if (this.client) this.client.close();
+	}
+
+	// --- INTERNAL HELPERS ---
+
+	async _read(fnName, params = []) {
+		return readContractValue(this.mirror, this.contractId, this.iface, fnName, params, this.operatorId);
+	}
+
+	async _execute(fnName, params, fallbackGas, options = {}) {
+		if (options.simulate) {
+			return simulateCall({
+				network: this.mirror,
+				contractId: this.contractId,
+				iface: this.iface,
+				from: options.from ? AccountId.fromString(options.from.toString()) : this._operatorAccount(),
+				functionName: fnName,
+				params,
+			});
+		}
+		this._requireOperator();
+		const gasInfo = await estimateGas(
+			this.mirror, this.contractId, this.iface, this.operatorId,
+			fnName, params, fallbackGas,
+		);
+		const result = await contractExecuteFunction(
+			this.contractId, this.iface, this.client, gasInfo.gasLimit,
+			fnName, params,
+		);
+		return TxResult.fromExecution(result, { iface: this.iface, ...gasInfo }).throwIfFailed();
+	}
+
+	// The operator account without unlocking anything (a keystore key's account comes from its metadata)
+	_operatorAccount() {
+		if (!this.operatorId && this._operator) {
+			const accountId = operatorAccountId(this._operator.config, this._operator.options);
+			if (accountId) this.operatorId = AccountId.fromString(accountId);
+		}
+		return this.operatorId;
+	}
+
+	_requireOperator() {
+		if (this.client) return;
+		if (!this._operator) {
+			throw new Error('Operator credentials required for write operations. Provide accountId and privateKey, or a keystore key.');
+		}
+		const { operatorId, operatorKey } = resolveOperator(this._operator.config, this._operator.options);
+		this.operatorId = operatorId;
+		this.operatorKey = operatorKey;
+		this.client = createClient(this.network, operatorId, operatorKey);
+	}
+
+	_requireAligned(tokens, serials) {
+		if (!Array.isArray(tokens) || !Array.isArray(serials) || tokens.length !== serials.length) {
+			throw new Error('tokens and serials must be arrays of the same length (one serial list per token)');
+		}
+	}
+
+	_toAddress(idOrAddress) {
+		return toEvmAddress(idOrAddress);
+	}
+
+	_nullIfZero(address) {
+		return isZeroAddress(address) ? null : address;
+	}
+
+	_zipTokenSerials(tokens, serials) {
+		return Array.from(tokens).map((token, i) => ({
+			token,
+			serials: serials[i] ? serials[i].map(Number) : [],
+		}));
+	}
+}
+
+// Helpers reached from any public method log through the instance's logger
+scopeClientLogger(LazyDelegateRegistryClient);
+
+module.exports = LazyDelegateRegistryClient;
@@ -1,8 +1,35 @@
 'use strict';
 
-const { createClient, loadOperator, loadInterface, readContractValue } = require('../utils/clientFactory');
+const fs = require('fs');
+const path = require('path');
+const { AccountId, ContractId, TokenId } = require('@hashgraph/sdk');
+const { createClient, loadInterface, readContractValue } = require('../utils/clientFactory');
 const { contractExecuteFunction } = require('../utils/solidityHelpers');
 const { estimateGas } = require('../utils/gasHelpers');
+const {
+	checkNFTOwnership, getSerialsOwned, homebrewPopulateAccountEvmAddress, homebrewPopulateAccountNum, mirrorTarget,
+} = require('../utils/hederaMirrorHelpers');
+const { toEvmAddress, isZeroAddress } = require('./address');
+const {
+	LazyVoterError, SerialNotEligibleError, NotOwnerOrDelegatedError, NFTNotFoundError, NoSerialsError,
+	VotingIsPausedError, VoteWindowClosedError, InvalidVoteTypeError,
+} = require('./errors');
+const { paginate, toArray, mapConcurrent } = require('./pagination');
+const { simulateCall } = require('./simulation');
+const { scopeClientLogger } = require('./logger');
+const { hasOperator, operatorAccountId, resolveConfig, resolveOperator } = require('./config');
+const TxResult = require('./txResult');
+const { EventSubscription } = require('./events');
+const { VOTE_TYPES, TALLY_KEYS } = require('./voteTypes');
+
+// Serials per admin transaction: 80k base + 50k per serial stays well under the 15M gas cap
+const DEFAULT_SERIAL_BATCH_SIZE = 200;
+
+// LazyVoter.vote() rejects empty lists and more than 40 serials
+const MAX_VOTE_SERIALS = 40;
+
+// Reverts that name one serial: drop it and retry the rest of the chunk
+const SERIAL_ERROR_CODES = new Set(['SERIAL_NOT_ELIGIBLE', 'NOT_OWNER_OR_DELEGATED']);
 
 /**
  * High-level client for interacting with a deployed LazyVoter contract.
@@ -11,43 +38,38 @@ const { estimateGas } = require('../utils/gasHelpers');
 class LazyVoterClient {
 	/**
 	 * @param {object} options
-	 * @param {string} options.contractId - LazyVoter contract ID (e.g., '0.0.12345')
+	 * @param {string|ContractId} [options.contractId] - LazyVoter contract ID (e.g., '0.0.12345'); from the profile or env if not provided
 	 * @param {string} [options.network='TEST'] - Network: TEST, MAIN, PREVIEW, LOCAL
-	 * @param {string} [options.accountId] - Operator account ID (from env if not provided)
-	 * @param {string} [options.privateKey] - Operator private key (from env if not provided)
+	 * @param {string} [options.accountId] - Operator account ID (from the profile or env if not provided)
+	 * @param {string} [options.privateKey] - Operator private key (from the profile or env if not provided)
+	 * @param {string} [options.key] - Keystore key to sign with instead of a plaintext private key (see `lazyvote key import`)
+	 * @param {string|function(string): string} [options.passphrase] - Passphrase for options.key, or a function of the key name returning it
+	 * @param {string} [options.keystoreFile] - Keystore file (default: LAZYVOTE_KEYSTORE_FILE or ~/.lazyvote/keystore.json)
+	 * @param {string} [options.profile] - Configuration profile (default: LAZYVOTE_PROFILE or the current one)
+	 * @param {string} [options.mirrorUrl] - Custom mirror node base URL, used by this client only
+	 * @param {Logger} [options.logger] - Logger for this client's calls (default: the process logger, warnings and errors to stderr unless set with setLogger)
 	 */
 	constructor(options = {}) {
-		this.contractId = options.contractId;
-		this.network = (options.network || process.env.ENVIRONMENT || 'TEST').toUpperCase();
+		this.logger = options.logger ?? null;
+		const config = resolveConfig({ ...options, contractId: options.contractId?.toString() });
+		if (!config.contractId) {
+			throw new Error('LazyVoter contract ID required. Provide contractId, set contract-id in a profile or set CONTRACT_ID.');
+		}
+		this.contractId = ContractId.fromString(config.contractId);
+		this.network = config.network;
+		this.mirrorUrl = config.mirrorUrl;
+		// Mirror node calls go through this target, so a custom mirror URL is this client's alone
+		this.mirror = mirrorTarget(this.network, this.mirrorUrl);
 		this.iface = loadInterface('LazyVoter');
 
-		if (options.accountId && options.privateKey) {
-			const { AccountId, PrivateKey } = require('@hashgraph/sdk');
-			this.operatorId = AccountId.fromString(options.accountId);
-			let operatorKey;
-			try {
-				operatorKey = PrivateKey.fromStringED25519(options.privateKey);
-			}
-			catch {
-				operatorKey = PrivateKey.fromStringECDSA(options.privateKey);
-			}
-			this.operatorKey = operatorKey;
-			this.client = createClient(this.network, this.operatorId, this.operatorKey);
-		}
-		else {
-			try {
-				const { operatorId, operatorKey } = loadOperator();
-				this.operatorId = operatorId;
-				this.operatorKey = operatorKey;
-				this.client = createClient(this.network, operatorId, operatorKey);
-			}
-			catch {
-				// Read-only mode — no operator credentials
-				this.operatorId = null;
-				this.operatorKey = null;
-				this.client = null;
-			}
-		}
+		// Credentials are kept unresolved: the key is parsed or unlocked on the first write, so
+		// read-only use never prompts for a passphrase or touches the keystore
+		this._operator = hasOperator(config)
+			? { config, options: { passphrase: options.passphrase, keystoreFile: options.keystoreFile } }
+			: null;
+		this.operatorId = this._operator && config.accountId ? AccountId.fromString(config.accountId) : null;
+		this.operatorKey = null;
+		this.client = null;
 	}
 
 	// --- READ METHODS (no signing needed) ---
@@ -58,7 +80,7 @@ class LazyVoterClient {
 	 */
 	async getResults() {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'getResults', [], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'getResults', [], this.operatorId,
 		);
 		return {
 			yes: Number(result[0]),
@@ -73,7 +95,7 @@ class LazyVoterClient {
 	 */
 	async getStatus() {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'votingStatus', [], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'votingStatus', [], this.operatorId,
 		);
 		return result[0];
 	}
@@ -84,7 +106,7 @@ class LazyVoterClient {
 	 */
 	async getVoteMessage() {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'voteMessage', [], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'voteMessage', [], this.operatorId,
 		);
 		return result[0];
 	}
@@ -95,7 +117,7 @@ class LazyVoterClient {
 	 */
 	async hasQuorum() {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'hasQuorum', [], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'hasQuorum', [], this.operatorId,
 		);
 		return result[0];
 	}
@@ -106,7 +128,7 @@ class LazyVoterClient {
 	 */
 	async totalEligibleVoters() {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'totalEligibleVoters', [], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'totalEligibleVoters', [], this.operatorId,
 		);
 		return Number(result[0]);
 	}
@@ -117,11 +139,22 @@ class LazyVoterClient {
 	 */
 	async timeRemaining() {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'timeRemaining', [], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'timeRemaining', [], this.operatorId,
 		);
 		return Number(result[0]);
 	}
 
+	/**
+	 * Get the voting window
+	 * @returns {Promise<{startTime: number, endTime: number}>} unix seconds
+	 */
+	async getVotingWindow() {
+		const [startTime, endTime] = await Promise.all(['startTime', 'endTime'].map(fnName => readContractValue(
+			this.mirror, this.contractId, this.iface, fnName, [], this.operatorId,
+		)));
+		return { startTime: Number(startTime[0]), endTime: Number(endTime[0]) };
+	}
+
 	/**
 	 * Get eligible serials with pagination
 	 * @param {number} [offset=0]
@@ -130,18 +163,64 @@ class LazyVoterClient {
 	 */
 	async getEligibleSerials(offset = 0, limit = 100) {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'getEligibleSerials', [offset, limit], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'getEligibleSerials', [offset, limit], this.operatorId,
 		);
 		return result[0].map(Number);
 	}
 
+	/**
+	 * Iterate over every eligible serial, paging through getEligibleSerials
+	 * @param {object} [options]
+	 * @param {number} [options.pageSize=100] - Serials per mirror call
+	 * @param {number} [options.concurrency=4] - Pages requested in parallel
+	 * @returns {AsyncGenerator<number>}
+	 */
+	eligibleSerials(options = {}) {
+		return paginate((offset, limit) => this.getEligibleSerials(offset, limit), options);
+	}
+
+	/**
+	 * Get votes cast with pagination (one entry per voted serial)
+	 * @param {number} [offset=0]
+	 * @param {number} [limit=100]
+	 * @returns {Promise<{serials: number[], voters: string[], votes: number[]}>}
+	 */
+	async getAllVotes(offset = 0, limit = 100) {
+		const result = await readContractValue(
+			this.mirror, this.contractId, this.iface, 'getAllVotes', [offset, limit], this.operatorId,
+		);
+		return {
+			serials: result[0].map(Number),
+			voters: Array.from(result[1]),
+			votes: result[2].map(Number),
+		};
+	}
+
+	/**
+	 * Iterate over every vote cast, paging through getAllVotes
+	 * @param {object} [options]
+	 * @param {number} [options.pageSize=100] - Votes per mirror call
+	 * @param {number} [options.concurrency=4] - Pages requested in parallel
+	 * @returns {AsyncGenerator<{serial: number, voter: string, voteType: number}>}
+	 */
+	allVotes(options = {}) {
+		return paginate(async (offset, limit) => {
+			const page = await this.getAllVotes(offset, limit);
+			return page.serials.map((serial, i) => ({
+				serial,
+				voter: page.voters[i],
+				voteType: page.votes[i],
+			}));
+		}, options);
+	}
+
 	/**
 	 * Get all voters and their vote counts
 	 * @returns {Promise<{voters: string[], voteCounts: number[]}>}
 	 */
 	async getAllVoters() {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'getAllVoters', [], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'getAllVoters', [], this.operatorId,
 		);
 		return {
 			voters: Array.from(result[0]),
@@ -149,6 +228,17 @@ class LazyVoterClient {
 		};
 	}
 
+	/**
+	 * Get every serial that has voted
+	 * @returns {Promise<number[]>}
+	 */
+	async getVotedSerials() {
+		const result = await readContractValue(
+			this.mirror, this.contractId, this.iface, 'getVotedSerials', [], this.operatorId,
+		);
+		return result[0].map(Number);
+	}
+
 	/**
 	 * Get votes by a specific address
 	 * @param {string} voterAddress - EVM address or Hedera account ID
@@ -156,7 +246,7 @@ class LazyVoterClient {
 	 */
 	async getVotesByAddress(voterAddress) {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'getVotesByAddress', [voterAddress], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'getVotesByAddress', [voterAddress], this.operatorId,
 		);
 		return {
 			serials: result[0].map(Number),
@@ -171,7 +261,7 @@ class LazyVoterClient {
 	 */
 	async getVoteInfo(serial) {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'getVoteInfo', [serial], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'getVoteInfo', [serial], this.operatorId,
 		);
 		return {
 			voteType: Number(result[0]),
@@ -180,13 +270,28 @@ class LazyVoterClient {
 		};
 	}
 
+	/**
+	 * Get the account that last voted with a serial and when
+	 * @param {number} serial
+	 * @returns {Promise<{voter: string|null, timestamp: number}>} voter EVM address, null if the serial has not voted
+	 */
+	async lastVoterForSerial(serial) {
+		const result = await readContractValue(
+			this.mirror, this.contractId, this.iface, 'lastVoterForSerial', [serial], this.operatorId,
+		);
+		return {
+			voter: isZeroAddress(result[0]) ? null : result[0],
+			timestamp: Number(result[1]),
+		};
+	}
+
 	/**
 	 * Get quorum requirement
 	 * @returns {Promise<number>}
 	 */
 	async getQuorum() {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'quorum', [], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'quorum', [], this.operatorId,
 		);
 		return Number(result[0]);
 	}
@@ -197,82 +302,670 @@ class LazyVoterClient {
 	 */
 	async getQuorumPercent() {
 		const result = await readContractValue(
-			this.network, this.contractId, this.iface, 'quorumPercent', [], this.operatorId,
+			this.mirror, this.contractId, this.iface, 'quorumPercent', [], this.operatorId,
 		);
 		return Number(result[0]);
 	}
 
+	/**
+	 * Get the contract owner
+	 * @returns {Promise<string>} owner EVM address
+	 */
+	async getOwner() {
+		const result = await readContractValue(
+			this.mirror, this.contractId, this.iface, 'owner', [], this.operatorId,
+		);
+		return result[0];
+	}
+
+	/**
+	 * Get the NFT token whose serials vote
+	 * @returns {Promise<string>} token ID (0.0.X)
+	 */
+	async getNFTToken() {
+		const context = await this._votingContext();
+		return context.tokenId.toString();
+	}
+
+	// --- PRE-FLIGHT ---
+
+	/**
+	 * Check a vote against the rules LazyVoter.vote enforces, without spending gas.
+	 * Eligibility, ownership (mirror node), delegation (registry) and any previous vote
+	 * are reported per serial; window, pause, list size and vote type are reported once.
+	 * @param {number[]} serials
+	 * @param {object} [options]
+	 * @param {string|AccountId} [options.voter] - Account that would sign the vote (default: operator)
+	 * @param {'yes'|'no'|'abstain'|number} [options.voteType] - Also validate the vote type
+	 * @param {number} [options.concurrency=4] - Mirror calls in flight for the per-serial lookups
+	 * @returns {Promise<{
+	 *   voter: string, canVote: boolean, status: string, paused: boolean, windowOpen: boolean,
+	 *   startTime: number, endTime: number, issues: LazyVoterError[], votable: number[], blocked: number[],
+	 *   serials: Array<{serial: number, eligible: boolean, owner: string|null, delegatedTo: string|null,
+	 *     previousVote: {choice: string, voter: string, timestamp: number}|null, canVote: boolean, error: LazyVoterError|null}>
+	 * }>} errors are the typed errors the contract would revert with
+	 */
+	async validateVote(serials, options = {}) {
+		const voterId = await this._resolveVoter(options.voter);
+		const concurrency = options.concurrency ?? 4;
+		const read = (fnName, params = []) => readContractValue(
+			this.mirror, this.contractId, this.iface, fnName, params, this.operatorId,
+		);
+
+		const [status, paused, startTime, endTime, context, eligible, voterAddresses] = await Promise.all([
+			read('votingStatus'),
+			read('votingPaused'),
+			read('startTime'),
+			read('endTime'),
+			this._votingContext(),
+			toArray(this.eligibleSerials({ concurrency })),
+			this._voterAddresses(voterId),
+		]);
+
+		const now = Math.floor(Date.now() / 1000);
+		const report = {
+			voter: voterId.toString(),
+			canVote: false,
+			status: status[0],
+			paused: paused[0],
+			// votingStatus reports Paused ahead of the window, so fall back to the local clock then
+			windowOpen: status[0] === 'Paused'
+				? now >= Number(startTime[0]) && now <= Number(endTime[0])
+				: status[0] === 'Active',
+			startTime: Number(startTime[0]),
+			endTime: Number(endTime[0]),
+			issues: [],
+			votable: [],
+			blocked: [],
+			serials: [],
+		};
+
+		// Same order as the contract's checks
+		if (report.paused) report.issues.push(new VotingIsPausedError());
+		if (!report.windowOpen) report.issues.push(new VoteWindowClosedError());
+		// vote() splits long lists into 40-serial transactions, so only an empty list is fatal
+		if (serials.length === 0) report.issues.push(new NoSerialsError());
+		if (options.voteType !== undefined) {
+			let voteType;
+			try {
+				voteType = this._resolveVoteType(options.voteType);
+			}
+			catch {
+				voteType = null;
+			}
+			if (!TALLY_KEYS[voteType]) report.issues.push(new InvalidVoteTypeError({ voteType: options.voteType }));
+		}
+
+		const eligibleSet = new Set(eligible);
+		const delegates = serials.length === 0 ? [[]] : (await this._readRegistry(
+			context, 'getNFTListDelegatedTo', [[context.tokenAddress], [serials]],
+		))[0];
+
+		report.serials = await mapConcurrent(serials, async (serial, i) => {
+			const [nft, voteInfo] = await Promise.all([
+				checkNFTOwnership(this.mirror, context.tokenId, serial),
+				this.getVoteInfo(serial),
+			]);
+			const delegate = delegates[0][i];
+			const entry = {
+				serial,
+				eligible: eligibleSet.has(serial),
+				owner: nft && !nft.deleted ? nft.owner : null,
+				delegatedTo: isZeroAddress(delegate) ? null : delegate,
+				previousVote: voteInfo.timestamp > 0
+					? { choice: TALLY_KEYS[voteInfo.voteType], voter: voteInfo.voter, timestamp: voteInfo.timestamp }
+					: null,
+				canVote: false,
+				error: null,
+			};
+
+			if (!entry.eligible) {
+				entry.error = new SerialNotEligibleError({ serial });
+			}
+			else if (!entry.owner) {
+				entry.error = new NFTNotFoundError({ serial });
+			}
+			else if (entry.delegatedTo ? !voterAddresses.includes(entry.delegatedTo.toLowerCase()) : entry.owner !== report.voter) {
+				entry.error = new NotOwnerOrDelegatedError({ serial, owner: entry.owner, delegatedTo: entry.delegatedTo });
+			}
+			entry.canVote = !entry.error;
+			return entry;
+		}, concurrency);
+
+		report.votable = report.serials.filter(e => e.canVote).map(e => e.serial);
+		report.blocked = report.serials.filter(e => !e.canVote).map(e => e.serial);
+		report.canVote = report.issues.length === 0 && report.blocked.length === 0;
+		return report;
+	}
+
+	/**
+	 * Find every eligible serial the voter controls: serials owned (mirror node) that are not
+	 * delegated away, plus serials delegated to the voter in the registry.
+	 * Delegations are read from the registry as recorded; stale entries are caught by
+	 * validateVote or dropped by vote().
+	 * @param {object} [options]
+	 * @param {string|AccountId} [options.voter] - Account to discover for (default: operator)
+	 * @param {number} [options.concurrency=4] - Pages requested in parallel for the eligible set
+	 * @returns {Promise<{voter: string, serials: number[], owned: number[], delegatedIn: number[], delegatedAway: number[]}>}
+	 *   serials is the votable set, sorted; the other lists are the raw inputs (before the eligibility filter)
+	 */
+	async discoverVotableSerials(options = {}) {
+		const voterId = await this._resolveVoter(options.voter);
+		const [context, voterAddresses, eligible] = await Promise.all([
+			this._votingContext(),
+			this._voterAddresses(voterId),
+			toArray(this.eligibleSerials({ concurrency: options.concurrency })),
+		]);
+
+		// A wallet may have delegated (or been delegated to) under its long-zero or its EVM alias address
+		const registryLists = fnName => Promise.all(voterAddresses.map(address =>
+			this._readRegistry(context, fnName, [address, context.tokenAddress]).then(result => result[0].map(Number)),
+		));
+		const [owned, delegatedIn, delegatedAway] = await Promise.all([
+			getSerialsOwned(this.mirror, voterId, context.tokenId),
+			registryLists('getSerialsDelegatedTo'),
+			registryLists('getSerialsDelegatedBy'),
+		]);
+		if (owned === null) {
+			throw new Error(`Could not fetch serials of ${context.tokenId} owned by ${voterId} from the mirror node`);
+		}
+
+		const away = new Set(delegatedAway.flat());
+		const eligibleSet = new Set(eligible);
+		const controlled = new Set([...owned.filter(serial => !away.has(serial)), ...delegatedIn.flat()]);
+
+		return {
+			voter: voterId.toString(),
+			serials: [...controlled].filter(serial => eligibleSet.has(serial)).sort((a, b) => a - b),
+			owned,
+			delegatedIn: [...new Set(delegatedIn.flat())],
+			delegatedAway: [...away],
+		};
+	}
+
 	// --- WRITE METHODS (require operator credentials) ---
 
 	/**
-	 * Cast a vote
-	 * @param {number[]} serials - Serial numbers to vote with (max 40)
+	 * Cast a vote. Serials are sent 40 per transaction; when a transaction reverts with
+	 * SerialNotEligible or NotOwnerOrDelegated the named serial is dropped and the rest
+	 * of the chunk retried (a revert caught by gas estimation costs nothing). Any other revert stops the run.
+	 * With a checkpoint file, voted and dropped serials are recorded after every transaction
+	 * and skipped when the same vote is run again; the file is removed once every serial is done.
+	 * @param {number[]} serials - Serial numbers to vote with
 	 * @param {'yes'|'no'|'abstain'|number} voteType - Vote type
-	 * @returns {Promise<object>} Transaction result
+	 * @param {object} [options]
+	 * @param {number} [options.batchSize=40] - Serials per transaction (1-40)
+	 * @param {string} [options.checkpointFile] - JSON file used to resume an interrupted run
+	 * @param {function} [options.onProgress] - Called after each transaction with
+	 *   { batch, totalBatches, serials, success, dropped, transactionId, error, tx }
+	 * @param {boolean} [options.simulate] - Dry-run each chunk through the mirror node instead (no healing, no checkpoint);
+	 *   resolves to { simulated, success, simulations }
+	 * @returns {Promise<{success: boolean, totalBatches: number, completedBatches: number, voted: number[],
+	 *   dropped: Array<{serial: number, code: string, message: string}>, skipped: number,
+	 *   transactions: object[], error?: LazyVoterError}>} each transaction entry carries its TxResult as `tx`
 	 */
-	async vote(serials, voteType) {
-		this._requireOperator();
+	async vote(serials, voteType, options = {}) {
 		const voteTypeNum = this._resolveVoteType(voteType);
-		const gasInfo = await estimateGas(
-			this.network, this.contractId, this.iface, this.operatorId,
-			'vote', [serials, voteTypeNum], 200_000 + 100_000 * serials.length,
-		);
-		return contractExecuteFunction(
-			this.contractId, this.iface, this.client, gasInfo.gasLimit,
-			'vote', [serials, voteTypeNum],
-		);
+		const batchSize = options.batchSize ?? MAX_VOTE_SERIALS;
+		if (batchSize > MAX_VOTE_SERIALS) {
+			throw new Error(`Invalid batch size "${batchSize}". LazyVoter accepts at most ${MAX_VOTE_SERIALS} serials per vote.`);
+		}
+		if (options.simulate) {
+			return this._executeBatches(this._chunk(serials, batchSize), options, (batch) => ({
+				fnName: 'vote',
+				params: [batch, voteTypeNum],
+			}));
+		}
+		this._requireOperator();
+
+		const checkpoint = this._loadVoteCheckpoint(options.checkpointFile, voteTypeNum);
+		const done = new Set([...checkpoint.voted, ...checkpoint.dropped.map(d => d.serial)]);
+		const remaining = serials.filter(serial => !done.has(serial));
+		const batches = this._chunk(remaining, batchSize);
+
+		const summary = {
+			success: true,
+			totalBatches: batches.length,
+			completedBatches: 0,
+			voted: [...checkpoint.voted],
+			dropped: [...checkpoint.dropped],
+			skipped: serials.length - remaining.length,
+			transactions: [],
+		};
+		const save = () => this._saveVoteCheckpoint(options.checkpointFile, voteTypeNum, summary);
+
+		for (let i = 0; i < batches.length; i++) {
+			let pending = batches[i];
+			while (pending.length > 0) {
+				let tx = null;
+				let error;
+				try {
+					tx = await this._execute('vote', [pending, voteTypeNum], 200_000 + 100_000 * pending.length);
+					error = tx.error;
+				}
+				catch (err) {
+					if (!(err instanceof LazyVoterError)) throw err;
+					error = err;
+				}
+				const offending = error && SERIAL_ERROR_CODES.has(error.code) && pending.includes(error.serial)
+					? error.serial : null;
+				const entry = {
+					batch: i + 1,
+					serials: pending,
+					success: !error,
+					dropped: offending,
+					transactionId: tx?.transactionId ?? error?.transactionId ?? null,
+					error,
+					tx,
+				};
+				summary.transactions.push(entry);
+
+				if (!error) {
+					summary.voted.push(...pending);
+					pending = [];
+				}
+				else if (offending !== null) {
+					summary.dropped.push({ serial: offending, code: error.code, message: error.message });
+					pending = pending.filter(serial => serial !== offending);
+				}
+				save();
+				if (options.onProgress) options.onProgress({ ...entry, totalBatches: batches.length });
+
+				if (error && offending === null) {
+					summary.success = false;
+					summary.error = error;
+					return summary;
+				}
+			}
+			summary.completedBatches++;
+		}
+
+		if (options.checkpointFile && fs.existsSync(options.checkpointFile)) {
+			fs.unlinkSync(options.checkpointFile);
+		}
+		return summary;
 	}
 
 	/**
 	 * Pause voting (owner only)
-	 * @returns {Promise<object>}
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
 	 */
-	async pauseVoting() {
-		this._requireOperator();
-		return contractExecuteFunction(
-			this.contractId, this.iface, this.client, 200_000,
-			'pauseVoting', [],
-		);
+	async pauseVoting(options = {}) {
+		return this._write('pauseVoting', [], 200_000, options);
 	}
 
 	/**
 	 * Unpause voting (owner only)
-	 * @returns {Promise<object>}
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
 	 */
-	async unpauseVoting() {
-		this._requireOperator();
-		return contractExecuteFunction(
-			this.contractId, this.iface, this.client, 200_000,
-			'unpauseVoting', [],
-		);
+	async unpauseVoting(options = {}) {
+		return this._write('unpauseVoting', [], 200_000, options);
 	}
 
 	/**
 	 * Withdraw HBAR from contract (owner only)
 	 * @param {string} receiverAddress - Receiver EVM address
 	 * @param {number} amount - Amount in tinybars
-	 * @returns {Promise<object>}
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async withdrawHbar(receiverAddress, amount, options = {}) {
+		return this._write('withdrawHbar', [receiverAddress, amount], 300_000, options);
+	}
+
+	/**
+	 * Add eligible serials (owner only, before voting starts).
+	 * Large lists are split into batches, one transaction each.
+	 * @param {number[]} serials
+	 * @param {object} [options]
+	 * @param {number} [options.batchSize=200] - Serials per transaction
+	 * @param {function} [options.onProgress] - Called after each batch with { batch, totalBatches, serials, success, tx }
+	 * @param {boolean} [options.simulate] - Dry-run every batch through the mirror node; resolves to { simulated, success, simulations }
+	 * @returns {Promise<{success: boolean, totalBatches: number, completedBatches: number, processed: number, batches: object[], error?: LazyVoterError}>}
+	 *   A failed batch stops the run; its typed error is on the batch entry and on the summary
+	 */
+	async addEligibleSerials(serials, options = {}) {
+		const batches = this._chunk(serials, options.batchSize);
+		return this._executeBatches(batches, options, (batch) => ({
+			fnName: 'addEligibleSerials',
+			params: [batch],
+			gasLimit: 80_000 + batch.length * 50_000,
+		}));
+	}
+
+	/**
+	 * Remove eligible serials (owner only, before voting starts).
+	 * Large lists are split into batches, one transaction each.
+	 * @param {number[]} serials
+	 * @param {object} [options] - Same as addEligibleSerials
+	 * @returns {Promise<object>} Aggregate result, see addEligibleSerials
+	 */
+	async removeEligibleSerials(serials, options = {}) {
+		const batches = this._chunk(serials, options.batchSize);
+		return this._executeBatches(batches, options, (batch) => ({
+			fnName: 'removeEligibleSerials',
+			params: [batch],
+			gasLimit: 80_000 + batch.length * 50_000,
+		}));
+	}
+
+	/**
+	 * Add and remove eligible serials (owner only, before voting starts).
+	 * Batches are filled with additions first, then removals, so a serial present
+	 * in both lists ends up removed exactly as in a single contract call.
+	 * @param {number[]} addSerials
+	 * @param {number[]} removeSerials
+	 * @param {object} [options] - Same as addEligibleSerials; batchSize counts add + remove serials
+	 * @returns {Promise<object>} Aggregate result, see addEligibleSerials
+	 */
+	async updateEligibleSerials(addSerials, removeSerials, options = {}) {
+		const tagged = [
+			...addSerials.map(serial => ({ serial, add: true })),
+			...removeSerials.map(serial => ({ serial, add: false })),
+		];
+		const batches = this._chunk(tagged, options.batchSize).map(batch => ({
+			add: batch.filter(t => t.add).map(t => t.serial),
+			remove: batch.filter(t => !t.add).map(t => t.serial),
+		}));
+		return this._executeBatches(batches, options, (batch) => ({
+			fnName: 'updateEligibleSerials',
+			params: [batch.add, batch.remove],
+			gasLimit: 80_000 + (batch.add.length + batch.remove.length) * 50_000,
+		}));
+	}
+
+	/**
+	 * Update the vote message (owner only, before voting starts)
+	 * @param {string} message
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async updateVoteMessage(message, options = {}) {
+		return this._write('updateVoteMessage', [message], 300_000, options);
+	}
+
+	/**
+	 * Update the quorum (owner only, before voting starts)
+	 * @param {number} quorum - Absolute number of Yes votes required
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
 	 */
-	async withdrawHbar(receiverAddress, amount) {
+	async updateQuorum(quorum, options = {}) {
+		return this._write('updateQuorum', [quorum], 200_000, options);
+	}
+
+	/**
+	 * Transfer contract ownership (owner only)
+	 * @param {string} newOwner - Hedera account ID or EVM address
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async transferOwnership(newOwner, options = {}) {
+		return this._write('transferOwnership', [toEvmAddress(newOwner)], 200_000, options);
+	}
+
+	/**
+	 * Renounce contract ownership (owner only). Irreversible: admin functions become unusable.
+	 * @param {object} [options] - { simulate: true } to dry-run through the mirror node instead
+	 * @returns {Promise<TxResult>}
+	 */
+	async renounceOwnership(options = {}) {
+		return this._write('renounceOwnership', [], 200_000, options);
+	}
+
+	// --- EVENTS (mirror node polling) ---
+
+	/**
+	 * Register a handler for a contract event (e.g. 'VoteCasted', 'VotingPaused'),
+	 * '*' for all events, or 'error' for polling failures. Call subscribe() to start delivery.
+	 * @param {string} eventName
+	 * @param {function(object): (void|Promise<void>)} handler - Receives the decoded event object
+	 * @returns {LazyVoterClient}
+	 */
+	on(eventName, handler) {
+		this._subscription().on(eventName, handler);
+		return this;
+	}
+
+	/**
+	 * Remove a handler registered with on()
+	 * @param {string} eventName
+	 * @param {function} handler
+	 * @returns {LazyVoterClient}
+	 */
+	off(eventName, handler) {
+		this._subscription().off(eventName, handler);
+		return this;
+	}
+
+	/**
+	 * Start polling the mirror node for contract events
+	 * @param {object} [options]
+	 * @param {Date|number|string} [options.fromTimestamp] - Deliver events from this consensus time (default: now)
+	 * @param {string} [options.cursorFile] - Persist the cursor here and resume from it on restart
+	 * @param {number} [options.pollInterval=5000] - Milliseconds between polls
+	 * @returns {EventSubscription} call stop() on it to end polling
+	 */
+	subscribe(options = {}) {
+		return this._subscription().configure(options).start();
+	}
+
+	/**
+	 * Release the underlying Hedera client (open network channels keep Node running)
+	 */
+	close() {
+		if (this.client) this.client.close();
+	}
+
+	// --- INTERNAL HELPERS ---
+
+	_subscription() {
+		if (!this._eventSubscription) {
+			this._eventSubscription = new EventSubscription({
+				network: this.network,
+				mirrorUrl: this.mirrorUrl,
+				contractId: this.contractId,
+				iface: this.iface,
+			});
+		}
+		return this._eventSubscription;
+	}
+
+	async _write(fnName, params, gasLimit, options = {}) {
+		if (options.simulate) return this._simulate(fnName, params, options);
+		return (await this._execute(fnName, params, gasLimit)).throwIfFailed();
+	}
+
+	// One transaction: the TxResult carries a failure on chain, while a call that would revert
+	// throws its typed error from gas estimation before anything is submitted
+	async _execute(fnName, params, fallbackGas) {
 		this._requireOperator();
-		return contractExecuteFunction(
-			this.contractId, this.iface, this.client, 300_000,
-			'withdrawHbar', [receiverAddress, amount],
+		const gasInfo = await estimateGas(
+			this.mirror, this.contractId, this.iface, this.operatorId,
+			fnName, params, fallbackGas,
 		);
+		const result = await contractExecuteFunction(
+			this.contractId, this.iface, this.client, gasInfo.gasLimit,
+			fnName, params,
+		);
+		return TxResult.fromExecution(result, { iface: this.iface, ...gasInfo });
 	}
 
-	// --- INTERNAL HELPERS ---
+	_simulate(fnName, params, options = {}) {
+		return simulateCall({
+			network: this.mirror,
+			contractId: this.contractId,
+			iface: this.iface,
+			from: options.from ? AccountId.fromString(options.from.toString()) : this._operatorAccount(),
+			functionName: fnName,
+			params,
+		});
+	}
+
+	_chunk(items, batchSize = DEFAULT_SERIAL_BATCH_SIZE) {
+		if (!Number.isInteger(batchSize) || batchSize < 1) {
+			throw new Error(`Invalid batch size "${batchSize}". Must be a positive integer.`);
+		}
+		const batches = [];
+		for (let i = 0; i < items.length; i += batchSize) {
+			batches.push(items.slice(i, i + batchSize));
+		}
+		return batches;
+	}
+
+	/**
+	 * Run one transaction per batch, stopping at the first failure
+	 * so callers can fix the cause and resume from the remaining batches.
+	 */
+	async _executeBatches(batches, options, buildCall) {
+		if (options.simulate) {
+			const simulations = [];
+			for (const batch of batches) {
+				const { fnName, params } = buildCall(batch);
+				simulations.push(await this._simulate(fnName, params, options));
+			}
+			return { simulated: true, success: simulations.every(sim => sim.success), simulations };
+		}
+
+		this._requireOperator();
+		const onProgress = options.onProgress;
+		const summary = {
+			success: true,
+			totalBatches: batches.length,
+			completedBatches: 0,
+			processed: 0,
+			batches: [],
+		};
+
+		for (let i = 0; i < batches.length; i++) {
+			const batch = batches[i];
+			const { fnName, params, gasLimit } = buildCall(batch);
+			let tx = null;
+			let error;
+			try {
+				tx = await this._execute(fnName, params, gasLimit);
+				error = tx.error;
+			}
+			catch (err) {
+				// A batch that would revert is reported like a failed one, without paying for it
+				if (!(err instanceof LazyVoterError)) throw err;
+				error = err;
+			}
+			const size = Array.isArray(batch) ? batch.length : batch.add.length + batch.remove.length;
+			const entry = {
+				batch: i + 1,
+				serials: batch,
+				success: !error,
+				transactionId: tx?.transactionId ?? null,
+				error,
+				tx,
+			};
+			summary.batches.push(entry);
+
+			if (onProgress) onProgress({ ...entry, totalBatches: batches.length });
+
+			if (error) {
+				summary.success = false;
+				summary.error = error;
+				break;
+			}
+			summary.completedBatches++;
+			summary.processed += size;
+		}
+
+		return summary;
+	}
+
+	_loadVoteCheckpoint(file, voteType) {
+		if (!file || !fs.existsSync(file)) return { voted: [], dropped: [] };
+		const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+		if (saved.contractId !== this.contractId.toString() || saved.voteType !== voteType) {
+			throw new Error(`Checkpoint ${file} belongs to a different vote (contract ${saved.contractId}, vote type ${saved.voteType}). Remove it or choose another file.`);
+		}
+		return { voted: saved.voted ?? [], dropped: saved.dropped ?? [] };
+	}
+
+	_saveVoteCheckpoint(file, voteType, summary) {
+		if (!file) return;
+		const tmpFile = `${file}.tmp`;
+		fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+		fs.writeFileSync(tmpFile, JSON.stringify({
+			contractId: this.contractId.toString(),
+			voteType,
+			voted: summary.voted,
+			dropped: summary.dropped,
+			updatedAt: new Date().toISOString(),
+		}, null, 2));
+		fs.renameSync(tmpFile, file);
+	}
+
+	// NFT token and registry, read once: the token is immutable and the registry is set at deployment
+	async _votingContext() {
+		if (!this._context) {
+			const read = fnName => readContractValue(
+				this.mirror, this.contractId, this.iface, fnName, [], this.operatorId,
+			);
+			this._context = Promise.all([read('NFT_TOKEN'), read('lazyDelegateRegistry')]).then(([token, registry]) => ({
+				tokenAddress: token[0],
+				tokenId: TokenId.fromSolidityAddress(token[0]),
+				registryId: ContractId.fromSolidityAddress(registry[0]),
+				registryIface: loadInterface('LazyDelegateRegistry'),
+			}));
+			this._context.catch(() => { this._context = null; });
+		}
+		return this._context;
+	}
+
+	_readRegistry(context, fnName, params) {
+		return readContractValue(this.mirror, context.registryId, context.registryIface, fnName, params, this.operatorId);
+	}
+
+	// Lower-cased long-zero address plus the mirror's EVM alias, which may be the same
+	async _voterAddresses(voterId) {
+		const addresses = [toEvmAddress(voterId), await homebrewPopulateAccountEvmAddress(this.mirror, voterId)];
+		return [...new Set(addresses.map(address => address.toLowerCase()))];
+	}
+
+	async _resolveVoter(voter) {
+		if (!voter) {
+			const operatorId = this._operatorAccount();
+			if (!operatorId) {
+				throw new Error('Voter account required. Pass options.voter or provide operator credentials.');
+			}
+			return operatorId;
+		}
+		const value = voter.toString();
+		if (value.startsWith('0x')) {
+			return AccountId.fromString(await homebrewPopulateAccountNum(this.mirror, value));
+		}
+		return AccountId.fromString(value);
+	}
+
+	// The operator account without unlocking anything (a keystore key's account comes from its metadata)
+	_operatorAccount() {
+		if (!this.operatorId && this._operator) {
+			const accountId = operatorAccountId(this._operator.config, this._operator.options);
+			if (accountId) this.operatorId = AccountId.fromString(accountId);
+		}
+		return this.operatorId;
+	}
 
 	_requireOperator() {
-		if (!this.client || !this.operatorId) {
-			throw new Error('Operator credentials required for write operations. Provide accountId and privateKey.');
+		if (this.client) return;
+		if (!this._operator) {
+			throw new Error('Operator credentials required for write operations. Provide accountId and privateKey, or a keystore key.');
 		}
+		const { operatorId, operatorKey } = resolveOperator(this._operator.config, this._operator.options);
+		this.operatorId = operatorId;
+		this.operatorKey = operatorKey;
+		this.client = createClient(this.network, operatorId, operatorKey);
 	}
 
 	_resolveVoteType(voteType) {
 		if (typeof voteType === 'number') return voteType;
-		const map = { no: 0, yes: 1, abstain: 2 };
-		const resolved = map[voteType.toLowerCase()];
+		const resolved = VOTE_TYPES[voteType.toLowerCase()];
 		if (resolved === undefined) {
 			throw new Error(`Invalid vote type "${voteType}". Must be: yes, no, or abstain`);
 		}
@@ -280,4 +973,9 @@ class LazyVoterClient {
 	}
 }
 
+LazyVoterClient.MAX_VOTE_SERIALS = MAX_VOTE_SERIALS;
+
+// Helpers reached from any public method log through the instance's logger
+scopeClientLogger(LazyVoterClient);
+
 module.exports = LazyVoterClient;
@@ -0,0 +1,29 @@
+'use strict';
+
+const { AccountId } = require('@hashgraph/sdk');
+
+const ZERO_ADDRESS_REGEX = /^0x0{40}$/i;
+
+/**
+ * Normalise a Hedera ID (0.0.X) or EVM address (0x...) to a 0x-prefixed EVM address.
+ * @param {string|AccountId|TokenId|ContractId} idOrAddress
+ * @returns {string}
+ */
+function toEvmAddress(idOrAddress) {
+	if (idOrAddress === null || idOrAddress === undefined) {
+		throw new Error('Address required: use a Hedera ID (0.0.X) or an EVM address (0x...)');
+	}
+	const value = idOrAddress.toString();
+	if (value.startsWith('0x')) return value;
+	return `0x${AccountId.fromString(value).toSolidityAddress()}`;
+}
+
+/**
+ * @param {string} address - EVM address
+ * @returns {boolean} true for the zero address
+ */
+function isZeroAddress(address) {
+	return ZERO_ADDRESS_REGEX.test(address);
+}
+
+module.exports = { toEvmAddress, isZeroAddress };
@@ -0,0 +1,133 @@
+'use strict';
+
+const { readContractEvents } = require('./events');
+const { TALLY_KEYS } = require('./voteTypes');
+
+const INTERVALS = { hour: 3600, day: 86400 };
+
+/**
+ * Pick hourly buckets for windows up to three days, daily ones beyond
+ * @param {number} startTime
+ * @param {number} endTime
+ * @returns {'hour'|'day'}
+ */
+function defaultInterval(startTime, endTime) {
+	return endTime - startTime > 3 * INTERVALS.day ? 'day' : 'hour';
+}
+
+/**
+ * Replay VoteCasted history into time buckets across the voting window. Per bucket: votes cast
+ * (one per serial, re-votes included), re-votes, serials voting for the first time and distinct
+ * voters active; cumulatively: Yes/No/Abstain as they stood at the bucket's end (last vote wins),
+ * serials voted, turnout against the eligible set and unique voters so far.
+ * @param {LazyVoterClient} voter
+ * @param {object} [options]
+ * @param {'hour'|'day'} [options.interval] - Bucket size (default: defaultInterval for the window)
+ * @param {EventIndex} [options.index] - Read events from this local index (synced first)
+ * @param {number} [options.now] - Unix seconds; buckets stop here while voting is open
+ * @returns {Promise<object>} timeline
+ */
+async function buildTimeline(voter, options = {}) {
+	const [window, eligible, events] = await Promise.all([
+		voter.getVotingWindow(),
+		voter.totalEligibleVoters(),
+		readContractEvents(voter, { name: 'VoteCasted', index: options.index }),
+	]);
+	const interval = options.interval ?? defaultInterval(window.startTime, window.endTime);
+	if (!INTERVALS[interval]) throw new Error(`Invalid interval "${interval}". Must be one of: ${Object.keys(INTERVALS).join(', ')}`);
+	const size = INTERVALS[interval];
+	const now = options.now ?? Math.floor(Date.now() / 1000);
+	const first = Math.floor(window.startTime / size) * size;
+	const last = Math.min(window.endTime, Math.max(now, window.startTime));
+
+	const votes = new Map();
+	const voters = new Set();
+	const tallies = { yes: 0, no: 0, abstain: 0 };
+	const buckets = [];
+	let e = 0;
+	for (let start = first; start <= last; start += size) {
+		const end = start + size;
+		const bucket = { start, end, votes: 0, reVotes: 0, newSerials: 0, activeVoters: 0 };
+		const active = new Set();
+		for (; e < events.length && Number(events[e].consensusTimestamp.split('.')[0]) < end; e++) {
+			const { voter: address, serials, voteType } = events[e].args;
+			const who = address.toLowerCase();
+			active.add(who);
+			voters.add(who);
+			serials.map(Number).forEach((serial) => {
+				const previous = votes.get(serial);
+				if (previous === undefined) bucket.newSerials++;
+				else bucket.reVotes++;
+				if (TALLY_KEYS[previous]) tallies[TALLY_KEYS[previous]]--;
+				if (TALLY_KEYS[voteType]) tallies[TALLY_KEYS[voteType]]++;
+				votes.set(serial, Number(voteType));
+				bucket.votes++;
+			});
+		}
+		bucket.activeVoters = active.size;
+		buckets.push({
+			...bucket,
+			...tallies,
+			serialsVoted: votes.size,
+			turnout: eligible ? Math.round((votes.size / eligible) * 10000) / 100 : 0,
+			uniqueVoters: voters.size,
+		});
+	}
+	// A window ending on a bucket boundary only needs that last bucket for votes in its final second
+	if (buckets.length > 1 && buckets.at(-1).start === last && !buckets.at(-1).votes) buckets.pop();
+
+	return {
+		contractId: voter.contractId.toString(),
+		network: voter.network,
+		interval,
+		startTime: window.startTime,
+		endTime: window.endTime,
+		eligible,
+		events: events.length,
+		buckets,
+	};
+}
+
+const CSV_COLUMNS = ['start', 'end', 'votes', 'reVotes', 'newSerials', 'activeVoters', 'yes', 'no', 'abstain', 'serialsVoted', 'turnout', 'uniqueVoters'];
+
+/**
+ * One row per bucket; start and end as ISO 8601 UTC
+ * @param {object} timeline - from buildTimeline
+ * @returns {string}
+ */
+function renderTimelineCsv(timeline) {
+	const iso = seconds => new Date(seconds * 1000).toISOString();
+	return [
+		CSV_COLUMNS.join(','),
+		...timeline.buckets.map(b => CSV_COLUMNS.map(c => (c === 'start' || c === 'end' ? iso(b[c]) : b[c])).join(',')),
+	].join('\n') + '\n';
+}
+
+/**
+ * Terminal chart: one line per bucket with a stacked Yes/No/Abstain bar scaled to the eligible set
+ * @param {object} timeline - from buildTimeline
+ * @param {object} [options]
+ * @param {number} [options.width=40] - Bar width in characters (100% turnout)
+ * @returns {string[]}
+ */
+function renderTimelineChart(timeline, options = {}) {
+	const width = options.width ?? 40;
+	const scale = n => (timeline.eligible ? Math.round((n / timeline.eligible) * width) : 0);
+	const label = seconds => new Date(seconds * 1000).toISOString().slice(0, timeline.interval === 'day' ? 10 : 16).replace('T', ' ');
+	return timeline.buckets.map((b) => {
+		const yes = scale(b.yes);
+		const no = Math.min(scale(b.no), width - yes);
+		const abstain = Math.max(0, Math.min(width - yes - no, scale(b.yes + b.no + b.abstain) - yes - no));
+		const bar = `${'█'.repeat(yes)}${'▓'.repeat(no)}${'▒'.repeat(abstain)}`.padEnd(width, '·');
+		const activity = b.votes ? `+${b.votes}${b.reVotes ? ` (${b.reVotes} re-vote${b.reVotes === 1 ? '' : 's'})` : ''} by ${b.activeVoters}` : '';
+		return `${label(b.start).padEnd(16)} ${bar} ${`${b.turnout}%`.padStart(7)}  Y ${b.yes} N ${b.no} A ${b.abstain}  ${activity}`.trimEnd();
+	});
+}
+
+module.exports = {
+	INTERVALS,
+	buildTimeline,
+	defaultInterval,
+	renderTimelineChart,
+	renderTimelineCsv,
+};
@@ -0,0 +1,304 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AccountId, PublicKey } = require('@hashgraph/sdk');
+const { getContractLogsPage, getAccountKey, homebrewPopulateAccountEvmAddress } = require('../utils/hederaMirrorHelpers');
+const { decodeLog } = require('./events');
+const { toArray, mapConcurrent } = require('./pagination');
+const { choiceLabel } = require('./voteTypes');
+
+const FORMAT = 'lazyvoter-archive';
+const SECTIONS = ['proposal', 'votes', 'events', 'tallies'];
+
+/**
+ * JSON with object keys sorted at every level, so equal content always hashes the same
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+	if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+	if (value && typeof value === 'object') {
+		return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+	}
+	return JSON.stringify(value ?? null);
+}
+
+/**
+ * @param {object} content - archive content
+ * @returns {string} 'sha256:<hex>' of the canonical JSON
+ */
+function hashContent(content) {
+	return `sha256:${crypto.createHash('sha256').update(canonicalJson(content)).digest('hex')}`;
+}
+
+function digestBytes(hash) {
+	return Buffer.from(hash.replace(/^sha256:/, ''), 'hex');
+}
+
+/**
+ * Sign a content hash: the signature covers the raw sha256 digest bytes
+ * @param {string} hash - 'sha256:<hex>' from hashContent
+ * @param {{accountId: AccountId, privateKey: PrivateKey}} signer
+ * @returns {{account: string, publicKey: string, keyType: string, signature: string}}
+ */
+function signHash(hash, signer) {
+	const { accountId, privateKey } = signer;
+	return {
+		account: accountId.toString(),
+		publicKey: privateKey.publicKey.toStringDer(),
+		keyType: privateKey.publicKey.type,
+		signature: Buffer.from(privateKey.sign(digestBytes(hash))).toString('hex'),
+	};
+}
+
+/**
+ * Check a signature from signHash and whether its key is the signing account's key on the mirror node
+ * @param {string} network
+ * @param {string} hash
+ * @param {object} signed - signHash output
+ * @returns {Promise<{account: string, valid: boolean, keyMatchesAccount: boolean|null}>}
+ *   keyMatchesAccount is null when the account's key is a key list
+ */
+async function checkSignature(network, hash, signed) {
+	const { account, publicKey, signature } = signed;
+	const result = { account, valid: false, keyMatchesAccount: null };
+	try {
+		result.valid = PublicKey.fromString(publicKey).verify(digestBytes(hash), Buffer.from(signature, 'hex'));
+	}
+	catch {
+		return result;
+	}
+	const accountKey = await getAccountKey(network, account);
+	const parseAccountKey = { ED25519: PublicKey.fromStringED25519, ECDSA_SECP256K1: PublicKey.fromStringECDSA }[accountKey.type];
+	result.keyMatchesAccount = parseAccountKey
+		? parseAccountKey(accountKey.key).toStringRaw() === PublicKey.fromString(publicKey).toStringRaw()
+		: null;
+	return result;
+}
+
+async function readEvents(voter, asOf) {
+	const events = [];
+	let next = null;
+	do {
+		const page = await getContractLogsPage(voter.mirror, voter.contractId, { toTimestamp: asOf, next });
+		for (const log of page.logs) {
+			const decoded = decodeLog(voter.iface, log);
+			events.push(decoded
+				? { name: decoded.name, args: decoded.args, consensusTimestamp: decoded.consensusTimestamp, logIndex: decoded.logIndex, transactionHash: decoded.transactionHash }
+				: { name: null, topics: log.topics, data: log.data, consensusTimestamp: log.timestamp, logIndex: Number(log.index), transactionHash: log.transaction_hash ?? null });
+		}
+		next = page.next;
+	} while (next);
+	return events;
+}
+
+/**
+ * Read the frozen state of a vote: proposal (message, token, quorum, window, eligible set),
+ * every VoteInfo, the event log up to `asOf` and the tallies.
+ * @param {LazyVoterClient} voter
+ * @param {object} [options]
+ * @param {string} [options.asOf] - Consensus timestamp that bounds the event log (default: now)
+ * @param {number} [options.concurrency=4] - getVoteInfo calls in flight
+ * @returns {Promise<object>} content; hash it with hashContent
+ */
+async function readArchiveContent(voter, options = {}) {
+	const asOf = options.asOf ?? `${Math.floor(Date.now() / 1000)}.000000000`;
+	const [voteMessage, nftToken, quorum, window, eligibleSerials, votedSerials, results, quorumReached, events] = await Promise.all([
+		voter.getVoteMessage(),
+		voter.getNFTToken(),
+		voter.getQuorum(),
+		voter.getVotingWindow(),
+		toArray(voter.eligibleSerials({ concurrency: options.concurrency })),
+		toArray(voter.allVotes({ concurrency: options.concurrency })),
+		voter.getResults(),
+		voter.hasQuorum(),
+		readEvents(voter, asOf),
+	]);
+	const serials = votedSerials.map(v => v.serial).sort((a, b) => a - b);
+	const infos = await mapConcurrent(serials, serial => voter.getVoteInfo(serial), options.concurrency);
+
+	return {
+		network: voter.network,
+		contractId: voter.contractId.toString(),
+		asOf,
+		proposal: {
+			voteMessage,
+			nftToken,
+			quorum,
+			startTime: window.startTime,
+			endTime: window.endTime,
+			eligibleSerials: [...eligibleSerials].sort((a, b) => a - b),
+		},
+		votes: serials.map((serial, i) => ({
+			serial,
+			voteType: infos[i].voteType,
+			choice: choiceLabel(infos[i].voteType),
+			voter: infos[i].voter.toLowerCase(),
+			timestamp: infos[i].timestamp,
+		})),
+		events,
+		tallies: {
+			...results,
+			total: results.yes + results.no + results.abstain,
+			eligible: eligibleSerials.length,
+			quorumReached,
+		},
+	};
+}
+
+/**
+ * Build an archive bundle: content, its canonical hash and, with a signing key, an attestation
+ * by the contract owner over that hash.
+ * @param {LazyVoterClient} voter
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Archive a vote that has not ended
+ * @param {{accountId: AccountId, privateKey: PrivateKey}} [options.signer] - Owner key to sign the hash with
+ * @param {number} [options.concurrency=4]
+ * @returns {Promise<object>} bundle
+ */
+async function createArchive(voter, options = {}) {
+	const status = await voter.getStatus();
+	if (status !== 'Ended' && !options.force) {
+		throw new Error(`Voting status is ${status}. Archive once the vote has ended, or force it`);
+	}
+	if (options.signer) {
+		const owner = (await voter.getOwner()).toLowerCase();
+		if (!(await addressesOf(voter.mirror, options.signer.accountId)).includes(owner)) {
+			throw new Error(`${options.signer.accountId} does not own ${voter.contractId} (owner ${owner}); only the owner key can attest the archive`);
+		}
+	}
+
+	const content = await readArchiveContent(voter, options);
+	const bundle = {
+		format: FORMAT,
+		version: 1,
+		createdAt: new Date().toISOString(),
+		status,
+		content,
+		hash: hashContent(content),
+	};
+	if (options.signer) bundle.signature = signHash(bundle.hash, options.signer);
+	return bundle;
+}
+
+// The long-zero address and the mirror's EVM address of an account, lowercase
+async function addressesOf(network, accountId) {
+	const id = AccountId.fromString(accountId.toString());
+	const addresses = [`0x${id.toSolidityAddress()}`.toLowerCase()];
+	const evm = await homebrewPopulateAccountEvmAddress(network, id);
+	if (evm) addresses.push(evm.toLowerCase());
+	return addresses;
+}
+
+/**
+ * Write a bundle as JSON
+ * @param {string} file
+ * @param {object} bundle
+ */
+function writeArchive(file, bundle) {
+	fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+	fs.writeFileSync(file, `${JSON.stringify(bundle, null, 2)}\n`);
+}
+
+/**
+ * Read a bundle file
+ * @param {string} file
+ * @returns {object}
+ */
+function readArchive(file) {
+	const bundle = JSON.parse(fs.readFileSync(file, 'utf8'));
+	if (bundle.format !== FORMAT || !bundle.content || !bundle.hash) {
+		throw new Error(`${file} is not a LazyVoter archive bundle`);
+	}
+	return bundle;
+}
+
+// Per-section comparison listing what differs, for the verify report
+function compareSection(name, archived, live) {
+	if (canonicalJson(archived) === canonicalJson(live)) return { section: name, matches: true, differences: [] };
+	const differences = [];
+	if (name === 'votes') {
+		const bySerial = new Map(live.map(v => [v.serial, v]));
+		archived.forEach((v) => {
+			if (canonicalJson(v) !== canonicalJson(bySerial.get(v.serial))) differences.push(`serial ${v.serial}`);
+			bySerial.delete(v.serial);
+		});
+		bySerial.forEach((v, serial) => differences.push(`serial ${serial} (not in archive)`));
+	}
+	else if (name === 'events') {
+		differences.push(`${archived.length} archived, ${live.length} on the mirror node`);
+		const index = archived.findIndex((e, i) => canonicalJson(e) !== canonicalJson(live[i]));
+		if (index >= 0) differences.push(`first difference at event ${index} (${archived[index].consensusTimestamp})`);
+	}
+	else {
+		const keys = new Set([...Object.keys(archived ?? {}), ...Object.keys(live ?? {})]);
+		keys.forEach((key) => {
+			if (canonicalJson(archived?.[key]) !== canonicalJson(live?.[key])) differences.push(key);
+		});
+	}
+	return { section: name, matches: false, differences };
+}
+
+// The owner as of the archive: newOwner of the last OwnershipTransferred in the archived log
+function ownerInLog(events) {
+	const transfer = events.filter(e => e.name === 'OwnershipTransferred').at(-1);
+	return transfer ? transfer.args.newOwner.toLowerCase() : null;
+}
+
+async function verifySignature(voter, bundle) {
+	const result = { ...(await checkSignature(voter.mirror, bundle.hash, bundle.signature)), ownerAtArchive: null, currentOwner: null };
+	if (!result.valid) return result;
+	const addresses = await addressesOf(voter.mirror, bundle.signature.account);
+	const archivedOwner = ownerInLog(bundle.content.events ?? []);
+	if (archivedOwner) result.ownerAtArchive = addresses.includes(archivedOwner);
+	result.currentOwner = addresses.includes((await voter.getOwner()).toLowerCase());
+	return result;
+}
+
+// A signature attests the archive only when its key is the signing account's own key and that
+// account owned the contract: as of the archive, or now when the archived log has no ownership event
+function isAttested(signature) {
+	if (!signature.valid || signature.keyMatchesAccount !== true) return false;
+	return signature.ownerAtArchive ?? signature.currentOwner;
+}
+
+/**
+ * Check a bundle: its hash against its content, the owner signature if present, and every
+ * section against the chain state re-read through the mirror node. A signature only counts when
+ * its key is the signing account's key (not a key list) and the account owned the contract as of
+ * the archive, per the OwnershipTransferred events in the archived log.
+ * @param {LazyVoterClient} voter - bound to the bundle's contract and network
+ * @param {object} bundle - from readArchive
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4]
+ * @returns {Promise<{verified: boolean, hash: string, intact: boolean, signature: object|null, sections: object[]}>}
+ *   signature.keyMatchesAccount is null when the signer's key is a key list; signature.ownerAtArchive is null
+ *   when the archived log has no OwnershipTransferred event, and signature.attested is the overall outcome
+ */
+async function verifyArchive(voter, bundle, options = {}) {
+	const intact = hashContent(bundle.content) === bundle.hash;
+	const signature = bundle.signature ? await verifySignature(voter, bundle) : null;
+	if (signature) signature.attested = isAttested(signature);
+	const live = await readArchiveContent(voter, { asOf: bundle.content.asOf, concurrency: options.concurrency });
+	const sections = SECTIONS.map(name => compareSection(name, bundle.content[name], live[name]));
+	return {
+		verified: intact && (!signature || signature.attested) && sections.every(s => s.matches),
+		hash: bundle.hash,
+		intact,
+		signature,
+		sections,
+	};
+}
+
+module.exports = {
+	canonicalJson,
+	createArchive,
+	hashContent,
+	readArchive,
+	readArchiveContent,
+	signHash,
+	verifyArchive,
+	writeArchive,
+};
@@ -0,0 +1,149 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { readContractEvents } = require('./events');
+const { hashContent, signHash } = require('./archive');
+const { isZeroAddress } = require('./address');
+const { mapConcurrent } = require('./pagination');
+const { TALLY_KEYS, choiceLabel } = require('./voteTypes');
+
+const FORMAT = 'lazyvoter-audit';
+
+/**
+ * Replay VoteCasted events the way LazyVoter.vote applies them: the last vote for a serial wins,
+ * and moves the serial's count from the previous vote type and voter to the new ones.
+ * @param {object[]} events - decoded VoteCasted events in consensus order
+ * @returns {{votes: Map<number, {voteType: number, voter: string, timestamp: number}>, tallies: object, voters: Map<string, number>}}
+ *   timestamp is consensus seconds, as the contract stores block.timestamp
+ */
+function replayVotes(events) {
+	const votes = new Map();
+	for (const event of events) {
+		const { voter, serials, voteType } = event.args;
+		const timestamp = Number(event.consensusTimestamp.split('.')[0]);
+		serials.forEach(serial => votes.set(Number(serial), { voteType: Number(voteType), voter: voter.toLowerCase(), timestamp }));
+	}
+	const tallies = { yes: 0, no: 0, abstain: 0 };
+	const voters = new Map();
+	votes.forEach(({ voteType, voter }) => {
+		if (TALLY_KEYS[voteType]) tallies[TALLY_KEYS[voteType]]++;
+		voters.set(voter, (voters.get(voter) ?? 0) + 1);
+	});
+	return { votes, tallies, voters };
+}
+
+function describeVote(vote) {
+	return vote ? { choice: choiceLabel(vote.voteType), voter: vote.voter, timestamp: vote.timestamp } : null;
+}
+
+/**
+ * Recompute the tally from the event log and compare it with what the contract reports:
+ * getResults counters, getVotedSerials, getVoteInfo for every serial either side knows about,
+ * and getAllVoters counts. Every disagreement is listed as a divergence.
+ * @param {LazyVoterClient} voter
+ * @param {object} [options]
+ * @param {string} [options.asOf] - Consensus timestamp that bounds the event log (default: now)
+ * @param {number} [options.concurrency=4] - getVoteInfo calls in flight
+ * @param {EventIndex} [options.index] - Read events from this local index (synced first) instead of paging the mirror node
+ * @returns {Promise<object>} audit summary; consistent is true when there are no divergences
+ */
+async function auditTally(voter, options = {}) {
+	const asOf = options.asOf ?? `${Math.floor(Date.now() / 1000)}.000000000`;
+	const [status, results, votedSerials, allVoters, events] = await Promise.all([
+		voter.getStatus(),
+		voter.getResults(),
+		voter.getVotedSerials(),
+		voter.getAllVoters(),
+		readContractEvents(voter, { name: 'VoteCasted', toTimestamp: asOf, index: options.index }),
+	]);
+	const replay = replayVotes(events);
+	const divergences = [];
+
+	Object.keys(replay.tallies).forEach((key) => {
+		if (replay.tallies[key] !== results[key]) {
+			divergences.push({ check: 'results', field: key, replayed: replay.tallies[key], contract: results[key] });
+		}
+	});
+
+	const voted = new Set(votedSerials);
+	replay.votes.forEach((vote, serial) => {
+		if (!voted.has(serial)) divergences.push({ check: 'votedSerials', serial, replayed: true, contract: false });
+	});
+	voted.forEach((serial) => {
+		if (!replay.votes.has(serial)) divergences.push({ check: 'votedSerials', serial, replayed: false, contract: true });
+	});
+
+	const serials = [...new Set([...replay.votes.keys(), ...voted])].sort((a, b) => a - b);
+	const infos = await mapConcurrent(serials, serial => voter.getVoteInfo(serial), options.concurrency);
+	serials.forEach((serial, i) => {
+		const info = infos[i];
+		const onChain = isZeroAddress(info.voter) ? null : describeVote({ ...info, voter: info.voter.toLowerCase() });
+		const replayed = describeVote(replay.votes.get(serial));
+		const fields = ['choice', 'voter', 'timestamp'].filter(field => replayed?.[field] !== onChain?.[field]);
+		if (fields.length) divergences.push({ check: 'voteInfo', serial, fields, replayed, contract: onChain });
+	});
+
+	const contractVoters = new Map(allVoters.voters.map((address, i) => [address.toLowerCase(), allVoters.voteCounts[i]]));
+	new Set([...replay.voters.keys(), ...contractVoters.keys()]).forEach((address) => {
+		const replayed = replay.voters.get(address) ?? 0;
+		const contract = contractVoters.get(address) ?? 0;
+		if (replayed !== contract) divergences.push({ check: 'voters', voter: address, replayed, contract });
+	});
+
+	const checks = ['results', 'votedSerials', 'voteInfo', 'voters'].map(check => ({
+		check,
+		divergences: divergences.filter(d => d.check === check).length,
+	}));
+	return {
+		contractId: voter.contractId.toString(),
+		network: voter.network,
+		asOf,
+		status,
+		events: events.length,
+		serials: replay.votes.size,
+		replayed: { ...replay.tallies, total: replay.tallies.yes + replay.tallies.no + replay.tallies.abstain },
+		contract: { ...results, total: results.yes + results.no + results.abstain },
+		checks,
+		divergences,
+		consistent: divergences.length === 0,
+	};
+}
+
+/**
+ * Wrap an audit in a summary document with its canonical hash and, with a signing key, the
+ * auditor's signature over that hash
+ * @param {object} audit - from auditTally
+ * @param {object} [options]
+ * @param {{accountId: AccountId, privateKey: PrivateKey}} [options.signer]
+ * @returns {object} summary
+ */
+function createAuditSummary(audit, options = {}) {
+	const summary = {
+		format: FORMAT,
+		version: 1,
+		kind: 'tally',
+		createdAt: new Date().toISOString(),
+		content: audit,
+		hash: hashContent(audit),
+	};
+	if (options.signer) summary.signature = signHash(summary.hash, options.signer);
+	return summary;
+}
+
+/**
+ * Write an audit summary as JSON
+ * @param {string} file
+ * @param {object} summary
+ */
+function writeAuditSummary(file, summary) {
+	fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+	fs.writeFileSync(file, `${JSON.stringify(summary, null, 2)}\n`);
+}
+
+module.exports = {
+	auditTally,
+	createAuditSummary,
+	replayVotes,
+	writeAuditSummary,
+};
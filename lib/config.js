@@ -0,0 +1,286 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AccountId, ContractId } = require('@hashgraph/sdk');
+const { parsePrivateKey } = require('../utils/clientFactory');
+const { ProposalBook } = require('./proposalBook');
+const { Keystore } = require('./keystore');
+const { DeploymentManifest } = require('./manifest');
+
+// .env is read here once, for every command and client
+require('dotenv').config();
+
+const CONFIG_DIR = '.lazyvote';
+const CONFIG_FILE = 'config.json';
+const NETWORKS = ['TEST', 'MAIN', 'PREVIEW', 'LOCAL'];
+const PROFILE_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+/**
+ * Resolvable settings, in the order they are reported.
+ * key: profile key used by `lazyvote config set`; proposal: field supplied by --proposal; env: fallbacks, first set wins;
+ * manifest: contract whose latest deployment on the resolved network is the last resort;
+ * network: the value only applies to the network configured alongside it (see mirrorApplies).
+ */
+const SETTINGS = {
+	network: {
+		key: 'network', proposal: 'network', env: ['ENVIRONMENT'], default: 'TEST',
+		parse: (value) => {
+			const network = String(value).toUpperCase().replace(/NET$/, '');
+			if (!NETWORKS.includes(network)) throw new Error(`Invalid network "${value}". Must be one of: ${NETWORKS.join(', ')}`);
+			return network;
+		},
+	},
+	mirrorUrl: {
+		key: 'mirror-url', env: ['LAZYVOTE_MIRROR_URL'], network: true,
+		parse: value => new URL(value).toString().replace(/\/$/, ''),
+	},
+	accountId: {
+		key: 'account-id', env: ['ACCOUNT_ID'],
+		parse: value => AccountId.fromString(value).toString(),
+	},
+	privateKey: {
+		key: 'private-key', env: ['PRIVATE_KEY'], secret: true,
+		parse: (value) => {
+			parsePrivateKey(value, 'private-key');
+			return value;
+		},
+	},
+	key: {
+		key: 'key', env: ['LAZYVOTE_KEY'],
+		parse: (value) => {
+			if (!PROFILE_PATTERN.test(value)) throw new Error(`Invalid key name "${value}". Use letters, digits, '.', '_' and '-'`);
+			return value;
+		},
+	},
+	contractId: {
+		key: 'contract-id', proposal: 'contractId', env: ['LAZYVOTE_CONTRACT_ID', 'CONTRACT_ID'], manifest: 'LazyVoter',
+		parse: value => ContractId.fromString(value).toString(),
+	},
+	registryId: {
+		key: 'registry-id', proposal: 'registry', env: ['LAZYVOTE_DELEGATE_REGISTRY_ID', 'LAZY_DELEGATE_REGISTRY_CONTRACT_ID'], manifest: 'LazyDelegateRegistry',
+		parse: value => ContractId.fromString(value).toString(),
+	},
+};
+
+/**
+ * Where the profile file lives: LAZYVOTE_CONFIG_FILE, else ./.lazyvote/config.json
+ * when the project has one, else ~/.lazyvote/config.json
+ * @returns {string}
+ */
+function defaultConfigPath() {
+	if (process.env.LAZYVOTE_CONFIG_FILE) return path.resolve(process.env.LAZYVOTE_CONFIG_FILE);
+	const projectFile = path.resolve(CONFIG_DIR, CONFIG_FILE);
+	if (fs.existsSync(projectFile)) return projectFile;
+	return path.join(os.homedir(), CONFIG_DIR, CONFIG_FILE);
+}
+
+/**
+ * Named configuration profiles (e.g. testnet-ops, mainnet-treasury) plus the current one.
+ * Profile values use the SETTINGS names: network, mirrorUrl, accountId, privateKey, key, contractId, registryId.
+ */
+class ProfileStore {
+	/**
+	 * @param {string} file
+	 * @param {object} [doc] - { current, profiles }
+	 */
+	constructor(file, doc = {}) {
+		this.file = file;
+		this.current = doc.current ?? null;
+		this.profiles = doc.profiles ?? {};
+	}
+
+	/**
+	 * Read the profile file (empty if it does not exist yet)
+	 * @param {string} [file=defaultConfigPath()]
+	 * @returns {ProfileStore}
+	 */
+	static load(file = defaultConfigPath()) {
+		if (!fs.existsSync(file)) return new ProfileStore(file);
+		return new ProfileStore(file, JSON.parse(fs.readFileSync(file, 'utf8')));
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {object} the profile's values
+	 * @throws {Error} when the profile does not exist
+	 */
+	get(name) {
+		const profile = this.profiles[name];
+		if (!profile) {
+			const known = Object.keys(this.profiles).sort();
+			throw new Error(`Unknown profile "${name}" in ${this.file}. ${known.length ? `Known: ${known.join(', ')}` : 'Create one with: lazyvote config set <key> <value> --profile <name>'}`);
+		}
+		return profile;
+	}
+
+	/**
+	 * Make a profile the default for every command
+	 * @param {string} name
+	 */
+	use(name) {
+		this.get(name);
+		this.current = name;
+	}
+
+	/**
+	 * Set one value, creating the profile if needed (the first profile becomes current)
+	 * @param {string} name - Profile name
+	 * @param {string} key - Profile key, e.g. 'network' or 'contract-id'
+	 * @param {string} value - Empty string removes the key
+	 * @returns {object} the updated profile
+	 */
+	set(name, key, value) {
+		if (!PROFILE_PATTERN.test(name)) {
+			throw new Error(`Invalid profile name "${name}". Use letters, digits, '.', '_' and '-'`);
+		}
+		const setting = Object.entries(SETTINGS).find(([, s]) => s.key === key);
+		if (!setting) {
+			throw new Error(`Unknown key "${key}". Must be one of: ${Object.values(SETTINGS).map(s => s.key).join(', ')}`);
+		}
+		const [field, { parse }] = setting;
+		const profile = this.profiles[name] ?? {};
+		if (value === '') delete profile[field];
+		else profile[field] = parse(value);
+		this.profiles[name] = profile;
+		if (!this.current) this.current = name;
+		return profile;
+	}
+
+	/**
+	 * Write the file atomically, readable by the owner only (profiles may hold a private key)
+	 */
+	save() {
+		const tmpFile = `${this.file}.tmp`;
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+		fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, current: this.current, profiles: this.profiles }, null, 2), { mode: 0o600 });
+		fs.renameSync(tmpFile, this.file);
+	}
+}
+
+/**
+ * Resolve network, mirror, operator, contract and registry for a command or client.
+ * Precedence per setting: flag, then --proposal, then profile (--profile, LAZYVOTE_PROFILE or the current one), then env,
+ * then for contract and registry the latest deployment in the network's manifest (deployments/<network>.json).
+ * A profile or env mirror URL is only taken when the network came from there too, so it never points another network at the wrong mirror.
+ * Every value is checked with its setting's parser, wherever it came from.
+ * The keystore is not read here: a keystore key's account is looked up by operatorAccountId when needed.
+ * @param {object} [flags] - yargs argv or client options: profile, proposal, network, mirrorUrl, accountId, privateKey, key, contractId, registryId
+ * @returns {{profile: string|null, proposal: string|null, nftToken: string|null, network: string, mirrorUrl: string|null,
+ *   accountId: string|null, privateKey: string|null, key: string|null, contractId: string|null, registryId: string|null, sources: object}}
+ *   sources maps each setting to where it came from, e.g. 'flag', 'proposal dao-1', 'profile testnet-ops', 'env CONTRACT_ID', 'manifest deployments/test.json'
+ * @throws {Error} naming the setting and its source when a value is invalid
+ */
+function resolveConfig(flags = {}) {
+	const store = ProfileStore.load();
+	const profileName = flags.profile || process.env.LAZYVOTE_PROFILE || store.current || null;
+	const profile = profileName ? store.get(profileName) : {};
+	const proposal = flags.proposal ? ProposalBook.load().get(flags.proposal) : null;
+
+	const config = {
+		profile: profileName,
+		proposal: proposal?.alias ?? null,
+		nftToken: proposal?.nftToken ?? null,
+		sources: {},
+	};
+	let manifest = null;
+	for (const [field, setting] of Object.entries(SETTINGS)) {
+		// network resolves first, so the manifest is the one for the resolved network
+		if (setting.manifest && !manifest) manifest = DeploymentManifest.load(config.network);
+		const candidates = [
+			['flag', flags[field]],
+			[`proposal ${proposal?.alias}`, setting.proposal ? proposal?.[setting.proposal] : null],
+			[`profile ${profileName}`, profile[field]],
+			...setting.env.map(name => [`env ${name}`, process.env[name]]),
+			[`manifest ${manifest && path.relative(process.cwd(), manifest.file)}`, setting.manifest ? manifest.latest(setting.manifest)?.contractId : null],
+			['default', setting.default],
+		].filter(([source]) => !setting.network || mirrorApplies(source, config.sources.network));
+		const [source, value] = candidates.find(([, v]) => v !== undefined && v !== null && v !== '') ?? [null, null];
+		try {
+			config[field] = value === null ? null : setting.parse(String(value));
+		}
+		catch (err) {
+			throw new Error(`Invalid ${setting.key} (${source}): ${err.message}`);
+		}
+		config.sources[field] = source;
+	}
+	return config;
+}
+
+// A network-bound value applies from a flag, or from the layer the network came from (env also covers the default network)
+function mirrorApplies(source, networkSource) {
+	const layer = source.split(' ')[0];
+	if (layer === 'flag' || source === networkSource) return true;
+	return layer === 'env' && (networkSource.startsWith('env ') || networkSource === 'default');
+}
+
+// Lower is stronger: flag, proposal, profile, env, manifest, default
+function sourceRank(source) {
+	return ['flag', 'proposal', 'profile', 'env', 'manifest', 'default'].indexOf(source?.split(' ')[0] ?? 'default');
+}
+
+/**
+ * Whether a resolved config names an operator (account and private key, or a keystore key)
+ * @param {object} config - from resolveConfig
+ * @returns {boolean}
+ */
+function hasOperator(config) {
+	return Boolean(config.key || (config.accountId && config.privateKey));
+}
+
+/**
+ * The operator account a resolved config names: account-id, else the account recorded with its
+ * keystore key. Reads keystore metadata only; nothing is unlocked.
+ * @param {object} config - from resolveConfig
+ * @param {object} [options]
+ * @param {string} [options.keystoreFile] - Keystore file (default: LAZYVOTE_KEYSTORE_FILE or ~/.lazyvote/keystore.json)
+ * @returns {string|null}
+ */
+function operatorAccountId(config, options = {}) {
+	if (config.accountId) return config.accountId;
+	if (!config.key) return null;
+	return Keystore.load(options.keystoreFile).get(config.key).accountId ?? null;
+}
+
+/**
+ * Operator credentials from a resolved config. A keystore key is used over a plaintext
+ * private key unless the private key was given at a higher precedence (e.g. a flag over a profile key).
+ * @param {object} config - from resolveConfig
+ * @param {object} [options]
+ * @param {string|function(string): string} [options.passphrase] - Keystore passphrase, or a function of the key name returning it
+ * @param {string} [options.keystoreFile] - Keystore file (default: LAZYVOTE_KEYSTORE_FILE or ~/.lazyvote/keystore.json)
+ * @returns {{operatorId: AccountId, operatorKey: PrivateKey}}
+ * @throws {Error} when the account or key is missing, or the passphrase is wrong
+ */
+function resolveOperator(config, options = {}) {
+	const useKeystore = config.key && (!config.privateKey || sourceRank(config.sources.key) <= sourceRank(config.sources.privateKey));
+	const accountId = useKeystore ? operatorAccountId(config, options) : config.accountId;
+	if (!accountId || (!useKeystore && !config.privateKey)) {
+		throw new Error('Operator credentials required. Use --key with an imported key (lazyvote key import), or set account-id and private-key in your profile (lazyvote config set) or ACCOUNT_ID and PRIVATE_KEY in .env');
+	}
+	if (useKeystore) {
+		const passphrase = typeof options.passphrase === 'function' ? options.passphrase(config.key) : options.passphrase;
+		if (passphrase === undefined || passphrase === null) {
+			throw new Error(`Passphrase required to unlock key "${config.key}"`);
+		}
+		return {
+			operatorId: AccountId.fromString(accountId),
+			operatorKey: Keystore.load(options.keystoreFile).unlock(config.key, passphrase).privateKey,
+		};
+	}
+	return {
+		operatorId: AccountId.fromString(config.accountId),
+		operatorKey: parsePrivateKey(config.privateKey, `Private key (${config.sources.privateKey})`),
+	};
+}
+
+module.exports = {
+	ProfileStore,
+	SETTINGS,
+	defaultConfigPath,
+	hasOperator,
+	operatorAccountId,
+	resolveConfig,
+	resolveOperator,
+};
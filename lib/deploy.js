@@ -0,0 +1,222 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {
+	ContractCreateTransaction,
+	ContractFunctionParameters,
+	ContractId,
+	FileContentsQuery,
+	TokenId,
+} = require('@hashgraph/sdk');
+const { contractDeployFunction } = require('../utils/solidityHelpers');
+const { getTokenDetails, mirrorTarget } = require('../utils/hederaMirrorHelpers');
+const { getLogger } = require('./logger');
+const { hashBytecode } = require('./manifest');
+const { formatSerials } = require('./serialParser');
+
+const REGISTRY_GAS = 3_500_000;
+const VOTER_GAS = 4_600_000;
+const GAS_PER_SERIAL = 50_000;
+
+// Each constructor serial costs calldata and gas; above this the contract is deployed
+// empty and the serials are seeded with addEligibleSerials in batches
+const MAX_CONSTRUCTOR_SERIALS = 50;
+
+// Seeding must finish before voting opens (addEligibleSerials reverts once it has), so a
+// deployment that seeds needs its start time at least this far ahead
+const SEED_MARGIN_SECONDS = 600;
+
+/**
+ * Load a contract's creation bytecode from Hardhat artifacts
+ * @param {string} contractName - e.g. 'LazyVoter'
+ * @param {string} [artifactDir='./artifacts/contracts']
+ * @returns {string} bytecode
+ */
+function loadBytecode(contractName, artifactDir = './artifacts/contracts') {
+	const artifactPath = path.join(artifactDir, `${contractName}.sol`, `${contractName}.json`);
+	if (!fs.existsSync(artifactPath)) {
+		throw new Error(`Cannot find bytecode for ${contractName} at ${artifactPath}. Run 'npx hardhat compile' or deploy from an uploaded bytecode file with --bytecode-file-id`);
+	}
+	const json = JSON.parse(fs.readFileSync(artifactPath, 'utf8'));
+	if (!json.bytecode || json.bytecode === '0x') {
+		throw new Error(`Artifact for ${contractName} has no bytecode at ${artifactPath}`);
+	}
+	return json.bytecode;
+}
+
+/**
+ * Parse a token given as a Hedera ID (0.0.X) or an EVM address (0x...)
+ * @param {string} value
+ * @returns {TokenId}
+ */
+function parseTokenId(value) {
+	try {
+		return String(value).startsWith('0x') ? TokenId.fromEvmAddress(0, 0, value) : TokenId.fromString(value);
+	}
+	catch {
+		throw new Error(`Invalid NFT token "${value}". Must be 0.0.X or 0x...`);
+	}
+}
+
+/**
+ * Check through the mirror node that a token exists and is an NFT collection
+ * @param {string} network
+ * @param {TokenId|string} tokenId
+ * @param {object} [options]
+ * @param {string} [options.mirrorUrl] - Custom mirror node base URL
+ * @returns {Promise<{name: string, symbol: string, totalSupply: number, maxSupply: number, treasury: string}>}
+ * @throws {Error} when the token is unknown or fungible
+ */
+async function validateNftToken(network, tokenId, options = {}) {
+	const details = await getTokenDetails(mirrorTarget(network, options.mirrorUrl), tokenId);
+	if (!details) {
+		throw new Error(`NFT token ${tokenId} not found on ${network}`);
+	}
+	if (details.type !== 'NON_FUNGIBLE_UNIQUE') {
+		throw new Error(`Token ${tokenId} (${details.symbol}) is ${details.type}, not an NFT collection`);
+	}
+	return {
+		name: details.name,
+		symbol: details.symbol,
+		totalSupply: Number(details.total_supply),
+		maxSupply: Number(details.max_supply),
+		treasury: details.treasury_account_id,
+	};
+}
+
+// ContractCreateFlow uploads the bytecode itself; an uploaded file only needs the create transaction.
+// Either way the bytecode is hashed for the manifest.
+async function createContract(client, operatorId, options) {
+	const { contractName, gasLimit, params, bytecodeFileId, artifactDir } = options;
+	let deployed;
+	if (bytecodeFileId) {
+		getLogger().debug(`Deploying ${contractName} from bytecode file ${bytecodeFileId}`, { contractName, bytecodeFileId, gasLimit });
+		const contents = await new FileContentsQuery().setFileId(bytecodeFileId).execute(client);
+		const createTx = new ContractCreateTransaction()
+			.setBytecodeFileId(bytecodeFileId)
+			.setGas(gasLimit)
+			.setAutoRenewAccountId(operatorId);
+		if (params) createTx.setConstructorParameters(params);
+		const response = await createTx.execute(client);
+		const record = await response.getRecord(client);
+		deployed = {
+			contractId: record.receipt.contractId,
+			address: record.receipt.contractId.toSolidityAddress(),
+			transactionId: response.transactionId,
+			consensusTimestamp: record.consensusTimestamp,
+			bytecodeHash: hashBytecode(contents),
+		};
+	}
+	else {
+		const bytecode = loadBytecode(contractName, artifactDir);
+		getLogger().debug(`Deploying ${contractName} from artifacts`, { contractName, gasLimit });
+		const [contractId, address, transactionId, consensusTimestamp] = await contractDeployFunction(client, bytecode, gasLimit, params);
+		deployed = { contractId, address, transactionId, consensusTimestamp, bytecodeHash: hashBytecode(bytecode) };
+	}
+	return {
+		contractId: deployed.contractId.toString(),
+		address: deployed.address,
+		transactionId: deployed.transactionId.toString(),
+		consensusTimestamp: deployed.consensusTimestamp.toString(),
+		bytecodeHash: deployed.bytecodeHash,
+		bytecodeFileId: bytecodeFileId ?? null,
+		deployer: operatorId.toString(),
+	};
+}
+
+// Write the deployment to the manifest, when one was given
+function recordDeployment(manifest, contractName, deployed, constructorArgs) {
+	if (!manifest) return;
+	manifest.record(contractName, { ...deployed, constructorArgs });
+	manifest.save();
+}
+
+/**
+ * Deploy a LazyDelegateRegistry
+ * @param {Client} client - Hedera client with an operator
+ * @param {AccountId} operatorId - Auto-renew account
+ * @param {object} [options]
+ * @param {string} [options.bytecodeFileId] - Deploy from bytecode already uploaded to a file
+ * @param {string} [options.artifactDir='./artifacts/contracts'] - Hardhat artifacts, used without bytecodeFileId
+ * @param {DeploymentManifest} [options.manifest] - Record the deployment here
+ * @returns {Promise<{contractId: string, address: string, transactionId: string, consensusTimestamp: string, bytecodeHash: string,
+ *   bytecodeFileId: string|null, deployer: string}>}
+ */
+async function deployRegistry(client, operatorId, options = {}) {
+	const deployed = await createContract(client, operatorId, {
+		...options,
+		contractName: 'LazyDelegateRegistry',
+		gasLimit: REGISTRY_GAS,
+	});
+	recordDeployment(options.manifest, 'LazyDelegateRegistry', deployed, {});
+	return deployed;
+}
+
+/**
+ * Deploy a LazyVoter. Up to MAX_CONSTRUCTOR_SERIALS eligible serials go into the constructor;
+ * a longer list is deployed empty and returned as pendingSerials, to be seeded with
+ * LazyVoterClient#addEligibleSerials before startTime.
+ * @param {Client} client - Hedera client with an operator (becomes the contract owner)
+ * @param {AccountId} operatorId - Auto-renew account
+ * @param {object} options
+ * @param {string} options.voteMessage
+ * @param {TokenId|string} options.nftToken - Voting NFT collection
+ * @param {number} options.quorum - Votes needed
+ * @param {number} options.startTime - Unix seconds
+ * @param {number} options.endTime - Unix seconds, after startTime
+ * @param {ContractId|string} options.registry - LazyDelegateRegistry contract ID
+ * @param {number[]} [options.eligibleSerials=[]]
+ * @param {string} [options.bytecodeFileId] - Deploy from bytecode already uploaded to a file
+ * @param {string} [options.artifactDir='./artifacts/contracts'] - Hardhat artifacts, used without bytecodeFileId
+ * @param {DeploymentManifest} [options.manifest] - Record the deployment here
+ * @returns {Promise<{contractId: string, address: string, transactionId: string, consensusTimestamp: string, bytecodeHash: string, bytecodeFileId: string|null,
+ *   deployer: string, constructorArgs: object, constructorSerials: number, pendingSerials: number[]}>}
+ */
+async function deployVoter(client, operatorId, options) {
+	const { voteMessage, quorum, startTime, endTime } = options;
+	const eligibleSerials = options.eligibleSerials ?? [];
+	if (endTime <= startTime) {
+		throw new Error('End time must be after start time');
+	}
+	const inConstructor = eligibleSerials.length <= MAX_CONSTRUCTOR_SERIALS ? eligibleSerials : [];
+	const nftToken = parseTokenId(options.nftToken.toString());
+	const registry = ContractId.fromString(options.registry.toString());
+	const params = new ContractFunctionParameters()
+		.addString(voteMessage)
+		.addAddress(nftToken.toSolidityAddress())
+		.addUint256(quorum)
+		.addUint256(startTime)
+		.addUint256(endTime)
+		.addAddress(registry.toSolidityAddress())
+		.addUint256Array(inConstructor);
+
+	const deployed = await createContract(client, operatorId, {
+		...options,
+		contractName: 'LazyVoter',
+		gasLimit: VOTER_GAS + inConstructor.length * GAS_PER_SERIAL,
+		params,
+	});
+	const pendingSerials = inConstructor.length === eligibleSerials.length ? [] : eligibleSerials;
+	const constructorArgs = {
+		voteMessage,
+		nftToken: nftToken.toString(),
+		quorum,
+		startTime,
+		endTime,
+		registry: registry.toString(),
+		eligibleSerials: formatSerials(inConstructor),
+	};
+	recordDeployment(options.manifest, 'LazyVoter', deployed, constructorArgs);
+	return { ...deployed, constructorArgs, constructorSerials: inConstructor.length, pendingSerials };
+}
+
+module.exports = {
+	MAX_CONSTRUCTOR_SERIALS,
+	SEED_MARGIN_SECONDS,
+	deployRegistry,
+	deployVoter,
+	loadBytecode,
+	parseTokenId,
+	validateNftToken,
+};
@@ -0,0 +1,316 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const { AccountId } = require('@hashgraph/sdk');
+const { getTokenDetails, getTokenNFTsPage, getEntityInfo } = require('../utils/hederaMirrorHelpers');
+const { parseSerials } = require('./serialParser');
+const { mapConcurrent } = require('./pagination');
+const { getLogger } = require('./logger');
+
+const DEFAULT_GATEWAY = 'https://ipfs.io/ipfs/';
+const METADATA_TIMEOUT = 10_000;
+const METADATA_ATTEMPTS = 3;
+const TRAIT_OPS = ['eq', 'neq', 'in', 'nin', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+// Trait value comparisons; strings compare as text, gt/gte/lt/lte as numbers
+const COMPARE = {
+	eq: (actual, value) => String(actual) === String(value),
+	neq: (actual, value) => String(actual) !== String(value),
+	in: (actual, value) => value.map(String).includes(String(actual)),
+	nin: (actual, value) => !value.map(String).includes(String(actual)),
+	gt: (actual, value) => Number(actual) > Number(value),
+	gte: (actual, value) => Number(actual) >= Number(value),
+	lt: (actual, value) => Number(actual) < Number(value),
+	lte: (actual, value) => Number(actual) <= Number(value),
+};
+
+/**
+ * Exclusion reasons in the order rules are checked; a serial is reported under the first rule it fails.
+ */
+const REASONS = {
+	'include.serials': 'serial not in include.serials',
+	'exclude.serials': 'serial in exclude.serials',
+	'include.accounts': 'owner not in include.accounts',
+	'exclude.accounts': 'owner in exclude.accounts',
+	'exclude.treasury': 'held by the token treasury',
+	'exclude.contracts': 'held by a contract (e.g. marketplace escrow)',
+	'exclude.deletedAccounts': 'owner account is deleted',
+	'holdings.min': 'owner holds fewer than holdings.min serials',
+	'holdings.max': 'owner holds more than holdings.max serials',
+	'metadata': 'metadata does not match the trait rules',
+	'metadata.unavailable': 'metadata could not be fetched or parsed',
+};
+
+function accountList(list, where) {
+	if (list === undefined) return null;
+	if (!Array.isArray(list)) throw new Error(`${where} must be an array of account IDs`);
+	return new Set(list.map((id) => {
+		try {
+			return AccountId.fromString(String(id)).toString();
+		}
+		catch {
+			throw new Error(`${where}: invalid account ID "${id}"`);
+		}
+	}));
+}
+
+function serialSet(input, where) {
+	if (input === undefined) return null;
+	try {
+		return new Set(parseSerials(Array.isArray(input) ? input.join(',') : String(input)));
+	}
+	catch (err) {
+		throw new Error(`${where}: ${err.message}`);
+	}
+}
+
+function validateTrait(predicate, i) {
+	const where = `metadata.traits[${i}]`;
+	if (!predicate || typeof predicate.trait !== 'string' || !predicate.trait) {
+		throw new Error(`${where} needs a "trait" name`);
+	}
+	const ops = Object.keys(predicate).filter(k => k !== 'trait');
+	if (ops.length !== 1 || !TRAIT_OPS.includes(ops[0])) {
+		throw new Error(`${where} needs exactly one of: ${TRAIT_OPS.join(', ')}`);
+	}
+	const [op] = ops;
+	if ((op === 'in' || op === 'nin') && !Array.isArray(predicate[op])) {
+		throw new Error(`${where}.${op} must be an array`);
+	}
+	if (['gt', 'gte', 'lt', 'lte'].includes(op) && !Number.isFinite(Number(predicate[op]))) {
+		throw new Error(`${where}.${op} must be a number`);
+	}
+	return { trait: predicate.trait, op, value: predicate[op] };
+}
+
+/**
+ * Validate a rule object and normalize it for applyRules.
+ *
+ * {
+ *   "exclude": { "treasury": true, "contracts": true, "deletedAccounts": true,
+ *                "accounts": ["0.0.123"], "serials": "1-10" },
+ *   "include": { "accounts": ["0.0.456"], "serials": "1-5000" },
+ *   "holdings": { "min": 1, "max": 100 },
+ *   "metadata": { "gateway": "https://ipfs.io/ipfs/",
+ *                 "traits": [{ "trait": "Background", "in": ["Gold"] }, { "trait": "Level", "gte": 3 }] }
+ * }
+ *
+ * @param {object} raw
+ * @returns {object} normalized rules
+ */
+function parseRules(raw) {
+	if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+		throw new Error('Rules must be a JSON object');
+	}
+	const known = ['version', 'description', 'exclude', 'include', 'holdings', 'metadata'];
+	const unknown = Object.keys(raw).filter(k => !known.includes(k));
+	if (unknown.length) throw new Error(`Unknown rule section(s): ${unknown.join(', ')}. Expected ${known.join(', ')}`);
+
+	const exclude = raw.exclude ?? {};
+	const include = raw.include ?? {};
+	const holdings = raw.holdings ?? {};
+	for (const bound of ['min', 'max']) {
+		if (holdings[bound] !== undefined && (!Number.isInteger(holdings[bound]) || holdings[bound] < 0)) {
+			throw new Error(`holdings.${bound} must be a non-negative integer`);
+		}
+	}
+	if (holdings.min !== undefined && holdings.max !== undefined && holdings.min > holdings.max) {
+		throw new Error('holdings.min is greater than holdings.max');
+	}
+	const traits = raw.metadata?.traits ?? [];
+	if (!Array.isArray(traits)) throw new Error('metadata.traits must be an array');
+
+	return {
+		exclude: {
+			treasury: Boolean(exclude.treasury),
+			contracts: Boolean(exclude.contracts),
+			deletedAccounts: Boolean(exclude.deletedAccounts),
+			accounts: accountList(exclude.accounts, 'exclude.accounts'),
+			serials: serialSet(exclude.serials, 'exclude.serials'),
+		},
+		include: {
+			accounts: accountList(include.accounts, 'include.accounts'),
+			serials: serialSet(include.serials, 'include.serials'),
+		},
+		holdings: { min: holdings.min ?? null, max: holdings.max ?? null },
+		metadata: {
+			gateway: raw.metadata?.gateway ?? DEFAULT_GATEWAY,
+			traits: traits.map(validateTrait),
+		},
+	};
+}
+
+/**
+ * Read and validate a rule file
+ * @param {string} file
+ * @returns {{rules: object, file: string, hash: string}} hash is sha256 of the file bytes, for the report
+ */
+function loadRules(file) {
+	const text = fs.readFileSync(file, 'utf8');
+	let raw;
+	try {
+		raw = JSON.parse(text);
+	}
+	catch (err) {
+		throw new Error(`Rule file ${file} is not valid JSON: ${err.message}`);
+	}
+	let rules;
+	try {
+		rules = parseRules(raw);
+	}
+	catch (err) {
+		throw new Error(`Rule file ${file}: ${err.message}`);
+	}
+	return { rules, file, hash: `sha256:${crypto.createHash('sha256').update(text).digest('hex')}` };
+}
+
+// HIP-412 metadata location for the on-chain metadata bytes (base64 from the mirror)
+function metadataLocation(base64, gateway) {
+	const text = Buffer.from(base64 ?? '', 'base64').toString('utf8').trim();
+	if (text.startsWith('{')) return { inline: text };
+	if (/^https?:\/\//i.test(text)) return { url: text };
+	const cid = text.replace(/^ipfs:\/\//i, '').replace(/^ipfs\//i, '');
+	if (/^(Qm[1-9A-HJ-NP-Za-km-z]{44}|b[a-z2-7]{20,})(\/.*)?$/.test(cid)) {
+		return { url: `${gateway.replace(/\/?$/, '/')}${cid}` };
+	}
+	return null;
+}
+
+// Fetch a metadata document, retrying timeouts, network errors, 429 and 5xx with a growing pause
+async function fetchMetadata(url, timeout, attempts) {
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return (await axios.get(url, { timeout })).data;
+		}
+		catch (err) {
+			const status = err.response?.status;
+			const transient = !status || status === 429 || status >= 500;
+			if (!transient || attempt >= attempts) throw err;
+			await new Promise(resolve => setTimeout(resolve, 500 * attempt));
+		}
+	}
+}
+
+function matchesTrait(attributes, { trait, op, value }) {
+	const attribute = attributes.find(a => a?.trait_type === trait);
+	if (op === 'exists') return Boolean(attribute) === Boolean(value);
+	if (!attribute) return op === 'neq' || op === 'nin';
+	return COMPARE[op](attribute.value, value);
+}
+
+/**
+ * Filter serial holdings through eligibility rules.
+ * Holdings limits count each owner's serials in the input, before any other rule removes some.
+ * @param {string|object} network - TEST, MAIN, PREVIEW, LOCAL or a mirrorTarget
+ * @param {TokenId|string} tokenId
+ * @param {Array<{serial: number, owner: string}>} holdings - e.g. snapshot.serials
+ * @param {object} rules - from parseRules / loadRules().rules
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4] - Mirror and metadata lookups in flight
+ * @param {number} [options.metadataTimeout=10000] - Milliseconds per metadata request
+ * @param {number} [options.metadataAttempts=3] - Tries per metadata document; a serial whose document
+ *   cannot be fetched is excluded under metadata.unavailable
+ * @returns {Promise<{eligible: Array<{serial: number, owner: string}>,
+ *   excluded: Array<{serial: number, owner: string, rule: string, reason: string}>, byRule: object}>}
+ */
+async function applyRules(network, tokenId, holdings, rules, options = {}) {
+	const logger = getLogger();
+	const token = tokenId.toString();
+	const counts = new Map();
+	holdings.forEach(({ owner }) => counts.set(owner, (counts.get(owner) ?? 0) + 1));
+	const owners = [...counts.keys()];
+
+	let treasury = null;
+	if (rules.exclude.treasury) {
+		const details = await getTokenDetails(network, token);
+		if (!details) throw new Error(`Could not fetch token ${token} to find its treasury`);
+		treasury = details.treasury_account_id;
+	}
+
+	const entities = new Map();
+	if (rules.exclude.contracts || rules.exclude.deletedAccounts) {
+		const infos = await mapConcurrent(owners, owner => getEntityInfo(network, owner), options.concurrency);
+		owners.forEach((owner, i) => entities.set(owner, infos[i]));
+	}
+
+	const traits = new Map();
+	if (rules.metadata.traits.length) {
+		const metadataBySerial = new Map();
+		let next = null;
+		do {
+			const page = await getTokenNFTsPage(network, token, { next });
+			page.nfts.forEach(nft => metadataBySerial.set(Number(nft.serial_number), nft.metadata));
+			next = page.next;
+		} while (next);
+
+		const documents = new Map();
+		const fetchAttributes = async (serial) => {
+			const location = metadataLocation(metadataBySerial.get(serial), rules.metadata.gateway);
+			if (!location) return null;
+			const key = location.inline ?? location.url;
+			if (!documents.has(key)) {
+				documents.set(key, (async () => {
+					try {
+						const json = location.inline ? JSON.parse(location.inline) : await fetchMetadata(
+							location.url, options.metadataTimeout ?? METADATA_TIMEOUT, options.metadataAttempts ?? METADATA_ATTEMPTS,
+						);
+						return Array.isArray(json?.attributes) ? json.attributes : [];
+					}
+					catch (err) {
+						logger.debug(`Metadata for ${token} #${serial} unavailable: ${err.message}`, { event: 'eligibility.metadata', serial, error: err });
+						return null;
+					}
+				})());
+			}
+			return documents.get(key);
+		};
+		const serials = holdings.map(h => h.serial);
+		const attributes = await mapConcurrent(serials, fetchAttributes, options.concurrency);
+		serials.forEach((serial, i) => traits.set(serial, attributes[i]));
+	}
+
+	const failedRule = ({ serial, owner }) => {
+		if (rules.include.serials && !rules.include.serials.has(serial)) return 'include.serials';
+		if (rules.exclude.serials?.has(serial)) return 'exclude.serials';
+		if (rules.include.accounts && !rules.include.accounts.has(owner)) return 'include.accounts';
+		if (rules.exclude.accounts?.has(owner)) return 'exclude.accounts';
+		if (treasury && owner === treasury) return 'exclude.treasury';
+		const entity = entities.get(owner);
+		if (rules.exclude.contracts && entity?.type === 'CONTRACT') return 'exclude.contracts';
+		if (rules.exclude.deletedAccounts && entity?.deleted) return 'exclude.deletedAccounts';
+		if (rules.holdings.min !== null && counts.get(owner) < rules.holdings.min) return 'holdings.min';
+		if (rules.holdings.max !== null && counts.get(owner) > rules.holdings.max) return 'holdings.max';
+		if (rules.metadata.traits.length) {
+			const attributes = traits.get(serial);
+			if (!attributes) return 'metadata.unavailable';
+			if (!rules.metadata.traits.every(t => matchesTrait(attributes, t))) return 'metadata';
+		}
+		return null;
+	};
+
+	const eligible = [];
+	const excluded = [];
+	const byRule = {};
+	for (const holding of holdings) {
+		const rule = failedRule(holding);
+		if (!rule) {
+			eligible.push(holding);
+			continue;
+		}
+		excluded.push({ ...holding, rule, reason: REASONS[rule] });
+		byRule[rule] = (byRule[rule] ?? 0) + 1;
+	}
+	logger.debug(`Eligibility rules kept ${eligible.length} of ${holdings.length} serials of ${token}`, {
+		event: 'eligibility.applied', token, eligible: eligible.length, excluded: excluded.length, byRule,
+	});
+	return { eligible, excluded, byRule };
+}
+
+module.exports = {
+	REASONS,
+	applyRules,
+	loadRules,
+	parseRules,
+};
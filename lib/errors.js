@@ -0,0 +1,309 @@
+'use strict';
+
+const { ErrorDescription } = require('ethers');
+const { parseError } = require('../utils/solidityHelpers');
+
+/**
+ * Base class for every error raised by the LazyVoter library.
+ * `code` is stable across releases and safe to branch on; `message` is for humans.
+ */
+class LazyVoterError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {string} [code='LAZYVOTER_ERROR']
+	 * @param {object} [details] - Extra fields copied onto the error (e.g. serial, transactionId)
+	 */
+	constructor(message, code = 'LAZYVOTER_ERROR', details = {}) {
+		super(message);
+		this.name = this.constructor.name;
+		this.code = code;
+		this.transactionId = null;
+		Object.assign(this, details);
+	}
+
+	toJSON() {
+		return { ...this, message: this.message };
+	}
+}
+
+// --- LazyVoter contract errors ---
+
+class ZeroAddressError extends LazyVoterError {
+	constructor(details) {
+		super('Receiver address cannot be the zero address', 'ZERO_ADDRESS', details);
+	}
+}
+
+class InvalidTimeError extends LazyVoterError {
+	constructor(details) {
+		super('Vote end time must be after the start time', 'INVALID_TIME', details);
+	}
+}
+
+class RegistryRequiredError extends LazyVoterError {
+	constructor(details) {
+		super('A LazyDelegateRegistry address is required', 'REGISTRY_REQUIRED', details);
+	}
+}
+
+class NFTTokenRequiredError extends LazyVoterError {
+	constructor(details) {
+		super('An NFT token address is required', 'NFT_TOKEN_REQUIRED', details);
+	}
+}
+
+class VotingIsPausedError extends LazyVoterError {
+	constructor(details) {
+		super('Voting is paused', 'VOTING_PAUSED', details);
+	}
+}
+
+class VoteStartedError extends LazyVoterError {
+	constructor(details) {
+		super('The vote has already started; configuration is locked', 'VOTE_STARTED', details);
+	}
+}
+
+class InsufficientBalanceError extends LazyVoterError {
+	constructor(details) {
+		super('Contract HBAR balance is too low for this withdrawal', 'INSUFFICIENT_BALANCE', details);
+	}
+}
+
+class NotOwnerOrDelegatedError extends LazyVoterError {
+	constructor(details = {}) {
+		super(`Serial ${details.serial} is not owned by or delegated to the caller`, 'NOT_OWNER_OR_DELEGATED', details);
+	}
+}
+
+class VoteWindowClosedError extends LazyVoterError {
+	constructor(details) {
+		super('The vote window is closed', 'VOTE_WINDOW_CLOSED', details);
+	}
+}
+
+class MaxSerialsExceededError extends LazyVoterError {
+	constructor(details) {
+		super('Too many serials in one vote transaction', 'MAX_SERIALS_EXCEEDED', details);
+	}
+}
+
+class SerialNotEligibleError extends LazyVoterError {
+	constructor(details = {}) {
+		super(`Serial ${details.serial} is not eligible to vote`, 'SERIAL_NOT_ELIGIBLE', details);
+	}
+}
+
+class InvalidVoteTypeError extends LazyVoterError {
+	constructor(details) {
+		super('Invalid vote type', 'INVALID_VOTE_TYPE', details);
+	}
+}
+
+class NotContractOwnerError extends LazyVoterError {
+	constructor(details) {
+		super('Only the contract owner can do this', 'NOT_CONTRACT_OWNER', details);
+	}
+}
+
+// --- LazyDelegateRegistry contract errors ---
+
+class LazyDelegateRegistryOnlyOwnerError extends LazyVoterError {
+	constructor(details = {}) {
+		super(`Only the NFT owner (${details.owner}) can change its delegation, not ${details.delegate}`, 'REGISTRY_ONLY_OWNER', details);
+	}
+}
+
+class BadArgumentLengthError extends LazyVoterError {
+	constructor(details = {}) {
+		super(`Argument lengths differ: expected ${details.expected}, got ${details.actual}`, 'BAD_ARGUMENT_LENGTH', details);
+	}
+}
+
+// --- Pre-flight checks (no contract equivalent) ---
+
+class NFTNotFoundError extends LazyVoterError {
+	constructor(details = {}) {
+		super(`Serial ${details.serial} does not exist or has been burned`, 'NFT_NOT_FOUND', details);
+	}
+}
+
+class NoSerialsError extends LazyVoterError {
+	constructor(details) {
+		super('No serials to vote with', 'NO_SERIALS', details);
+	}
+}
+
+// --- Fallbacks ---
+
+class ContractRevertError extends LazyVoterError {
+	constructor(details = {}) {
+		super(`Contract reverted: ${details.reason}`, 'CONTRACT_REVERT', details);
+	}
+}
+
+class TransactionFailedError extends LazyVoterError {
+	constructor(details = {}) {
+		super(`Transaction failed: ${details.status}`, 'TRANSACTION_FAILED', details);
+	}
+}
+
+// Solidity custom error name -> class
+const CONTRACT_ERRORS = {
+	ZeroAddress: ZeroAddressError,
+	InvalidTime: InvalidTimeError,
+	RegistryRequired: RegistryRequiredError,
+	NFTTokenRequired: NFTTokenRequiredError,
+	VotingIsPaused: VotingIsPausedError,
+	VoteStarted: VoteStartedError,
+	InsufficientBalance: InsufficientBalanceError,
+	NotOwnerOrDelegated: NotOwnerOrDelegatedError,
+	VoteWindowClosed: VoteWindowClosedError,
+	MaxSerialsExceeded: MaxSerialsExceededError,
+	SerialNotEligible: SerialNotEligibleError,
+	InvalidVoteType: InvalidVoteTypeError,
+	LazyDelegateRegistryOnlyOwner: LazyDelegateRegistryOnlyOwnerError,
+	BadArgumentLength: BadArgumentLengthError,
+};
+
+const OWNABLE_REVERT = 'Ownable: caller is not the owner';
+
+/**
+ * Build a typed error from an ethers ErrorDescription (as returned by parseError).
+ * Argument names lose their leading underscore: _owner -> owner.
+ * @param {ErrorDescription} description
+ * @param {object} [extra] - e.g. { transactionId }
+ * @returns {LazyVoterError}
+ */
+function fromErrorDescription(description, extra = {}) {
+	const details = { ...extra };
+	description.fragment.inputs.forEach((input, i) => {
+		const value = description.args[i];
+		details[input.name.replace(/^_/, '')] = typeof value === 'bigint' ? Number(value) : value;
+	});
+	const ErrorClass = CONTRACT_ERRORS[description.name];
+	if (ErrorClass) return new ErrorClass(details);
+	return new ContractRevertError({ ...details, reason: description.signature });
+}
+
+/**
+ * Turn whatever parseError / parseErrorTransactionId produced into a typed error
+ * @param {ErrorDescription|string|Error} parsed
+ * @param {object} [extra]
+ * @returns {LazyVoterError}
+ */
+function fromParsedError(parsed, extra = {}) {
+	if (parsed instanceof LazyVoterError) return parsed;
+	if (parsed instanceof ErrorDescription) return fromErrorDescription(parsed, extra);
+	if (parsed instanceof Error) {
+		// ReceiptStatusError and friends carry the Hedera status
+		if (parsed.status) return new TransactionFailedError({ ...extra, status: parsed.status.toString() });
+		return new ContractRevertError({ ...extra, reason: parsed.message });
+	}
+	const text = String(parsed);
+	const reason = text.replace(/^REVERT: /, '');
+	if (reason === OWNABLE_REVERT) return new NotContractOwnerError(extra);
+	return new ContractRevertError({ ...extra, reason });
+}
+
+/**
+ * Typed error for a revert reported by the mirror node (see getMirrorRevert)
+ * @param {ethers.Interface} iface - Interface of the called contract
+ * @param {{data: string, message: string}} revert
+ * @returns {LazyVoterError}
+ */
+function fromMirrorRevert(iface, revert) {
+	if (!revert.data || revert.data === '0x') return new ContractRevertError({ reason: revert.message });
+	return fromParsedError(parseError(iface, revert.data));
+}
+
+/**
+ * Inspect a contractExecuteFunction result and return a typed error, or null on SUCCESS
+ * @param {Array} result - [receipt|{status}|parsedError, results|transactionId, record]
+ * @returns {LazyVoterError|null}
+ */
+function errorFromResult(result) {
+	const head = result?.[0];
+	const status = head && typeof head === 'object' && 'status' in head ? head.status : head;
+	if (status?.toString() === 'SUCCESS') return null;
+
+	const transactionId = result?.[2]?.transactionId?.toString()
+		?? (typeof result?.[1] === 'string' ? result[1] : null);
+	return fromParsedError(status, { transactionId });
+}
+
+/**
+ * Throw the typed error for a failed contractExecuteFunction result; return it unchanged on SUCCESS
+ * @param {Array} result
+ * @returns {Array} result
+ */
+function assertSuccess(result) {
+	const error = errorFromResult(result);
+	if (error) throw error;
+	return result;
+}
+
+// Actionable hints shown by the CLI, keyed by error code
+const SUGGESTIONS = {
+	SERIAL_NOT_ELIGIBLE: e => [
+		`Serial ${e.serial} is not on the eligible list. Check with: lazyvote query eligible --all`,
+		'Remove it from your serial list and vote again',
+	],
+	NOT_OWNER_OR_DELEGATED: e => [
+		`Your account neither owns serial ${e.serial} nor holds a delegation for it`,
+		'If the serial is delegated, vote from the delegate wallet; otherwise drop it from the list',
+	],
+	VOTE_WINDOW_CLOSED: () => ['Check the vote window with: lazyvote query status'],
+	VOTING_PAUSED: () => ['Wait for the owner to resume voting (lazyvote admin unpause)'],
+	VOTE_STARTED: () => ['Eligibility, message and quorum can only change before the start time; deploy a new vote instead'],
+	MAX_SERIALS_EXCEEDED: () => ['Pass between 1 and 40 serials per vote transaction'],
+	INVALID_VOTE_TYPE: () => ['Vote choice must be yes, no or abstain'],
+	INSUFFICIENT_BALANCE: () => ['Lower the amount or check the contract balance first'],
+	NOT_CONTRACT_OWNER: () => ['Run admin commands with the account that owns the contract'],
+	REGISTRY_ONLY_OWNER: e => [`The serial is held by ${e.owner}; only that wallet can delegate or revoke it`],
+	BAD_ARGUMENT_LENGTH: () => ['Pass one serial list per token'],
+	NFT_NOT_FOUND: e => [`Check the serial number; ${e.serial} is not a live NFT of the voting token`],
+	NO_SERIALS: () => ['Pass at least one serial, or "all" to vote with every serial you control'],
+	TRANSACTION_FAILED: e => (e.status === 'INSUFFICIENT_GAS'
+		? ['Retry; the gas estimate was too low for this call']
+		: []),
+};
+
+/**
+ * Suggestions for a typed error (empty for unknown codes)
+ * @param {LazyVoterError} error
+ * @returns {string[]}
+ */
+function suggestionsFor(error) {
+	const build = SUGGESTIONS[error?.code];
+	return build ? build(error) : [];
+}
+
+module.exports = {
+	LazyVoterError,
+	ZeroAddressError,
+	InvalidTimeError,
+	RegistryRequiredError,
+	NFTTokenRequiredError,
+	VotingIsPausedError,
+	VoteStartedError,
+	InsufficientBalanceError,
+	NotOwnerOrDelegatedError,
+	VoteWindowClosedError,
+	MaxSerialsExceededError,
+	SerialNotEligibleError,
+	InvalidVoteTypeError,
+	NotContractOwnerError,
+	LazyDelegateRegistryOnlyOwnerError,
+	BadArgumentLengthError,
+	NFTNotFoundError,
+	NoSerialsError,
+	ContractRevertError,
+	TransactionFailedError,
+	fromErrorDescription,
+	fromParsedError,
+	fromMirrorRevert,
+	errorFromResult,
+	assertSuccess,
+	suggestionsFor,
+};
@@ -0,0 +1,260 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContractId } = require('@hashgraph/sdk');
+const { getContractLogsPage, mirrorTarget } = require('../utils/hederaMirrorHelpers');
+const { loadInterface } = require('../utils/clientFactory');
+const { decodeLog, compareTimestamps, toConsensusTimestamp } = require('./events');
+const { getLogger } = require('./logger');
+
+const INDEX_DIR = '.lazyvote';
+const INDEX_SUBDIR = 'index';
+const MANIFEST_FILE = 'contracts.json';
+const KINDS = ['LazyVoter', 'LazyDelegateRegistry'];
+const NETWORKS = ['TEST', 'MAIN', 'PREVIEW', 'LOCAL'];
+
+/**
+ * Where the event index lives: LAZYVOTE_INDEX_DIR, else ./.lazyvote/index when the project
+ * has a .lazyvote directory, else ~/.lazyvote/index
+ * @returns {string}
+ */
+function defaultIndexDir() {
+	if (process.env.LAZYVOTE_INDEX_DIR) return path.resolve(process.env.LAZYVOTE_INDEX_DIR);
+	if (fs.existsSync(path.resolve(INDEX_DIR))) return path.resolve(INDEX_DIR, INDEX_SUBDIR);
+	return path.join(os.homedir(), INDEX_DIR, INDEX_SUBDIR);
+}
+
+function entryKey(network, contractId) {
+	return `${network}/${contractId}`;
+}
+
+// Stored form of a log: decoded when the contract's ABI knows the event, raw otherwise
+function toRecord(iface, log) {
+	const decoded = decodeLog(iface, log);
+	if (decoded) {
+		const { name, args, consensusTimestamp, logIndex, blockNumber, transactionHash } = decoded;
+		return { name, args, consensusTimestamp, logIndex, blockNumber, transactionHash };
+	}
+	return {
+		name: null,
+		topics: log.topics,
+		data: log.data,
+		consensusTimestamp: log.timestamp,
+		logIndex: Number(log.index),
+		blockNumber: log.block_number != null ? Number(log.block_number) : null,
+		transactionHash: log.transaction_hash ?? null,
+	};
+}
+
+/**
+ * Local, file-based index of LazyVoter and LazyDelegateRegistry events.
+ * Each tracked contract has a JSON-lines file of every log in consensus order; sync() follows
+ * mirror pagination from the last stored log, so the file itself is the resume cursor.
+ * One process should sync a directory at a time.
+ */
+class EventIndex {
+	/**
+	 * @param {string} dir - Directory holding contracts.json and one <network>-<contract>.jsonl per contract
+	 * @param {object} [contracts] - 'NETWORK/0.0.X' -> { contractId, network, kind, addedAt, syncedAt }
+	 */
+	constructor(dir, contracts = {}) {
+		this.dir = dir;
+		this.contracts = contracts;
+	}
+
+	/**
+	 * Open an index (empty if the directory does not exist yet)
+	 * @param {string} [dir=defaultIndexDir()]
+	 * @returns {EventIndex}
+	 */
+	static open(dir = defaultIndexDir()) {
+		const manifest = path.join(dir, MANIFEST_FILE);
+		if (!fs.existsSync(manifest)) return new EventIndex(dir);
+		const doc = JSON.parse(fs.readFileSync(manifest, 'utf8'));
+		return new EventIndex(dir, doc.contracts ?? {});
+	}
+
+	/**
+	 * Start tracking a contract (saved immediately); tracking it again is a no-op
+	 * @param {string|ContractId} contractId
+	 * @param {string} network - TEST, MAIN, PREVIEW, LOCAL
+	 * @param {'LazyVoter'|'LazyDelegateRegistry'} [kind='LazyVoter'] - ABI used to decode its logs
+	 * @returns {object} entry
+	 */
+	track(contractId, network, kind = 'LazyVoter') {
+		const id = ContractId.fromString(contractId.toString()).toString();
+		const net = String(network ?? '').toUpperCase();
+		if (!NETWORKS.includes(net)) {
+			throw new Error(`Invalid network "${network}". Must be one of: ${NETWORKS.join(', ')}`);
+		}
+		if (!KINDS.includes(kind)) {
+			throw new Error(`Invalid contract kind "${kind}". Must be one of: ${KINDS.join(', ')}`);
+		}
+		const key = entryKey(net, id);
+		const existing = this.contracts[key];
+		if (existing && existing.kind !== kind) {
+			throw new Error(`${id} on ${net} is already indexed as ${existing.kind}`);
+		}
+		if (!existing) {
+			this.contracts[key] = { contractId: id, network: net, kind, addedAt: new Date().toISOString(), syncedAt: null };
+			this.save();
+		}
+		return this.contracts[key];
+	}
+
+	/**
+	 * Tracked contracts with their stored event count and last consensus timestamp
+	 * @returns {Array<object>}
+	 */
+	list() {
+		return Object.keys(this.contracts).sort().map((key) => {
+			const entry = this.contracts[key];
+			const records = this._read(entry);
+			return { ...entry, events: records.length, lastTimestamp: records.at(-1)?.consensusTimestamp ?? null };
+		});
+	}
+
+	/**
+	 * Fetch every log after the last stored one for each tracked contract (or the matching ones)
+	 * @param {object} [filter]
+	 * @param {string} [filter.contractId]
+	 * @param {string} [filter.network]
+	 * @param {object} [options]
+	 * @param {function} [options.onProgress] - Called with { contractId, network, added } after each mirror page
+	 * @param {object} [options.mirrorUrls] - Custom mirror node base URL per network, e.g. { TEST: 'https://...' }
+	 * @returns {Promise<Array<{contractId: string, network: string, added: number, lastTimestamp: string|null}>>}
+	 */
+	async sync(filter = {}, options = {}) {
+		const entries = this._match(filter);
+		if (!entries.length) {
+			throw new Error(`${filter.contractId ? `${filter.contractId} is not indexed` : 'No contracts indexed'}. Add one with: lazyvote events add <contractId>`);
+		}
+		const results = [];
+		for (const entry of entries) {
+			results.push(await this._syncContract(entry, options.onProgress ?? (() => null), options.mirrorUrls?.[entry.network]));
+		}
+		return results;
+	}
+
+	/**
+	 * Read stored events for one contract
+	 * @param {object} options
+	 * @param {string} options.contractId
+	 * @param {string} options.network
+	 * @param {string|string[]} [options.name] - Event name(s); raw logs the ABI could not decode have name null
+	 * @param {Date|number|string} [options.fromTimestamp] - Inclusive lower bound
+	 * @param {Date|number|string} [options.toTimestamp] - Inclusive upper bound
+	 * @param {function(object): boolean} [options.where] - Extra filter on each event
+	 * @param {'asc'|'desc'} [options.order='asc']
+	 * @param {number} [options.limit]
+	 * @returns {object[]} events in consensus order
+	 */
+	query(options) {
+		const [entry] = this._match(options);
+		if (!entry || !options.contractId) {
+			throw new Error(`${options.contractId} on ${options.network} is not indexed. Add it with: lazyvote events add ${options.contractId ?? '<contractId>'}`);
+		}
+		const names = options.name === undefined ? null : [].concat(options.name);
+		const from = options.fromTimestamp !== undefined ? toConsensusTimestamp(options.fromTimestamp) : null;
+		const to = options.toTimestamp !== undefined ? toConsensusTimestamp(options.toTimestamp) : null;
+		let events = this._read(entry).filter(e => (!names || names.includes(e.name))
+			&& (!from || compareTimestamps(e.consensusTimestamp, from) >= 0)
+			&& (!to || compareTimestamps(e.consensusTimestamp, to) <= 0)
+			&& (!options.where || options.where(e)));
+		if (options.order === 'desc') events = events.reverse();
+		return options.limit ? events.slice(0, options.limit) : events;
+	}
+
+	/**
+	 * Write contracts.json
+	 */
+	save() {
+		fs.mkdirSync(this.dir, { recursive: true });
+		const file = path.join(this.dir, MANIFEST_FILE);
+		fs.writeFileSync(`${file}.tmp`, `${JSON.stringify({ contracts: this.contracts }, null, 2)}\n`);
+		fs.renameSync(`${file}.tmp`, file);
+	}
+
+	// --- INTERNAL HELPERS ---
+
+	_match(filter) {
+		const id = filter.contractId ? ContractId.fromString(filter.contractId.toString()).toString() : null;
+		const net = filter.network ? String(filter.network).toUpperCase() : null;
+		return Object.keys(this.contracts).sort()
+			.map(key => this.contracts[key])
+			.filter(e => (!id || e.contractId === id) && (!net || e.network === net));
+	}
+
+	_file(entry) {
+		return path.join(this.dir, `${entry.network}-${entry.contractId}.jsonl`);
+	}
+
+	// Every stored record. A sync interrupted mid-write leaves a torn last line (no trailing newline);
+	// reads skip it and the next sync cuts it off. Anything malformed before that is corruption.
+	_read(entry, options = {}) {
+		const file = this._file(entry);
+		if (!fs.existsSync(file)) return [];
+		const text = fs.readFileSync(file, 'utf8');
+		const lines = text.split('\n');
+		// Complete lines end in a newline, so the last segment is empty unless the final write was torn
+		const tail = lines.pop();
+		const records = lines.map((line, i) => {
+			try {
+				return JSON.parse(line);
+			}
+			catch (err) {
+				throw new Error(`Corrupt event index ${file} at line ${i + 1}: ${err.message}. Remove the file and run lazyvote events sync to rebuild it`);
+			}
+		});
+		if (tail) {
+			if (options.repair) {
+				getLogger().warn(`Dropping a partial record at the end of ${file}`, { event: 'index.repair', file });
+				fs.truncateSync(file, Buffer.byteLength(text) - Buffer.byteLength(tail));
+			}
+			else {
+				getLogger().warn(`Ignoring a partial record at the end of ${file}; the next sync repairs it`, { event: 'index.partial', file });
+			}
+		}
+		return records;
+	}
+
+	async _syncContract(entry, onProgress, mirrorUrl) {
+		const file = this._file(entry);
+		const last = this._read(entry, { repair: true }).at(-1);
+		let cursor = last ? { timestamp: last.consensusTimestamp, index: last.logIndex } : null;
+		const iface = loadInterface(entry.kind);
+		fs.mkdirSync(this.dir, { recursive: true });
+
+		let added = 0;
+		let next = null;
+		do {
+			const page = await getContractLogsPage(
+				mirrorTarget(entry.network, mirrorUrl), entry.contractId,
+				next ? { next } : { fromTimestamp: cursor?.timestamp, order: 'asc' },
+			);
+			const lines = [];
+			for (const log of page.logs) {
+				const cmp = cursor ? compareTimestamps(log.timestamp, cursor.timestamp) : 1;
+				if (cmp < 0 || (cmp === 0 && Number(log.index) <= cursor.index)) continue;
+				lines.push(JSON.stringify(toRecord(iface, log)));
+				cursor = { timestamp: log.timestamp, index: Number(log.index) };
+			}
+			if (lines.length) fs.appendFileSync(file, `${lines.join('\n')}\n`);
+			added += lines.length;
+			onProgress({ contractId: entry.contractId, network: entry.network, added });
+			next = page.next;
+		} while (next);
+
+		entry.syncedAt = new Date().toISOString();
+		this.save();
+		return { contractId: entry.contractId, network: entry.network, added, lastTimestamp: cursor?.timestamp ?? null };
+	}
+}
+
+module.exports = {
+	EventIndex,
+	KINDS,
+	defaultIndexDir,
+};
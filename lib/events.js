@@ -0,0 +1,338 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { getContractLogsPage, mirrorTarget } = require('../utils/hederaMirrorHelpers');
+const { getLogger } = require('./logger');
+
+const DEFAULT_POLL_INTERVAL = 5000;
+
+/**
+ * Convert a Date, unix seconds or consensus timestamp string to mirror format (seconds.nanos)
+ * @param {Date|number|string} value
+ * @returns {string}
+ */
+function toConsensusTimestamp(value) {
+	if (value instanceof Date) {
+		const ms = value.getTime();
+		return `${Math.floor(ms / 1000)}.${String((ms % 1000) * 1_000_000).padStart(9, '0')}`;
+	}
+	if (typeof value === 'number') {
+		const seconds = Math.floor(value);
+		const nanos = Math.round((value - seconds) * 1e9);
+		return `${seconds}.${String(nanos).padStart(9, '0')}`;
+	}
+	if (typeof value === 'string' && /^\d+(\.\d{1,9})?$/.test(value)) {
+		const [seconds, nanos = '0'] = value.split('.');
+		return `${seconds}.${nanos.padEnd(9, '0')}`;
+	}
+	throw new Error(`Invalid timestamp "${value}". Use a Date, unix seconds or seconds.nanos string`);
+}
+
+/**
+ * Compare two consensus timestamps (seconds.nanos strings)
+ * @returns {number} negative, zero or positive
+ */
+function compareTimestamps(a, b) {
+	const [aSec, aNano] = toConsensusTimestamp(a).split('.').map(BigInt);
+	const [bSec, bNano] = toConsensusTimestamp(b).split('.').map(BigInt);
+	if (aSec !== bSec) return aSec < bSec ? -1 : 1;
+	if (aNano !== bNano) return aNano < bNano ? -1 : 1;
+	return 0;
+}
+
+/**
+ * Convert ethers results to plain JSON-friendly values (bigint -> number when safe, Result -> array)
+ * @param {*} value
+ * @returns {*}
+ */
+function normalizeValue(value) {
+	if (typeof value === 'bigint') {
+		return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+	}
+	if (Array.isArray(value) || (value && typeof value.toArray === 'function')) {
+		return Array.from(value).map(normalizeValue);
+	}
+	return value;
+}
+
+/**
+ * Decode a mirror node log entry into a typed event object
+ * @param {ethers.Interface} iface - Interface of the emitting contract
+ * @param {object} log - Log entry from /contracts/{id}/results/logs
+ * @returns {{name: string, args: object, contractId: string, consensusTimestamp: string,
+ *   logIndex: number, blockNumber: number|null, transactionHash: string|null}|null} null if the log is not in the ABI
+ */
+function decodeLog(iface, log) {
+	let parsed;
+	try {
+		parsed = iface.parseLog({ topics: log.topics, data: log.data });
+	}
+	catch {
+		return null;
+	}
+	if (!parsed) return null;
+
+	const args = {};
+	parsed.fragment.inputs.forEach((input, i) => {
+		args[input.name || `arg${i}`] = normalizeValue(parsed.args[i]);
+	});
+
+	return {
+		name: parsed.name,
+		args,
+		contractId: log.contract_id,
+		consensusTimestamp: log.timestamp,
+		logIndex: Number(log.index),
+		blockNumber: log.block_number != null ? Number(log.block_number) : null,
+		transactionHash: log.transaction_hash ?? null,
+	};
+}
+
+/**
+ * Read a contract's decoded events in consensus order (timestamp, then log index).
+ * With an EventIndex the contract is tracked and synced, then read from the local store
+ * instead of paging the mirror node.
+ * @param {{network: string, mirrorUrl: string|null, contractId: ContractId, iface: ethers.Interface}} client - LazyVoterClient or LazyDelegateRegistryClient
+ * @param {object} [options]
+ * @param {string|string[]} [options.name] - Only these events
+ * @param {string} [options.toTimestamp] - Inclusive upper bound (seconds.nanos)
+ * @param {EventIndex} [options.index]
+ * @param {'LazyVoter'|'LazyDelegateRegistry'} [options.kind='LazyVoter'] - How to track the contract in the index
+ * @returns {Promise<object[]>}
+ */
+async function readContractEvents(client, options = {}) {
+	const names = options.name === undefined ? null : [].concat(options.name);
+	if (options.index) {
+		const filter = { contractId: client.contractId.toString(), network: client.network };
+		options.index.track(filter.contractId, filter.network, options.kind ?? 'LazyVoter');
+		await options.index.sync(filter, { mirrorUrls: { [client.network]: client.mirrorUrl } });
+		return options.index.query({ ...filter, name: names ?? undefined, toTimestamp: options.toTimestamp });
+	}
+	const events = [];
+	let next = null;
+	do {
+		const page = await getContractLogsPage(mirrorTarget(client.network, client.mirrorUrl), client.contractId, { toTimestamp: options.toTimestamp, order: 'asc', next });
+		for (const log of page.logs) {
+			const decoded = decodeLog(client.iface, log);
+			if (decoded && (!names || names.includes(decoded.name))) events.push(decoded);
+		}
+		next = page.next;
+	} while (next);
+	return events.sort((a, b) => compareTimestamps(a.consensusTimestamp, b.consensusTimestamp) || a.logIndex - b.logIndex);
+}
+
+/**
+ * Incremental mirror node poller for one contract's events.
+ * Each log is handed to each of its handlers once, in consensus order. A handler that throws
+ * does not hold the others back: its error goes to the 'error' handlers with the event, and
+ * the cursor moves on. A failed mirror poll leaves the cursor where it was, so it is retried.
+ * With a cursorFile the position survives restarts.
+ */
+class EventSubscription {
+	/**
+	 * @param {object} options
+	 * @param {string} options.network - TEST, MAIN, PREVIEW, LOCAL
+	 * @param {string} [options.mirrorUrl] - Custom mirror node base URL for this subscription
+	 * @param {ContractId} options.contractId
+	 * @param {ethers.Interface} options.iface
+	 * @param {Date|number|string} [options.fromTimestamp] - Start point (default: now); ignored when the cursor file exists
+	 * @param {string} [options.cursorFile] - JSON file used to persist and resume the cursor
+	 * @param {number} [options.pollInterval=5000] - Milliseconds between polls
+	 */
+	constructor(options) {
+		this.network = options.network;
+		this.mirror = mirrorTarget(options.network, options.mirrorUrl);
+		this.contractId = options.contractId;
+		this.iface = options.iface;
+		this.handlers = new Map();
+		this.running = false;
+		this._timer = null;
+		this._polling = null;
+		this.configure(options);
+	}
+
+	/**
+	 * Update the start point, cursor file and poll interval before start()
+	 * @param {object} options - See constructor
+	 */
+	configure(options = {}) {
+		this.pollInterval = options.pollInterval ?? this.pollInterval ?? DEFAULT_POLL_INTERVAL;
+		this.cursorFile = options.cursorFile ?? this.cursorFile ?? null;
+
+		const saved = this._loadCursor();
+		if (saved) {
+			this.cursor = saved;
+		}
+		else if (options.fromTimestamp !== undefined || !this.cursor) {
+			this.cursor = {
+				timestamp: toConsensusTimestamp(options.fromTimestamp ?? new Date()),
+				index: -1,
+			};
+		}
+		return this;
+	}
+
+	/**
+	 * Register a handler for an event name, '*' for every event, or 'error' for failures.
+	 * 'error' handlers are called with (error, event); event is set when an event handler threw
+	 * and undefined when the poll itself failed.
+	 * @param {string} eventName
+	 * @param {function(object): (void|Promise<void>)} handler
+	 * @returns {EventSubscription}
+	 */
+	on(eventName, handler) {
+		if (eventName !== '*' && eventName !== 'error') {
+			const known = [];
+			this.iface.forEachEvent(e => known.push(e.name));
+			if (!known.includes(eventName)) {
+				throw new Error(`Unknown event "${eventName}". Must be one of: ${known.join(', ')}, * or error`);
+			}
+		}
+		if (typeof handler !== 'function') {
+			throw new Error('Event handler must be a function');
+		}
+		if (!this.handlers.has(eventName)) this.handlers.set(eventName, new Set());
+		this.handlers.get(eventName).add(handler);
+		return this;
+	}
+
+	/**
+	 * Remove a handler registered with on()
+	 * @param {string} eventName
+	 * @param {function} handler
+	 * @returns {EventSubscription}
+	 */
+	off(eventName, handler) {
+		this.handlers.get(eventName)?.delete(handler);
+		return this;
+	}
+
+	/**
+	 * Start polling (first poll runs immediately)
+	 * @returns {EventSubscription}
+	 */
+	start() {
+		if (this.running) return this;
+		this.running = true;
+		this._schedule(0);
+		return this;
+	}
+
+	/**
+	 * Stop polling; resolves once any in-flight poll has finished
+	 * @returns {Promise<void>}
+	 */
+	async stop() {
+		this.running = false;
+		if (this._timer) clearTimeout(this._timer);
+		this._timer = null;
+		if (this._polling) await this._polling.catch(() => null);
+	}
+
+	/**
+	 * Fetch and dispatch every log after the cursor, following mirror pagination
+	 * @returns {Promise<number>} number of events delivered
+	 */
+	async poll() {
+		let delivered = 0;
+		let next = null;
+		do {
+			const page = await getContractLogsPage(
+				this.mirror, this.contractId,
+				next ? { next } : { fromTimestamp: this.cursor.timestamp },
+			);
+			for (const log of page.logs) {
+				if (!this._isAfterCursor(log)) continue;
+				const event = decodeLog(this.iface, log);
+				if (event) {
+					await this._dispatch(event);
+					delivered++;
+				}
+				this._advance(log);
+			}
+			next = page.next;
+		} while (next);
+		return delivered;
+	}
+
+	// --- INTERNAL HELPERS ---
+
+	_schedule(delay) {
+		this._timer = setTimeout(() => {
+			this._polling = this.poll()
+				.catch(err => this._reportError(err))
+				.finally(() => {
+					this._polling = null;
+					if (this.running) this._schedule(this.pollInterval);
+				});
+		}, delay);
+	}
+
+	async _dispatch(event) {
+		const handlers = [
+			...(this.handlers.get(event.name) ?? []),
+			...(this.handlers.get('*') ?? []),
+		];
+		for (const handler of handlers) {
+			try {
+				await handler(event);
+			}
+			catch (err) {
+				await this._reportError(err, event);
+			}
+		}
+	}
+
+	async _reportError(err, event) {
+		const handlers = this.handlers.get('error');
+		if (!handlers || handlers.size === 0) {
+			getLogger().warn(`Event subscription error: ${err.message}`, { error: err, eventName: event?.name });
+			return;
+		}
+		for (const handler of handlers) {
+			try {
+				await handler(err, event);
+			}
+			catch (handlerErr) {
+				getLogger().warn(`Event subscription error handler failed: ${handlerErr.message}`, { error: handlerErr });
+			}
+		}
+	}
+
+	_isAfterCursor(log) {
+		const cmp = compareTimestamps(log.timestamp, this.cursor.timestamp);
+		return cmp > 0 || (cmp === 0 && Number(log.index) > this.cursor.index);
+	}
+
+	_advance(log) {
+		this.cursor = { timestamp: log.timestamp, index: Number(log.index) };
+		this._saveCursor();
+	}
+
+	_loadCursor() {
+		if (!this.cursorFile || !fs.existsSync(this.cursorFile)) return null;
+		const saved = JSON.parse(fs.readFileSync(this.cursorFile, 'utf8'));
+		if (saved.contractId && saved.contractId !== this.contractId.toString()) {
+			throw new Error(`Cursor file ${this.cursorFile} belongs to contract ${saved.contractId}, not ${this.contractId}`);
+		}
+		return { timestamp: toConsensusTimestamp(saved.timestamp), index: Number(saved.index ?? -1) };
+	}
+
+	_saveCursor() {
+		if (!this.cursorFile) return;
+		const tmpFile = `${this.cursorFile}.tmp`;
+		fs.mkdirSync(path.dirname(path.resolve(this.cursorFile)), { recursive: true });
+		fs.writeFileSync(tmpFile, JSON.stringify({ contractId: this.contractId.toString(), ...this.cursor }, null, 2));
+		fs.renameSync(tmpFile, this.cursorFile);
+	}
+}
+
+module.exports = {
+	EventSubscription,
+	decodeLog,
+	normalizeValue,
+	readContractEvents,
+	toConsensusTimestamp,
+	compareTimestamps,
+};
@@ -5,6 +5,12 @@ const fs = require('fs');
 const { createClient, loadOperator, loadInterface, readContractValue } = require('../utils/clientFactory');
 const { contractExecuteFunction } = require('../utils/solidityHelpers');
 const { estimateGas, logTransactionResult } = require('../utils/gasHelpers');
+const { paginate, toArray } = require('./pagination');
+const { EventSubscription, decodeLog } = require('./events');
+const { Logger, createLogger, setLogger, consoleSink, jsonLinesSink } = require('./logger');
+const {
+	exportUnsignedTransaction, signTransactionFile, submitTransactionFile, readTransactionFile,
+} = require('./offlineTransaction');
 
 // Load ABIs
 function loadABI(contractName) {
@@ -32,10 +38,90 @@ module.exports = {
 	readContractValue,
 	contractExecuteFunction,
 
+	// Pagination
+	paginate,
+	toArray,
+
+	// Events
+	EventSubscription,
+	decodeLog,
+
+	// Offline signing
+	exportUnsignedTransaction,
+	signTransactionFile,
+	submitTransactionFile,
+	readTransactionFile,
+
+	// Dry runs
+	simulateCall: require('./simulation').simulateCall,
+
+	// Configuration profiles and the flag > profile > env resolver
+	ProfileStore: require('./config').ProfileStore,
+	resolveConfig: require('./config').resolveConfig,
+
+	// Contract deployment
+	deployVoter: require('./deploy').deployVoter,
+	deployRegistry: require('./deploy').deployRegistry,
+	parseTime: require('./timeParser').parseTime,
+	DeploymentManifest: require('./manifest').DeploymentManifest,
+
+	// Holder snapshots
+	createSnapshot: require('./snapshot').createSnapshot,
+	readSnapshot: require('./snapshot').readSnapshot,
+	loadRules: require('./eligibility').loadRules,
+	applyRules: require('./eligibility').applyRules,
+
+	// Declarative proposal configuration (lazyvote plan / apply)
+	loadProposalSpec: require('./plan').loadProposalSpec,
+	planProposal: require('./plan').planProposal,
+	applyPlan: require('./plan').applyPlan,
+
+	// Results reports (lazyvote export)
+	buildReport: require('./report').buildReport,
+	renderReport: require('./report').renderReport,
+
+	// Tamper-evident results archives (lazyvote archive)
+	createArchive: require('./archive').createArchive,
+	readArchive: require('./archive').readArchive,
+	verifyArchive: require('./archive').verifyArchive,
+
+	// Tally recomputation from the event log (lazyvote audit tally)
+	auditTally: require('./audit').auditTally,
+	createAuditSummary: require('./audit').createAuditSummary,
+
+	// Local event index synced from the mirror node (lazyvote events)
+	EventIndex: require('./eventIndex').EventIndex,
+
+	// Participation analytics (lazyvote analytics)
+	buildTimeline: require('./analytics').buildTimeline,
+	renderTimelineChart: require('./analytics').renderTimelineChart,
+	renderTimelineCsv: require('./analytics').renderTimelineCsv,
+
+	// Encrypted keystore (scrypt + AES-256-GCM) for --key and the clients' key option
+	Keystore: require('./keystore').Keystore,
+	parseKeyMaterial: require('./keystore').parseKeyMaterial,
+
+	// Proposal book (aliases for LazyVoter deployments)
+	ProposalBook: require('./proposalBook').ProposalBook,
+
+	// Normalized write results
+	TxResult: require('./txResult'),
+
+	// Logging (warnings and errors to stderr unless a logger is set or passed to a client)
+	Logger,
+	createLogger,
+	setLogger,
+	consoleSink,
+	jsonLinesSink,
+
+	// Typed errors (each carries a stable `code`)
+	errors: require('./errors'),
+
 	// Gas utilities
 	estimateGas,
 	logTransactionResult,
 
 	// Re-export for convenience
 	LazyVoterClient: require('./LazyVoterClient'),
+	LazyDelegateRegistryClient: require('./LazyDelegateRegistryClient'),
 };
@@ -0,0 +1,248 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AccountId, Mnemonic, PrivateKey } = require('@hashgraph/sdk');
+
+const KEYSTORE_DIR = '.lazyvote';
+const KEYSTORE_FILE = 'keystore.json';
+const NAME_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+
+// Key types as stored, and the SDK's name for each
+const KEY_TYPES = { ED25519: 'ED25519', ECDSA: 'secp256k1' };
+
+// scrypt cost: ~100ms and 32MB per unlock
+const SCRYPT = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/**
+ * Where the keystore lives: LAZYVOTE_KEYSTORE_FILE, else ~/.lazyvote/keystore.json
+ * @returns {string}
+ */
+function defaultKeystorePath() {
+	if (process.env.LAZYVOTE_KEYSTORE_FILE) return path.resolve(process.env.LAZYVOTE_KEYSTORE_FILE);
+	return path.join(os.homedir(), KEYSTORE_DIR, KEYSTORE_FILE);
+}
+
+/**
+ * Normalize a key type argument
+ * @param {string} type - ed25519 or ecdsa (secp256k1 accepted)
+ * @returns {'ED25519'|'ECDSA'}
+ */
+function normalizeKeyType(type) {
+	const upper = String(type ?? '').toUpperCase();
+	if (upper === 'SECP256K1') return 'ECDSA';
+	if (!KEY_TYPES[upper]) {
+		throw new Error(`Invalid key type "${type}". Must be ed25519 or ecdsa`);
+	}
+	return upper;
+}
+
+/**
+ * Parse key material of an explicit type. Accepts DER hex, raw hex, PEM (PKCS#8, optionally encrypted)
+ * or a 12/24 word BIP-39 mnemonic (standard derivation, index 0).
+ * DER and PEM carry their own type, which must match.
+ * @param {string} material
+ * @param {string} type - ed25519 or ecdsa
+ * @param {object} [options]
+ * @param {string} [options.pemPassphrase] - For encrypted PEM files
+ * @param {number} [options.index=0] - Mnemonic derivation index
+ * @returns {Promise<PrivateKey>}
+ */
+async function parseKeyMaterial(material, type, options = {}) {
+	const keyType = normalizeKeyType(type);
+	const text = material.trim();
+	let key;
+
+	if (text.startsWith('-----BEGIN')) {
+		key = await PrivateKey.fromPem(text, options.pemPassphrase ?? '');
+	}
+	else if (/^[a-z]+(\s+[a-z]+){11,23}$/i.test(text)) {
+		const mnemonic = await Mnemonic.fromString(text.toLowerCase());
+		const index = options.index ?? 0;
+		key = keyType === 'ED25519'
+			? await mnemonic.toStandardEd25519PrivateKey('', index)
+			: await mnemonic.toStandardECDSAsecp256k1PrivateKey('', index);
+	}
+	else {
+		const hex = text.replace(/^0x/i, '');
+		if (!/^[0-9a-f]+$/i.test(hex)) {
+			throw new Error('Key material must be DER or raw hex, PEM, or a BIP-39 mnemonic');
+		}
+		if (hex.length === 64) {
+			key = keyType === 'ED25519' ? PrivateKey.fromStringED25519(hex) : PrivateKey.fromStringECDSA(hex);
+		}
+		else {
+			key = PrivateKey.fromStringDer(hex);
+		}
+	}
+
+	if (key.type !== KEY_TYPES[keyType]) {
+		throw new Error(`Key is ${key.type === KEY_TYPES.ED25519 ? 'ED25519' : 'ECDSA'}, not ${keyType}. Import it with the matching --type`);
+	}
+	return key;
+}
+
+function deriveKey(passphrase, salt, kdf = SCRYPT) {
+	return crypto.scryptSync(passphrase, salt, 32, { ...kdf, maxmem: SCRYPT_MAXMEM });
+}
+
+// The name and type are authenticated with the ciphertext so entries cannot be swapped or relabelled
+function additionalData(name, type) {
+	return Buffer.from(`lazyvote-keystore:${name}:${type}`);
+}
+
+/**
+ * Passphrase-encrypted private keys (scrypt + AES-256-GCM), one entry per name.
+ * Entries: { type, accountId, publicKey, kdf, cipher, ciphertext, createdAt }
+ */
+class Keystore {
+	/**
+	 * @param {string} file
+	 * @param {object} [keys] - name -> entry
+	 */
+	constructor(file, keys = {}) {
+		this.file = file;
+		this.keys = keys;
+	}
+
+	/**
+	 * Read the keystore (empty if the file does not exist yet)
+	 * @param {string} [file=defaultKeystorePath()]
+	 * @returns {Keystore}
+	 */
+	static load(file = defaultKeystorePath()) {
+		if (!fs.existsSync(file)) return new Keystore(file);
+		const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+		return new Keystore(file, doc.keys ?? {});
+	}
+
+	/**
+	 * Entries without their encrypted material
+	 * @returns {Array<{name: string, type: string, accountId: string|null, publicKey: string, createdAt: string}>}
+	 */
+	list() {
+		return Object.keys(this.keys).sort().map((name) => {
+			const { type, accountId, publicKey, createdAt } = this.keys[name];
+			return { name, type, accountId, publicKey, createdAt };
+		});
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {object} the stored entry
+	 * @throws {Error} when the name is not in the keystore
+	 */
+	get(name) {
+		const entry = this.keys[name];
+		if (!entry) {
+			const known = Object.keys(this.keys).sort();
+			throw new Error(`Unknown key "${name}" in ${this.file}. ${known.length ? `Known: ${known.join(', ')}` : 'Add one with: lazyvote key import <name> --type <ed25519|ecdsa>'}`);
+		}
+		return entry;
+	}
+
+	/**
+	 * Encrypt and add a key (call save() to persist)
+	 * @param {string} name - Letters, digits, '.', '_' and '-'
+	 * @param {PrivateKey} privateKey - e.g. from parseKeyMaterial
+	 * @param {string} passphrase
+	 * @param {object} [options]
+	 * @param {string} [options.accountId] - Account the key operates
+	 * @param {boolean} [options.replace] - Overwrite an existing entry
+	 * @returns {object} the entry as listed
+	 */
+	add(name, privateKey, passphrase, options = {}) {
+		if (!NAME_PATTERN.test(name)) {
+			throw new Error(`Invalid key name "${name}". Use letters, digits, '.', '_' and '-'`);
+		}
+		if (this.keys[name] && !options.replace) {
+			throw new Error(`Key "${name}" already exists. Use --replace to overwrite it`);
+		}
+		if (!passphrase) {
+			throw new Error('A passphrase is required to encrypt the key');
+		}
+		const type = privateKey.type === KEY_TYPES.ED25519 ? 'ED25519' : 'ECDSA';
+		const salt = crypto.randomBytes(16);
+		const iv = crypto.randomBytes(12);
+		const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+		cipher.setAAD(additionalData(name, type));
+		const ciphertext = Buffer.concat([cipher.update(privateKey.toStringDer(), 'utf8'), cipher.final()]);
+
+		this.keys[name] = {
+			type,
+			accountId: options.accountId ? AccountId.fromString(options.accountId).toString() : null,
+			publicKey: privateKey.publicKey.toStringDer(),
+			kdf: { name: 'scrypt', salt: salt.toString('hex'), ...SCRYPT },
+			cipher: { name: 'aes-256-gcm', iv: iv.toString('hex'), tag: cipher.getAuthTag().toString('hex') },
+			ciphertext: ciphertext.toString('hex'),
+			createdAt: new Date().toISOString(),
+		};
+		return this.list().find(entry => entry.name === name);
+	}
+
+	/**
+	 * Decrypt a key
+	 * @param {string} name
+	 * @param {string} passphrase
+	 * @returns {{privateKey: PrivateKey, accountId: string|null, type: string}}
+	 * @throws {Error} on a wrong passphrase or tampered entry
+	 */
+	unlock(name, passphrase) {
+		const entry = this.get(name);
+		const { salt, N, r, p } = entry.kdf;
+		const decipher = crypto.createDecipheriv(
+			'aes-256-gcm', deriveKey(passphrase ?? '', Buffer.from(salt, 'hex'), { N, r, p }), Buffer.from(entry.cipher.iv, 'hex'),
+		);
+		decipher.setAAD(additionalData(name, entry.type));
+		decipher.setAuthTag(Buffer.from(entry.cipher.tag, 'hex'));
+		let der;
+		try {
+			der = Buffer.concat([decipher.update(Buffer.from(entry.ciphertext, 'hex')), decipher.final()]).toString('utf8');
+		}
+		catch {
+			throw new Error(`Wrong passphrase for key "${name}"`);
+		}
+		return { privateKey: PrivateKey.fromStringDer(der), accountId: entry.accountId, type: entry.type };
+	}
+
+	/**
+	 * Write the keystore atomically, readable by the owner only
+	 */
+	save() {
+		const tmpFile = `${this.file}.tmp`;
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+		fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, keys: this.keys }, null, 2), { mode: 0o600 });
+		fs.renameSync(tmpFile, this.file);
+	}
+}
+
+// Passphrases entered at the prompt, so one command asks once per key
+const prompted = new Map();
+
+/**
+ * CLI passphrase source: LAZYVOTE_KEY_PASSPHRASE, else a hidden terminal prompt
+ * @param {string} name - Key being unlocked, shown in the prompt
+ * @returns {string}
+ */
+function promptPassphrase(name) {
+	if (process.env.LAZYVOTE_KEY_PASSPHRASE) return process.env.LAZYVOTE_KEY_PASSPHRASE;
+	if (prompted.has(name)) return prompted.get(name);
+	if (!process.stdin.isTTY) {
+		throw new Error(`Passphrase needed for key "${name}". Set LAZYVOTE_KEY_PASSPHRASE when not running in a terminal`);
+	}
+	const readlineSync = require('readline-sync');
+	const passphrase = readlineSync.question(`  Passphrase for key "${name}": `, { hideEchoBack: true, mask: '' });
+	prompted.set(name, passphrase);
+	return passphrase;
+}
+
+module.exports = {
+	Keystore,
+	defaultKeystorePath,
+	normalizeKeyType,
+	parseKeyMaterial,
+	promptPassphrase,
+};
@@ -0,0 +1,167 @@
+'use strict';
+
+const fs = require('fs');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { silent: -1, error: 0, warn: 1, info: 2, debug: 3, trace: 4 };
+
+/**
+ * Human-readable sink: one line per entry. Structured fields are only printed at debug and trace,
+ * where they carry the detail (e.g. raw mirror responses).
+ * @param {object} [options]
+ * @param {stream.Writable} [options.stream=process.stderr]
+ * @returns {function(object): void}
+ */
+function consoleSink(options = {}) {
+	const stream = options.stream ?? process.stderr;
+	return (entry) => {
+		const fields = { ...entry };
+		delete fields.time;
+		delete fields.level;
+		delete fields.msg;
+		const detail = LEVELS[entry.level] >= LEVELS.debug && Object.keys(fields).length
+			? ` ${JSON.stringify(fields, jsonReplacer)}`
+			: '';
+		stream.write(`${entry.msg}${detail}\n`);
+	};
+}
+
+/**
+ * JSON-lines sink: one JSON object per entry, { time, level, msg, ...fields }
+ * @param {stream.Writable|string} [target=process.stderr] - Stream, or a file path to append to
+ * @returns {function(object): void}
+ */
+function jsonLinesSink(target = process.stderr) {
+	if (typeof target === 'string') {
+		const file = target;
+		return entry => fs.appendFileSync(file, `${JSON.stringify(entry, jsonReplacer)}\n`);
+	}
+	return entry => target.write(`${JSON.stringify(entry, jsonReplacer)}\n`);
+}
+
+function jsonReplacer(key, value) {
+	if (typeof value === 'bigint') return value.toString();
+	if (value instanceof Error) return { name: value.name, message: value.message, code: value.code };
+	return value;
+}
+
+/**
+ * Leveled logger writing entries to a sink.
+ * Levels, most to least severe: error, warn, info, debug, trace ('silent' disables everything).
+ */
+class Logger {
+	/**
+	 * @param {object} [options]
+	 * @param {string} [options.level='info']
+	 * @param {function(object): void} [options.sink=consoleSink()]
+	 * @param {object} [options.fields] - Fields added to every entry (see child)
+	 */
+	constructor(options = {}) {
+		const level = options.level ?? 'info';
+		if (!(level in LEVELS)) {
+			throw new Error(`Invalid log level "${level}". Must be one of: ${Object.keys(LEVELS).join(', ')}`);
+		}
+		this.level = level;
+		this.sink = options.sink ?? consoleSink();
+		this.fields = options.fields ?? {};
+	}
+
+	/**
+	 * @param {string} level
+	 * @returns {boolean} true when entries at this level reach the sink
+	 */
+	isLevelEnabled(level) {
+		return LEVELS[level] <= LEVELS[this.level];
+	}
+
+	/**
+	 * Logger sharing this sink and level, with extra fields on every entry
+	 * @param {object} fields - e.g. { contractId }
+	 * @returns {Logger}
+	 */
+	child(fields) {
+		return new Logger({ level: this.level, sink: this.sink, fields: { ...this.fields, ...fields } });
+	}
+
+	error(msg, fields) { this._log('error', msg, fields); }
+	warn(msg, fields) { this._log('warn', msg, fields); }
+	info(msg, fields) { this._log('info', msg, fields); }
+	debug(msg, fields) { this._log('debug', msg, fields); }
+	trace(msg, fields) { this._log('trace', msg, fields); }
+
+	_log(level, msg, fields) {
+		if (!this.isLevelEnabled(level)) return;
+		this.sink({ time: new Date().toISOString(), level, msg, ...this.fields, ...fields });
+	}
+}
+
+/**
+ * @param {object} [options] - See Logger
+ * @returns {Logger}
+ */
+function createLogger(options) {
+	return new Logger(options);
+}
+
+// Library default: warnings and errors go to stderr; hosts embedding the library opt into silence
+// with setLogger(createLogger({ level: 'silent' }))
+const fallbackLogger = () => new Logger({ level: 'warn' });
+let defaultLogger = fallbackLogger();
+const scope = new AsyncLocalStorage();
+
+/**
+ * Logger for the current call: the one scoped by withLogger, else the process default
+ * @returns {Logger}
+ */
+function getLogger() {
+	return scope.getStore() ?? defaultLogger;
+}
+
+/**
+ * Replace the process-wide default logger (warnings and errors to stderr until set)
+ * @param {Logger|null} logger - null restores that default
+ */
+function setLogger(logger) {
+	defaultLogger = logger ?? fallbackLogger();
+}
+
+/**
+ * Run fn with logger in scope; every helper it reaches, across awaits, logs through it
+ * @param {Logger|null} logger - null leaves the current logger in place
+ * @param {function(): *} fn
+ * @returns {*} whatever fn returns
+ */
+function withLogger(logger, fn) {
+	return logger ? scope.run(logger, fn) : fn();
+}
+
+/**
+ * Wrap a client class's public methods so each call runs with the instance's `logger` in scope
+ * @param {function} ClientClass - Class whose instances may carry a `logger` property
+ */
+function scopeClientLogger(ClientClass) {
+	const proto = ClientClass.prototype;
+	for (const name of Object.getOwnPropertyNames(proto)) {
+		const descriptor = Object.getOwnPropertyDescriptor(proto, name);
+		if (name === 'constructor' || name.startsWith('_') || typeof descriptor.value !== 'function') continue;
+		const method = descriptor.value;
+		Object.defineProperty(proto, name, {
+			...descriptor,
+			value: function(...args) {
+				return withLogger(this.logger, () => method.apply(this, args));
+			},
+		});
+	}
+}
+
+module.exports = {
+	Logger,
+	LEVELS,
+	createLogger,
+	consoleSink,
+	jsonLinesSink,
+	getLogger,
+	setLogger,
+	withLogger,
+	scopeClientLogger,
+};
@@ -0,0 +1,145 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const MANIFEST_DIR = 'deployments';
+
+/**
+ * Where a network's manifest lives: <LAZYVOTE_MANIFEST_DIR or ./deployments>/<network>.json
+ * @param {string} network - TEST, MAIN, PREVIEW, LOCAL
+ * @returns {string}
+ */
+function defaultManifestPath(network) {
+	const dir = process.env.LAZYVOTE_MANIFEST_DIR || MANIFEST_DIR;
+	return path.resolve(dir, `${String(network).toLowerCase()}.json`);
+}
+
+/**
+ * keccak256 of creation bytecode, so a deployment can be matched to the artifacts that built it
+ * @param {string|Uint8Array} bytecode - Hex string (with or without 0x) or the bytes of a bytecode file
+ * @returns {string}
+ */
+function hashBytecode(bytecode) {
+	if (typeof bytecode !== 'string') bytecode = Buffer.from(bytecode).toString('utf8');
+	const hex = bytecode.trim().startsWith('0x') ? bytecode.trim() : `0x${bytecode.trim()}`;
+	return ethers.keccak256(hex);
+}
+
+// seconds.nanos → ISO time, to the millisecond
+function consensusTime(consensusTimestamp) {
+	const [seconds, nanos = '0'] = String(consensusTimestamp).split('.');
+	return new Date(Number(seconds) * 1000 + Math.floor(Number(nanos.padEnd(9, '0')) / 1e6)).toISOString();
+}
+
+/**
+ * Record of the contracts deployed on one network, newest last per contract name.
+ * Entries: { contractId, address, constructorArgs, bytecodeHash, bytecodeFileId, deployer, transactionId, consensusTimestamp, timestamp }
+ */
+class DeploymentManifest {
+	/**
+	 * @param {string} file
+	 * @param {string} network
+	 * @param {object} [deployments] - contract name -> entries
+	 */
+	constructor(file, network, deployments = {}) {
+		this.file = file;
+		this.network = network;
+		this.deployments = deployments;
+	}
+
+	/**
+	 * Read a network's manifest (empty if none has been written yet)
+	 * @param {string} network
+	 * @param {string} [file=defaultManifestPath(network)]
+	 * @returns {DeploymentManifest}
+	 */
+	static load(network, file = defaultManifestPath(network)) {
+		if (!fs.existsSync(file)) return new DeploymentManifest(file, network.toUpperCase());
+		const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+		return new DeploymentManifest(file, doc.network ?? network.toUpperCase(), doc.deployments ?? {});
+	}
+
+	/**
+	 * Add a deployment (call save() to persist)
+	 * @param {string} contractName - e.g. 'LazyVoter'
+	 * @param {object} entry
+	 * @param {string} entry.contractId
+	 * @param {string} entry.address - EVM address
+	 * @param {object} [entry.constructorArgs] - Named constructor arguments
+	 * @param {string} [entry.bytecodeHash] - From hashBytecode
+	 * @param {string} [entry.bytecodeFileId] - Hedera file the bytecode was deployed from
+	 * @param {string} entry.deployer - Operator account
+	 * @param {string} [entry.transactionId]
+	 * @param {string} [entry.consensusTimestamp] - Of the deploy transaction (seconds.nanos); sets timestamp
+	 * @param {string} [entry.timestamp] - ISO time, when the consensus timestamp is unknown (default: now)
+	 * @param {string} [entry.seededSerials] - LazyVoter: serials added after deployment, as ranges
+	 * @returns {object} the stored entry
+	 */
+	record(contractName, entry) {
+		const stored = {
+			contractId: entry.contractId,
+			address: entry.address,
+			constructorArgs: entry.constructorArgs ?? {},
+			bytecodeHash: entry.bytecodeHash ?? null,
+			bytecodeFileId: entry.bytecodeFileId ?? null,
+			deployer: entry.deployer,
+			transactionId: entry.transactionId ?? null,
+			consensusTimestamp: entry.consensusTimestamp ?? null,
+			timestamp: entry.consensusTimestamp ? consensusTime(entry.consensusTimestamp) : entry.timestamp ?? new Date().toISOString(),
+		};
+		if (entry.seededSerials) stored.seededSerials = entry.seededSerials;
+		this.deployments[contractName] = [...(this.deployments[contractName] ?? []), stored];
+		return stored;
+	}
+
+	/**
+	 * Update fields of a recorded deployment, e.g. serials seeded after it (call save() to persist)
+	 * @param {string} contractName
+	 * @param {string} contractId
+	 * @param {object} fields
+	 * @returns {object} the updated entry
+	 */
+	update(contractName, contractId, fields) {
+		const entry = (this.deployments[contractName] ?? []).find(e => e.contractId === contractId);
+		if (!entry) throw new Error(`${contractName} ${contractId} is not in ${this.file}`);
+		return Object.assign(entry, fields);
+	}
+
+	/**
+	 * Most recent deployment of a contract
+	 * @param {string} contractName
+	 * @returns {object|null}
+	 */
+	latest(contractName) {
+		const entries = this.deployments[contractName] ?? [];
+		return entries[entries.length - 1] ?? null;
+	}
+
+	/**
+	 * Every deployment, oldest first
+	 * @returns {Array<object>} entries with their contract name
+	 */
+	list() {
+		return Object.entries(this.deployments)
+			.flatMap(([contractName, entries]) => entries.map(entry => ({ contractName, ...entry })))
+			.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+	}
+
+	/**
+	 * Write the manifest atomically
+	 */
+	save() {
+		const tmpFile = `${this.file}.tmp`;
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+		fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, network: this.network, deployments: this.deployments }, null, 2));
+		fs.renameSync(tmpFile, this.file);
+	}
+}
+
+module.exports = {
+	DeploymentManifest,
+	defaultManifestPath,
+	hashBytecode,
+};
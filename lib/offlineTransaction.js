@@ -0,0 +1,381 @@
+'use strict';
+
+const fs = require('fs');
+const {
+	AccountId,
+	ContractExecuteTransaction,
+	ContractId,
+	Hbar,
+	Timestamp,
+	Transaction,
+	TransactionId,
+} = require('@hashgraph/sdk');
+const { createClient, loadInterface, parsePrivateKey } = require('../utils/clientFactory');
+const { estimateGas } = require('../utils/gasHelpers');
+const { mirrorTarget } = require('../utils/hederaMirrorHelpers');
+const { operatorAccountId, resolveConfig } = require('./config');
+const { Keystore } = require('./keystore');
+
+const FILE_FORMAT = 'lazyvote-transaction';
+const FILE_VERSION = 2;
+// Hedera rejects transactions submitted more than 180 seconds after their valid start
+const MAX_VALID_DURATION = 180;
+const DEFAULT_NODE_COUNT = 3;
+const DEFAULT_MAX_FEE_HBAR = 5;
+// The network rides in the memo, inside the signed bytes, so the file cannot be pointed at another one
+const NETWORK_MEMO = /^lazyvote (\w+)$/;
+
+/**
+ * Parse a --valid-start value: ISO date or unix seconds
+ * @param {string|number|Date} value
+ * @returns {Date}
+ */
+function parseValidStart(value) {
+	if (value instanceof Date) return value;
+	const date = /^\d+$/.test(String(value)) ? new Date(Number(value) * 1000) : new Date(value);
+	if (isNaN(date.getTime())) {
+		throw new Error(`Invalid valid-start "${value}". Use an ISO date (2025-01-31T12:00:00Z) or unix seconds`);
+	}
+	return date;
+}
+
+function jsonSafe(value) {
+	if (typeof value === 'bigint') {
+		return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+	}
+	if (Array.isArray(value) || (value && typeof value.toArray === 'function')) {
+		return Array.from(value).map(jsonSafe);
+	}
+	return value;
+}
+
+function defaultNodeAccountIds(network) {
+	const client = createClient(network);
+	try {
+		const unique = [...new Set(Object.values(client.network).map(id => id.toString()))];
+		return unique
+			.map(id => AccountId.fromString(id))
+			.sort((a, b) => a.num.compare(b.num))
+			.slice(0, DEFAULT_NODE_COUNT);
+	}
+	finally {
+		client.close();
+	}
+}
+
+/**
+ * Describe a frozen contract call, decoded from the transaction bytes themselves
+ * so a signer never has to trust the metadata written next to them.
+ */
+function describeTransaction(transaction, contractName) {
+	if (!(transaction instanceof ContractExecuteTransaction)) {
+		throw new Error(`Expected a ContractExecuteTransaction, found ${transaction.constructor.name}`);
+	}
+	const iface = loadInterface(contractName);
+	const data = `0x${Buffer.from(transaction.functionParameters).toString('hex')}`;
+	const call = iface.parseTransaction({ data });
+	if (!call) {
+		throw new Error(`Transaction data does not match any ${contractName} function`);
+	}
+	const validStart = transaction.transactionId.validStart.toDate();
+	return {
+		network: transaction.transactionMemo.match(NETWORK_MEMO)?.[1] ?? null,
+		contractId: transaction.contractId.toString(),
+		functionName: call.name,
+		signature: call.signature,
+		params: call.fragment.inputs.map((input, i) => ({ name: input.name, type: input.type, value: jsonSafe(call.args[i]) })),
+		gasLimit: Number(transaction.gas),
+		payableTinybars: transaction.payableAmount ? transaction.payableAmount.toTinybars().toString() : '0',
+		payerId: transaction.transactionId.accountId.toString(),
+		transactionId: transaction.transactionId.toString(),
+		validStart: validStart.toISOString(),
+		validUntil: new Date(validStart.getTime() + transaction.transactionValidDuration * 1000).toISOString(),
+		nodeAccountIds: transaction.nodeAccountIds.map(id => id.toString()),
+		maxTransactionFee: transaction.maxTransactionFee ? transaction.maxTransactionFee.toString() : null,
+	};
+}
+
+function listSignerKeys(transaction) {
+	const keys = new Set();
+	for (const [, byTransactionId] of transaction.getSignatures()) {
+		for (const [, byKey] of byTransactionId) {
+			for (const [publicKey] of byKey) {
+				keys.add(publicKey.toStringDer());
+			}
+		}
+	}
+	return [...keys];
+}
+
+/**
+ * Human-readable summary of a transaction file, for review before signing
+ * @param {object} doc - Transaction file contents (see exportUnsignedTransaction)
+ * @returns {string}
+ */
+function formatSummary(doc) {
+	const d = doc.decoded;
+	const lines = [
+		`Network:       ${doc.network}`,
+		`Contract:      ${d.contractId} (${doc.contract})`,
+		`Function:      ${d.signature}`,
+		...d.params.map(p => `  ${p.name || '(unnamed)'}: ${JSON.stringify(p.value)}`),
+		`Payer:         ${d.payerId}`,
+		`Transaction:   ${d.transactionId}`,
+		`Submit window: ${d.validStart} → ${d.validUntil}`,
+		`Nodes:         ${d.nodeAccountIds.join(', ')}`,
+		`Gas limit:     ${d.gasLimit.toLocaleString()}`,
+		`Max fee:       ${d.maxTransactionFee}`,
+		`Signatures:    ${doc.signatures.length}`,
+	];
+	return lines.join('\n');
+}
+
+/**
+ * Freeze a contract call without signing it and write it to a transaction file.
+ * @param {string} file - Output path
+ * @param {object} options
+ * @param {string} options.network - TEST, MAIN, PREVIEW, LOCAL
+ * @param {string} options.contractName - ABI name: LazyVoter or LazyDelegateRegistry
+ * @param {ContractId|string} options.contractId
+ * @param {string} options.functionName
+ * @param {Array} options.params
+ * @param {number} options.gasLimit
+ * @param {AccountId|string} options.payerId - Account paying for (and usually signing) the transaction
+ * @param {Array<AccountId|string>|string} [options.nodeAccountIds] - Nodes the bytes are valid for (default: first 3 of the network)
+ * @param {string|number|Date} [options.validStart] - Start of the 180s submit window (default: now)
+ * @param {number} [options.maxTransactionFee=5] - Max fee in HBAR
+ * @returns {object} the written transaction file contents
+ */
+function exportUnsignedTransaction(file, options) {
+	const iface = loadInterface(options.contractName);
+	const contractId = typeof options.contractId === 'string' ? ContractId.fromString(options.contractId) : options.contractId;
+	const payerId = typeof options.payerId === 'string' ? AccountId.fromString(options.payerId) : options.payerId;
+
+	let nodeAccountIds = options.nodeAccountIds;
+	if (typeof nodeAccountIds === 'string') nodeAccountIds = nodeAccountIds.split(',').map(s => s.trim()).filter(Boolean);
+	nodeAccountIds = nodeAccountIds && nodeAccountIds.length > 0
+		? nodeAccountIds.map(id => (typeof id === 'string' ? AccountId.fromString(id) : id))
+		: defaultNodeAccountIds(options.network);
+
+	const validStart = options.validStart ? parseValidStart(options.validStart) : new Date();
+	const encoded = iface.encodeFunctionData(options.functionName, options.params);
+
+	const transaction = new ContractExecuteTransaction()
+		.setContractId(contractId)
+		.setGas(options.gasLimit)
+		.setFunctionParameters(Buffer.from(encoded.slice(2), 'hex'))
+		.setTransactionId(TransactionId.withValidStart(payerId, Timestamp.fromDate(validStart)))
+		.setTransactionValidDuration(MAX_VALID_DURATION)
+		.setNodeAccountIds(nodeAccountIds)
+		.setMaxTransactionFee(new Hbar(options.maxTransactionFee ?? DEFAULT_MAX_FEE_HBAR))
+		.setTransactionMemo(`lazyvote ${options.network.toUpperCase()}`)
+		.freeze();
+
+	const doc = {
+		format: FILE_FORMAT,
+		version: FILE_VERSION,
+		network: options.network.toUpperCase(),
+		contract: options.contractName,
+		createdAt: new Date().toISOString(),
+		decoded: describeTransaction(transaction, options.contractName),
+		signatures: [],
+		bytes: Buffer.from(transaction.toBytes()).toString('hex'),
+	};
+	writeTransactionFile(file, doc);
+	return doc;
+}
+
+/**
+ * Read a transaction file and re-derive its description from the bytes.
+ * Throws if the stored description does not match what the bytes actually do.
+ * @param {string} file
+ * @returns {{doc: object, transaction: ContractExecuteTransaction}}
+ */
+function readTransactionFile(file) {
+	if (!fs.existsSync(file)) {
+		throw new Error(`Transaction file not found: ${file}`);
+	}
+	const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+	if (doc.format !== FILE_FORMAT || doc.version !== FILE_VERSION) {
+		throw new Error(`${file} is not a lazyvote transaction file (format ${FILE_FORMAT} v${FILE_VERSION})`);
+	}
+	const transaction = Transaction.fromBytes(Buffer.from(doc.bytes, 'hex'));
+	const decoded = describeTransaction(transaction, doc.contract);
+	if (JSON.stringify(decoded) !== JSON.stringify(doc.decoded) || doc.network !== decoded.network) {
+		throw new Error(`${file} has been tampered with: the summary does not match the transaction bytes`);
+	}
+	const signerKeys = listSignerKeys(transaction);
+	doc.signatures = signerKeys.map(publicKey => doc.signatures.find(s => s.publicKey === publicKey) || { publicKey });
+	return { doc, transaction };
+}
+
+function writeTransactionFile(file, doc) {
+	fs.writeFileSync(file, JSON.stringify(doc, null, 2));
+}
+
+/**
+ * Load a private key from a file (DER or hex string, surrounding whitespace ignored)
+ * @param {string} keyFile
+ * @returns {PrivateKey}
+ */
+function loadKeyFile(keyFile) {
+	if (!fs.existsSync(keyFile)) {
+		throw new Error(`Key file not found: ${keyFile}`);
+	}
+	return parsePrivateKey(fs.readFileSync(keyFile, 'utf8').trim(), `Key file ${keyFile}`);
+}
+
+/**
+ * CLI helper: the keys to sign with, from each --key-file and the --key keystore entry
+ * @param {object} argv - yargs argv (keyFile, key)
+ * @param {function(string): string} passphrase - Passphrase for the keystore key, e.g. promptPassphrase
+ * @returns {PrivateKey[]}
+ */
+function loadSigningKeys(argv, passphrase) {
+	const keys = (argv.keyFile ?? []).map(loadKeyFile);
+	if (argv.key) keys.push(Keystore.load().unlock(argv.key, passphrase(argv.key)).privateKey);
+	return keys;
+}
+
+/**
+ * Add signatures to a transaction file
+ * @param {string} file - Transaction file to sign
+ * @param {PrivateKey[]} privateKeys
+ * @param {string} [outFile=file] - Where to write the signed file
+ * @returns {Promise<object>} the updated transaction file contents
+ */
+async function signTransactionFile(file, privateKeys, outFile = file) {
+	const { doc, transaction } = readTransactionFile(file);
+	for (const key of privateKeys) {
+		await transaction.sign(key);
+	}
+	const signedAt = new Date().toISOString();
+	doc.bytes = Buffer.from(transaction.toBytes()).toString('hex');
+	doc.signatures = listSignerKeys(transaction).map(publicKey =>
+		doc.signatures.find(s => s.publicKey === publicKey) || { publicKey, signedAt },
+	);
+	writeTransactionFile(outFile, doc);
+	return doc;
+}
+
+/**
+ * Broadcast a signed transaction file and wait for its receipt
+ * @param {string} file
+ * @param {object} [options]
+ * @param {PrivateKey[]} [options.privateKeys=[]] - Extra keys to sign with before sending
+ * @param {number} [options.minSignatures=1] - Refuse to send with fewer signatures
+ * @returns {Promise<{status: string, transactionId: string, doc: object}>}
+ */
+async function submitTransactionFile(file, options = {}) {
+	const { doc, transaction } = readTransactionFile(file);
+	for (const key of options.privateKeys ?? []) {
+		await transaction.sign(key);
+	}
+
+	const signerCount = listSignerKeys(transaction).length;
+	const minSignatures = options.minSignatures ?? 1;
+	if (signerCount < minSignatures) {
+		throw new Error(`Transaction has ${signerCount} signature(s); at least ${minSignatures} required`);
+	}
+
+	const now = Date.now();
+	if (now < new Date(doc.decoded.validStart).getTime()) {
+		throw new Error(`Too early: the submit window opens at ${doc.decoded.validStart}`);
+	}
+	if (now > new Date(doc.decoded.validUntil).getTime()) {
+		throw new Error(`Expired: the submit window closed at ${doc.decoded.validUntil}. Export a new transaction.`);
+	}
+
+	const client = createClient(doc.network);
+	try {
+		const response = await transaction.execute(client);
+		let status;
+		try {
+			status = (await response.getReceipt(client)).status.toString();
+		}
+		catch (err) {
+			// ReceiptStatusError carries the failing status (e.g. CONTRACT_REVERT_EXECUTED)
+			if (!err.status) throw err;
+			status = err.status.toString();
+		}
+		return {
+			status,
+			transactionId: response.transactionId.toString(),
+			doc,
+		};
+	}
+	finally {
+		client.close();
+	}
+}
+
+/**
+ * CLI helper: resolve the payer for an exported transaction (--payer, else the configured account).
+ * No private key is needed on the exporting machine.
+ * @param {object} argv
+ * @returns {AccountId}
+ */
+function resolvePayerId(argv) {
+	const payer = argv.payer || operatorAccountId(resolveConfig(argv));
+	if (!payer) {
+		throw new Error('Payer account required for --export-unsigned. Use --payer, a profile account-id or set ACCOUNT_ID in .env');
+	}
+	return AccountId.fromString(payer);
+}
+
+/**
+ * CLI helper: when --export-unsigned is set, write the call to a transaction file
+ * instead of executing it.
+ * @param {object} argv - yargs argv (exportUnsigned, payer, nodes, validStart)
+ * @param {Output} out
+ * @param {object} call
+ * @param {string} call.network
+ * @param {string} [call.mirrorUrl] - Custom mirror node base URL for the gas estimate
+ * @param {string} call.contractName - LazyVoter or LazyDelegateRegistry
+ * @param {ContractId} call.contractId
+ * @param {string} call.functionName
+ * @param {Array} call.params
+ * @param {number} call.fallbackGas - Gas limit if mirror estimation fails
+ * @returns {Promise<boolean>} true if the transaction was exported and the caller should stop
+ */
+async function exportIfRequested(argv, out, call) {
+	if (!argv.exportUnsigned) return false;
+
+	const file = argv.exportUnsigned;
+	const payerId = resolvePayerId(argv);
+	const gasInfo = await estimateGas(
+		mirrorTarget(call.network, call.mirrorUrl), call.contractId, loadInterface(call.contractName), payerId,
+		call.functionName, call.params, call.fallbackGas,
+	);
+	const doc = exportUnsignedTransaction(file, {
+		network: call.network,
+		contractName: call.contractName,
+		contractId: call.contractId,
+		functionName: call.functionName,
+		params: call.params,
+		gasLimit: gasInfo.gasLimit,
+		payerId,
+		nodeAccountIds: argv.nodes,
+		validStart: argv.validStart,
+	});
+
+	out.success({ file, ...doc.decoded }, () => {
+		console.log(`\n  Unsigned transaction written to ${file}\n`);
+		console.log(formatSummary(doc).split('\n').map(line => `  ${line}`).join('\n'));
+		console.log(`\n  Next: lazyvote sign ${file} --key <name> (or --key-file <file>), then lazyvote submit ${file} inside the submit window\n`);
+	});
+	return true;
+}
+
+module.exports = {
+	exportIfRequested,
+	exportUnsignedTransaction,
+	readTransactionFile,
+	signTransactionFile,
+	submitTransactionFile,
+	formatSummary,
+	loadKeyFile,
+	loadSigningKeys,
+	resolvePayerId,
+	parseValidStart,
+};
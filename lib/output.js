@@ -1,5 +1,7 @@
 'use strict';
 
+const { LazyVoterError, suggestionsFor } = require('./errors');
+
 /**
  * Output formatter that supports human-readable and JSON output modes.
  */
@@ -25,11 +27,18 @@ class Output {
 
 	/**
 	 * Output an error
-	 * @param {string} code - Error code
-	 * @param {string} message - Error message
+	 * @param {string|LazyVoterError} code - Error code, or a typed error whose code and suggestions are used
+	 * @param {string} [message] - Error message (defaults to the typed error's message)
 	 * @param {string[]} [suggestions=[]] - Helpful suggestions
 	 */
 	error(code, message, suggestions = []) {
+		if (code instanceof LazyVoterError) {
+			const err = code;
+			code = err.code;
+			message = message || err.message;
+			suggestions = [...suggestionsFor(err), ...suggestions];
+			if (err.transactionId) suggestions.push(`Transaction: ${err.transactionId}`);
+		}
 		if (this.json) {
 			console.error(JSON.stringify({ success: false, error: { code, message, suggestions } }, null, 2));
 		}
@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * Page through an offset/limit view, fetching up to `concurrency` pages at a time.
+ * Items are yielded in contract order; iteration stops at the first short page.
+ *
+ * @param {function(number, number): Promise<Array>} fetchPage - (offset, limit) => items
+ * @param {object} [options]
+ * @param {number} [options.pageSize=100] - Items per call (keep modest: mirror calls are gas-limited)
+ * @param {number} [options.concurrency=4] - Pages requested in parallel
+ * @param {number} [options.offset=0] - Starting offset
+ * @returns {AsyncGenerator<*>}
+ */
+async function* paginate(fetchPage, options = {}) {
+	const pageSize = options.pageSize ?? 100;
+	const concurrency = options.concurrency ?? 4;
+	if (!Number.isInteger(pageSize) || pageSize < 1) {
+		throw new Error(`Invalid page size "${pageSize}". Must be a positive integer.`);
+	}
+	if (!Number.isInteger(concurrency) || concurrency < 1) {
+		throw new Error(`Invalid concurrency "${concurrency}". Must be a positive integer.`);
+	}
+
+	let offset = options.offset ?? 0;
+	while (true) {
+		const offsets = [];
+		for (let i = 0; i < concurrency; i++) {
+			offsets.push(offset + i * pageSize);
+		}
+		const pages = await Promise.all(offsets.map(o => fetchPage(o, pageSize)));
+
+		for (const page of pages) {
+			for (const item of page) {
+				yield item;
+			}
+			if (page.length < pageSize) return;
+		}
+		offset += concurrency * pageSize;
+	}
+}
+
+/**
+ * Collect an async iterable into an array
+ * @param {AsyncIterable<*>} iterable
+ * @returns {Promise<Array>}
+ */
+async function toArray(iterable) {
+	const items = [];
+	for await (const item of iterable) {
+		items.push(item);
+	}
+	return items;
+}
+
+/**
+ * Map items through an async function, at most `concurrency` calls in flight.
+ * Results keep the input order.
+ * @param {Array} items
+ * @param {function(*, number): Promise<*>} fn - (item, index) => result
+ * @param {number} [concurrency=4]
+ * @returns {Promise<Array>}
+ */
+async function mapConcurrent(items, fn, concurrency = 4) {
+	const results = new Array(items.length);
+	let next = 0;
+	const worker = async () => {
+		while (next < items.length) {
+			const i = next++;
+			results[i] = await fn(items[i], i);
+		}
+	};
+	await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+	return results;
+}
+
+module.exports = { paginate, toArray, mapConcurrent };
@@ -0,0 +1,197 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { parseSerials, formatSerials } = require('./serialParser');
+const { readSnapshot } = require('./snapshot');
+const { toArray } = require('./pagination');
+const { VoteStartedError } = require('./errors');
+
+// Serials per updateEligibleSerials transaction, as for addEligibleSerials
+const DEFAULT_BATCH_SIZE = 200;
+
+/**
+ * Read a proposal file: the configuration a LazyVoter should have before voting starts.
+ * Settings left out are not managed, so they never show up in a plan.
+ *
+ * {
+ *   "contractId": "0.0.12345",            optional, --contract-id / --proposal otherwise
+ *   "network": "test",                    optional
+ *   "voteMessage": "Fund the treasury?",
+ *   "quorum": 50,
+ *   "eligibleSerials": "1-100,150"        or an array, or "snapshot": "snapshot.json" (path from this file)
+ * }
+ *
+ * @param {string} file
+ * @returns {{file: string, contractId?: string, network?: string, voteMessage?: string, quorum?: number,
+ *   eligibleSerials?: number[], snapshot?: {file: string, hash: string}}}
+ */
+function loadProposalSpec(file) {
+	let raw;
+	try {
+		raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+	}
+	catch (err) {
+		throw new Error(`Cannot read proposal file ${file}: ${err.message}`);
+	}
+	const known = ['contractId', 'network', 'voteMessage', 'quorum', 'eligibleSerials', 'snapshot', 'description'];
+	const unknown = Object.keys(raw).filter(k => !known.includes(k));
+	if (unknown.length) throw new Error(`${file}: unknown field(s) ${unknown.join(', ')}. Expected ${known.join(', ')}`);
+
+	const spec = { file };
+	if (raw.contractId !== undefined) spec.contractId = String(raw.contractId);
+	if (raw.network !== undefined) spec.network = String(raw.network);
+	if (raw.voteMessage !== undefined) {
+		if (typeof raw.voteMessage !== 'string' || !raw.voteMessage.trim()) throw new Error(`${file}: voteMessage must be a non-empty string`);
+		spec.voteMessage = raw.voteMessage;
+	}
+	if (raw.quorum !== undefined) {
+		if (!Number.isInteger(raw.quorum) || raw.quorum < 0) throw new Error(`${file}: quorum must be a non-negative integer`);
+		spec.quorum = raw.quorum;
+	}
+	if (raw.eligibleSerials !== undefined && raw.snapshot !== undefined) {
+		throw new Error(`${file}: use eligibleSerials or snapshot, not both`);
+	}
+	if (raw.eligibleSerials !== undefined) {
+		const list = Array.isArray(raw.eligibleSerials) ? raw.eligibleSerials.join(',') : String(raw.eligibleSerials);
+		spec.eligibleSerials = list.trim() ? [...new Set(parseSerials(list))].sort((a, b) => a - b) : [];
+	}
+	if (raw.snapshot !== undefined) {
+		const snapshotFile = path.resolve(path.dirname(file), String(raw.snapshot));
+		const snapshot = readSnapshot(snapshotFile);
+		spec.eligibleSerials = snapshot.serials.map(s => s.serial).sort((a, b) => a - b);
+		spec.snapshot = { file: snapshotFile, hash: snapshot.hash };
+	}
+	return spec;
+}
+
+/**
+ * Compare a proposal file with the contract's on-chain configuration
+ * @param {LazyVoterClient} voter
+ * @param {object} spec - from loadProposalSpec
+ * @param {object} [options]
+ * @param {number} [options.batchSize=200] - Serials per updateEligibleSerials transaction
+ * @param {number} [options.now] - Reference unix time for the started check (default: current time)
+ * @returns {Promise<{contractId: string, network: string, startTime: number, started: boolean,
+ *   voteMessage: {from: string, to: string}|null, quorum: {from: number, to: number}|null,
+ *   add: number[], remove: number[], eligible: number, transactions: number, changes: number, batchSize: number}>}
+ */
+async function planProposal(voter, spec, options = {}) {
+	const batchSize = options.batchSize ?? DEFAULT_BATCH_SIZE;
+	const now = options.now ?? Math.floor(Date.now() / 1000);
+	const [window, voteMessage, quorum, eligible] = await Promise.all([
+		voter.getVotingWindow(),
+		spec.voteMessage !== undefined ? voter.getVoteMessage() : null,
+		spec.quorum !== undefined ? voter.getQuorum() : null,
+		spec.eligibleSerials !== undefined ? toArray(voter.eligibleSerials()) : null,
+	]);
+
+	const plan = {
+		contractId: voter.contractId.toString(),
+		network: voter.network,
+		startTime: window.startTime,
+		started: now >= window.startTime,
+		voteMessage: spec.voteMessage !== undefined && spec.voteMessage !== voteMessage ? { from: voteMessage, to: spec.voteMessage } : null,
+		quorum: spec.quorum !== undefined && spec.quorum !== quorum ? { from: quorum, to: spec.quorum } : null,
+		add: [],
+		remove: [],
+		eligible: eligible?.length ?? null,
+		batchSize,
+	};
+	if (eligible) {
+		const current = new Set(eligible);
+		const desired = new Set(spec.eligibleSerials);
+		plan.add = spec.eligibleSerials.filter(serial => !current.has(serial));
+		plan.remove = [...current].filter(serial => !desired.has(serial)).sort((a, b) => a - b);
+	}
+	plan.transactions = (plan.voteMessage ? 1 : 0) + (plan.quorum ? 1 : 0) + Math.ceil((plan.add.length + plan.remove.length) / batchSize);
+	plan.changes = (plan.voteMessage ? 1 : 0) + (plan.quorum ? 1 : 0) + plan.add.length + plan.remove.length;
+	return plan;
+}
+
+/**
+ * Terraform-style summary of a plan: ~ changed setting, + serials added, - serials removed
+ * @param {object} plan - from planProposal
+ * @returns {string[]} lines to print
+ */
+function formatPlan(plan) {
+	const lines = [`Plan for LazyVoter ${plan.contractId} on ${plan.network} (voting ${plan.started ? 'started' : 'starts'} ${new Date(plan.startTime * 1000).toISOString()})`, ''];
+	if (!plan.changes) {
+		lines.push('No changes. The contract matches the proposal file.');
+		return lines;
+	}
+	if (plan.voteMessage) lines.push(`~ voteMessage: ${JSON.stringify(plan.voteMessage.from)} → ${JSON.stringify(plan.voteMessage.to)}`);
+	if (plan.quorum) lines.push(`~ quorum: ${plan.quorum.from} → ${plan.quorum.to}`);
+	if (plan.add.length) lines.push(`+ eligibleSerials (${plan.add.length}): ${formatSerials(plan.add)}`);
+	if (plan.remove.length) lines.push(`- eligibleSerials (${plan.remove.length}): ${formatSerials(plan.remove)}`);
+	const settings = (plan.voteMessage ? 1 : 0) + (plan.quorum ? 1 : 0);
+	lines.push('', `Plan: ${plan.add.length} serial(s) to add, ${plan.remove.length} to remove, ${settings} setting(s) to change, in ${plan.transactions} transaction(s).`);
+	if (plan.started) lines.push('Voting has started: the contract no longer accepts these changes.');
+	return lines;
+}
+
+/**
+ * Execute a plan with the fewest transactions: updateVoteMessage and updateQuorum when they
+ * changed, then updateEligibleSerials batches carrying additions and removals together.
+ * @param {LazyVoterClient} voter - with an operator that owns the contract
+ * @param {object} plan - from planProposal
+ * @param {object} [options]
+ * @param {function} [options.onProgress] - Called after each transaction with { step, success, transactionId, ... }
+ * @returns {Promise<{success: boolean, steps: object[], error?: LazyVoterError}>}
+ * @throws {VoteStartedError} when voting has started; the contract rejects every change from then on
+ */
+async function applyPlan(voter, plan, options = {}) {
+	const { startTime } = await voter.getVotingWindow();
+	if (Math.floor(Date.now() / 1000) >= startTime) {
+		throw new VoteStartedError({ startTime });
+	}
+	const onProgress = options.onProgress ?? (() => null);
+	const summary = { success: true, steps: [] };
+	const record = (entry) => {
+		summary.steps.push(entry);
+		onProgress(entry);
+		if (!entry.success) {
+			summary.success = false;
+			summary.error = entry.error;
+		}
+		return entry.success;
+	};
+	const single = async (step, run) => {
+		try {
+			const tx = await run();
+			return record({ step, success: true, transactionId: tx.transactionId });
+		}
+		catch (error) {
+			return record({ step, success: false, transactionId: error.transactionId ?? null, error });
+		}
+	};
+
+	if (plan.voteMessage && !await single('voteMessage', () => voter.updateVoteMessage(plan.voteMessage.to))) return summary;
+	if (plan.quorum && !await single('quorum', () => voter.updateQuorum(plan.quorum.to))) return summary;
+	if (plan.add.length || plan.remove.length) {
+		const result = await voter.updateEligibleSerials(plan.add, plan.remove, {
+			batchSize: plan.batchSize,
+			onProgress: (p) => onProgress({
+				step: 'eligibleSerials', batch: p.batch, totalBatches: p.totalBatches,
+				add: p.serials.add.length, remove: p.serials.remove.length,
+				success: p.success, transactionId: p.transactionId, error: p.error,
+			}),
+		});
+		summary.steps.push(...result.batches.map(b => ({
+			step: 'eligibleSerials', batch: b.batch, add: b.serials.add.length, remove: b.serials.remove.length,
+			success: b.success, transactionId: b.transactionId, error: b.error,
+		})));
+		if (!result.success) {
+			summary.success = false;
+			summary.error = result.error;
+		}
+	}
+	return summary;
+}
+
+module.exports = {
+	applyPlan,
+	formatPlan,
+	loadProposalSpec,
+	planProposal,
+};
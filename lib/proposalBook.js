@@ -0,0 +1,133 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ContractId, TokenId } = require('@hashgraph/sdk');
+
+const BOOK_DIR = '.lazyvote';
+const BOOK_FILE = 'proposals.json';
+const ALIAS_PATTERN = /^[a-z0-9][a-z0-9._-]*$/i;
+const NETWORKS = ['TEST', 'MAIN', 'PREVIEW', 'LOCAL'];
+
+/**
+ * Where the proposal book lives: LAZYVOTE_PROPOSALS_FILE, else ./.lazyvote/proposals.json
+ * when the project has one, else ~/.lazyvote/proposals.json
+ * @param {object} [options]
+ * @param {boolean} [options.local] - Use the project file even if it does not exist yet
+ * @returns {string}
+ */
+function defaultBookPath(options = {}) {
+	if (process.env.LAZYVOTE_PROPOSALS_FILE) return path.resolve(process.env.LAZYVOTE_PROPOSALS_FILE);
+	const projectFile = path.resolve(BOOK_DIR, BOOK_FILE);
+	if (options.local || fs.existsSync(projectFile)) return projectFile;
+	return path.join(os.homedir(), BOOK_DIR, BOOK_FILE);
+}
+
+/**
+ * Local registry of LazyVoter deployments keyed by alias, one per proposal.
+ * Entries: { contractId, network, nftToken, registry, description, addedAt }
+ */
+class ProposalBook {
+	/**
+	 * @param {string} file - JSON file backing the book
+	 * @param {object} [proposals] - alias -> entry
+	 */
+	constructor(file, proposals = {}) {
+		this.file = file;
+		this.proposals = proposals;
+	}
+
+	/**
+	 * Read the book (an empty book if the file does not exist yet)
+	 * @param {string} [file=defaultBookPath()]
+	 * @returns {ProposalBook}
+	 */
+	static load(file = defaultBookPath()) {
+		if (!fs.existsSync(file)) return new ProposalBook(file);
+		const doc = JSON.parse(fs.readFileSync(file, 'utf8'));
+		return new ProposalBook(file, doc.proposals ?? {});
+	}
+
+	/**
+	 * @returns {Array<object>} entries with their alias, sorted by alias
+	 */
+	list() {
+		return Object.keys(this.proposals).sort().map(alias => ({ alias, ...this.proposals[alias] }));
+	}
+
+	/**
+	 * @param {string} alias
+	 * @returns {object} entry with its alias
+	 * @throws {Error} when the alias is not in the book
+	 */
+	get(alias) {
+		const entry = this.proposals[alias];
+		if (!entry) {
+			const known = Object.keys(this.proposals).sort();
+			throw new Error(`Unknown proposal "${alias}" in ${this.file}. ${known.length ? `Known: ${known.join(', ')}` : 'Add one with: lazyvote proposals add <alias> <contractId>'}`);
+		}
+		return { alias, ...entry };
+	}
+
+	/**
+	 * Add a deployment (call save() to persist)
+	 * @param {string} alias - Letters, digits, '.', '_' and '-'
+	 * @param {object} entry
+	 * @param {string} entry.contractId - LazyVoter contract ID
+	 * @param {string} entry.network - TEST, MAIN, PREVIEW, LOCAL
+	 * @param {string} [entry.nftToken] - Voting NFT token ID
+	 * @param {string} [entry.registry] - LazyDelegateRegistry contract ID
+	 * @param {string} [entry.description]
+	 * @param {object} [options]
+	 * @param {boolean} [options.replace] - Overwrite an existing alias
+	 * @returns {object} the stored entry with its alias
+	 */
+	add(alias, entry, options = {}) {
+		if (!ALIAS_PATTERN.test(alias)) {
+			throw new Error(`Invalid alias "${alias}". Use letters, digits, '.', '_' and '-'`);
+		}
+		if (this.proposals[alias] && !options.replace) {
+			throw new Error(`Proposal "${alias}" already exists (${this.proposals[alias].contractId}). Use --replace to overwrite it`);
+		}
+		const network = String(entry.network || 'TEST').toUpperCase();
+		if (!NETWORKS.includes(network)) {
+			throw new Error(`Invalid network "${entry.network}". Must be one of: ${NETWORKS.join(', ')}`);
+		}
+		this.proposals[alias] = {
+			contractId: ContractId.fromString(entry.contractId).toString(),
+			network,
+			nftToken: entry.nftToken ? TokenId.fromString(entry.nftToken).toString() : null,
+			registry: entry.registry ? ContractId.fromString(entry.registry).toString() : null,
+			description: entry.description ?? null,
+			addedAt: new Date().toISOString(),
+		};
+		return this.get(alias);
+	}
+
+	/**
+	 * Remove an alias (call save() to persist)
+	 * @param {string} alias
+	 * @returns {object} the removed entry
+	 */
+	remove(alias) {
+		const entry = this.get(alias);
+		delete this.proposals[alias];
+		return entry;
+	}
+
+	/**
+	 * Write the book atomically
+	 */
+	save() {
+		const tmpFile = `${this.file}.tmp`;
+		fs.mkdirSync(path.dirname(this.file), { recursive: true });
+		fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, proposals: this.proposals }, null, 2));
+		fs.renameSync(tmpFile, this.file);
+	}
+}
+
+module.exports = {
+	ProposalBook,
+	defaultBookPath,
+};
@@ -0,0 +1,241 @@
+'use strict';
+
+const { AccountId } = require('@hashgraph/sdk');
+const { homebrewPopulateAccountNum } = require('../utils/hederaMirrorHelpers');
+const { toArray, mapConcurrent } = require('./pagination');
+const { getLogger } = require('./logger');
+const { choiceLabel } = require('./voteTypes');
+
+const FORMATS = ['csv', 'json', 'md', 'html'];
+
+// Long-zero addresses (0x000…num) carry the account number; others need the mirror node
+async function accountIdFor(network, address) {
+	if (/^(0x)?0{24}/i.test(address)) return AccountId.fromEvmAddress(0, 0, address).toString();
+	try {
+		return await homebrewPopulateAccountNum(network, address);
+	}
+	catch (err) {
+		getLogger().debug(`No account ID for ${address}: ${err.message}`, { event: 'report.account', address, error: err });
+		return null;
+	}
+}
+
+function isoTime(seconds) {
+	return seconds ? new Date(seconds * 1000).toISOString() : '';
+}
+
+/**
+ * Collect everything a post-vote report needs: tallies, quorum outcome, turnout, one row per
+ * voted serial (choice, voter, timestamp from lastVoterForSerial) and per-voter counts.
+ * @param {LazyVoterClient} voter
+ * @param {object} [options]
+ * @param {number} [options.concurrency=4] - Mirror calls in flight for timestamps and account IDs
+ * @param {function} [options.onProgress] - Called with { phase: 'votes'|'timestamps'|'accounts', done, total }
+ * @returns {Promise<object>} report, see renderReport
+ */
+async function buildReport(voter, options = {}) {
+	const onProgress = options.onProgress ?? (() => null);
+	const [voteMessage, status, window, results, quorum, quorumReached, eligible, voters, votes] = await Promise.all([
+		voter.getVoteMessage(),
+		voter.getStatus(),
+		voter.getVotingWindow(),
+		voter.getResults(),
+		voter.getQuorum(),
+		voter.hasQuorum(),
+		voter.totalEligibleVoters(),
+		voter.getAllVoters(),
+		toArray(voter.allVotes({ concurrency: options.concurrency })),
+	]);
+	onProgress({ phase: 'votes', done: votes.length, total: votes.length });
+
+	let done = 0;
+	const timestamps = await mapConcurrent(votes, async ({ serial }) => {
+		const { timestamp } = await voter.lastVoterForSerial(serial);
+		onProgress({ phase: 'timestamps', done: ++done, total: votes.length });
+		return timestamp;
+	}, options.concurrency);
+
+	const addresses = [...new Set([...voters.voters, ...votes.map(v => v.voter)].map(a => a.toLowerCase()))];
+	const accountIds = new Map();
+	const resolved = await mapConcurrent(addresses, address => accountIdFor(voter.mirror, address), options.concurrency);
+	addresses.forEach((address, i) => accountIds.set(address, resolved[i]));
+	onProgress({ phase: 'accounts', done: addresses.length, total: addresses.length });
+
+	const total = results.yes + results.no + results.abstain;
+	return {
+		contractId: voter.contractId.toString(),
+		network: voter.network,
+		generatedAt: new Date().toISOString(),
+		voteMessage,
+		status,
+		startTime: window.startTime,
+		endTime: window.endTime,
+		tallies: { ...results, total },
+		quorum: { required: quorum, reached: quorumReached },
+		eligible,
+		turnout: eligible ? Math.round((total / eligible) * 10000) / 100 : 0,
+		votes: votes
+			.map((v, i) => ({
+				serial: v.serial,
+				choice: choiceLabel(v.voteType),
+				voter: accountIds.get(v.voter.toLowerCase()) ?? null,
+				address: v.voter,
+				timestamp: timestamps[i],
+				time: isoTime(timestamps[i]),
+			}))
+			.sort((a, b) => a.serial - b.serial),
+		voters: voters.voters
+			.map((address, i) => ({ voter: accountIds.get(address.toLowerCase()) ?? null, address, votes: voters.voteCounts[i] }))
+			.sort((a, b) => b.votes - a.votes || a.address.localeCompare(b.address)),
+	};
+}
+
+function summaryRows(report) {
+	return [
+		['Contract', report.contractId],
+		['Network', report.network],
+		['Proposal', report.voteMessage],
+		['Status', report.status],
+		['Voting window', `${isoTime(report.startTime)} - ${isoTime(report.endTime)}`],
+		['Yes', report.tallies.yes],
+		['No', report.tallies.no],
+		['Abstain', report.tallies.abstain],
+		['Votes cast', report.tallies.total],
+		['Eligible serials', report.eligible],
+		['Turnout', `${report.turnout}%`],
+		['Quorum', `${report.quorum.required} Yes votes - ${report.quorum.reached ? 'REACHED' : 'NOT REACHED'}`],
+		['Unique voters', report.voters.length],
+		['Generated', report.generatedAt],
+	];
+}
+
+const VOTE_COLUMNS = [['Serial', 'serial'], ['Vote', 'choice'], ['Voter', 'voter'], ['Address', 'address'], ['Timestamp', 'timestamp'], ['Time (UTC)', 'time']];
+const VOTER_COLUMNS = [['Voter', 'voter'], ['Address', 'address'], ['Votes', 'votes']];
+
+// Text that a spreadsheet would run as a formula (e.g. a proposal title of "=HYPERLINK(...)") is kept as text
+function csvCell(value) {
+	let text = String(value ?? '');
+	if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Three sections separated by blank lines, each with its own header row
+function renderCsv(report) {
+	const row = cells => cells.map(csvCell).join(',');
+	return [
+		row(['Field', 'Value']),
+		...summaryRows(report).map(row),
+		'',
+		row(VOTE_COLUMNS.map(([title]) => title)),
+		...report.votes.map(v => row(VOTE_COLUMNS.map(([, key]) => v[key]))),
+		'',
+		row(VOTER_COLUMNS.map(([title]) => title)),
+		...report.voters.map(v => row(VOTER_COLUMNS.map(([, key]) => v[key]))),
+	].join('\n') + '\n';
+}
+
+function mdCell(value) {
+	return String(value ?? '').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+}
+
+function mdTable(columns, rows) {
+	return [
+		`| ${columns.map(([title]) => title).join(' | ')} |`,
+		`| ${columns.map(() => '---').join(' | ')} |`,
+		...rows.map(r => `| ${columns.map(([, key]) => mdCell(r[key])).join(' | ')} |`),
+	].join('\n');
+}
+
+function renderMarkdown(report) {
+	return [
+		`# Vote report: ${report.contractId}`,
+		'',
+		`> ${mdCell(report.voteMessage)}`,
+		'',
+		'## Summary',
+		'',
+		mdTable([['Field', 0], ['Value', 1]], summaryRows(report)),
+		'',
+		`## Votes (${report.votes.length})`,
+		'',
+		mdTable(VOTE_COLUMNS, report.votes),
+		'',
+		`## Voters (${report.voters.length})`,
+		'',
+		mdTable(VOTER_COLUMNS, report.voters),
+		'',
+	].join('\n');
+}
+
+function escapeHtml(value) {
+	return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\'': '&#39;' })[c]);
+}
+
+function htmlTable(columns, rows) {
+	const head = columns.map(([title]) => `<th>${escapeHtml(title)}</th>`).join('');
+	const body = rows.map(r => `<tr>${columns.map(([, key]) => `<td>${escapeHtml(r[key])}</td>`).join('')}</tr>`).join('\n');
+	return `<table>\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+// Self-contained page: no scripts or external assets, so it can be published as is
+function renderHtml(report) {
+	const t = report.tallies;
+	const share = n => (t.total ? Math.round((n / t.total) * 1000) / 10 : 0);
+	return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Vote report ${escapeHtml(report.contractId)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2em auto; padding: 0 1em; color: #222; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 2em; font-size: 0.9em; }
+th, td { border: 1px solid #ccc; padding: 4px 8px; text-align: left; }
+th { background: #f3f3f3; }
+blockquote { border-left: 4px solid #ccc; margin: 1em 0; padding: 0.5em 1em; background: #fafafa; }
+.bar { height: 1em; background: #4a7; display: inline-block; vertical-align: middle; }
+.outcome { font-weight: bold; color: ${report.quorum.reached ? '#2a7' : '#c33'}; }
+</style>
+</head>
+<body>
+<h1>Vote report: ${escapeHtml(report.contractId)}</h1>
+<blockquote>${escapeHtml(report.voteMessage)}</blockquote>
+<p>Quorum: <span class="outcome">${report.quorum.reached ? 'REACHED' : 'NOT REACHED'}</span> (${report.quorum.required} Yes votes required). Turnout ${report.turnout}% of ${report.eligible} eligible serials.</p>
+<table>
+<thead><tr><th>Vote</th><th>Count</th><th>Share</th></tr></thead>
+<tbody>
+${[['Yes', t.yes], ['No', t.no], ['Abstain', t.abstain]].map(([label, n]) => `<tr><td>${label}</td><td>${n}</td><td><span class="bar" style="width:${share(n) * 2}px"></span> ${share(n)}%</td></tr>`).join('\n')}
+</tbody>
+</table>
+<h2>Summary</h2>
+${htmlTable([['Field', 0], ['Value', 1]], summaryRows(report))}
+<h2>Votes (${report.votes.length})</h2>
+${htmlTable(VOTE_COLUMNS, report.votes)}
+<h2>Voters (${report.voters.length})</h2>
+${htmlTable(VOTER_COLUMNS, report.voters)}
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a report from buildReport
+ * @param {object} report
+ * @param {'csv'|'json'|'md'|'html'} format
+ * @returns {string}
+ */
+function renderReport(report, format) {
+	const renderers = {
+		csv: renderCsv,
+		json: r => `${JSON.stringify(r, null, 2)}\n`,
+		md: renderMarkdown,
+		html: renderHtml,
+	};
+	if (!renderers[format]) throw new Error(`Unknown report format "${format}". Use ${FORMATS.join(', ')}`);
+	return renderers[format](report);
+}
+
+module.exports = {
+	FORMATS,
+	buildReport,
+	renderReport,
+};
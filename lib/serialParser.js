@@ -45,4 +45,24 @@ function parseSerials(input) {
 	return [...new Set(serials)].sort((a, b) => a - b);
 }
 
-module.exports = { parseSerials };
+/**
+ * Format serial numbers as the compact string parseSerials reads back.
+ *
+ * Examples:
+ *   [1, 2, 3, 7, 10, 11, 12] → "1-3,7,10-12"
+ *
+ * @param {number[]} serials - Serial numbers
+ * @returns {string} Comma-separated serials and ranges ('' for none)
+ */
+function formatSerials(serials) {
+	const sorted = [...new Set(serials)].sort((a, b) => a - b);
+	const parts = [];
+	for (let i = 0; i < sorted.length; i++) {
+		const start = sorted[i];
+		while (sorted[i + 1] === sorted[i] + 1) i++;
+		parts.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`);
+	}
+	return parts.join(',');
+}
+
+module.exports = { parseSerials, formatSerials };
@@ -0,0 +1,83 @@
+'use strict';
+
+const { readOnlyEVMFromMirrorNode, getMirrorRevert } = require('../utils/solidityHelpers');
+const { fromMirrorRevert } = require('./errors');
+const { normalizeValue } = require('./events');
+
+// Mirror /contracts/call rejects anything above 15M gas
+const SIMULATION_GAS = 15_000_000;
+
+/**
+ * Run a write call through the mirror node without submitting it.
+ * The call is executed with estimate: false first, so a revert is reported with its decoded
+ * reason; when it succeeds the return data is decoded and the gas is estimated.
+ * @param {object} call
+ * @param {string|object} call.network - TEST, MAIN, PREVIEW, LOCAL or a mirrorTarget
+ * @param {ContractId} call.contractId
+ * @param {ethers.Interface} call.iface
+ * @param {AccountId} call.from - Account the call is simulated as (msg.sender)
+ * @param {string} call.functionName
+ * @param {Array} [call.params=[]]
+ * @returns {Promise<{simulated: true, success: boolean, contractId: string, functionName: string, params: Array,
+ *   result: Array|null, gasEstimate: number|null, error: LazyVoterError|null}>}
+ */
+async function simulateCall(call) {
+	const { network, contractId, iface, from, functionName, params = [] } = call;
+	if (!from) {
+		throw new Error('Simulation needs a sender account. Provide operator credentials or an account ID.');
+	}
+	const data = iface.encodeFunctionData(functionName, params);
+	const simulation = {
+		simulated: true,
+		success: false,
+		contractId: contractId.toString(),
+		functionName,
+		params: normalizeValue(params),
+		result: null,
+		gasEstimate: null,
+		error: null,
+	};
+
+	try {
+		const returned = await readOnlyEVMFromMirrorNode(network, contractId, data, from, false, SIMULATION_GAS);
+		simulation.result = normalizeValue(iface.decodeFunctionResult(functionName, returned));
+		const estimate = await readOnlyEVMFromMirrorNode(network, contractId, data, from, true, SIMULATION_GAS);
+		simulation.gasEstimate = Number(estimate);
+		simulation.success = true;
+	}
+	catch (err) {
+		const revert = getMirrorRevert(err);
+		if (!revert) throw err;
+		simulation.error = fromMirrorRevert(iface, revert);
+	}
+	return simulation;
+}
+
+/**
+ * Print a simulation (or a list of them, e.g. one per batch)
+ * @param {Output} out
+ * @param {object|object[]} simulations
+ */
+function printSimulation(out, simulations) {
+	const list = Array.isArray(simulations) ? simulations : [simulations];
+	out.success({ simulated: true, success: list.every(s => s.success), simulations: list }, (d) => {
+		console.log('\n  DRY RUN (nothing was submitted)\n');
+		d.simulations.forEach((s, i) => {
+			const label = d.simulations.length > 1 ? `  [${i + 1}/${d.simulations.length}] ` : '  ';
+			if (s.success) {
+				const returned = s.result.length ? `  returns ${JSON.stringify(s.result)}` : '';
+				console.log(`${label}${s.functionName}: would succeed, gas estimate ${s.gasEstimate.toLocaleString()}${returned}`);
+			}
+			else {
+				console.log(`${label}${s.functionName}: would revert - ${s.error.message} (${s.error.code})`);
+			}
+		});
+		console.log();
+	});
+}
+
+module.exports = {
+	simulateCall,
+	printSimulation,
+	SIMULATION_GAS,
+};
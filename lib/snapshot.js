@@ -0,0 +1,166 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TokenId } = require('@hashgraph/sdk');
+const { getTokenNFTsPage, getNFTTransactions, mirrorTarget } = require('../utils/hederaMirrorHelpers');
+const { mapConcurrent } = require('./pagination');
+const { parseTime } = require('./timeParser');
+const { compareTimestamps, toConsensusTimestamp } = require('./events');
+const { getLogger } = require('./logger');
+const { applyRules } = require('./eligibility');
+
+// Transfer types after which nobody holds the serial
+const REMOVAL_TYPES = new Set(['TOKENBURN', 'TOKENWIPE']);
+
+// A consensus timestamp is used as is; anything else (ISO date, unix seconds, "2h ago") goes through parseTime
+function snapshotTimestamp(at) {
+	if (at === undefined || at === null || at === '') return toConsensusTimestamp(new Date());
+	const text = String(at).trim();
+	return toConsensusTimestamp(/^\d+\.\d{1,9}$/.test(text) ? text : parseTime(text));
+}
+
+/**
+ * sha256 over the snapshot's content (network, token, timestamp, holdings and, for filtered
+ * snapshots, the rule file hash and exclusions), independent of key order and of the derived
+ * fields, so a published snapshot can be checked byte for byte.
+ * @param {object} snapshot
+ * @returns {string} 'sha256:<hex>'
+ */
+function hashSnapshot(snapshot) {
+	const content = {
+		network: snapshot.network,
+		token: snapshot.token,
+		timestamp: snapshot.timestamp,
+		serials: [...snapshot.serials]
+			.sort((a, b) => a.serial - b.serial)
+			.map(({ serial, owner }) => [serial, owner]),
+	};
+	if (snapshot.rules) {
+		content.rules = snapshot.rules.hash;
+		content.excluded = [...(snapshot.excluded ?? [])]
+			.sort((a, b) => a.serial - b.serial)
+			.map(({ serial, owner, rule }) => [serial, owner, rule]);
+	}
+	return `sha256:${crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex')}`;
+}
+
+/**
+ * Reconstruct serial → owner for an NFT collection at a consensus timestamp.
+ * Serials unchanged since the timestamp keep their current owner; the rest are resolved from
+ * their mirror-node transfer history. Serials minted after, or burned/wiped before, are left out.
+ * With eligibility rules, `serials` keeps only the eligible holdings and `excluded` says why the rest went.
+ * @param {string} network
+ * @param {TokenId|string} tokenId
+ * @param {object} [options]
+ * @param {string|number} [options.at] - Consensus timestamp or parseTime input (default: now)
+ * @param {number} [options.concurrency=4] - History lookups in flight
+ * @param {function} [options.onProgress] - Called with { phase: 'list'|'history'|'rules', done, total }
+ * @param {{rules: object, file: string, hash: string}} [options.rules] - Eligibility rules from loadRules
+ * @param {string} [options.mirrorUrl] - Custom mirror node base URL
+ * @returns {Promise<{version: number, network: string, token: string, timestamp: string, createdAt: string,
+ *   serials: Array<{serial: number, owner: string}>, holders: number, hash: string,
+ *   rules?: {file: string, hash: string}, excluded?: object[], excludedByRule?: object}>}
+ */
+async function createSnapshot(network, tokenId, options = {}) {
+	const token = TokenId.fromString(tokenId.toString()).toString();
+	const at = snapshotTimestamp(options.at);
+	const onProgress = options.onProgress ?? (() => null);
+	const mirror = mirrorTarget(network, options.mirrorUrl);
+
+	const nfts = [];
+	let next = null;
+	do {
+		const page = await getTokenNFTsPage(mirror, token, { next });
+		nfts.push(...page.nfts);
+		next = page.next;
+		onProgress({ phase: 'list', done: nfts.length, total: null });
+	} while (next);
+
+	const holdings = [];
+	const changed = [];
+	for (const nft of nfts) {
+		const serial = Number(nft.serial_number);
+		if (compareTimestamps(nft.created_timestamp, at) > 0) continue;
+		if (compareTimestamps(nft.modified_timestamp, at) <= 0) {
+			if (!nft.deleted && nft.account_id) holdings.push({ serial, owner: nft.account_id });
+		}
+		else {
+			changed.push(serial);
+		}
+	}
+	getLogger().debug(`Snapshot of ${token} at ${at}: ${holdings.length} serials unchanged, ${changed.length} to resolve from history`, {
+		event: 'snapshot.scan', token, timestamp: at, unchanged: holdings.length, changed: changed.length,
+	});
+
+	let done = 0;
+	const resolved = await mapConcurrent(changed, async (serial) => {
+		const [last] = await getNFTTransactions(mirror, token, serial, { toTimestamp: at, limit: 1 });
+		onProgress({ phase: 'history', done: ++done, total: changed.length });
+		if (!last || REMOVAL_TYPES.has(last.type) || !last.receiver_account_id) return null;
+		return { serial, owner: last.receiver_account_id };
+	}, options.concurrency);
+	holdings.push(...resolved.filter(Boolean));
+	holdings.sort((a, b) => a.serial - b.serial);
+
+	let filtered = null;
+	if (options.rules) {
+		onProgress({ phase: 'rules', done: 0, total: holdings.length });
+		filtered = await applyRules(mirror, token, holdings, options.rules.rules, { concurrency: options.concurrency });
+		onProgress({ phase: 'rules', done: holdings.length, total: holdings.length });
+	}
+	const serials = filtered ? filtered.eligible : holdings;
+
+	const snapshot = {
+		version: 1,
+		network: network.toUpperCase(),
+		token,
+		timestamp: at,
+		createdAt: new Date().toISOString(),
+		serials,
+		holders: new Set(serials.map(h => h.owner)).size,
+	};
+	if (filtered) {
+		snapshot.rules = { file: path.basename(options.rules.file), hash: options.rules.hash };
+		snapshot.excluded = filtered.excluded;
+		snapshot.excludedByRule = filtered.byRule;
+	}
+	snapshot.hash = hashSnapshot(snapshot);
+	return snapshot;
+}
+
+/**
+ * Write a snapshot as JSON
+ * @param {string} file
+ * @param {object} snapshot - from createSnapshot
+ */
+function writeSnapshot(file, snapshot) {
+	fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+	fs.writeFileSync(file, `${JSON.stringify(snapshot, null, 2)}\n`);
+}
+
+/**
+ * Read a snapshot and check its content hash
+ * @param {string} file
+ * @returns {object} the snapshot
+ * @throws {Error} when the file was edited after the hash was taken
+ */
+function readSnapshot(file) {
+	const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+	if (!Array.isArray(snapshot.serials) || !snapshot.hash) {
+		throw new Error(`${file} is not a snapshot file`);
+	}
+	const actual = hashSnapshot(snapshot);
+	if (actual !== snapshot.hash) {
+		throw new Error(`Snapshot ${file} does not match its hash (recorded ${snapshot.hash}, content ${actual}). It was modified after it was created`);
+	}
+	return snapshot;
+}
+
+module.exports = {
+	createSnapshot,
+	hashSnapshot,
+	readSnapshot,
+	writeSnapshot,
+};
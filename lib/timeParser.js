@@ -0,0 +1,51 @@
+'use strict';
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400, w: 604800 };
+
+// "1d 12h" → seconds
+function parseDuration(text, input) {
+	let seconds = 0;
+	for (const part of text.trim().split(/\s+/)) {
+		const match = part.match(/^(\d+)([smhdw])$/);
+		if (!match) {
+			throw new Error(`Invalid relative time "${input}". Use units s, m, h, d, w (e.g., "in 2h", "in 1d 12h" or "3d ago")`);
+		}
+		seconds += Number(match[1]) * UNITS[match[2]];
+	}
+	return seconds;
+}
+
+/**
+ * Parse a point in time into a unix timestamp (seconds).
+ * Accepts unix seconds, ISO 8601 dates, or a time relative to `now`.
+ *
+ * Examples:
+ *   "1735689600" → 1735689600
+ *   "2025-01-01T00:00:00Z" → 1735689600
+ *   "in 2h", "+2h", "in 1d 12h", "in 90m" → now + offset
+ *   "3d ago", "-6h" → now - offset
+ *
+ * @param {string|number} input - Time string
+ * @param {number} [now] - Reference unix timestamp for relative times (default: current time)
+ * @returns {number} Unix timestamp in seconds
+ */
+function parseTime(input, now = Math.floor(Date.now() / 1000)) {
+	const text = String(input ?? '').trim().toLowerCase();
+	if (!text) {
+		throw new Error('Time required. Example: "2025-01-01T00:00:00Z", "in 2h" or a unix timestamp');
+	}
+	if (/^\d+$/.test(text)) return Number(text);
+
+	const ahead = text.match(/^(?:in\s+|\+)(.+)$/);
+	if (ahead) return now + parseDuration(ahead[1], input);
+	const ago = text.match(/^(?:-(.+)|(.+?)\s+ago)$/);
+	if (ago) return now - parseDuration(ago[1] ?? ago[2], input);
+
+	const ms = Date.parse(String(input).trim());
+	if (isNaN(ms)) {
+		throw new Error(`Invalid time "${input}". Use an ISO date (e.g., "2025-01-01T00:00:00Z"), "in 2h", "3d ago" or a unix timestamp`);
+	}
+	return Math.floor(ms / 1000);
+}
+
+module.exports = { parseTime };
@@ -0,0 +1,135 @@
+'use strict';
+
+const { errorFromResult } = require('./errors');
+const { decodeLog, normalizeValue } = require('./events');
+
+const toHex = bytes => `0x${Buffer.from(bytes).toString('hex')}`;
+
+/**
+ * Outcome of a contract write, built from contractExecuteFunction's [status, returnValues, record].
+ * JSON-safe: the raw record stays available as `record` but is left out of toJSON().
+ */
+class TxResult {
+	/**
+	 * @param {object} fields
+	 * @param {string} fields.status - Hedera status, e.g. SUCCESS or CONTRACT_REVERT_EXECUTED
+	 * @param {string|null} [fields.transactionId]
+	 * @param {string|null} [fields.consensusTimestamp] - seconds.nanos
+	 * @param {number|null} [fields.gasUsed]
+	 * @param {number|null} [fields.gasLimit]
+	 * @param {number|null} [fields.estimatedGas] - Mirror estimate the limit was derived from
+	 * @param {number|null} [fields.feeTinybars] - Transaction fee charged to the payer
+	 * @param {object[]} [fields.events] - Decoded logs, see decodeLog
+	 * @param {Array|null} [fields.returnValues]
+	 * @param {LazyVoterError|null} [fields.error]
+	 * @param {TransactionRecord|null} [fields.record]
+	 */
+	constructor(fields) {
+		this.status = fields.status;
+		this.success = fields.status === 'SUCCESS';
+		this.transactionId = fields.transactionId ?? null;
+		this.consensusTimestamp = fields.consensusTimestamp ?? null;
+		this.gasUsed = fields.gasUsed ?? null;
+		this.gasLimit = fields.gasLimit ?? null;
+		this.estimatedGas = fields.estimatedGas ?? null;
+		this.feeTinybars = fields.feeTinybars ?? null;
+		this.events = fields.events ?? [];
+		this.returnValues = fields.returnValues ?? null;
+		this.error = fields.error ?? null;
+		Object.defineProperty(this, 'record', { value: fields.record ?? null, enumerable: false });
+	}
+
+	/**
+	 * @returns {string|null} fee in HBAR, e.g. '0.0521'
+	 */
+	get fee() {
+		if (this.feeTinybars === null) return null;
+		return (this.feeTinybars / 1e8).toFixed(8).replace(/\.?0+$/, '');
+	}
+
+	/**
+	 * Events with a given name, e.g. tx.eventsNamed('VoteCasted')
+	 * @param {string} name
+	 * @returns {object[]}
+	 */
+	eventsNamed(name) {
+		return this.events.filter(event => event.name === name);
+	}
+
+	/**
+	 * Throw the typed error when the transaction failed
+	 * @returns {TxResult} this, on success
+	 */
+	throwIfFailed() {
+		if (!this.success) throw this.error;
+		return this;
+	}
+
+	toJSON() {
+		return { ...this, fee: this.fee };
+	}
+
+	/**
+	 * Build from a contractExecuteFunction result
+	 * @param {Array} result - [receipt|{status}|parsedError, returnValues|transactionId, record]
+	 * @param {object} options
+	 * @param {ethers.Interface} options.iface - Interface of the called contract
+	 * @param {ethers.Interface[]} [options.eventInterfaces=[iface]] - Interfaces used to decode the record's logs
+	 * @param {number} [options.gasLimit]
+	 * @param {number} [options.estimatedGas]
+	 * @returns {TxResult}
+	 */
+	static fromExecution(result, options) {
+		const error = errorFromResult(result);
+		// A call that failed after reaching consensus still has a record: what it cost and when
+		const record = result?.[2] ?? null;
+		const consensusTimestamp = record?.consensusTimestamp?.toString() ?? null;
+		const functionResult = record?.contractFunctionResult;
+		const charged = {
+			gasLimit: options.gasLimit ?? null,
+			estimatedGas: options.estimatedGas ?? null,
+			consensusTimestamp,
+			gasUsed: functionResult?.gasUsed != null ? Number(functionResult.gasUsed) : null,
+			feeTinybars: record?.transactionFee ? Number(record.transactionFee.toTinybars()) : null,
+			record,
+		};
+		if (error) {
+			return new TxResult({
+				...charged,
+				status: error.code === 'TRANSACTION_FAILED' ? error.status : 'CONTRACT_REVERT_EXECUTED',
+				transactionId: error.transactionId,
+				error,
+			});
+		}
+
+		const interfaces = options.eventInterfaces ?? [options.iface];
+
+		const events = [];
+		(functionResult?.logs ?? []).forEach((log, index) => {
+			const mirrorShaped = {
+				topics: log.topics.map(toHex),
+				data: toHex(log.data),
+				contract_id: log.contractId?.toString(),
+				timestamp: consensusTimestamp,
+				index,
+			};
+			for (const iface of interfaces) {
+				const event = decodeLog(iface, mirrorShaped);
+				if (event) {
+					events.push(event);
+					break;
+				}
+			}
+		});
+
+		return new TxResult({
+			...charged,
+			status: 'SUCCESS',
+			transactionId: record?.transactionId?.toString() ?? null,
+			events,
+			returnValues: result[1] ? normalizeValue(result[1]) : null,
+		});
+	}
+}
+
+module.exports = TxResult;
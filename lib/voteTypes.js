@@ -0,0 +1,26 @@
+'use strict';
+
+// LazyVoter's VoteType enum, by CLI and API name
+const VOTE_TYPES = { no: 0, yes: 1, abstain: 2 };
+
+// Indexed by vote type: the getResults tally each type counts towards
+const TALLY_KEYS = ['no', 'yes', 'abstain'];
+
+// Indexed by vote type: the label used in reports, archives and audits
+const CHOICES = ['No', 'Yes', 'Abstain'];
+
+/**
+ * Report label for a vote type
+ * @param {number} voteType
+ * @returns {string} 'No', 'Yes', 'Abstain' or 'Unknown'
+ */
+function choiceLabel(voteType) {
+	return CHOICES[voteType] ?? 'Unknown';
+}
+
+module.exports = {
+	VOTE_TYPES,
+	TALLY_KEYS,
+	CHOICES,
+	choiceLabel,
+};
@@ -5,13 +5,10 @@ const {
 
 require('dotenv').config();
 const fs = require('fs');
-const axios = require('axios');
 const ethers = require('ethers');
 const { getArgFlag } = require('../../utils/nodeHelpers');
+const { getContractLogsPage } = require('../../utils/hederaMirrorHelpers');
 
-const baseUrlForMainnet = 'https://mainnet-public.mirrornode.hedera.com';
-const baseUrlForTestnet = 'http://testnet.mirrornode.hedera.com';
-const baseUrlForPreviewnet = 'https://previewnet.mirrornode.hedera.com';
 const env = process.env.ENVIRONMENT ?? null;
 let contractName;
 
@@ -52,27 +49,17 @@ async function main() {
 async function getEventsFromMirror(contractId) {
 	console.log('\n -Getting event(s) from mirror nodes');
 
-	let baseUrl;
-	if (env.toUpperCase() == 'TEST') {
-		baseUrl = baseUrlForTestnet;
-	}
-	else if (env.toUpperCase() == 'MAIN') {
-		baseUrl = baseUrlForMainnet;
-	}
-	else if (env.toUpperCase() == 'PREVIEW') {
-		baseUrl = baseUrlForPreviewnet;
-	}
-	else {
+	if (!['TEST', 'MAIN', 'PREVIEW'].includes(env.toUpperCase())) {
 		console.log('Environment required, please specify TEST or MAIN or PREVIEW in the .env file');
 		return;
 	}
 
-	const url = `${baseUrl}/api/v1/contracts/${contractId.toString()}/results/logs?order=desc&limit=100`;
-	console.log(url);
-	axios.get(url)
-		.then(function(response) {
-			const jsonResponse = response.data;
-			jsonResponse.logs.forEach(log => {
+	// every page of logs, newest first
+	try {
+		let next = null;
+		do {
+			const page = await getContractLogsPage(env, contractId, { order: 'desc', next });
+			page.logs.forEach(log => {
 				// decode the event data
 				if (log.data == '0x') return;
 
@@ -95,10 +82,12 @@ async function getEventsFromMirror(contractId) {
 					console.log(outputStr);
 				}
 			});
-		})
-		.catch(function(err) {
-			console.error(err);
-		});
+			next = page.next;
+		} while (next);
+	}
+	catch (err) {
+		console.error(err);
+	}
 }
 
 void main();
\ No newline at end of file
@@ -13,6 +13,8 @@
  */
 
 require('dotenv').config();
+const { createLogger, setLogger } = require('../../lib/logger');
+setLogger(createLogger({ level: 'info' }));
 const fs = require('fs');
 const path = require('path');
 const yargs = require('yargs/yargs');
@@ -25,11 +27,15 @@ const {
 	AccountId,
 	PrivateKey,
 	ContractCreateTransaction,
+	FileContentsQuery,
 } = require('@hashgraph/sdk');
 
 // Import the reliable contractDeployFunction
 const { contractDeployFunction } = require('../../utils/solidityHelpers');
 
+// Deployment manifest (deployments/<network>.json)
+const { DeploymentManifest, hashBytecode } = require('../../lib/manifest');
+
 // ------- CLI ---------
 const argv = yargs(hideBin(process.argv))
 	.scriptName('deploy-LazyDelegateRegistry')
@@ -134,12 +140,8 @@ async function deployWithHTS() {
 	console.log(`[hts] Operator: ${operatorId.toString()}`);
 
 	try {
-		// Load artifact
-		const artifact = loadArtifact(CONTRACT_NAME);
-		const bytecode = artifact.bytecode;
-
 		// Use the reliable contractDeployFunction from solidityHelpers
-		let contractId, contractAddress;
+		let contractId, contractAddress, transactionId, consensusTimestamp, bytecodeHash;
 		const gasLimit = 3_500_000;
 
 		if (argv.bytecodeFileId) {
@@ -151,14 +153,20 @@ async function deployWithHTS() {
 				.setAutoRenewAccountId(operatorId);
 
 			const response = await contractCreateTx.execute(client);
-			const receipt = await response.getReceipt(client);
-			contractId = receipt.contractId;
+			const record = await response.getRecord(client);
+			contractId = record.receipt.contractId;
 			contractAddress = contractId.toSolidityAddress();
+			transactionId = response.transactionId;
+			consensusTimestamp = record.consensusTimestamp;
+			// Hash what was deployed: the file's contents, not the local artifact
+			bytecodeHash = hashBytecode(await new FileContentsQuery().setFileId(argv.bytecodeFileId).execute(client));
 		}
 		else {
+			const bytecode = loadArtifact(CONTRACT_NAME).bytecode;
 			console.log('[hts] Using ContractCreateFlow for reliable deployment...');
 			// Use the proven reliable contractDeployFunction
-			[contractId, contractAddress] = await contractDeployFunction(client, bytecode, gasLimit);
+			[contractId, contractAddress, transactionId, consensusTimestamp] = await contractDeployFunction(client, bytecode, gasLimit);
+			bytecodeHash = hashBytecode(bytecode);
 		}
 
 		console.log(`[hts] ✅ Deployed contract: ${contractId.toString()}`);
@@ -167,6 +175,9 @@ async function deployWithHTS() {
 		return {
 			contractId: contractId.toString(),
 			solidityAddress: contractAddress,
+			transactionId: transactionId.toString(),
+			consensusTimestamp: consensusTimestamp.toString(),
+			bytecodeHash,
 		};
 	}
 	finally {
@@ -206,6 +217,20 @@ async function main() {
 		console.log(`Contract ID: ${result.contractId}`);
 		console.log(`Solidity Address: ${result.solidityAddress}`);
 
+		// Record the deployment so the CLI can infer the registry
+		const manifest = DeploymentManifest.load(argv.env);
+		manifest.record(CONTRACT_NAME, {
+			contractId: result.contractId,
+			address: result.solidityAddress,
+			bytecodeHash: result.bytecodeHash,
+			bytecodeFileId: argv.bytecodeFileId,
+			deployer: operatorId.toString(),
+			transactionId: result.transactionId,
+			consensusTimestamp: result.consensusTimestamp,
+		});
+		manifest.save();
+		console.log(`Manifest: ${manifest.file}`);
+
 		console.log('\n💡 Next steps:');
 		console.log('1. Save the contract address/ID for your LazyVoter deployment');
 		console.log('2. You can now deploy LazyVoter using this registry address');
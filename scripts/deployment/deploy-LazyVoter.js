@@ -13,6 +13,8 @@
  */
 
 require('dotenv').config();
+const { createLogger, setLogger } = require('../../lib/logger');
+setLogger(createLogger({ level: 'info' }));
 const fs = require('fs');
 const path = require('path');
 const yargs = require('yargs/yargs');
@@ -28,6 +30,7 @@ const {
 	TokenId,
 	ContractFunctionParameters,
 	ContractCreateTransaction,
+	FileContentsQuery,
 } = require('@hashgraph/sdk');
 
 // Import the reliable contractDeployFunction
@@ -36,6 +39,14 @@ const { contractDeployFunction } = require('../../utils/solidityHelpers');
 // Import mirror helpers for NFT info
 const { getTokenDetails } = require('../../utils/hederaMirrorHelpers');
 
+// Deployment manifest (deployments/<network>.json)
+const { DeploymentManifest, hashBytecode } = require('../../lib/manifest');
+const { formatSerials } = require('../../lib/serialParser');
+
+// Longer serial lists are seeded after deployment, as the CLI does
+const { MAX_CONSTRUCTOR_SERIALS, SEED_MARGIN_SECONDS } = require('../../lib/deploy');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+
 // ------- CLI ---------
 const argv = yargs(hideBin(process.argv))
 	.scriptName('deploy-LazyVoter')
@@ -94,6 +105,11 @@ const argv = yargs(hideBin(process.argv))
 		describe: 'Comma-separated list of eligible serials (uint256[])',
 		default: process.env.ELIGIBLE_SERIALS,
 	})
+	.option('batch-size', {
+		type: 'number',
+		describe: `Serials per transaction when seeding more than ${MAX_CONSTRUCTOR_SERIALS} serials after deployment`,
+		default: 200,
+	})
 	.help()
 	.argv;
 
@@ -299,8 +315,6 @@ async function deployWithHTS(eligibleSerials) {
 
 		const gasLimit = 4_600_000;
 
-		const art = loadArtifact(CONTRACT_NAME);
-
 		const params = new ContractFunctionParameters()
 			.addString(argv.voteMessage)
 			.addAddress(TokenId.fromString(argv.nftToken).toSolidityAddress())
@@ -310,7 +324,7 @@ async function deployWithHTS(eligibleSerials) {
 			.addAddress(ContractId.fromString(argv.registry).toSolidityAddress())
 			.addUint256Array(eligibleSerials);
 
-		let contractId, contractAddress;
+		let contractId, contractAddress, transactionId, consensusTimestamp, bytecodeHash;
 
 		if (argv.bytecodeFileId) {
 			console.log('[hts] Deploying from Bytecode FileID:', argv.bytecodeFileId);
@@ -320,18 +334,30 @@ async function deployWithHTS(eligibleSerials) {
 				.setAutoRenewAccountId(operatorId)
 				.setConstructorParameters(params);
 			const submit = await createTx.execute(client);
-			const rx = await submit.getReceipt(client);
-			contractId = rx.contractId;
+			const record = await submit.getRecord(client);
+			contractId = record.receipt.contractId;
 			contractAddress = contractId.toSolidityAddress();
+			transactionId = submit.transactionId;
+			consensusTimestamp = record.consensusTimestamp;
+			// Hash what was deployed: the file's contents, not the local artifact
+			bytecodeHash = hashBytecode(await new FileContentsQuery().setFileId(argv.bytecodeFileId).execute(client));
 		}
 		else {
+			const art = loadArtifact(CONTRACT_NAME);
 			console.log('[hts] Using ContractCreateFlow for reliable deployment...');
 			// Use the proven reliable contractDeployFunction with constructor parameters
-			[contractId, contractAddress] = await contractDeployFunction(client, art.bytecode, gasLimit, params);
+			[contractId, contractAddress, transactionId, consensusTimestamp] = await contractDeployFunction(client, art.bytecode, gasLimit, params);
+			bytecodeHash = hashBytecode(art.bytecode);
 		}
 
 		console.log(`[hts] Contract created: ${contractId} / ${contractAddress}`);
-		return { contractId: contractId.toString(), address: contractAddress };
+		return {
+			contractId: contractId.toString(),
+			address: contractAddress,
+			transactionId: transactionId.toString(),
+			consensusTimestamp: consensusTimestamp.toString(),
+			bytecodeHash,
+		};
 	}
 	finally {
 		// Ensure client is closed to prevent hanging
@@ -389,7 +415,14 @@ async function deployWithHTS(eligibleSerials) {
 		}
 
 		if (!argv.registry) {
-			argv.registry = promptRequired('Enter LazyDelegateRegistry contract ID (e.g., 0.0.x)');
+			const deployedRegistry = DeploymentManifest.load(argv.env).latest('LazyDelegateRegistry');
+			if (deployedRegistry) {
+				argv.registry = deployedRegistry.contractId;
+				console.log(`\nUsing LazyDelegateRegistry ${argv.registry} from the ${argv.env} deployment manifest`);
+			}
+			else {
+				argv.registry = promptRequired('Enter LazyDelegateRegistry contract ID (e.g., 0.0.x)');
+			}
 		}
 
 		// Optional values with defaults
@@ -453,6 +486,14 @@ async function deployWithHTS(eligibleSerials) {
 			}
 		}
 
+		// A long list goes in after deployment, which has to finish before voting opens
+		const seeding = eligibleSerials.length > MAX_CONSTRUCTOR_SERIALS;
+		if (seeding && argv.startTime < Math.floor(Date.now() / 1000) + SEED_MARGIN_SECONDS) {
+			console.log(`Seeding ${eligibleSerials.length} serials after deployment needs voting to start at least ${SEED_MARGIN_SECONDS / 60} minutes from now. Aborted.`);
+			process.exit(1);
+		}
+		const constructorSerials = seeding ? [] : eligibleSerials;
+
 		// Format times for display
 		const startTimeLocal = new Date(argv.startTime * 1000).toLocaleString();
 		const endTimeLocal = new Date(argv.endTime * 1000).toLocaleString();
@@ -479,6 +520,7 @@ async function deployWithHTS(eligibleSerials) {
 				eligibleSerials: eligibleSerials.length > 0
 					? `${eligibleSerials.length} serials: [${eligibleSerials.slice(0, 10).join(', ')}${eligibleSerials.length > 10 ? '...' : ''}]`
 					: 'None (closed to all NFT holders)',
+				...(seeding ? { seeding: `all ${eligibleSerials.length} serials added after deployment in batches of ${argv.batchSize}` } : {}),
 			},
 			gasLimit: '4,600,000',
 			network: argv.env,
@@ -490,13 +532,66 @@ async function deployWithHTS(eligibleSerials) {
 		askContinue('Deploy LazyVoter contract with the above configuration?');
 
 		// Deploy using HTS
-		const result = await deployWithHTS(eligibleSerials);
+		const result = await deployWithHTS(constructorSerials);
 
 		console.log('\n🎉 Deployment successful!');
 		console.log('========================');
 		console.log(`Contract ID: ${result.contractId}`);
 		console.log(`Contract Address: ${result.address}`);
 
+		// Record the deployment so the CLI can infer the contract
+		const manifest = DeploymentManifest.load(argv.env);
+		manifest.record(CONTRACT_NAME, {
+			contractId: result.contractId,
+			address: result.address,
+			constructorArgs: {
+				voteMessage: argv.voteMessage,
+				nftToken: argv.nftToken,
+				quorum: argv.quorum,
+				startTime: argv.startTime,
+				endTime: argv.endTime,
+				registry: ContractId.fromString(argv.registry).toString(),
+				eligibleSerials: formatSerials(constructorSerials),
+			},
+			bytecodeHash: result.bytecodeHash,
+			bytecodeFileId: argv.bytecodeFileId,
+			deployer: operatorId.toString(),
+			transactionId: result.transactionId,
+			consensusTimestamp: result.consensusTimestamp,
+		});
+		manifest.save();
+		console.log(`Manifest: ${manifest.file}`);
+
+		if (seeding) {
+			console.log(`\nSeeding ${eligibleSerials.length} eligible serials in batches of ${argv.batchSize}...`);
+			const voter = new LazyVoterClient({
+				contractId: result.contractId,
+				network: argv.env,
+				accountId: operatorId.toString(),
+				privateKey: process.env.PRIVATE_KEY,
+			});
+			try {
+				const seeded = await voter.addEligibleSerials(eligibleSerials, {
+					batchSize: argv.batchSize,
+					onProgress: (p) => {
+						console.log(`  [${p.batch}/${p.totalBatches}] ${p.serials.length} serials ${p.success ? '✓' : `✗ ${p.error.message}`}${p.transactionId ? `  ${p.transactionId}` : ''}`);
+					},
+				});
+				const done = seeded.batches.filter(b => b.success).flatMap(b => b.serials);
+				manifest.update(CONTRACT_NAME, result.contractId, { seededSerials: formatSerials(done) });
+				manifest.save();
+				if (!seeded.success) {
+					console.error(`Seeding stopped after ${seeded.processed} of ${eligibleSerials.length} serials: ${seeded.error.message}`);
+					console.error(`Add the rest with: lazyvote admin add-serials <serials> --contract-id ${result.contractId}`);
+					process.exit(1);
+				}
+				console.log(`Seeded ${seeded.processed} serials in ${seeded.totalBatches} transaction(s)`);
+			}
+			finally {
+				voter.close();
+			}
+		}
+
 		// Force exit to prevent hanging on Windows
 		setTimeout(() => process.exit(0), 100);
 	}
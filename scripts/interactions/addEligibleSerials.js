@@ -11,12 +11,14 @@
  *   node scripts/interactions/addEligibleSerials.js --fetch-owned
  *   node scripts/interactions/addEligibleSerials.js --fetch-token 0.0.12345
  *   node scripts/interactions/addEligibleSerials.js --fetch-token 0.0.12345 --range 1-100
+ *   node scripts/interactions/addEligibleSerials.js --fetch-token --rules eligibility.json
  *
  * Options:
  *   --fetch-owned: Fetch all NFT serials owned by the operator account
  *   --fetch-token <token-id>: Fetch all serials from specific NFT token
  *   --range <start-end>: Range of serials to fetch (e.g., 1-50)
  *   --batch-size <size>: Number of serials per batch (default: 200)
+ *   --rules <file>: Eligibility rule file; serials failing it are dropped and reported
  *
  * Environment Variables:
  *   CONTRACT_ID - LazyVoter contract ID
@@ -33,12 +35,16 @@ const {
 	TokenId,
 } = require('@hashgraph/sdk');
 require('dotenv').config();
+const { createLogger, setLogger } = require('../../lib/logger');
+setLogger(createLogger({ level: 'info' }));
 const fs = require('fs');
 const { ethers } = require('ethers');
 const readlineSync = require('readline-sync');
 const { getArgFlag, getArg, sleep } = require('../../utils/nodeHelpers');
 const { contractExecuteFunction, readOnlyEVMFromMirrorNode } = require('../../utils/solidityHelpers');
 const { getSerialsOwned, getTokenDetails } = require('../../utils/hederaMirrorHelpers');
+const { createSnapshot } = require('../../lib/snapshot');
+const { loadRules, applyRules } = require('../../lib/eligibility');
 
 // Get operator from .env file
 let operatorKey;
@@ -69,6 +75,7 @@ const main = async () => {
 		console.log('  --fetch-token: Fetch all serials from the contract\'s NFT token');
 		console.log('  --range <start-end>: Range of serials to fetch (e.g., 1-50)');
 		console.log('  --batch-size <size>: Number of serials per batch (default: 200)');
+		console.log('  --rules <file>: Eligibility rule file (JSON); serials failing it are dropped and reported');
 		console.log('  --contract-id <id>: Specify LazyVoter contract ID (overrides .env)');
 		console.log('');
 		console.log('Environment Variables Required:');
@@ -82,6 +89,7 @@ const main = async () => {
 		console.log('  node scripts/interactions/addEligibleSerials.js --fetch-token');
 		console.log('  node scripts/interactions/addEligibleSerials.js --fetch-token --range 1-100');
 		console.log('  node scripts/interactions/addEligibleSerials.js --contract-id 0.0.12345 1,2,3,4,5');
+		console.log('  node scripts/interactions/addEligibleSerials.js --fetch-token --rules eligibility.json');
 		process.exit(0);
 	}
 
@@ -94,6 +102,18 @@ const main = async () => {
 		args.splice(contractIdIndex, 2);
 	}
 
+	// Parse --rules flag
+	let rulesFile = null;
+	const rulesIndex = args.indexOf('--rules');
+	if (rulesIndex > -1) {
+		if (rulesIndex + 1 >= args.length) {
+			console.log('❌ Error: --rules needs a rule file');
+			process.exit(1);
+		}
+		rulesFile = args[rulesIndex + 1];
+		args.splice(rulesIndex, 2);
+	}
+
 	// Set contractId: prioritize CLI, then .env
 	const contractIdStr = contractIdFromCLI || process.env.CONTRACT_ID;
 	if (!contractIdStr) {
@@ -282,6 +302,54 @@ const main = async () => {
 		}
 	}
 
+	// Apply eligibility rules to the current holders of the chosen serials
+	if (rulesFile) {
+		try {
+			const rules = loadRules(rulesFile);
+			const lazyVoterJSON = JSON.parse(
+				fs.readFileSync(`./artifacts/contracts/${contractName}.sol/${contractName}.json`),
+			);
+			const lazyVoterIface = new ethers.Interface(lazyVoterJSON.abi);
+			const nftTokenCall = lazyVoterIface.encodeFunctionData('NFT_TOKEN', []);
+			const nftTokenResult = await readOnlyEVMFromMirrorNode(
+				env,
+				contractId,
+				nftTokenCall,
+				operatorId,
+				false,
+			);
+			const tokenId = TokenId.fromSolidityAddress(lazyVoterIface.decodeFunctionResult('NFT_TOKEN', nftTokenResult)[0]);
+			console.log(`\n🔍 Applying eligibility rules from ${rulesFile} (${rules.hash}) to ${serials.length} serials of ${tokenId.toString()}...`);
+
+			const current = await createSnapshot(env, tokenId);
+			const wanted = new Set(serials);
+			const holdings = current.serials.filter(h => wanted.has(h.serial));
+			const held = new Set(holdings.map(h => h.serial));
+			const unheld = serials.filter(serial => !held.has(serial));
+			const { eligible, excluded, byRule } = await applyRules(env, tokenId, holdings, rules.rules);
+
+			console.log('\n=== ELIGIBILITY REPORT ===');
+			if (unheld.length) {
+				console.log(`   ${unheld.length} serial(s) not currently held (not minted, burned or wiped): ${unheld.length > 20 ? `${unheld.slice(0, 20).join(', ')}...` : unheld.join(', ')}`);
+			}
+			for (const [rule, count] of Object.entries(byRule)) {
+				console.log(`   ${rule}: ${count} excluded`);
+			}
+			excluded.forEach(e => console.log(`   - #${e.serial} (${e.owner}): ${e.reason}`));
+			console.log(`   ✅ ${eligible.length} of ${serials.length} serials pass the rules`);
+
+			serials = eligible.map(h => h.serial);
+			if (serials.length === 0) {
+				console.log('❌ No serials left after applying the rules');
+				process.exit(1);
+			}
+		}
+		catch (error) {
+			console.error('❌ Error applying eligibility rules:', error.message);
+			process.exit(1);
+		}
+	}
+
 	// Check batch size parameter
 	if (getArgFlag('--batch-size')) {
 		const batchSizeStr = getArg('--batch-size');
@@ -36,6 +36,8 @@ const {
 	TokenId,
 } = require('@hashgraph/sdk');
 require('dotenv').config();
+const { createLogger, setLogger } = require('../../lib/logger');
+setLogger(createLogger({ level: 'info' }));
 const fs = require('fs');
 const { ethers } = require('ethers');
 const readlineSync = require('readline-sync');
@@ -35,6 +35,8 @@ const {
 	ContractId,
 } = require('@hashgraph/sdk');
 require('dotenv').config();
+const { createLogger, setLogger } = require('../../lib/logger');
+setLogger(createLogger({ level: 'info' }));
 const fs = require('fs');
 const { ethers } = require('ethers');
 const readlineSync = require('readline-sync');
@@ -6,6 +6,8 @@ const {
 	HbarUnit,
 } = require('@hashgraph/sdk');
 require('dotenv').config();
+const { createLogger, setLogger } = require('../../lib/logger');
+setLogger(createLogger({ level: 'info' }));
 const { getArgFlag, getArg } = require('../../utils/nodeHelpers');
 const readlineSync = require('readline-sync');
 const { checkMirrorHbarBalance } = require('../../utils/hederaMirrorHelpers');
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { AccountId, PrivateKey, TokenId } = require('@hashgraph/sdk');
+const { contractCalls, restoreMirror, revertError, stubHelper, stubMirror } = require('./helpers/mirror');
+const { executed, reverted } = require('./helpers/transactions');
+const { isolateConfig } = require('./helpers/env');
+const { rejection } = require('./helpers/assertions');
+const LazyDelegateRegistryClient = require('../../lib/LazyDelegateRegistryClient');
+const { Keystore } = require('../../lib/keystore');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const REGISTRY = '0.0.6006';
+const TOKEN = '0.0.7007';
+const OPERATOR = '0.0.1001';
+const BOB = `0x${'bb'.repeat(20)}`;
+const TOKEN_ADDRESS = `0x${TokenId.fromString(TOKEN).toSolidityAddress()}`;
+const iface = loadInterface('LazyDelegateRegistry');
+
+describe('LazyDelegateRegistryClient', () => {
+	let dir;
+	let restoreEnv;
+	let mirror;
+	let estimates;
+	let executions;
+	let opened;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-registry-'));
+		restoreEnv = isolateConfig(dir);
+		mirror = contractCalls({
+			[REGISTRY]: {
+				iface,
+				gasEstimate: 412_000,
+				delegateNFT: () => [],
+				revokeDelegateNFT: () => {
+					throw revertError(iface, 'BadArgumentLength', [1, 2]);
+				},
+				getSerialsDelegatedTo: () => [[3n, 4n]],
+			},
+		});
+		stubMirror('mirrorPost', mirror);
+		estimates = [];
+		executions = [];
+		stubHelper('gasHelpers', 'estimateGas', async (env, contractId, contractIface, operatorId, fnName, params, fallbackGas) => {
+			estimates.push({ operatorId: operatorId?.toString(), fnName, fallbackGas });
+			return { gasLimit: 500_000, estimatedGas: 400_000 };
+		});
+		stubHelper('solidityHelpers', 'contractExecuteFunction', async (contractId, contractIface, hederaClient, gasLimit, fnName, params) => {
+			executions.push({ contractId: contractId.toString(), operator: hederaClient.operatorAccountId.toString(), gasLimit, fnName, params });
+			if (fnName === 'revokeDelegateWallet') return reverted(iface, 'LazyDelegateRegistryOnlyOwner', [BOB, BOB]);
+			return executed([{ iface, name: 'TokenDelegated', args: [TOKEN_ADDRESS, 3, BOB, BOB, true] }]);
+		});
+	});
+
+	afterEach(() => {
+		opened?.close();
+		opened = null;
+		restoreMirror();
+		restoreEnv();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	function registry(options = {}) {
+		opened = new LazyDelegateRegistryClient({
+			contractId: REGISTRY, network: 'TEST', accountId: OPERATOR, privateKey: PrivateKey.generateED25519().toStringDer(), ...options,
+		});
+		return opened;
+	}
+
+	it('estimates gas, then sends as the operator and returns the decoded TxResult', async () => {
+		const tx = await registry().delegateNFT(BOB, TOKEN, [3]);
+		expect(estimates).to.deep.equal([{ operatorId: OPERATOR, fnName: 'delegateNFT', fallbackGas: 480_000 }]);
+		expect(executions).to.have.length(1);
+		expect(executions[0]).to.deep.include({ contractId: REGISTRY, operator: OPERATOR, gasLimit: 500_000, fnName: 'delegateNFT' });
+		expect(executions[0].params[1].toLowerCase()).to.equal(TOKEN_ADDRESS);
+		expect(tx).to.include({ success: true, gasLimit: 500_000, estimatedGas: 400_000 });
+		const [delegated] = tx.eventsNamed('TokenDelegated');
+		expect(delegated.args).to.include({ _serial: 3, _delegated: true });
+		expect(delegated.args._delegate.toLowerCase()).to.equal(BOB);
+	});
+
+	it('throws the typed error of a transaction that failed on chain', async () => {
+		const err = await rejection(registry().revokeDelegateWallet());
+		expect(err.code).to.equal('REGISTRY_ONLY_OWNER');
+		expect(err.transactionId).to.equal('0.0.1001@1700000000.000000000');
+	});
+
+	it('simulates through the mirror node without resolving the key or sending anything', async () => {
+		const client = registry();
+		const ok = await client.delegateNFT(BOB, TOKEN, [3], { simulate: true });
+		expect(ok).to.include({ simulated: true, success: true, functionName: 'delegateNFT', gasEstimate: 412_000 });
+		expect(mirror.calls.map(c => c.estimate)).to.deep.equal([false, true]);
+		expect(mirror.calls[0].from).to.equal(AccountId.fromString(OPERATOR).toSolidityAddress());
+
+		const failed = await client.revokeDelegateNFT(TOKEN, [3], { simulate: true, from: '0.0.2002' });
+		expect(failed.success).to.equal(false);
+		expect(failed.error.code).to.equal('BAD_ARGUMENT_LENGTH');
+		expect(mirror.calls.at(-1).from).to.equal(AccountId.fromString('0.0.2002').toSolidityAddress());
+
+		expect(estimates).to.deep.equal([]);
+		expect(executions).to.deep.equal([]);
+		expect(client.client).to.equal(null);
+		expect(client.operatorKey).to.equal(null);
+	});
+
+	it('requires operator credentials before estimating a write', async () => {
+		const client = registry({ accountId: undefined, privateKey: undefined });
+		expect((await client.getSerialsDelegatedTo(BOB, TOKEN))).to.deep.equal([3, 4]);
+		expect((await rejection(client.delegateWalletTo(BOB))).message).to.match(/Operator credentials required/);
+		expect(estimates).to.deep.equal([]);
+	});
+
+	it('unlocks a keystore key on the first write only', async () => {
+		const keystoreFile = path.join(dir, 'keystore.json');
+		const store = Keystore.load(keystoreFile);
+		store.add('ops', PrivateKey.generateED25519(), 'pass', { accountId: OPERATOR });
+		store.save();
+		const asked = [];
+		const client = registry({
+			accountId: undefined, privateKey: undefined, key: 'ops', keystoreFile,
+			passphrase: (name) => {
+				asked.push(name);
+				return 'pass';
+			},
+		});
+
+		await client.getSerialsDelegatedTo(BOB, TOKEN);
+		expect(asked).to.deep.equal([]);
+		expect(client.client).to.equal(null);
+
+		await client.delegateNFT(BOB, TOKEN, [3]);
+		await client.delegateNFT(BOB, TOKEN, [4]);
+		expect(asked).to.deep.equal(['ops']);
+		expect(client.operatorId.toString()).to.equal(OPERATOR);
+		expect(executions.map(e => e.operator)).to.deep.equal([OPERATOR, OPERATOR]);
+	});
+});
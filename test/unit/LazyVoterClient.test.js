@@ -0,0 +1,308 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { AccountId, ContractId, PrivateKey, TokenId } = require('@hashgraph/sdk');
+const { getAddress } = require('ethers');
+const { contractCalls, restoreMirror, stubMirror } = require('./helpers/mirror');
+const { isolateConfig } = require('./helpers/env');
+const { rejection } = require('./helpers/assertions');
+const { executed, reverted } = require('./helpers/transactions');
+const LazyVoterClient = require('../../lib/LazyVoterClient');
+const TxResult = require('../../lib/txResult');
+const { SerialNotEligibleError, VotingIsPausedError } = require('../../lib/errors');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const VOTER = '0.0.5005';
+const REGISTRY = '0.0.6006';
+const TOKEN = '0.0.7007';
+const OPERATOR = '0.0.1001';
+const OTHER = '0.0.2002';
+// The operator's EVM alias, besides its long-zero address
+const ALIAS = `0x${'a1'.repeat(20)}`;
+const BOB = `0x${'bb'.repeat(20)}`;
+const ZERO = `0x${'00'.repeat(20)}`;
+const iface = loadInterface('LazyVoter');
+const registryIface = loadInterface('LazyDelegateRegistry');
+
+const range = (from, to) => Array.from({ length: to - from + 1 }, (_, i) => from + i);
+
+describe('LazyVoterClient', () => {
+	let dir;
+	let restoreEnv;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-voter-'));
+		restoreEnv = isolateConfig(dir);
+	});
+
+	afterEach(() => {
+		restoreMirror();
+		restoreEnv();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	// A client whose transactions are answered by send(fnName, params): a TxResult, or a thrown
+	// typed error for a call that gas estimation finds would revert
+	function client(send) {
+		const voter = new LazyVoterClient({
+			contractId: VOTER, network: 'TEST', accountId: OPERATOR, privateKey: PrivateKey.generateED25519().toStringDer(),
+		});
+		voter.client = { close: () => null };
+		voter.sent = [];
+		voter._execute = async (fnName, params, fallbackGas) => {
+			voter.sent.push({ fnName, params, fallbackGas });
+			return send(fnName, params);
+		};
+		return voter;
+	}
+
+	const ok = () => TxResult.fromExecution(executed(), { iface });
+	const onChain = (name, args) => TxResult.fromExecution(reverted(iface, name, args), { iface });
+
+	// Contract, registry and mirror node state the read methods see; serial keys work for bigint args too
+	function deployed(overrides = {}) {
+		const now = Math.floor(Date.now() / 1000);
+		const state = {
+			status: 'Active', paused: false, startTime: now - 3600, endTime: now + 3600,
+			eligible: [], owners: {}, burned: [], delegates: {}, votes: {}, owned: [], delegatedIn: [], delegatedAway: [],
+			...overrides,
+		};
+		const mirror = contractCalls({
+			[VOTER]: {
+				iface,
+				votingStatus: () => [state.status],
+				votingPaused: () => [state.paused],
+				startTime: () => [state.startTime],
+				endTime: () => [state.endTime],
+				NFT_TOKEN: () => [`0x${TokenId.fromString(TOKEN).toSolidityAddress()}`],
+				lazyDelegateRegistry: () => [`0x${ContractId.fromString(REGISTRY).toSolidityAddress()}`],
+				getEligibleSerials: (offset, limit) => [state.eligible.slice(Number(offset), Number(offset + limit))],
+				getVoteInfo: (serial) => {
+					const vote = state.votes[serial];
+					return vote ? [vote.voteType, vote.voter, vote.timestamp] : [0, ZERO, 0];
+				},
+			},
+			[REGISTRY]: {
+				iface: registryIface,
+				getNFTListDelegatedTo: (tokens, serials) => [serials.map(list => list.map(serial => state.delegates[serial] ?? ZERO))],
+				// Delegations are recorded against the alias only
+				getSerialsDelegatedTo: address => [address.toLowerCase() === ALIAS ? state.delegatedIn : []],
+				getSerialsDelegatedBy: address => [address.toLowerCase() === ALIAS ? state.delegatedAway : []],
+			},
+		});
+		stubMirror('mirrorPost', mirror);
+		stubMirror('checkNFTOwnership', async (env, tokenId, serial) => (state.owners[serial]
+			? { owner: state.owners[serial], deleted: state.burned.includes(serial) }
+			: null));
+		stubMirror('homebrewPopulateAccountEvmAddress', async () => ALIAS);
+		stubMirror('getSerialsOwned', async () => state.owned);
+		return mirror;
+	}
+
+	describe('vote', () => {
+		it('sends 40 serials per transaction, dropping a serial that reverts and retrying the rest', async () => {
+			const progress = [];
+			const voter = client((fnName, [serials]) => {
+				// Caught by gas estimation: nothing is sent
+				if (serials.includes(7)) throw new SerialNotEligibleError({ serial: 7 });
+				// Reverted on chain
+				if (serials.includes(12)) return onChain('NotOwnerOrDelegated', [12]);
+				return ok();
+			});
+			const summary = await voter.vote(range(1, 45), 'yes', { onProgress: p => progress.push(p) });
+
+			expect(voter.sent.map(s => s.params[0].length)).to.deep.equal([40, 39, 38, 5]);
+			expect(voter.sent.every(s => s.fnName === 'vote' && s.params[1] === 1)).to.equal(true);
+			expect(voter.sent[2].fallbackGas).to.equal(200_000 + 100_000 * 38);
+			expect(summary).to.include({ success: true, totalBatches: 2, completedBatches: 2, skipped: 0 });
+			expect(summary.voted).to.deep.equal(range(1, 45).filter(serial => serial !== 7 && serial !== 12));
+			expect(summary.dropped.map(d => [d.serial, d.code])).to.deep.equal([[7, 'SERIAL_NOT_ELIGIBLE'], [12, 'NOT_OWNER_OR_DELEGATED']]);
+			expect(progress.map(p => [p.batch, p.totalBatches, p.success, p.dropped])).to.deep.equal([
+				[1, 2, false, 7], [1, 2, false, 12], [1, 2, true, null], [2, 2, true, null],
+			]);
+			expect(progress[1].transactionId).to.equal('0.0.1001@1700000000.000000000');
+		});
+
+		it('stops at any other failure and keeps the checkpoint for a later run', async () => {
+			const checkpointFile = path.join(dir, 'votes', 'checkpoint.json');
+			const voter = client((fnName, [serials]) => {
+				if (serials.includes(31)) throw new VotingIsPausedError();
+				return ok();
+			});
+			const summary = await voter.vote(range(1, 50), 'no', { batchSize: 10, checkpointFile });
+
+			expect(summary).to.include({ success: false, totalBatches: 5, completedBatches: 3 });
+			expect(summary.error.code).to.equal('VOTING_PAUSED');
+			expect(voter.sent).to.have.length(4);
+			const saved = JSON.parse(fs.readFileSync(checkpointFile, 'utf8'));
+			expect(saved).to.include({ contractId: VOTER, voteType: 0 });
+			expect(saved.voted).to.deep.equal(range(1, 30));
+			expect(saved.dropped).to.deep.equal([]);
+		});
+
+		it('resumes from a checkpoint, skipping recorded serials, and removes it when done', async () => {
+			const checkpointFile = path.join(dir, 'checkpoint.json');
+			fs.writeFileSync(checkpointFile, JSON.stringify({
+				contractId: VOTER, voteType: 1, voted: range(1, 30), dropped: [{ serial: 33, code: 'SERIAL_NOT_ELIGIBLE', message: 'x' }],
+			}));
+			const voter = client(() => ok());
+			const summary = await voter.vote(range(1, 50), 1, { batchSize: 10, checkpointFile });
+
+			expect(voter.sent.map(s => s.params[0])).to.deep.equal([[31, 32, ...range(34, 41)], range(42, 50)]);
+			expect(summary).to.include({ success: true, skipped: 31, totalBatches: 2 });
+			expect(summary.voted).to.deep.equal(range(1, 50).filter(serial => serial !== 33));
+			expect(summary.dropped.map(d => d.serial)).to.deep.equal([33]);
+			expect(fs.existsSync(checkpointFile)).to.equal(false);
+		});
+
+		it('refuses a checkpoint from another vote and batches over 40 serials', async () => {
+			const checkpointFile = path.join(dir, 'checkpoint.json');
+			fs.writeFileSync(checkpointFile, JSON.stringify({ contractId: VOTER, voteType: 2, voted: [1], dropped: [] }));
+			const voter = client(() => ok());
+			expect((await rejection(voter.vote([1, 2], 'yes', { checkpointFile }))).message)
+				.to.match(/belongs to a different vote \(contract 0\.0\.5005, vote type 2\)/);
+			expect((await rejection(voter.vote([1], 'yes', { batchSize: 41 }))).message).to.match(/at most 40 serials/);
+			expect(voter.sent).to.deep.equal([]);
+		});
+	});
+
+	describe('admin batches', () => {
+		it('splits serials into batches of batchSize, one transaction each', async () => {
+			const progress = [];
+			const voter = client(() => ok());
+			const summary = await voter.addEligibleSerials(range(1, 450), { onProgress: p => progress.push([p.batch, p.totalBatches, p.serials.length]) });
+
+			expect(voter.sent.map(s => [s.fnName, s.params[0].length, s.fallbackGas])).to.deep.equal([
+				['addEligibleSerials', 200, 80_000 + 200 * 50_000],
+				['addEligibleSerials', 200, 80_000 + 200 * 50_000],
+				['addEligibleSerials', 50, 80_000 + 50 * 50_000],
+			]);
+			expect(summary).to.include({ success: true, totalBatches: 3, completedBatches: 3, processed: 450 });
+			expect(progress).to.deep.equal([[1, 3, 200], [2, 3, 200], [3, 3, 50]]);
+			expect((await voter.removeEligibleSerials([1, 2, 3], { batchSize: 2 })).totalBatches).to.equal(2);
+			expect(() => voter._chunk([1], 0)).to.throw(/Invalid batch size "0"/);
+		});
+
+		it('stops at the first failed batch, whether it reverts in estimation or on chain', async () => {
+			const voter = client((fnName, [serials]) => {
+				if (serials.includes(25)) return onChain('VoteStarted', []);
+				return ok();
+			});
+			const summary = await voter.addEligibleSerials(range(1, 50), { batchSize: 10 });
+			expect(summary).to.include({ success: false, totalBatches: 5, completedBatches: 2, processed: 20 });
+			expect(summary.error.code).to.equal('VOTE_STARTED');
+			expect(summary.batches.map(b => b.success)).to.deep.equal([true, true, false]);
+			expect(voter.sent).to.have.length(3);
+
+			const estimated = client(() => {
+				throw new VotingIsPausedError();
+			});
+			const first = await estimated.removeEligibleSerials([1, 2]);
+			expect(first).to.include({ success: false, completedBatches: 0 });
+			expect(first.batches[0].transactionId).to.equal(null);
+		});
+
+		it('fills update batches with additions first, then removals', async () => {
+			const voter = client(() => ok());
+			const summary = await voter.updateEligibleSerials([1, 2, 3], [3, 4, 5, 6], { batchSize: 4 });
+
+			// Serial 3 is added then removed in the same call, as the contract would leave it
+			expect(voter.sent.map(s => s.params)).to.deep.equal([
+				[[1, 2, 3], [3]],
+				[[], [4, 5, 6]],
+			]);
+			expect(voter.sent.map(s => s.fallbackGas)).to.deep.equal([280_000, 230_000]);
+			expect(summary).to.include({ success: true, processed: 7 });
+			expect(summary.batches[1].serials).to.deep.equal({ add: [], remove: [4, 5, 6] });
+		});
+	});
+
+	describe('validateVote', () => {
+		it('reports each serial the way the contract would judge it', async () => {
+			deployed({
+				eligible: [1, 3, 4, 5, 6],
+				owners: { 1: OPERATOR, 2: OPERATOR, 3: OTHER, 4: OTHER, 5: OPERATOR, 6: OPERATOR },
+				burned: [6],
+				// 4 is delegated to the operator's alias (the registry returns it checksummed), 5 is delegated away
+				delegates: { 4: ALIAS, 5: BOB },
+				votes: { 1: { voteType: 2, voter: ALIAS, timestamp: 1_700_000_000 } },
+			});
+			const report = await client().validateVote([1, 2, 3, 4, 5, 6], { voteType: 'yes' });
+
+			expect(report).to.include({ voter: OPERATOR, status: 'Active', paused: false, windowOpen: true, canVote: false });
+			expect(report.issues).to.deep.equal([]);
+			expect(report.votable).to.deep.equal([1, 4]);
+			expect(report.blocked).to.deep.equal([2, 3, 5, 6]);
+			const codes = Object.fromEntries(report.serials.map(e => [e.serial, e.error?.code ?? null]));
+			expect(codes).to.deep.equal({
+				1: null, 2: 'SERIAL_NOT_ELIGIBLE', 3: 'NOT_OWNER_OR_DELEGATED', 4: null, 5: 'NOT_OWNER_OR_DELEGATED', 6: 'NFT_NOT_FOUND',
+			});
+			expect(report.serials[0].previousVote).to.deep.equal({ choice: 'abstain', voter: getAddress(ALIAS), timestamp: 1_700_000_000 });
+			expect(report.serials[4]).to.include({ owner: OPERATOR });
+			expect(report.serials[4].delegatedTo.toLowerCase()).to.equal(BOB);
+			expect(report.serials[3].canVote).to.equal(true);
+		});
+
+		it('reports a pause, a closed window and an invalid vote type once for the whole vote', async () => {
+			const now = Math.floor(Date.now() / 1000);
+			deployed({ status: 'Ended', paused: true, startTime: now - 7200, endTime: now - 3600, eligible: [1], owners: { 1: OPERATOR } });
+			const report = await client().validateVote([1], { voteType: 'maybe' });
+			expect(report.issues.map(e => e.code)).to.deep.equal(['VOTING_PAUSED', 'VOTE_WINDOW_CLOSED', 'INVALID_VOTE_TYPE']);
+			expect(report.votable).to.deep.equal([1]);
+			expect(report.canVote).to.equal(false);
+			expect((await client().validateVote([1], { voteType: 3 })).issues.map(e => e.code)).to.include('INVALID_VOTE_TYPE');
+		});
+
+		it('judges the window by the clock when votingStatus reports Paused', async () => {
+			deployed({ status: 'Paused', paused: true, eligible: [1], owners: { 1: OPERATOR } });
+			const report = await client().validateVote([1], { voteType: 0 });
+			expect(report.windowOpen).to.equal(true);
+			expect(report.issues.map(e => e.code)).to.deep.equal(['VOTING_PAUSED']);
+		});
+
+		it('reports an empty serial list as such, not as too many serials', async () => {
+			const mirror = deployed({ eligible: [1] });
+			const report = await client().validateVote([]);
+			expect(report.issues.map(e => e.code)).to.deep.equal(['NO_SERIALS']);
+			expect(report.issues[0].message).to.equal('No serials to vote with');
+			expect(report.serials).to.deep.equal([]);
+			expect(mirror.calls.some(c => c.contract === REGISTRY)).to.equal(false);
+		});
+
+		it('checks another voter given by EVM address', async () => {
+			deployed({ eligible: [3], owners: { 3: OTHER } });
+			stubMirror('homebrewPopulateAccountNum', async () => OTHER);
+			const report = await client().validateVote([3], { voter: `0x${AccountId.fromString(OTHER).toSolidityAddress()}` });
+			expect(report).to.include({ voter: OTHER, canVote: true });
+		});
+	});
+
+	describe('discoverVotableSerials', () => {
+		it('takes owned serials not delegated away, adds those delegated in and keeps the eligible ones', async () => {
+			const mirror = deployed({
+				eligible: [1, 2, 4, 5, 8, 9],
+				owned: [1, 2, 3, 4],
+				delegatedAway: [2],
+				delegatedIn: [5, 6, 9, 9],
+			});
+			const found = await client().discoverVotableSerials();
+			expect(found).to.deep.equal({
+				voter: OPERATOR,
+				serials: [1, 4, 5, 9],
+				owned: [1, 2, 3, 4],
+				delegatedIn: [5, 6, 9],
+				delegatedAway: [2],
+			});
+			// Asked under the long-zero address and the EVM alias
+			const asked = mirror.calls.filter(c => c.name === 'getSerialsDelegatedTo').map(c => c.args[0].toLowerCase());
+			expect(asked).to.have.members([`0x${AccountId.fromString(OPERATOR).toSolidityAddress()}`, ALIAS]);
+		});
+
+		it('fails when the mirror node cannot list the serials owned', async () => {
+			deployed({ eligible: [1], owned: null });
+			expect((await rejection(client().discoverVotableSerials())).message).to.match(/Could not fetch serials of 0\.0\.7007 owned by 0\.0\.1001/);
+		});
+	});
+});
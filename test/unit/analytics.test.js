@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { rejection } = require('./helpers/assertions');
+const { contractLogs, log, restoreMirror, stubMirror } = require('./helpers/mirror');
+const { buildTimeline, defaultInterval, renderTimelineChart, renderTimelineCsv } = require('../../lib/analytics');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const ALICE = `0x${'aa'.repeat(20)}`;
+const BOB = `0x${'bb'.repeat(20)}`;
+const HOUR = 3600;
+// Opens half way through an hour and closes on an hour boundary
+const START = 100 * HOUR + 1800;
+const END = 103 * HOUR;
+const AFTER = END + HOUR;
+
+describe('analytics', () => {
+	let logs;
+
+	beforeEach(() => {
+		logs = [
+			log('VoteCasted', [ALICE, [1, 2], 1], `${START + 200}.000000001`),
+			log('VoteCasted', [BOB, [3], 0], `${101 * HOUR + 400}.000000001`),
+			// Alice changes her mind on serial 2 in the same hour
+			log('VoteCasted', [ALICE, [2], 2], `${101 * HOUR + 900}.000000001`),
+		];
+		stubMirror('getContractLogsPage', contractLogs(logs));
+	});
+
+	afterEach(restoreMirror);
+
+	const voter = () => ({
+		contractId: { toString: () => '0.0.5005' },
+		network: 'TEST',
+		iface: loadInterface('LazyVoter'),
+		getVotingWindow: async () => ({ startTime: START, endTime: END }),
+		totalEligibleVoters: async () => 4,
+	});
+
+	describe('buildTimeline', () => {
+		it('buckets votes per hour with cumulative tallies, re-votes and turnout', async () => {
+			const timeline = await buildTimeline(voter(), { now: AFTER });
+			expect(timeline).to.include({ contractId: '0.0.5005', network: 'TEST', interval: 'hour', eligible: 4, events: 3 });
+			// The empty bucket starting at END is dropped
+			expect(timeline.buckets.map(b => b.start)).to.deep.equal([100 * HOUR, 101 * HOUR, 102 * HOUR]);
+			const [first, second, third] = timeline.buckets;
+			expect(first).to.deep.include({ votes: 2, reVotes: 0, newSerials: 2, activeVoters: 1, yes: 2, no: 0, abstain: 0, turnout: 50, uniqueVoters: 1 });
+			expect(second).to.deep.include({ votes: 2, reVotes: 1, newSerials: 1, activeVoters: 2, yes: 1, no: 1, abstain: 1, serialsVoted: 3, turnout: 75, uniqueVoters: 2 });
+			expect(third).to.deep.include({ votes: 0, activeVoters: 0, yes: 1, no: 1, abstain: 1, turnout: 75 });
+		});
+
+		it('keeps the bucket at the window end when a vote lands in the final second', async () => {
+			logs.push(log('VoteCasted', [BOB, [4], 1], `${END}.000000001`));
+			const timeline = await buildTimeline(voter(), { now: AFTER });
+			expect(timeline.buckets.at(-1)).to.deep.include({ start: END, votes: 1, yes: 2, turnout: 100 });
+		});
+
+		it('stops at now while voting is open', async () => {
+			const timeline = await buildTimeline(voter(), { now: 101 * HOUR + 10 });
+			expect(timeline.buckets.map(b => b.start)).to.deep.equal([100 * HOUR, 101 * HOUR]);
+		});
+
+		it('uses daily buckets on request and rejects unknown intervals', async () => {
+			const daily = await buildTimeline(voter(), { interval: 'day', now: AFTER });
+			expect(daily.buckets).to.have.length(1);
+			expect(daily.buckets[0]).to.deep.include({ start: 4 * 86400, end: 5 * 86400, votes: 4, reVotes: 1, newSerials: 3 });
+			expect((await rejection(buildTimeline(voter(), { interval: 'week' }))).message).to.equal('Invalid interval "week". Must be one of: hour, day');
+		});
+	});
+
+	it('defaults to hours up to three days, days beyond', () => {
+		expect(defaultInterval(0, 3 * 86400)).to.equal('hour');
+		expect(defaultInterval(0, 3 * 86400 + 1)).to.equal('day');
+	});
+
+	it('renders one CSV row and one chart line per bucket', async () => {
+		const timeline = await buildTimeline(voter(), { now: AFTER });
+		const rows = renderTimelineCsv(timeline).trimEnd().split('\n');
+		expect(rows[0]).to.equal('start,end,votes,reVotes,newSerials,activeVoters,yes,no,abstain,serialsVoted,turnout,uniqueVoters');
+		expect(rows[2]).to.equal('1970-01-05T05:00:00.000Z,1970-01-05T06:00:00.000Z,2,1,1,2,1,1,1,3,75,2');
+		expect(rows).to.have.length(4);
+
+		const lines = renderTimelineChart(timeline, { width: 4 });
+		expect(lines[1]).to.equal('1970-01-05 05:00 █▓▒·     75%  Y 1 N 1 A 1  +2 (1 re-vote) by 2');
+		expect(lines[2]).to.equal('1970-01-05 06:00 █▓▒·     75%  Y 1 N 1 A 1');
+	});
+});
@@ -0,0 +1,133 @@
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { AccountId, PrivateKey, PublicKey } = require('@hashgraph/sdk');
+const { contractLogs, log, restoreMirror, stubMirror } = require('./helpers/mirror');
+const { canonicalJson, createArchive, hashContent, signHash, verifyArchive } = require('../../lib/archive');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const OWNER_ID = AccountId.fromString('0.0.1001');
+const OWNER = `0x${OWNER_ID.toSolidityAddress()}`;
+const OTHER = `0x${'22'.repeat(20)}`;
+const AS_OF = '1700000100.000000000';
+
+describe('archive', () => {
+	describe('canonicalJson / hashContent', () => {
+		it('is independent of key order at every depth', () => {
+			const a = { b: 1, a: { d: [1, { y: 2, x: 1 }], c: 'x' } };
+			const b = { a: { c: 'x', d: [1, { x: 1, y: 2 }] }, b: 1 };
+			expect(canonicalJson(a)).to.equal('{"a":{"c":"x","d":[1,{"x":1,"y":2}]},"b":1}');
+			expect(hashContent(a)).to.equal(hashContent(b));
+			expect(hashContent(a)).to.match(/^sha256:[0-9a-f]{64}$/);
+		});
+
+		it('keeps array order and writes undefined as null', () => {
+			expect(canonicalJson([2, 1])).to.not.equal(canonicalJson([1, 2]));
+			expect(canonicalJson({ a: undefined, b: null })).to.equal('{"a":null,"b":null}');
+			expect(hashContent({ a: 1 })).to.not.equal(hashContent({ a: '1' }));
+		});
+	});
+
+	describe('signHash', () => {
+		for (const [type, generate] of [['ED25519', () => PrivateKey.generateED25519()], ['ECDSA', () => PrivateKey.generateECDSA()]]) {
+			it(`signs the digest bytes with an ${type} key`, () => {
+				const privateKey = generate();
+				const hash = hashContent({ vote: 1 });
+				const signed = signHash(hash, { accountId: OWNER_ID, privateKey });
+				expect(signed).to.include({ account: '0.0.1001', publicKey: privateKey.publicKey.toStringDer() });
+				const publicKey = PublicKey.fromString(signed.publicKey);
+				const digest = Buffer.from(hash.slice('sha256:'.length), 'hex');
+				expect(publicKey.verify(digest, Buffer.from(signed.signature, 'hex'))).to.equal(true);
+				expect(publicKey.verify(Buffer.from(hashContent({ vote: 2 }).slice(7), 'hex'), Buffer.from(signed.signature, 'hex'))).to.equal(false);
+			});
+		}
+	});
+
+	describe('verifyArchive', () => {
+		const ownerKey = PrivateKey.generateED25519();
+		let logs;
+		let accountKey;
+		let owner;
+
+		// Every read readArchiveContent makes, for an ended vote owned by `owner`
+		const voter = {
+			contractId: { toString: () => '0.0.5005' },
+			network: 'TEST',
+			mirror: 'TEST',
+			iface: loadInterface('LazyVoter'),
+			getStatus: async () => 'Ended',
+			getOwner: async () => owner,
+			getVoteMessage: async () => 'Fund it?',
+			getNFTToken: async () => '0.0.700',
+			getQuorum: async () => 1,
+			getVotingWindow: async () => ({ startTime: 1700000000, endTime: 1700000050 }),
+			eligibleSerials: async function* () {
+				yield* [1, 2];
+			},
+			allVotes: async function* () {
+				yield { serial: 1, voter: OTHER, voteType: 1 };
+			},
+			getResults: async () => ({ yes: 1, no: 0, abstain: 0 }),
+			hasQuorum: async () => true,
+			getVoteInfo: async () => ({ voteType: 1, voter: OTHER, timestamp: 1700000010 }),
+		};
+
+		beforeEach(() => {
+			owner = OWNER;
+			accountKey = { type: 'ED25519', key: ownerKey.publicKey.toStringRaw() };
+			logs = [
+				log('OwnershipTransferred', [`0x${'00'.repeat(20)}`, OWNER], '1699999999.000000000'),
+				log('VoteCasted', [OTHER, [1], 1], '1700000010.000000000'),
+			];
+			stubMirror('getContractLogsPage', contractLogs(logs));
+			stubMirror('getAccountKey', async () => accountKey);
+			stubMirror('homebrewPopulateAccountEvmAddress', async () => null);
+		});
+
+		afterEach(restoreMirror);
+
+		const archive = () => createArchive(voter, { asOf: AS_OF, signer: { accountId: OWNER_ID, privateKey: ownerKey } });
+
+		it('verifies an intact bundle signed by the owner', async () => {
+			const result = await verifyArchive(voter, await archive());
+			expect(result).to.include({ verified: true, intact: true });
+			expect(result.signature).to.include({ valid: true, keyMatchesAccount: true, ownerAtArchive: true, currentOwner: true, attested: true });
+			expect(result.sections.every(s => s.matches)).to.equal(true);
+		});
+
+		it('flags edited content and names the section that no longer matches', async () => {
+			const bundle = await archive();
+			bundle.content.tallies.yes = 2;
+			const result = await verifyArchive(voter, bundle);
+			expect(result).to.include({ verified: false, intact: false });
+			expect(result.sections.find(s => s.section === 'tallies')).to.deep.equal({ section: 'tallies', matches: false, differences: ['yes'] });
+		});
+
+		it('does not count a signer whose account key is a key list', async () => {
+			const bundle = await archive();
+			accountKey = { type: 'ProtobufEncoded', key: '0a' };
+			const result = await verifyArchive(voter, bundle);
+			expect(result.signature).to.include({ valid: true, keyMatchesAccount: null, attested: false });
+			expect(result.verified).to.equal(false);
+		});
+
+		it('does not count a signer that no longer owned the contract at the archive', async () => {
+			logs.push(log('OwnershipTransferred', [OWNER, OTHER], '1700000020.000000000'));
+			const bundle = await archive();
+			const result = await verifyArchive(voter, bundle);
+			expect(result.signature).to.include({ ownerAtArchive: false, currentOwner: true, attested: false });
+			expect(result.verified).to.equal(false);
+		});
+
+		it('refuses to sign for an account that does not own the contract', async () => {
+			owner = OTHER;
+			let error;
+			try {
+				await archive();
+			}
+			catch (err) {
+				error = err;
+			}
+			expect(error.message).to.match(/0.0.1001 does not own 0.0.5005/);
+		});
+	});
+});
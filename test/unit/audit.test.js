@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { contractLogs, log, restoreMirror, stubMirror } = require('./helpers/mirror');
+const { auditTally, createAuditSummary, replayVotes } = require('../../lib/audit');
+const { hashContent } = require('../../lib/archive');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const ALICE = `0x${'aa'.repeat(20)}`;
+const BOB = `0x${'bb'.repeat(20)}`;
+const ZERO = `0x${'00'.repeat(20)}`;
+
+const vote = (voter, serials, voteType, seconds) => ({
+	args: { voter, serials, voteType }, consensusTimestamp: `${seconds}.000000001`,
+});
+
+describe('audit', () => {
+	describe('replayVotes', () => {
+		it('lets the last vote for a serial win, moving its tally and voter', () => {
+			const replay = replayVotes([
+				// Checksummed, as ethers decodes it; voters are compared lowercase
+				vote(ALICE.replace(/a/g, 'A'), [1, 2, 3], 1, 100),
+				vote(BOB, [4], 0, 110),
+				// Alice changes her mind on serial 2
+				vote(ALICE, [2], 2, 120),
+				// Serial 3 changed hands: Bob now votes it
+				vote(BOB, [3], 0, 130),
+			]);
+			expect(replay.tallies).to.deep.equal({ yes: 1, no: 2, abstain: 1 });
+			expect([...replay.voters]).to.have.deep.members([[ALICE, 2], [BOB, 2]]);
+			expect(replay.votes.get(2)).to.deep.equal({ voteType: 2, voter: ALICE, timestamp: 120 });
+			expect(replay.votes.get(3)).to.deep.equal({ voteType: 0, voter: BOB, timestamp: 130 });
+		});
+
+		it('drops a voter whose serials were all re-voted by someone else', () => {
+			const replay = replayVotes([vote(ALICE, [1], 1, 100), vote(BOB, [1], 1, 200)]);
+			expect([...replay.voters.keys()]).to.deep.equal([BOB]);
+			expect(replay.tallies).to.deep.equal({ yes: 1, no: 0, abstain: 0 });
+		});
+
+		it('accepts serials as strings, as decoded from the index', () => {
+			expect([...replayVotes([vote(ALICE, ['7'], '1', 100)]).votes.keys()]).to.deep.equal([7]);
+		});
+	});
+
+	describe('auditTally', () => {
+		let contract;
+
+		// The contract state after Alice votes 1-2 Yes, then re-votes 2 as No
+		beforeEach(() => {
+			contract = {
+				results: { yes: 1, no: 1, abstain: 0 },
+				voted: [1, 2],
+				infos: {
+					1: { voteType: 1, voter: ALICE, timestamp: 100 },
+					2: { voteType: 0, voter: ALICE, timestamp: 120 },
+				},
+				voters: { voters: [ALICE], voteCounts: [2] },
+			};
+			stubMirror('getContractLogsPage', contractLogs([
+				log('VoteCasted', [ALICE, [1, 2], 1], '100.000000001'),
+				log('VoteCasted', [ALICE, [2], 0], '120.000000001'),
+			]));
+		});
+
+		afterEach(restoreMirror);
+
+		const voter = () => ({
+			contractId: { toString: () => '0.0.5005' },
+			network: 'TEST',
+			iface: loadInterface('LazyVoter'),
+			getStatus: async () => 'Ended',
+			getResults: async () => contract.results,
+			getVotedSerials: async () => contract.voted,
+			getAllVoters: async () => contract.voters,
+			getVoteInfo: async serial => contract.infos[serial] ?? { voteType: 0, voter: ZERO, timestamp: 0 },
+		});
+
+		it('finds the replayed log consistent with the contract', async () => {
+			const audit = await auditTally(voter(), { asOf: '200.000000000' });
+			expect(audit).to.include({ consistent: true, events: 2, serials: 2 });
+			expect(audit.replayed).to.deep.equal({ yes: 1, no: 1, abstain: 0, total: 2 });
+			expect(audit.checks.map(c => c.divergences)).to.deep.equal([0, 0, 0, 0]);
+		});
+
+		it('lists every disagreement by check', async () => {
+			contract.results = { yes: 2, no: 0, abstain: 0 };
+			contract.voted = [1, 2, 3];
+			contract.infos[2] = { voteType: 1, voter: BOB, timestamp: 120 };
+			contract.voters = { voters: [ALICE, BOB], voteCounts: [1, 1] };
+			const audit = await auditTally(voter(), { asOf: '200.000000000' });
+			expect(audit.consistent).to.equal(false);
+			expect(audit.divergences.filter(d => d.check === 'results').map(d => d.field)).to.deep.equal(['yes', 'no']);
+			expect(audit.divergences).to.deep.include({ check: 'votedSerials', serial: 3, replayed: false, contract: true });
+			expect(audit.divergences.find(d => d.check === 'voteInfo' && d.serial === 2).fields).to.deep.equal(['choice', 'voter']);
+			expect(audit.divergences).to.deep.include({ check: 'voters', voter: BOB, replayed: 0, contract: 1 });
+		});
+
+		it('bounds the event log at asOf', async () => {
+			const audit = await auditTally(voter(), { asOf: '110.000000000' });
+			expect(audit.events).to.equal(1);
+			expect(audit.consistent).to.equal(false);
+		});
+
+		it('wraps the audit in a hashed summary', async () => {
+			const audit = await auditTally(voter(), { asOf: '200.000000000' });
+			const summary = createAuditSummary(audit);
+			expect(summary).to.include({ format: 'lazyvoter-audit', kind: 'tally', hash: hashContent(audit) });
+			expect(summary).to.not.have.property('signature');
+		});
+	});
+});
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { isolateConfig } = require('./helpers/env');
+const { ProfileStore, resolveConfig } = require('../../lib/config');
+const { ProposalBook } = require('../../lib/proposalBook');
+const { DeploymentManifest } = require('../../lib/manifest');
+
+describe('config', () => {
+	let dir;
+	let restoreEnv;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-config-'));
+		restoreEnv = isolateConfig(dir);
+	});
+
+	afterEach(() => {
+		restoreEnv();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	function profile(name, values) {
+		const store = ProfileStore.load();
+		Object.entries(values).forEach(([key, value]) => store.set(name, key, value));
+		store.save();
+	}
+
+	function proposal(alias, entry) {
+		const book = ProposalBook.load();
+		book.add(alias, entry);
+		book.save();
+	}
+
+	function deployed(network, contractId) {
+		const manifest = DeploymentManifest.load(network);
+		manifest.record('LazyVoter', { contractId, address: '0x00', deployer: '0.0.2' });
+		manifest.save();
+	}
+
+	describe('resolveConfig', () => {
+		it('falls back to testnet and nothing else', () => {
+			const config = resolveConfig();
+			expect(config).to.include({ network: 'TEST', contractId: null, accountId: null, mirrorUrl: null, profile: null });
+			expect(config.sources.network).to.equal('default');
+		});
+
+		it('takes each setting from the strongest source: flag, proposal, profile, env, manifest', () => {
+			deployed('TEST', '0.0.6001');
+			expect(resolveConfig().contractId).to.equal('0.0.6001');
+			expect(resolveConfig().sources.contractId).to.match(/^manifest /);
+
+			process.env.CONTRACT_ID = '0.0.6002';
+			expect(resolveConfig().contractId).to.equal('0.0.6002');
+			process.env.LAZYVOTE_CONTRACT_ID = '0.0.6003';
+			expect(resolveConfig().sources.contractId).to.equal('env LAZYVOTE_CONTRACT_ID');
+
+			profile('ops', { 'contract-id': '0.0.6004' });
+			expect(resolveConfig()).to.include({ contractId: '0.0.6004', profile: 'ops' });
+
+			proposal('q1', { contractId: '0.0.6005', nftToken: '0.0.700' });
+			const fromProposal = resolveConfig({ proposal: 'q1' });
+			expect(fromProposal).to.include({ contractId: '0.0.6005', nftToken: '0.0.700', proposal: 'q1' });
+			expect(fromProposal.sources.contractId).to.equal('proposal q1');
+
+			expect(resolveConfig({ proposal: 'q1', contractId: '0.0.6006' }).sources.contractId).to.equal('flag');
+		});
+
+		it('reads the manifest of the resolved network', () => {
+			deployed('TEST', '0.0.6001');
+			deployed('MAIN', '0.0.9001');
+			process.env.ENVIRONMENT = 'mainnet';
+			expect(resolveConfig()).to.include({ network: 'MAIN', contractId: '0.0.9001' });
+		});
+
+		it('picks the profile from --profile, then LAZYVOTE_PROFILE, then the current one', () => {
+			profile('first', { network: 'preview' });
+			profile('second', { network: 'main' });
+			expect(resolveConfig().network).to.equal('PREVIEW');
+			process.env.LAZYVOTE_PROFILE = 'second';
+			expect(resolveConfig().network).to.equal('MAIN');
+			expect(resolveConfig({ profile: 'first' }).network).to.equal('PREVIEW');
+			expect(() => resolveConfig({ profile: 'third' })).to.throw(/Unknown profile "third".*Known: first, second/);
+		});
+
+		describe('mirror URL', () => {
+			it('applies a profile mirror only with the network from that profile', () => {
+				profile('ops', { network: 'main', 'mirror-url': 'https://mirror.example.com/' });
+				expect(resolveConfig()).to.include({ network: 'MAIN', mirrorUrl: 'https://mirror.example.com' });
+				expect(resolveConfig({ network: 'test' })).to.include({ network: 'TEST', mirrorUrl: null });
+			});
+
+			it('applies an env mirror with an env or default network, not a profile one', () => {
+				process.env.LAZYVOTE_MIRROR_URL = 'https://env-mirror.example.com';
+				expect(resolveConfig().mirrorUrl).to.equal('https://env-mirror.example.com');
+				process.env.ENVIRONMENT = 'preview';
+				expect(resolveConfig().mirrorUrl).to.equal('https://env-mirror.example.com');
+				profile('ops', { network: 'main' });
+				expect(resolveConfig().mirrorUrl).to.equal(null);
+			});
+
+			it('always applies a flag', () => {
+				profile('ops', { network: 'main' });
+				expect(resolveConfig({ mirrorUrl: 'https://flag.example.com' }).mirrorUrl).to.equal('https://flag.example.com');
+			});
+		});
+
+		it('validates values from every source and names the source', () => {
+			process.env.ACCOUNT_ID = 'alice';
+			expect(() => resolveConfig()).to.throw(/Invalid account-id \(env ACCOUNT_ID\)/);
+			delete process.env.ACCOUNT_ID;
+			process.env.ENVIRONMENT = 'devnet';
+			expect(() => resolveConfig()).to.throw(/Invalid network \(env ENVIRONMENT\): Invalid network "devnet"/);
+			expect(() => resolveConfig({ network: 'test', mirrorUrl: 'not a url' })).to.throw(/Invalid mirror-url \(flag\)/);
+		});
+	});
+
+	describe('ProfileStore', () => {
+		it('makes the first profile current, parses values and removes keys set to empty', () => {
+			const store = ProfileStore.load();
+			store.set('ops', 'network', 'testnet');
+			store.set('ops', 'contract-id', '0.0.42');
+			store.set('treasury', 'network', 'main');
+			expect(store.current).to.equal('ops');
+			expect(store.get('ops')).to.deep.equal({ network: 'TEST', contractId: '0.0.42' });
+			store.set('ops', 'contract-id', '');
+			expect(store.get('ops')).to.deep.equal({ network: 'TEST' });
+			store.use('treasury');
+			store.save();
+			expect(ProfileStore.load().current).to.equal('treasury');
+		});
+
+		it('rejects unknown keys, bad names and bad values', () => {
+			const store = ProfileStore.load();
+			expect(() => store.set('ops', 'contract', '0.0.1')).to.throw(/Unknown key "contract"/);
+			expect(() => store.set('my ops', 'network', 'test')).to.throw(/Invalid profile name/);
+			expect(() => store.set('ops', 'network', 'moon')).to.throw(/Invalid network "moon"/);
+			expect(() => store.use('nope')).to.throw(/Unknown profile/);
+		});
+	});
+});
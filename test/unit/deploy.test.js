@@ -0,0 +1,105 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { AccountId, ContractId } = require('@hashgraph/sdk');
+const { restoreMirror, stubHelper, stubMirror } = require('./helpers/mirror');
+const { rejection } = require('./helpers/assertions');
+const { MAX_CONSTRUCTOR_SERIALS, deployVoter, validateNftToken } = require('../../lib/deploy');
+const { DeploymentManifest } = require('../../lib/manifest');
+
+const OPERATOR = AccountId.fromString('0.0.1001');
+const VOTER = '0.0.5005';
+const BYTECODE = '0x6080604052';
+
+const serials = count => Array.from({ length: count }, (_, i) => i + 1);
+
+describe('deploy', () => {
+	let dir;
+	let deployments;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-deploy-'));
+		fs.mkdirSync(path.join(dir, 'LazyVoter.sol'));
+		fs.writeFileSync(path.join(dir, 'LazyVoter.sol', 'LazyVoter.json'), JSON.stringify({ bytecode: BYTECODE }));
+		deployments = [];
+		stubHelper('solidityHelpers', 'contractDeployFunction', async (client, bytecode, gasLimit, params) => {
+			deployments.push({ bytecode, gasLimit, params });
+			const contractId = ContractId.fromString(VOTER);
+			return [contractId, contractId.toSolidityAddress(), { toString: () => '0.0.1001@1735689599.000000000' }, { toString: () => '1735689600.000000001' }];
+		});
+	});
+
+	afterEach(() => {
+		restoreMirror();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	describe('deployVoter', () => {
+		const deploy = (eligibleSerials, options = {}) => deployVoter(null, OPERATOR, {
+			voteMessage: 'Fund the treasury?', nftToken: '0.0.7007', quorum: 10, startTime: 1893456000, endTime: 1893542400,
+			registry: '0.0.6006', eligibleSerials, artifactDir: dir, ...options,
+		});
+
+		it(`puts up to ${MAX_CONSTRUCTOR_SERIALS} serials in the constructor`, async () => {
+			const deployed = await deploy(serials(MAX_CONSTRUCTOR_SERIALS));
+			expect(deployed).to.include({ contractId: VOTER, constructorSerials: MAX_CONSTRUCTOR_SERIALS });
+			expect(deployed.pendingSerials).to.deep.equal([]);
+			expect(deployed.constructorArgs.eligibleSerials).to.equal(`1-${MAX_CONSTRUCTOR_SERIALS}`);
+			expect(deployments[0]).to.include({ bytecode: BYTECODE, gasLimit: 4_600_000 + MAX_CONSTRUCTOR_SERIALS * 50_000 });
+		});
+
+		it('deploys a longer list empty and hands every serial back for seeding', async () => {
+			const list = serials(MAX_CONSTRUCTOR_SERIALS + 1);
+			const deployed = await deploy(list);
+			expect(deployed.constructorSerials).to.equal(0);
+			expect(deployed.pendingSerials).to.deep.equal(list);
+			expect(deployed.constructorArgs.eligibleSerials).to.equal('');
+			expect(deployments[0].gasLimit).to.equal(4_600_000);
+		});
+
+		it('records the deployment with its consensus timestamp', async () => {
+			const manifest = DeploymentManifest.load('test', path.join(dir, 'test.json'));
+			await deploy([1, 2, 3], { manifest });
+			expect(DeploymentManifest.load('test', manifest.file).latest('LazyVoter')).to.deep.include({
+				contractId: VOTER,
+				deployer: OPERATOR.toString(),
+				transactionId: '0.0.1001@1735689599.000000000',
+				consensusTimestamp: '1735689600.000000001',
+				timestamp: '2025-01-01T00:00:00.000Z',
+			});
+		});
+
+		it('refuses a window that ends before it starts, before deploying', async () => {
+			const err = await rejection(deploy([1], { endTime: 1893456000 }));
+			expect(err.message).to.equal('End time must be after start time');
+			expect(deployments).to.have.length(0);
+		});
+	});
+
+	describe('validateNftToken', () => {
+		const token = type => ({
+			type, name: 'Lazy Lions', symbol: 'LL', total_supply: '500', max_supply: '1000', treasury_account_id: '0.0.42',
+		});
+
+		it('returns the details of an NFT collection', async () => {
+			stubMirror('getTokenDetails', async () => token('NON_FUNGIBLE_UNIQUE'));
+			expect(await validateNftToken('TEST', '0.0.7007')).to.deep.equal({
+				name: 'Lazy Lions', symbol: 'LL', totalSupply: 500, maxSupply: 1000, treasury: '0.0.42',
+			});
+		});
+
+		it('rejects a fungible token', async () => {
+			stubMirror('getTokenDetails', async () => token('FUNGIBLE_COMMON'));
+			const err = await rejection(validateNftToken('TEST', '0.0.7007'));
+			expect(err.message).to.equal('Token 0.0.7007 (LL) is FUNGIBLE_COMMON, not an NFT collection');
+		});
+
+		it('rejects a token the mirror node does not know', async () => {
+			stubMirror('getTokenDetails', async () => null);
+			const err = await rejection(validateNftToken('TEST', '0.0.7007'));
+			expect(err.message).to.equal('NFT token 0.0.7007 not found on TEST');
+		});
+	});
+});
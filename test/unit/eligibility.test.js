@@ -0,0 +1,145 @@
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const axios = require('axios');
+const { restoreMirror, stubMirror } = require('./helpers/mirror');
+const { REASONS, applyRules, parseRules } = require('../../lib/eligibility');
+
+const base64 = text => Buffer.from(text).toString('base64');
+
+describe('eligibility', () => {
+	describe('parseRules', () => {
+		it('normalises accounts, serial ranges, holdings and traits', () => {
+			const rules = parseRules({
+				exclude: { treasury: true, accounts: ['0.0.66'], serials: '8,10-11' },
+				include: { serials: ['1-3', '5'] },
+				holdings: { max: 3 },
+				metadata: { traits: [{ trait: 'Level', gte: 3 }, { trait: 'Background', in: ['Gold'] }] },
+			});
+			expect(rules.exclude).to.include({ treasury: true, contracts: false, deletedAccounts: false });
+			expect([...rules.exclude.accounts]).to.deep.equal(['0.0.66']);
+			expect([...rules.exclude.serials]).to.deep.equal([8, 10, 11]);
+			expect([...rules.include.serials]).to.deep.equal([1, 2, 3, 5]);
+			expect(rules.include.accounts).to.equal(null);
+			expect(rules.holdings).to.deep.equal({ min: null, max: 3 });
+			expect(rules.metadata.gateway).to.equal('https://ipfs.io/ipfs/');
+			expect(rules.metadata.traits).to.deep.equal([
+				{ trait: 'Level', op: 'gte', value: 3 },
+				{ trait: 'Background', op: 'in', value: ['Gold'] },
+			]);
+		});
+
+		it('names what is wrong with an invalid rule', () => {
+			const cases = [
+				[[], /must be a JSON object/],
+				[{ exlude: {} }, /Unknown rule section\(s\): exlude/],
+				[{ exclude: { accounts: '0.0.1' } }, /exclude.accounts must be an array/],
+				[{ include: { accounts: ['alice'] } }, /include.accounts: invalid account ID "alice"/],
+				[{ exclude: { serials: 'ten' } }, /^exclude.serials: /],
+				[{ holdings: { min: -1 } }, /holdings.min must be a non-negative integer/],
+				[{ holdings: { min: 5, max: 2 } }, /min is greater than holdings.max/],
+				[{ metadata: { traits: [{ value: 1 }] } }, /traits\[0\] needs a "trait" name/],
+				[{ metadata: { traits: [{ trait: 'Level', gte: 1, lte: 5 }] } }, /needs exactly one of/],
+				[{ metadata: { traits: [{ trait: 'Level', in: 'Gold' }] } }, /traits\[0\].in must be an array/],
+				[{ metadata: { traits: [{ trait: 'Level', gt: 'high' }] } }, /traits\[0\].gt must be a number/],
+			];
+			for (const [raw, message] of cases) {
+				expect(() => parseRules(raw), JSON.stringify(raw)).to.throw(message);
+			}
+		});
+	});
+
+	describe('applyRules', () => {
+		const realGet = axios.get;
+		let fetched;
+
+		// owner -> serials; every rule below removes at least one of them
+		const HOLDINGS = [
+			[1, '0.0.10'], [2, '0.0.11'], [3, '0.0.12'], [4, '0.0.2'], [5, '0.0.20'], [6, '0.0.30'], [7, '0.0.66'],
+			[8, '0.0.13'], [9, '0.0.14'], [10, '0.0.50'], [11, '0.0.50'], [12, '0.0.50'], [13, '0.0.50'], [14, '0.0.15'],
+		].map(([serial, owner]) => ({ serial, owner }));
+		const METADATA = {
+			1: base64('{"attributes":[{"trait_type":"Level","value":5}]}'),
+			2: base64('https://meta.example.com/2.json'),
+			3: base64('https://meta.example.com/down.json'),
+			14: base64('https://meta.example.com/missing.json'),
+		};
+		const NFTS = HOLDINGS.map(({ serial }) => ({
+			serial_number: serial,
+			metadata: METADATA[serial] ?? base64('{"attributes":[{"trait_type":"Level","value":9}]}'),
+		}));
+		const DOCUMENTS = {
+			'https://meta.example.com/2.json': { status: 200, data: { attributes: [{ trait_type: 'Level', value: 1 }] } },
+			'https://meta.example.com/down.json': { status: 503 },
+			'https://meta.example.com/missing.json': { status: 404 },
+		};
+
+		beforeEach(() => {
+			fetched = [];
+			stubMirror('getTokenDetails', async () => ({ treasury_account_id: '0.0.2' }));
+			stubMirror('getEntityInfo', async (network, owner) => ({
+				type: owner === '0.0.20' ? 'CONTRACT' : 'ACCOUNT',
+				deleted: owner === '0.0.30',
+			}));
+			stubMirror('getTokenNFTsPage', async () => ({ nfts: NFTS, next: null }));
+			axios.get = async (url, config) => {
+				fetched.push({ url, config });
+				const doc = DOCUMENTS[url];
+				if (doc.status !== 200) throw Object.assign(new Error(`HTTP ${doc.status}`), { response: { status: doc.status } });
+				return { data: doc.data };
+			};
+		});
+
+		afterEach(() => {
+			axios.get = realGet;
+			restoreMirror();
+		});
+
+		it('reports each excluded serial under the first rule it fails', async () => {
+			const rules = parseRules({
+				exclude: { treasury: true, contracts: true, deletedAccounts: true, accounts: ['0.0.66'], serials: '8' },
+				include: { serials: '1-8,10-14' },
+				holdings: { max: 3 },
+				metadata: { traits: [{ trait: 'Level', gte: 3 }] },
+			});
+			const result = await applyRules('TEST', '0.0.700', HOLDINGS, rules, { metadataAttempts: 2, metadataTimeout: 1234 });
+
+			expect(result.eligible).to.deep.equal([{ serial: 1, owner: '0.0.10' }]);
+			const rulesBySerial = Object.fromEntries(result.excluded.map(e => [e.serial, e.rule]));
+			expect(rulesBySerial).to.deep.equal({
+				2: 'metadata',
+				3: 'metadata.unavailable',
+				4: 'exclude.treasury',
+				5: 'exclude.contracts',
+				6: 'exclude.deletedAccounts',
+				7: 'exclude.accounts',
+				8: 'exclude.serials',
+				9: 'include.serials',
+				10: 'holdings.max',
+				11: 'holdings.max',
+				12: 'holdings.max',
+				13: 'holdings.max',
+				14: 'metadata.unavailable',
+			});
+			result.excluded.forEach(e => expect(e.reason).to.equal(REASONS[e.rule]));
+			expect(result.byRule).to.include({ 'holdings.max': 4, 'metadata.unavailable': 2, metadata: 1 });
+		});
+
+		it('retries a document that is down but not one that is missing, with the timeout given', async () => {
+			const rules = parseRules({ metadata: { traits: [{ trait: 'Level', exists: true }] } });
+			await applyRules('TEST', '0.0.700', HOLDINGS.filter(h => [3, 14].includes(h.serial)), rules, { metadataAttempts: 2, metadataTimeout: 1234 });
+			expect(fetched.map(f => f.url)).to.deep.equal([
+				'https://meta.example.com/down.json',
+				'https://meta.example.com/missing.json',
+				'https://meta.example.com/down.json',
+			]);
+			fetched.forEach(f => expect(f.config.timeout).to.equal(1234));
+		});
+
+		it('counts holdings before other rules remove serials', async () => {
+			const rules = parseRules({ exclude: { serials: '10-12' }, holdings: { min: 4 } });
+			const result = await applyRules('TEST', '0.0.700', HOLDINGS, rules);
+			expect(result.eligible).to.deep.equal([{ serial: 13, owner: '0.0.50' }]);
+			expect(result.byRule).to.deep.equal({ 'exclude.serials': 3, 'holdings.min': 10 });
+		});
+	});
+});
@@ -0,0 +1,101 @@
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { ethers } = require('ethers');
+const errors = require('../../lib/errors');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const {
+	BadArgumentLengthError,
+	ContractRevertError,
+	LazyDelegateRegistryOnlyOwnerError,
+	LazyVoterError,
+	NotContractOwnerError,
+	SerialNotEligibleError,
+	TransactionFailedError,
+	errorFromResult,
+	fromMirrorRevert,
+	suggestionsFor,
+} = errors;
+
+const revertString = reason => `0x08c379a0${ethers.AbiCoder.defaultAbiCoder().encode(['string'], [reason]).slice(2)}`;
+
+describe('errors', () => {
+	describe('fromMirrorRevert', () => {
+		it('maps every custom error in both ABIs to its own class', () => {
+			for (const name of ['LazyVoter', 'LazyDelegateRegistry']) {
+				const iface = loadInterface(name);
+				for (const fragment of iface.fragments.filter(f => f.type === 'error')) {
+					const args = fragment.inputs.map(input => (input.type === 'address' ? ethers.ZeroAddress : 1));
+					const error = fromMirrorRevert(iface, { data: iface.encodeErrorResult(fragment, args), message: '' });
+					expect(error, fragment.name).to.be.instanceOf(LazyVoterError);
+					expect(error, fragment.name).not.to.be.instanceOf(ContractRevertError);
+					expect(error.name).to.equal(`${fragment.name}Error`);
+				}
+			}
+		});
+
+		it('copies error arguments onto the error without their leading underscore', () => {
+			const voter = loadInterface('LazyVoter');
+			const serial = fromMirrorRevert(voter, { data: voter.encodeErrorResult('SerialNotEligible', [42]) });
+			expect(serial).to.be.instanceOf(SerialNotEligibleError);
+			expect(serial).to.include({ code: 'SERIAL_NOT_ELIGIBLE', serial: 42, message: 'Serial 42 is not eligible to vote' });
+
+			const registry = loadInterface('LazyDelegateRegistry');
+			const length = fromMirrorRevert(registry, { data: registry.encodeErrorResult('BadArgumentLength', [2, 3]) });
+			expect(length).to.be.instanceOf(BadArgumentLengthError);
+			expect(length).to.include({ expected: 2, actual: 3 });
+
+			const owner = `0x${'11'.repeat(20)}`;
+			const onlyOwner = fromMirrorRevert(registry, {
+				data: registry.encodeErrorResult('LazyDelegateRegistryOnlyOwner', [owner, ethers.ZeroAddress]),
+			});
+			expect(onlyOwner).to.be.instanceOf(LazyDelegateRegistryOnlyOwnerError);
+			expect(onlyOwner.owner.toLowerCase()).to.equal(owner);
+		});
+
+		it('maps the Ownable revert string to NotContractOwnerError and other strings to ContractRevertError', () => {
+			const iface = loadInterface('LazyVoter');
+			expect(fromMirrorRevert(iface, { data: revertString('Ownable: caller is not the owner') })).to.be.instanceOf(NotContractOwnerError);
+			const other = fromMirrorRevert(iface, { data: revertString('something else') });
+			expect(other).to.be.instanceOf(ContractRevertError);
+			expect(other.reason).to.equal('something else');
+		});
+
+		it('falls back to the mirror message when there is no revert data', () => {
+			const error = fromMirrorRevert(loadInterface('LazyVoter'), { data: '0x', message: 'CONTRACT_REVERT_EXECUTED' });
+			expect(error).to.be.instanceOf(ContractRevertError);
+			expect(error.message).to.equal('Contract reverted: CONTRACT_REVERT_EXECUTED');
+		});
+	});
+
+	describe('errorFromResult', () => {
+		it('returns null for SUCCESS, from a receipt or a bare status', () => {
+			expect(errorFromResult([{ status: { toString: () => 'SUCCESS' } }, [], null])).to.equal(null);
+			expect(errorFromResult(['SUCCESS'])).to.equal(null);
+		});
+
+		it('types a parsed revert and attaches the transaction id', () => {
+			const iface = loadInterface('LazyVoter');
+			const description = iface.parseError(iface.encodeErrorResult('NotOwnerOrDelegated', [7]));
+			const error = errorFromResult([description, '0.0.1001@1700000000.000000000']);
+			expect(error.code).to.equal('NOT_OWNER_OR_DELEGATED');
+			expect(error).to.include({ serial: 7, transactionId: '0.0.1001@1700000000.000000000' });
+		});
+
+		it('turns a failed receipt into TransactionFailedError', () => {
+			// contractExecuteFunction wraps an unparseable ReceiptStatusError as { status: error }
+			const failure = Object.assign(new Error('receipt failed'), { status: { toString: () => 'INSUFFICIENT_GAS' } });
+			const error = errorFromResult([{ status: failure }, 'tx-id', null]);
+			expect(error).to.be.instanceOf(TransactionFailedError);
+			expect(error.status).to.equal('INSUFFICIENT_GAS');
+			expect(suggestionsFor(error)).to.have.length(1);
+		});
+	});
+
+	it('gives suggestions by code, none for unknown codes, and serialises the details', () => {
+		const error = new SerialNotEligibleError({ serial: 5 });
+		expect(suggestionsFor(error)[0]).to.include('Serial 5');
+		expect(suggestionsFor(new LazyVoterError('x', 'UNKNOWN'))).to.deep.equal([]);
+		expect(JSON.parse(JSON.stringify(error))).to.include({ code: 'SERIAL_NOT_ELIGIBLE', serial: 5, message: 'Serial 5 is not eligible to vote' });
+	});
+});
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { rejection } = require('./helpers/assertions');
+const { contractLogs, log, restoreMirror, stubMirror } = require('./helpers/mirror');
+const { EventIndex } = require('../../lib/eventIndex');
+const { createLogger, setLogger } = require('../../lib/logger');
+
+const ALICE = `0x${'11'.repeat(20)}`;
+
+describe('EventIndex', () => {
+	let dir;
+	let logs;
+	let mirror;
+	let warnings;
+
+	beforeEach(() => {
+		warnings = [];
+		setLogger(createLogger({ level: 'warn', sink: entry => warnings.push(entry.event) }));
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-index-'));
+		logs = [
+			log('VoteCasted', [ALICE, [1], 1], '1700000001.000000000'),
+			log('QuorumUpdated', [5], '1700000002.000000000'),
+			log('VoteCasted', [ALICE, [2], 0], '1700000003.000000000', { index: 0 }),
+			log('VoteCasted', [ALICE, [3], 2], '1700000003.000000000', { index: 1 }),
+			{ ...log('VotingPaused', [true], '1700000004.000000000'), topics: [`0x${'ee'.repeat(32)}`] },
+		];
+		mirror = contractLogs(logs);
+		stubMirror('getContractLogsPage', mirror);
+	});
+
+	afterEach(() => {
+		setLogger(null);
+		restoreMirror();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+
+	function tracked() {
+		const index = EventIndex.open(dir);
+		index.track('0.0.5005', 'test');
+		return index;
+	}
+
+	const file = () => path.join(dir, 'TEST-0.0.5005.jsonl');
+
+	it('stores every log in order, decoded when the ABI knows it', async () => {
+		const index = tracked();
+		const [result] = await index.sync();
+		expect(result).to.deep.equal({ contractId: '0.0.5005', network: 'TEST', added: 5, lastTimestamp: '1700000004.000000000' });
+		const events = index.query({ contractId: '0.0.5005', network: 'TEST' });
+		expect(events.map(e => e.name)).to.deep.equal(['VoteCasted', 'QuorumUpdated', 'VoteCasted', 'VoteCasted', null]);
+		expect(events[0].args).to.deep.equal({ voter: ALICE, serials: [1], voteType: 1 });
+		expect(events[4]).to.include({ data: logs[4].data, logIndex: 0 });
+		expect(EventIndex.open(dir).list()[0]).to.include({ events: 5, lastTimestamp: '1700000004.000000000' });
+	});
+
+	it('resumes from the last stored log without duplicating it', async () => {
+		const index = tracked();
+		logs.splice(3);
+		await index.sync();
+		logs.push(
+			log('VoteCasted', [ALICE, [3], 2], '1700000003.000000000', { index: 1 }),
+			log('VotingPaused', [true], '1700000005.000000000'),
+		);
+		const firstSyncCalls = mirror.calls.length;
+		const [result] = await EventIndex.open(dir).sync();
+		expect(result.added).to.equal(2);
+		expect(mirror.calls[firstSyncCalls].options).to.deep.equal({ fromTimestamp: '1700000003.000000000', order: 'asc' });
+		const serials = index.query({ contractId: '0.0.5005', network: 'TEST', name: 'VoteCasted' }).map(e => e.args.serials[0]);
+		expect(serials).to.deep.equal([1, 2, 3]);
+	});
+
+	it('cuts a torn last line when the next sync starts, then fetches it again', async () => {
+		const index = tracked();
+		await index.sync();
+		const lines = fs.readFileSync(file(), 'utf8').split('\n');
+		// An interrupted append: the last record is half written and has no newline
+		fs.writeFileSync(file(), `${lines.slice(0, 3).join('\n')}\n${lines[3].slice(0, 20)}`);
+
+		// Reads skip it and leave the file alone
+		expect(index.query({ contractId: '0.0.5005', network: 'TEST' })).to.have.length(3);
+		expect(fs.readFileSync(file(), 'utf8').endsWith('\n')).to.equal(false);
+		expect(warnings).to.deep.equal(['index.partial']);
+
+		const [result] = await index.sync();
+		expect(result.added).to.equal(2);
+		expect(warnings).to.deep.equal(['index.partial', 'index.repair']);
+		expect(index.query({ contractId: '0.0.5005', network: 'TEST' }).map(e => e.consensusTimestamp)).to.deep.equal(logs.map(l => l.timestamp));
+	});
+
+	it('refuses to sync or read past a corrupt line that is not the last', async () => {
+		const index = tracked();
+		await index.sync();
+		const lines = fs.readFileSync(file(), 'utf8').split('\n');
+		lines[1] = '{"name":';
+		fs.writeFileSync(file(), lines.join('\n'));
+		const before = fs.readFileSync(file(), 'utf8');
+
+		expect((await rejection(index.sync())).message).to.match(/Corrupt event index .* at line 2/);
+		expect(() => index.query({ contractId: '0.0.5005', network: 'TEST' })).to.throw(/at line 2/);
+		expect(fs.readFileSync(file(), 'utf8')).to.equal(before);
+	});
+
+	it('filters by name, time, predicate, order and limit', async () => {
+		const index = tracked();
+		await index.sync();
+		const query = options => index.query({ contractId: '0.0.5005', network: 'TEST', ...options }).map(e => e.consensusTimestamp);
+		expect(query({ name: ['QuorumUpdated', 'VoteCasted'], fromTimestamp: '1700000002', toTimestamp: '1700000003' }))
+			.to.deep.equal(['1700000002.000000000', '1700000003.000000000', '1700000003.000000000']);
+		expect(query({ where: e => e.args?.voteType === 2 })).to.deep.equal(['1700000003.000000000']);
+		expect(query({ order: 'desc', limit: 2 })).to.deep.equal(['1700000004.000000000', '1700000003.000000000']);
+	});
+
+	it('validates what it tracks and syncs against the given mirror', async () => {
+		const index = tracked();
+		expect(() => index.track('0.0.5005', 'devnet')).to.throw(/Invalid network "devnet"/);
+		expect(() => index.track('0.0.5005', 'test', 'LazyDelegateRegistry')).to.throw(/already indexed as LazyVoter/);
+		expect(() => index.query({ contractId: '0.0.9', network: 'TEST' })).to.throw(/0.0.9 on TEST is not indexed/);
+		expect((await rejection(index.sync({ contractId: '0.0.9' }))).message).to.match(/0.0.9 is not indexed/);
+
+		await index.sync({}, { mirrorUrls: { TEST: 'https://mirror.example.com' } });
+		expect(mirror.calls[0].env).to.deep.equal({ network: 'TEST', mirrorUrl: 'https://mirror.example.com' });
+	});
+});
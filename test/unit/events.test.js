@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { ContractId } = require('@hashgraph/sdk');
+const { contractLogs, log, restoreMirror, stubMirror } = require('./helpers/mirror');
+const { EventSubscription, compareTimestamps, toConsensusTimestamp } = require('../../lib/events');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const ALICE = `0x${'11'.repeat(20)}`;
+const BOB = `0x${'22'.repeat(20)}`;
+
+function subscription(options = {}) {
+	return new EventSubscription({
+		network: 'TEST',
+		contractId: ContractId.fromString('0.0.5005'),
+		iface: loadInterface('LazyVoter'),
+		fromTimestamp: '1700000000',
+		...options,
+	});
+}
+
+describe('events', () => {
+	describe('toConsensusTimestamp / compareTimestamps', () => {
+		it('normalises dates, unix seconds and seconds.nanos strings', () => {
+			expect(toConsensusTimestamp(new Date(1700000000250))).to.equal('1700000000.250000000');
+			expect(toConsensusTimestamp(1700000000)).to.equal('1700000000.000000000');
+			expect(toConsensusTimestamp('1700000000.5')).to.equal('1700000000.500000000');
+			expect(() => toConsensusTimestamp('yesterday')).to.throw(/Invalid timestamp/);
+		});
+
+		it('orders by seconds, then nanos', () => {
+			expect(compareTimestamps('1700000000.000000002', '1700000000.000000010')).to.be.below(0);
+			expect(compareTimestamps('1700000001', '1700000000.999999999')).to.be.above(0);
+			expect(compareTimestamps('1700000000.1', '1700000000.100000000')).to.equal(0);
+		});
+	});
+
+	describe('EventSubscription', () => {
+		let dir;
+		let logs;
+
+		beforeEach(() => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-events-'));
+			logs = [
+				log('VoteCasted', [ALICE, [1, 2], 1], '1700000001.000000000'),
+				log('QuorumUpdated', [10], '1700000002.000000000'),
+				log('VoteCasted', [BOB, [3], 0], '1700000003.000000000', { index: 0 }),
+				log('VoteCasted', [ALICE, [1], 2], '1700000003.000000000', { index: 1 }),
+			];
+			stubMirror('getContractLogsPage', contractLogs(logs));
+		});
+
+		afterEach(() => {
+			restoreMirror();
+			fs.rmSync(dir, { recursive: true, force: true });
+		});
+
+		it('delivers each event in consensus order to its handlers and to *', async () => {
+			const votes = [];
+			const all = [];
+			const sub = subscription()
+				.on('VoteCasted', e => votes.push(e.args))
+				.on('*', e => all.push(e.name));
+			expect(await sub.poll()).to.equal(4);
+			expect(votes).to.deep.equal([
+				{ voter: ALICE, serials: [1, 2], voteType: 1 },
+				{ voter: BOB, serials: [3], voteType: 0 },
+				{ voter: ALICE, serials: [1], voteType: 2 },
+			]);
+			expect(all).to.deep.equal(['VoteCasted', 'QuorumUpdated', 'VoteCasted', 'VoteCasted']);
+			expect(sub.cursor).to.deep.equal({ timestamp: '1700000003.000000000', index: 1 });
+		});
+
+		it('only delivers logs after the cursor, including later logs at the same timestamp', async () => {
+			const seen = [];
+			const sub = subscription({ fromTimestamp: '1700000003' }).on('*', e => seen.push(e.logIndex));
+			sub.cursor = { timestamp: '1700000003.000000000', index: 0 };
+			await sub.poll();
+			expect(seen).to.deep.equal([1]);
+			expect(await sub.poll()).to.equal(0);
+		});
+
+		it('persists the cursor and resumes from it after a restart', async () => {
+			const cursorFile = path.join(dir, 'cursor.json');
+			const first = [];
+			await subscription({ cursorFile }).on('*', e => first.push(e.consensusTimestamp)).poll();
+			expect(first).to.have.length(4);
+			expect(JSON.parse(fs.readFileSync(cursorFile, 'utf8'))).to.deep.equal({
+				contractId: '0.0.5005', timestamp: '1700000003.000000000', index: 1,
+			});
+
+			logs.push(log('VotingPaused', [true], '1700000004.000000000'));
+			const second = [];
+			// The saved cursor wins over fromTimestamp
+			await subscription({ cursorFile, fromTimestamp: '1700000000' }).on('*', e => second.push(e.name)).poll();
+			expect(second).to.deep.equal(['VotingPaused']);
+		});
+
+		it('refuses a cursor file saved for another contract', () => {
+			const cursorFile = path.join(dir, 'cursor.json');
+			fs.writeFileSync(cursorFile, JSON.stringify({ contractId: '0.0.9', timestamp: '1700000000.000000000', index: 0 }));
+			expect(() => subscription({ cursorFile })).to.throw(/belongs to contract 0.0.9/);
+		});
+
+		it('reports a throwing handler with its event and still delivers to the others', async () => {
+			const errors = [];
+			const delivered = [];
+			const sub = subscription()
+				.on('QuorumUpdated', () => {
+					throw new Error('handler failed');
+				})
+				.on('*', e => delivered.push(e.name))
+				.on('error', (err, event) => errors.push([err.message, event.name]));
+			expect(await sub.poll()).to.equal(4);
+			expect(delivered).to.have.length(4);
+			expect(errors).to.deep.equal([['handler failed', 'QuorumUpdated']]);
+			expect(sub.cursor.timestamp).to.equal('1700000003.000000000');
+		});
+
+		it('leaves the cursor in place when the poll fails', async () => {
+			stubMirror('getContractLogsPage', async () => {
+				throw new Error('mirror down');
+			});
+			const sub = subscription();
+			const before = { ...sub.cursor };
+			let error;
+			try {
+				await sub.poll();
+			}
+			catch (err) {
+				error = err;
+			}
+			expect(error.message).to.equal('mirror down');
+			expect(sub.cursor).to.deep.equal(before);
+		});
+
+		it('rejects unknown event names', () => {
+			const sub = subscription();
+			expect(() => sub.on('VoteCast', console.log)).to.throw(/Unknown event "VoteCast"/);
+			expect(() => sub.on('VoteCasted', 'handler')).to.throw(/must be a function/);
+		});
+	});
+});
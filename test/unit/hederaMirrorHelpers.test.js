@@ -0,0 +1,41 @@
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const axios = require('axios');
+const { ContractId } = require('@hashgraph/sdk');
+const { log } = require('./helpers/mirror');
+const { getEventsFromMirror } = require('../../utils/hederaMirrorHelpers');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const VOTER = '0.0.5005';
+const iface = loadInterface('LazyVoter');
+
+describe('hederaMirrorHelpers', () => {
+	describe('getEventsFromMirror', () => {
+		const realGet = axios.get;
+		let fetched;
+
+		beforeEach(() => {
+			fetched = [];
+			const pages = {
+				first: { logs: [log('VotingPaused', [true], '1700000300.000000000')], links: { next: '/api/v1/second' } },
+				second: { logs: [log('QuorumUpdated', [40], '1700000200.000000000')], links: { next: null } },
+			};
+			axios.get = async (url) => {
+				fetched.push(url);
+				return { status: 200, data: url.endsWith('/api/v1/second') ? pages.second : pages.first };
+			};
+		});
+
+		afterEach(() => {
+			axios.get = realGet;
+		});
+
+		it('follows the next links past the first page of logs', async () => {
+			const events = await getEventsFromMirror('TEST', ContractId.fromString(VOTER), iface);
+			expect(fetched).to.have.length(2);
+			expect(fetched[0]).to.include(`/contracts/${VOTER}/results/logs?order=desc`);
+			expect(fetched[1]).to.equal('https://testnet.mirrornode.hedera.com/api/v1/second');
+			expect(events.map(e => e.split(' : Event: ')[1])).to.deep.equal(['VotingPaused : true', 'QuorumUpdated : 40']);
+		});
+	});
+});
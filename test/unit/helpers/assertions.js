@@ -0,0 +1,18 @@
+/**
+ * The error a promise rejects with; fails the test when it resolves
+ * @param {Promise} promise
+ * @returns {Promise<Error>}
+ */
+async function rejection(promise) {
+	try {
+		await promise;
+	}
+	catch (err) {
+		return err;
+	}
+	throw new Error('expected a rejection');
+}
+
+module.exports = {
+	rejection,
+};
@@ -0,0 +1,30 @@
+const path = require('path');
+
+// Everything resolveConfig reads from the environment
+const CONFIG_ENV = [
+	'LAZYVOTE_CONFIG_FILE', 'LAZYVOTE_PROPOSALS_FILE', 'LAZYVOTE_MANIFEST_DIR', 'LAZYVOTE_PROFILE',
+	'ENVIRONMENT', 'LAZYVOTE_MIRROR_URL', 'ACCOUNT_ID', 'PRIVATE_KEY', 'LAZYVOTE_KEY',
+	'LAZYVOTE_CONTRACT_ID', 'CONTRACT_ID', 'LAZYVOTE_DELEGATE_REGISTRY_ID', 'LAZY_DELEGATE_REGISTRY_CONTRACT_ID',
+];
+
+/**
+ * Clear every configuration variable and point the profile, proposal book and deployment
+ * manifests at files under dir, so resolveConfig sees nothing from the machine running the tests
+ * @param {string} dir
+ * @returns {function(): void} puts the environment back
+ */
+function isolateConfig(dir) {
+	const saved = Object.fromEntries(CONFIG_ENV.map(name => [name, process.env[name]]));
+	CONFIG_ENV.forEach(name => delete process.env[name]);
+	process.env.LAZYVOTE_CONFIG_FILE = path.join(dir, 'config.json');
+	process.env.LAZYVOTE_PROPOSALS_FILE = path.join(dir, 'proposals.json');
+	process.env.LAZYVOTE_MANIFEST_DIR = path.join(dir, 'deployments');
+	return () => CONFIG_ENV.forEach((name) => {
+		if (saved[name] === undefined) delete process.env[name];
+		else process.env[name] = saved[name];
+	});
+}
+
+module.exports = {
+	isolateConfig,
+};
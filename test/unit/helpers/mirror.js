@@ -0,0 +1,154 @@
+// Turns every mirror node, contract call and gas helper into a delegate that tests can stub. lib
+// modules destructure the helpers when first required, so this is loaded ahead of them (mocha --require).
+// The modules are wrapped in dependency order: solidityHelpers destructures the mirror helpers, and
+// gasHelpers the solidity ones.
+const stubs = {};
+
+function wrap(module) {
+	const exported = require(`../../../utils/${module}`);
+	const originals = { ...exported };
+	stubs[module] = {};
+	Object.keys(originals).filter(name => typeof originals[name] === 'function').forEach((name) => {
+		exported[name] = (...args) => (stubs[module][name] ?? originals[name])(...args);
+	});
+	return originals;
+}
+
+const originals = {
+	hederaMirrorHelpers: wrap('hederaMirrorHelpers'),
+	solidityHelpers: wrap('solidityHelpers'),
+	gasHelpers: wrap('gasHelpers'),
+};
+
+const { ContractId } = require('@hashgraph/sdk');
+const { loadInterface } = require('../../../utils/clientFactory');
+const { compareTimestamps } = require('../../../lib/events');
+
+/**
+ * Replace one helper until restoreMirror()
+ * @param {'hederaMirrorHelpers'|'solidityHelpers'|'gasHelpers'} module - File under utils/
+ * @param {string} name - Export of that module
+ * @param {function} fn
+ */
+function stubHelper(module, name, fn) {
+	if (!originals[module]?.[name]) throw new Error(`No helper named ${name} in utils/${module}`);
+	stubs[module][name] = fn;
+}
+
+/**
+ * Replace one mirror helper until restoreMirror()
+ * @param {string} name - Export of utils/hederaMirrorHelpers
+ * @param {function} fn
+ */
+function stubMirror(name, fn) {
+	stubHelper('hederaMirrorHelpers', name, fn);
+}
+
+// Drops every stub, mirror or not
+function restoreMirror() {
+	Object.values(stubs).forEach(moduleStubs => Object.keys(moduleStubs).forEach(name => delete moduleStubs[name]));
+}
+
+/**
+ * mirrorPost answering /contracts/call requests: each contract is an interface plus one function
+ * per ABI function name, called with the decoded arguments and returning the array of output
+ * values. A function that throws makes the call fail (see revertError). Gas estimates
+ * (estimate: true) answer `gasEstimate`. Each call is recorded in `calls` as { contract, name, args, from, estimate }.
+ * @param {object} contracts - Contract ID (0.0.X) -> { iface, gasEstimate?, ...functions }
+ * @returns {function & {calls: object[]}}
+ */
+function contractCalls(contracts) {
+	const byAddress = new Map(Object.entries(contracts).map(([id, contract]) => [ContractId.fromString(id).toSolidityAddress(), { id, ...contract }]));
+	const calls = [];
+	const post = async (url, body) => {
+		const contract = byAddress.get(body.to);
+		if (!contract) throw new Error(`No contract at ${body.to} in this test`);
+		const call = contract.iface.parseTransaction({ data: body.data });
+		const fn = contract[call.name];
+		if (!fn) throw new Error(`${contract.id} has no ${call.name} in this test`);
+		calls.push({ contract: contract.id, name: call.name, args: [...call.args], from: body.from ?? null, estimate: body.estimate });
+		const values = await fn(...call.args);
+		if (body.estimate) return { data: { result: `0x${(contract.gasEstimate ?? 100_000).toString(16)}` } };
+		return { data: { result: contract.iface.encodeFunctionResult(call.name, values) } };
+	};
+	post.calls = calls;
+	return post;
+}
+
+/**
+ * The error axios throws when the mirror node reports a contract revert
+ * @param {ethers.Interface} iface
+ * @param {string} name - Custom error name
+ * @param {Array} [args=[]]
+ * @returns {Error}
+ */
+function revertError(iface, name, args = []) {
+	const err = new Error('Request failed with status code 400');
+	err.response = {
+		status: 400,
+		data: { _status: { messages: [{ message: 'CONTRACT_REVERT_EXECUTED', detail: name, data: iface.encodeErrorResult(name, args) }] } },
+	};
+	return err;
+}
+
+/**
+ * getContractLogsPage over a fixed set of logs: honours fromTimestamp, toTimestamp and order,
+ * and serves `pageSize` logs per page with next links. Each call is recorded in `calls`.
+ * @param {object[]} logs - mirror log entries (see log())
+ * @param {number} [pageSize=2]
+ * @returns {function & {calls: object[]}}
+ */
+function contractLogs(logs, pageSize = 2) {
+	const calls = [];
+	const page = async (env, contractId, options = {}) => {
+		calls.push({ env, contractId: contractId.toString(), options });
+		const query = options.next ? JSON.parse(options.next) : { ...options, offset: 0 };
+		const matching = logs
+			.filter(l => (!query.fromTimestamp || compareTimestamps(l.timestamp, query.fromTimestamp) >= 0)
+				&& (!query.toTimestamp || compareTimestamps(l.timestamp, query.toTimestamp) <= 0))
+			.sort((a, b) => compareTimestamps(a.timestamp, b.timestamp) || a.index - b.index);
+		if (query.order === 'desc') matching.reverse();
+		const end = query.offset + pageSize;
+		return {
+			logs: matching.slice(query.offset, end),
+			next: end < matching.length ? JSON.stringify({ ...query, offset: end }) : null,
+		};
+	};
+	page.calls = calls;
+	return page;
+}
+
+/**
+ * A mirror log entry for an event of LazyVoter or LazyDelegateRegistry
+ * @param {string} name - Event name
+ * @param {Array} args - Event arguments in ABI order
+ * @param {string} timestamp - Consensus timestamp (seconds.nanos)
+ * @param {object} [options]
+ * @param {number} [options.index=0] - Log index within the transaction
+ * @param {string} [options.kind='LazyVoter']
+ * @param {string} [options.contractId='0.0.5005']
+ * @returns {object}
+ */
+function log(name, args, timestamp, options = {}) {
+	const iface = loadInterface(options.kind ?? 'LazyVoter');
+	const { topics, data } = iface.encodeEventLog(name, args);
+	return {
+		contract_id: options.contractId ?? '0.0.5005',
+		topics,
+		data,
+		timestamp,
+		index: options.index ?? 0,
+		block_number: 1,
+		transaction_hash: `0x${'ab'.repeat(32)}`,
+	};
+}
+
+module.exports = {
+	contractCalls,
+	contractLogs,
+	log,
+	restoreMirror,
+	revertError,
+	stubHelper,
+	stubMirror,
+};
@@ -0,0 +1,65 @@
+const { Hbar } = require('@hashgraph/sdk');
+
+const TRANSACTION_ID = '0.0.1001@1700000000.000000000';
+
+const fromHex = hex => Buffer.from(hex.slice(2), 'hex');
+
+/**
+ * What the SDK's TransactionRecord looks like to TxResult
+ * @param {Array<{iface: ethers.Interface, name: string, args: Array}>} logs - Events the call emitted
+ * @returns {object}
+ */
+function record(logs) {
+	return {
+		transactionId: { toString: () => TRANSACTION_ID },
+		consensusTimestamp: { toString: () => '1700000001.000000005' },
+		transactionFee: Hbar.fromTinybars(5_210_000),
+		contractFunctionResult: {
+			gasUsed: 81_000,
+			logs: logs.map(({ iface, name, args }) => {
+				const { topics, data } = iface.encodeEventLog(name, args);
+				return { topics: topics.map(fromHex), data: fromHex(data), contractId: { toString: () => '0.0.5005' } };
+			}),
+		},
+	};
+}
+
+/**
+ * contractExecuteFunction's result for a call that succeeded
+ * @param {Array<{iface: ethers.Interface, name: string, args: Array}>} [logs=[]]
+ * @returns {Array}
+ */
+function executed(logs = []) {
+	return [{ status: { toString: () => 'SUCCESS' } }, [], record(logs)];
+}
+
+/**
+ * contractExecuteFunction's result for a call that reverted with a custom error
+ * @param {ethers.Interface} iface
+ * @param {string} name - Custom error name
+ * @param {Array} [args=[]]
+ * @returns {Array}
+ */
+function reverted(iface, name, args = []) {
+	return [iface.parseError(iface.encodeErrorResult(name, args)), TRANSACTION_ID];
+}
+
+/**
+ * contractExecuteFunction's result for a call that reached consensus and then reverted:
+ * the receipt failed but the record was fetched
+ * @param {ethers.Interface} iface
+ * @param {string} name - Custom error name
+ * @param {Array} [args=[]]
+ * @returns {Array}
+ */
+function revertedOnChain(iface, name, args = []) {
+	return [{ status: iface.parseError(iface.encodeErrorResult(name, args)) }, TRANSACTION_ID, record([])];
+}
+
+module.exports = {
+	TRANSACTION_ID,
+	executed,
+	record,
+	reverted,
+	revertedOnChain,
+};
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { rejection } = require('./helpers/assertions');
+const { PrivateKey } = require('@hashgraph/sdk');
+const { Keystore, normalizeKeyType, parseKeyMaterial } = require('../../lib/keystore');
+const { resolveOperator } = require('../../lib/config');
+
+describe('keystore', () => {
+	let dir;
+	let file;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-keystore-'));
+		file = path.join(dir, 'keystore.json');
+	});
+
+	afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	it('round-trips a key through the file with its passphrase', () => {
+		const key = PrivateKey.generateECDSA();
+		const store = Keystore.load(file);
+		expect(store.add('ops', key, 'correct horse', { accountId: '0.0.1001' })).to.include({ name: 'ops', type: 'ECDSA', accountId: '0.0.1001' });
+		store.save();
+
+		const unlocked = Keystore.load(file).unlock('ops', 'correct horse');
+		expect(unlocked.privateKey.toStringDer()).to.equal(key.toStringDer());
+		expect(unlocked).to.include({ accountId: '0.0.1001', type: 'ECDSA' });
+		expect(fs.statSync(file).mode & 0o777).to.equal(0o600);
+		expect(fs.readFileSync(file, 'utf8')).to.not.include(key.toStringRaw());
+	});
+
+	it('rejects a wrong passphrase', () => {
+		const store = Keystore.load(file);
+		store.add('ops', PrivateKey.generateED25519(), 'correct horse');
+		expect(() => store.unlock('ops', 'wrong horse')).to.throw('Wrong passphrase for key "ops"');
+		expect(() => store.unlock('ops')).to.throw(/Wrong passphrase/);
+	});
+
+	it('will not decrypt an entry moved to another name or relabelled', () => {
+		const store = Keystore.load(file);
+		store.add('ops', PrivateKey.generateED25519(), 'pass');
+		store.keys.treasury = store.keys.ops;
+		expect(() => store.unlock('treasury', 'pass')).to.throw(/Wrong passphrase/);
+		store.keys.ops = { ...store.keys.ops, type: 'ECDSA' };
+		expect(() => store.unlock('ops', 'pass')).to.throw(/Wrong passphrase/);
+	});
+
+	it('lists entries without their encrypted material and guards names', () => {
+		const store = Keystore.load(file);
+		store.add('b', PrivateKey.generateED25519(), 'pass');
+		store.add('a', PrivateKey.generateED25519(), 'pass');
+		expect(store.list().map(e => e.name)).to.deep.equal(['a', 'b']);
+		expect(store.list()[0]).to.have.all.keys('name', 'type', 'accountId', 'publicKey', 'createdAt');
+		expect(() => store.add('a', PrivateKey.generateED25519(), 'pass')).to.throw(/already exists/);
+		expect(() => store.add('bad name', PrivateKey.generateED25519(), 'pass')).to.throw(/Invalid key name/);
+		expect(() => store.add('c', PrivateKey.generateED25519(), '')).to.throw(/passphrase is required/);
+		expect(() => store.get('z')).to.throw(/Known: a, b/);
+	});
+
+	describe('parseKeyMaterial', () => {
+		it('reads raw hex of the given type and DER of a matching type', async () => {
+			const ed = PrivateKey.generateED25519();
+			expect((await parseKeyMaterial(ed.toStringRaw(), 'ed25519')).toStringDer()).to.equal(ed.toStringDer());
+			const ecdsa = PrivateKey.generateECDSA();
+			expect((await parseKeyMaterial(`0x${ecdsa.toStringRaw()}`, 'secp256k1')).toStringDer()).to.equal(ecdsa.toStringDer());
+			expect((await parseKeyMaterial(ecdsa.toStringDer(), 'ecdsa')).toStringDer()).to.equal(ecdsa.toStringDer());
+		});
+
+		it('refuses DER of the other type and material that is not a key', async () => {
+			const der = PrivateKey.generateED25519().toStringDer();
+			expect((await rejection(parseKeyMaterial(der, 'ecdsa'))).message).to.match(/Key is ED25519, not ECDSA/);
+			expect((await rejection(parseKeyMaterial('not a key at all', 'ed25519'))).message).to.match(/DER or raw hex, PEM, or a BIP-39 mnemonic/);
+			expect(() => normalizeKeyType('rsa')).to.throw(/Invalid key type "rsa"/);
+		});
+	});
+
+	describe('resolveOperator', () => {
+		const config = (fields, sources = {}) => ({ accountId: null, privateKey: null, key: null, ...fields, sources });
+
+		it('unlocks a keystore key with its recorded account', () => {
+			const key = PrivateKey.generateED25519();
+			const store = Keystore.load(file);
+			store.add('ops', key, 'pass', { accountId: '0.0.1001' });
+			store.save();
+			const passphrases = [];
+			const { operatorId, operatorKey } = resolveOperator(config({ key: 'ops' }, { key: 'flag' }), {
+				keystoreFile: file,
+				passphrase: (name) => {
+					passphrases.push(name);
+					return 'pass';
+				},
+			});
+			expect(operatorId.toString()).to.equal('0.0.1001');
+			expect(operatorKey.toStringDer()).to.equal(key.toStringDer());
+			expect(passphrases).to.deep.equal(['ops']);
+		});
+
+		it('prefers a private key given at a higher precedence than the keystore key', () => {
+			const key = PrivateKey.generateED25519();
+			const { operatorKey } = resolveOperator(
+				config({ key: 'ops', accountId: '0.0.1001', privateKey: key.toStringDer() }, { key: 'profile ops', privateKey: 'flag' }),
+				{ keystoreFile: path.join(dir, 'missing.json') },
+			);
+			expect(operatorKey.toStringDer()).to.equal(key.toStringDer());
+		});
+
+		it('needs a passphrase and credentials', () => {
+			const store = Keystore.load(file);
+			store.add('ops', PrivateKey.generateED25519(), 'pass', { accountId: '0.0.1001' });
+			store.save();
+			expect(() => resolveOperator(config({ key: 'ops' }, { key: 'flag' }), { keystoreFile: file })).to.throw(/Passphrase required/);
+			expect(() => resolveOperator(config({ accountId: '0.0.1001' }))).to.throw(/Operator credentials required/);
+		});
+	});
+});
@@ -0,0 +1,45 @@
+const { expect } = require('chai');
+const { describe, it, afterEach } = require('mocha');
+const { consoleSink, createLogger, getLogger, setLogger, withLogger } = require('../../lib/logger');
+
+function capture() {
+	const chunks = [];
+	return { write: chunk => chunks.push(chunk), text: () => chunks.join('') };
+}
+
+describe('logger', () => {
+	afterEach(() => setLogger(null));
+
+	it('reports warnings and errors by default, so scripts and embedders see mirror failures', () => {
+		expect(getLogger().isLevelEnabled('error')).to.equal(true);
+		expect(getLogger().isLevelEnabled('warn')).to.equal(true);
+		expect(getLogger().isLevelEnabled('info')).to.equal(false);
+	});
+
+	it('is silenced only on request, and setLogger(null) restores the default', () => {
+		setLogger(createLogger({ level: 'silent' }));
+		expect(getLogger().isLevelEnabled('error')).to.equal(false);
+		setLogger(null);
+		expect(getLogger().level).to.equal('warn');
+	});
+
+	it('prints structured fields only from debug down', () => {
+		const stream = capture();
+		const logger = createLogger({ level: 'trace', sink: consoleSink({ stream }) });
+		logger.info('plain', { event: 'x' });
+		logger.debug('detailed', { event: 'y', amount: 5n });
+		expect(stream.text()).to.equal('plain\ndetailed {"event":"y","amount":"5"}\n');
+	});
+
+	it('scopes a logger to a call across awaits', async () => {
+		const entries = [];
+		const scoped = createLogger({ level: 'info', sink: entry => entries.push(entry.msg) }).child({ contractId: '0.0.1' });
+		await withLogger(scoped, async () => {
+			await null;
+			getLogger().info('inside');
+		});
+		getLogger().info('outside');
+		expect(entries).to.deep.equal(['inside']);
+		expect(scoped.fields).to.deep.equal({ contractId: '0.0.1' });
+	});
+});
@@ -0,0 +1,93 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { ethers } = require('ethers');
+const { DeploymentManifest, defaultManifestPath, hashBytecode } = require('../../lib/manifest');
+
+describe('DeploymentManifest', () => {
+	let dir;
+	let file;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-manifest-'));
+		file = path.join(dir, 'test.json');
+	});
+
+	afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	const deployment = (contractId, timestamp) => ({ contractId, address: `0x${'00'.repeat(19)}01`, deployer: '0.0.2', timestamp });
+
+	it('records deployments with defaults and returns the latest per contract', () => {
+		const manifest = DeploymentManifest.load('test', file);
+		expect(manifest.latest('LazyVoter')).to.equal(null);
+		const stored = manifest.record('LazyVoter', deployment('0.0.100', '2025-01-01T00:00:00.000Z'));
+		expect(stored).to.deep.equal({
+			contractId: '0.0.100',
+			address: `0x${'00'.repeat(19)}01`,
+			constructorArgs: {},
+			bytecodeHash: null,
+			bytecodeFileId: null,
+			deployer: '0.0.2',
+			transactionId: null,
+			consensusTimestamp: null,
+			timestamp: '2025-01-01T00:00:00.000Z',
+		});
+		manifest.record('LazyVoter', deployment('0.0.200', '2025-03-01T00:00:00.000Z'));
+		manifest.record('LazyDelegateRegistry', deployment('0.0.150', '2025-02-01T00:00:00.000Z'));
+		expect(manifest.latest('LazyVoter').contractId).to.equal('0.0.200');
+		expect(manifest.list().map(e => [e.contractName, e.contractId])).to.deep.equal([
+			['LazyVoter', '0.0.100'], ['LazyDelegateRegistry', '0.0.150'], ['LazyVoter', '0.0.200'],
+		]);
+	});
+
+	it('times a deployment by the consensus timestamp of its transaction, not the local clock', () => {
+		const manifest = DeploymentManifest.load('test', file);
+		const stored = manifest.record('LazyVoter', {
+			...deployment('0.0.100', '2099-01-01T00:00:00.000Z'),
+			transactionId: '0.0.2@1735689599.000000000',
+			consensusTimestamp: '1735689600.123456789',
+		});
+		expect(stored).to.include({ consensusTimestamp: '1735689600.123456789', timestamp: '2025-01-01T00:00:00.123Z' });
+	});
+
+	it('saves and loads back, keeping the network', () => {
+		const manifest = DeploymentManifest.load('test', file);
+		manifest.record('LazyVoter', { ...deployment('0.0.100'), seededSerials: '1-500' });
+		manifest.save();
+		const loaded = DeploymentManifest.load('test', file);
+		expect(loaded.network).to.equal('TEST');
+		expect(loaded.latest('LazyVoter')).to.include({ contractId: '0.0.100', seededSerials: '1-500' });
+		expect(fs.existsSync(`${file}.tmp`)).to.equal(false);
+	});
+
+	it('updates a recorded deployment, and only a recorded one', () => {
+		const manifest = DeploymentManifest.load('test', file);
+		manifest.record('LazyVoter', deployment('0.0.100'));
+		manifest.update('LazyVoter', '0.0.100', { seededSerials: '1-10,12' });
+		expect(manifest.latest('LazyVoter').seededSerials).to.equal('1-10,12');
+		expect(() => manifest.update('LazyVoter', '0.0.999', {})).to.throw(/LazyVoter 0.0.999 is not in/);
+	});
+
+	it('keeps one file per network under LAZYVOTE_MANIFEST_DIR', () => {
+		const previous = process.env.LAZYVOTE_MANIFEST_DIR;
+		process.env.LAZYVOTE_MANIFEST_DIR = dir;
+		try {
+			expect(defaultManifestPath('MAIN')).to.equal(path.join(dir, 'main.json'));
+		}
+		finally {
+			if (previous === undefined) delete process.env.LAZYVOTE_MANIFEST_DIR;
+			else process.env.LAZYVOTE_MANIFEST_DIR = previous;
+		}
+	});
+
+	describe('hashBytecode', () => {
+		it('hashes hex with or without 0x, and the bytes of a bytecode file, alike', () => {
+			const expected = ethers.keccak256('0x6080604052');
+			expect(hashBytecode('0x6080604052')).to.equal(expected);
+			expect(hashBytecode('6080604052\n')).to.equal(expected);
+			expect(hashBytecode(Buffer.from('6080604052'))).to.equal(expected);
+		});
+	});
+});
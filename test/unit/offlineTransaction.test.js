@@ -0,0 +1,139 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { rejection } = require('./helpers/assertions');
+const { PrivateKey } = require('@hashgraph/sdk');
+const { Keystore } = require('../../lib/keystore');
+const {
+	exportUnsignedTransaction,
+	loadSigningKeys,
+	parseValidStart,
+	readTransactionFile,
+	signTransactionFile,
+	submitTransactionFile,
+} = require('../../lib/offlineTransaction');
+
+describe('offline transactions', () => {
+	let dir;
+	let file;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-tx-'));
+		file = path.join(dir, 'vote.tx.json');
+	});
+
+	afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	function exportVote(options = {}) {
+		return exportUnsignedTransaction(file, {
+			network: 'test',
+			contractName: 'LazyVoter',
+			contractId: '0.0.5005',
+			functionName: 'vote',
+			params: [[1, 2, 3], 1],
+			gasLimit: 400_000,
+			payerId: '0.0.1001',
+			nodeAccountIds: '0.0.3,0.0.4',
+			...options,
+		});
+	}
+
+	it('describes the call from the frozen bytes', () => {
+		const doc = exportVote({ validStart: '2030-01-01T00:00:00Z' });
+		expect(doc.network).to.equal('TEST');
+		expect(doc.decoded).to.include({
+			network: 'TEST',
+			contractId: '0.0.5005',
+			functionName: 'vote',
+			signature: 'vote(uint256[],uint8)',
+			gasLimit: 400_000,
+			payerId: '0.0.1001',
+			validStart: '2030-01-01T00:00:00.000Z',
+			validUntil: '2030-01-01T00:03:00.000Z',
+		});
+		expect(doc.decoded.params.map(p => p.value)).to.deep.equal([[1, 2, 3], 1]);
+		expect(doc.decoded.nodeAccountIds).to.deep.equal(['0.0.3', '0.0.4']);
+		expect(readTransactionFile(file).doc.decoded).to.deep.equal(doc.decoded);
+	});
+
+	it('detects a summary edited to disagree with the bytes', () => {
+		const doc = exportVote();
+		doc.decoded.params[1].value = 0;
+		fs.writeFileSync(file, JSON.stringify(doc));
+		expect(() => readTransactionFile(file)).to.throw(/tampered with/);
+	});
+
+	it('detects a file pointed at another network than the one signed for', () => {
+		const doc = exportVote();
+		fs.writeFileSync(file, JSON.stringify({ ...doc, network: 'MAIN' }));
+		expect(() => readTransactionFile(file)).to.throw(/tampered with/);
+		fs.writeFileSync(file, JSON.stringify({ ...doc, network: 'MAIN', decoded: { ...doc.decoded, network: 'MAIN' } }));
+		expect(() => readTransactionFile(file)).to.throw(/tampered with/);
+	});
+
+	it('detects bytes swapped for a different call', () => {
+		const doc = exportVote();
+		const other = exportUnsignedTransaction(path.join(dir, 'other.tx.json'), {
+			network: 'test', contractName: 'LazyVoter', contractId: '0.0.5005', functionName: 'vote',
+			params: [[1, 2, 3], 0], gasLimit: 400_000, payerId: '0.0.1001', nodeAccountIds: '0.0.3,0.0.4',
+		});
+		fs.writeFileSync(file, JSON.stringify({ ...doc, bytes: other.bytes }));
+		expect(() => readTransactionFile(file)).to.throw(/tampered with/);
+	});
+
+	it('refuses files that are not lazyvote transactions', () => {
+		fs.writeFileSync(file, JSON.stringify({ format: 'something-else', version: 1 }));
+		expect(() => readTransactionFile(file)).to.throw(/not a lazyvote transaction file/);
+	});
+
+	it('records signatures without changing what the bytes do', async () => {
+		const doc = exportVote();
+		const keys = [PrivateKey.generateED25519(), PrivateKey.generateED25519()];
+		const signed = await signTransactionFile(file, keys);
+		expect(signed.signatures.map(s => s.publicKey)).to.have.members(keys.map(k => k.publicKey.toStringDer()));
+		expect(signed.decoded).to.deep.equal(doc.decoded);
+		expect(readTransactionFile(file).doc.signatures).to.have.length(2);
+	});
+
+	it('signs with key files and a keystore key', () => {
+		const saved = process.env.LAZYVOTE_KEYSTORE_FILE;
+		process.env.LAZYVOTE_KEYSTORE_FILE = path.join(dir, 'keystore.json');
+		try {
+			const fileKey = PrivateKey.generateED25519();
+			const storedKey = PrivateKey.generateECDSA();
+			fs.writeFileSync(path.join(dir, 'signer.key'), `${fileKey.toStringDer()}\n`);
+			const store = Keystore.load();
+			store.add('treasury', storedKey, 'correct horse');
+			store.save();
+
+			const asked = [];
+			const keys = loadSigningKeys({ keyFile: [path.join(dir, 'signer.key')], key: 'treasury' }, (name) => {
+				asked.push(name);
+				return 'correct horse';
+			});
+			expect(keys.map(k => k.toStringDer())).to.deep.equal([fileKey.toStringDer(), storedKey.toStringDer()]);
+			expect(asked).to.deep.equal(['treasury']);
+			expect(loadSigningKeys({ keyFile: [] }, () => null)).to.deep.equal([]);
+		}
+		finally {
+			if (saved === undefined) delete process.env.LAZYVOTE_KEYSTORE_FILE;
+			else process.env.LAZYVOTE_KEYSTORE_FILE = saved;
+		}
+	});
+
+	it('will not submit with too few signatures or outside the submit window', async () => {
+		exportVote({ validStart: '2020-01-01T00:00:00Z' });
+		expect((await rejection(submitTransactionFile(file))).message).to.match(/0 signature\(s\); at least 1 required/);
+		await signTransactionFile(file, [PrivateKey.generateED25519()]);
+		expect((await rejection(submitTransactionFile(file, { minSignatures: 2 }))).message).to.match(/at least 2 required/);
+		expect((await rejection(submitTransactionFile(file))).message).to.match(/^Expired/);
+	});
+
+	it('parses ISO dates and unix seconds as the valid start', () => {
+		expect(parseValidStart('1893456000').toISOString()).to.equal('2030-01-01T00:00:00.000Z');
+		expect(parseValidStart('2030-01-01T00:00:00Z').getTime()).to.equal(1893456000000);
+		expect(() => parseValidStart('soon')).to.throw(/Invalid valid-start/);
+	});
+});
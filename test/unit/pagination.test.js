@@ -0,0 +1,82 @@
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { paginate, toArray, mapConcurrent } = require('../../lib/pagination');
+
+// A view over [0, total) that records each (offset, limit) call
+function view(total) {
+	const calls = [];
+	const fetchPage = async (offset, limit) => {
+		calls.push([offset, limit]);
+		return Array.from({ length: Math.max(0, Math.min(limit, total - offset)) }, (_, i) => offset + i);
+	};
+	return { calls, fetchPage };
+}
+
+describe('pagination', () => {
+	describe('paginate', () => {
+		it('yields every item in order across concurrent pages', async () => {
+			const { fetchPage } = view(25);
+			const items = await toArray(paginate(fetchPage, { pageSize: 4, concurrency: 3 }));
+			expect(items).to.deep.equal(Array.from({ length: 25 }, (_, i) => i));
+		});
+
+		it('stops at the first short page', async () => {
+			const { calls, fetchPage } = view(10);
+			await toArray(paginate(fetchPage, { pageSize: 4, concurrency: 2 }));
+			expect(calls).to.deep.equal([[0, 4], [4, 4], [8, 4], [12, 4]]);
+		});
+
+		it('requests one more page when the last one is exactly full', async () => {
+			const { calls, fetchPage } = view(8);
+			const items = await toArray(paginate(fetchPage, { pageSize: 4, concurrency: 1 }));
+			expect(items).to.have.length(8);
+			expect(calls).to.deep.equal([[0, 4], [4, 4], [8, 4]]);
+		});
+
+		it('starts from the given offset', async () => {
+			const { fetchPage } = view(10);
+			const items = await toArray(paginate(fetchPage, { pageSize: 3, offset: 7 }));
+			expect(items).to.deep.equal([7, 8, 9]);
+		});
+
+		it('rejects an invalid page size or concurrency', async () => {
+			const { fetchPage } = view(1);
+			for (const options of [{ pageSize: 0 }, { pageSize: 1.5 }, { concurrency: 0 }]) {
+				let error;
+				try {
+					await toArray(paginate(fetchPage, options));
+				}
+				catch (err) {
+					error = err;
+				}
+				expect(error?.message).to.match(/Must be a positive integer/);
+			}
+		});
+	});
+
+	describe('mapConcurrent', () => {
+		it('keeps input order and passes the index', async () => {
+			const delays = [30, 0, 20, 10];
+			const results = await mapConcurrent(delays, async (ms, i) => {
+				await new Promise(resolve => setTimeout(resolve, ms));
+				return `${i}:${ms}`;
+			}, 2);
+			expect(results).to.deep.equal(['0:30', '1:0', '2:20', '3:10']);
+		});
+
+		it('keeps at most `concurrency` calls in flight', async () => {
+			let inFlight = 0;
+			let peak = 0;
+			await mapConcurrent(Array.from({ length: 10 }), async () => {
+				peak = Math.max(peak, ++inFlight);
+				await new Promise(resolve => setTimeout(resolve, 1));
+				inFlight--;
+			}, 3);
+			expect(peak).to.equal(3);
+		});
+
+		it('returns an empty array for no items', async () => {
+			expect(await mapConcurrent([], async () => 1)).to.deep.equal([]);
+		});
+	});
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { applyPlan, formatPlan, loadProposalSpec, planProposal } = require('../../lib/plan');
+const { VoteStartedError } = require('../../lib/errors');
+
+const NOW = 1_900_000_000;
+
+// The reads planProposal makes, and the writes applyPlan makes, against a LazyVoter
+function fakeVoter(state, calls = []) {
+	return {
+		contractId: { toString: () => '0.0.5005' },
+		network: 'TEST',
+		getVotingWindow: async () => ({ startTime: state.startTime, endTime: state.startTime + 86400 }),
+		getVoteMessage: async () => state.voteMessage,
+		getQuorum: async () => state.quorum,
+		eligibleSerials: async function* () {
+			yield* state.eligible;
+		},
+		updateVoteMessage: async (message) => {
+			calls.push(['voteMessage', message]);
+			return { transactionId: 'tx-message' };
+		},
+		updateQuorum: async (quorum) => {
+			calls.push(['quorum', quorum]);
+			if (state.quorumFails) throw Object.assign(new Error('reverted'), { transactionId: 'tx-quorum' });
+			return { transactionId: 'tx-quorum' };
+		},
+		updateEligibleSerials: async (add, remove, options) => {
+			calls.push(['eligibleSerials', add, remove, options.batchSize]);
+			const batch = { batch: 1, totalBatches: 1, serials: { add, remove }, success: true, transactionId: 'tx-serials' };
+			options.onProgress(batch);
+			return { success: true, batches: [batch] };
+		},
+	};
+}
+
+describe('plan', () => {
+	describe('planProposal', () => {
+		const state = { startTime: NOW + 3600, voteMessage: 'Fund it?', quorum: 10, eligible: [1, 2, 3, 4, 9] };
+
+		it('lists only the settings and serials that differ', async () => {
+			const plan = await planProposal(fakeVoter(state), {
+				voteMessage: 'Fund the treasury?', quorum: 10, eligibleSerials: [2, 3, 4, 5, 6, 7],
+			}, { now: NOW, batchSize: 2 });
+			expect(plan).to.include({ contractId: '0.0.5005', network: 'TEST', started: false, eligible: 5, batchSize: 2 });
+			expect(plan.voteMessage).to.deep.equal({ from: 'Fund it?', to: 'Fund the treasury?' });
+			expect(plan.quorum).to.equal(null);
+			expect(plan.add).to.deep.equal([5, 6, 7]);
+			expect(plan.remove).to.deep.equal([1, 9]);
+			expect(plan.changes).to.equal(6);
+			// one for the message, then five serial changes two at a time
+			expect(plan.transactions).to.equal(4);
+		});
+
+		it('leaves settings the file does not mention alone', async () => {
+			const plan = await planProposal(fakeVoter(state), { quorum: 20 }, { now: NOW });
+			expect(plan).to.include({ voteMessage: null, eligible: null, changes: 1, transactions: 1 });
+			expect(plan.add).to.deep.equal([]);
+			expect(formatPlan(plan)).to.include('~ quorum: 10 → 20');
+		});
+
+		it('says when there is nothing to do and when voting has started', async () => {
+			const same = await planProposal(fakeVoter(state), { voteMessage: 'Fund it?', eligibleSerials: [1, 2, 3, 4, 9] }, { now: NOW });
+			expect(same.changes).to.equal(0);
+			expect(formatPlan(same)).to.include('No changes. The contract matches the proposal file.');
+
+			const started = await planProposal(fakeVoter(state), { quorum: 1 }, { now: state.startTime });
+			expect(started.started).to.equal(true);
+			expect(formatPlan(started).at(-1)).to.match(/Voting has started/);
+		});
+
+		it('formats serial changes as ranges', async () => {
+			const plan = await planProposal(fakeVoter(state), { eligibleSerials: [2, 3, 4, 5, 6, 7] }, { now: NOW });
+			const lines = formatPlan(plan);
+			expect(lines).to.include('+ eligibleSerials (3): 5-7');
+			expect(lines).to.include('- eligibleSerials (2): 1,9');
+			expect(lines).to.include('Plan: 3 serial(s) to add, 2 to remove, 0 setting(s) to change, in 1 transaction(s).');
+		});
+	});
+
+	describe('applyPlan', () => {
+		const plan = {
+			voteMessage: { from: 'a', to: 'b' }, quorum: { from: 1, to: 2 }, add: [5], remove: [1], batchSize: 200,
+		};
+
+		it('changes the message, then the quorum, then the serials in shared batches', async () => {
+			const calls = [];
+			const progress = [];
+			const result = await applyPlan(fakeVoter({ startTime: Math.floor(Date.now() / 1000) + 3600 }, calls), plan, {
+				onProgress: p => progress.push(p.step),
+			});
+			expect(result.success).to.equal(true);
+			expect(calls).to.deep.equal([['voteMessage', 'b'], ['quorum', 2], ['eligibleSerials', [5], [1], 200]]);
+			expect(result.steps.map(s => [s.step, s.transactionId])).to.deep.equal([
+				['voteMessage', 'tx-message'], ['quorum', 'tx-quorum'], ['eligibleSerials', 'tx-serials'],
+			]);
+			expect(progress).to.deep.equal(['voteMessage', 'quorum', 'eligibleSerials']);
+		});
+
+		it('stops at the first failed step', async () => {
+			const calls = [];
+			const result = await applyPlan(fakeVoter({ startTime: Math.floor(Date.now() / 1000) + 3600, quorumFails: true }, calls), plan);
+			expect(result.success).to.equal(false);
+			expect(result.error.message).to.equal('reverted');
+			expect(result.steps.at(-1)).to.include({ step: 'quorum', success: false, transactionId: 'tx-quorum' });
+			expect(calls.map(c => c[0])).to.deep.equal(['voteMessage', 'quorum']);
+		});
+
+		it('refuses once voting has started', async () => {
+			const calls = [];
+			let error;
+			try {
+				await applyPlan(fakeVoter({ startTime: Math.floor(Date.now() / 1000) - 1 }, calls), plan);
+			}
+			catch (err) {
+				error = err;
+			}
+			expect(error).to.be.instanceOf(VoteStartedError);
+			expect(calls).to.deep.equal([]);
+		});
+	});
+
+	describe('loadProposalSpec', () => {
+		let dir;
+
+		beforeEach(() => {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-plan-'));
+		});
+
+		afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+		function spec(raw) {
+			const file = path.join(dir, 'proposal.json');
+			fs.writeFileSync(file, JSON.stringify(raw));
+			return loadProposalSpec(file);
+		}
+
+		it('reads settings and sorts and de-duplicates serial ranges', () => {
+			expect(spec({ voteMessage: 'Fund it?', quorum: 3, eligibleSerials: '5,1-3,2' })).to.include({ voteMessage: 'Fund it?', quorum: 3 });
+			expect(spec({ eligibleSerials: ['9', '1-2'] }).eligibleSerials).to.deep.equal([1, 2, 9]);
+			expect(spec({ eligibleSerials: '' }).eligibleSerials).to.deep.equal([]);
+		});
+
+		it('rejects unknown fields and invalid values', () => {
+			expect(() => spec({ quorom: 3 })).to.throw(/unknown field\(s\) quorom/);
+			expect(() => spec({ quorum: -1 })).to.throw(/quorum must be a non-negative integer/);
+			expect(() => spec({ voteMessage: ' ' })).to.throw(/voteMessage must be a non-empty string/);
+			expect(() => spec({ eligibleSerials: '1', snapshot: 's.json' })).to.throw(/not both/);
+		});
+	});
+});
@@ -0,0 +1,74 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { ProposalBook, defaultBookPath } = require('../../lib/proposalBook');
+
+describe('ProposalBook', () => {
+	let dir;
+	let file;
+
+	beforeEach(() => {
+		dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-book-'));
+		file = path.join(dir, 'nested', 'proposals.json');
+	});
+
+	afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+	it('starts empty when the file does not exist', () => {
+		expect(ProposalBook.load(file).list()).to.deep.equal([]);
+	});
+
+	it('saves entries and loads them back sorted by alias', () => {
+		const book = ProposalBook.load(file);
+		book.add('treasury-2025', { contractId: '0.0.7002', network: 'main', nftToken: '0.0.600', description: 'Treasury' });
+		book.add('art.q1', { contractId: '0.0.7001' });
+		book.save();
+
+		const loaded = ProposalBook.load(file);
+		expect(loaded.list().map(p => p.alias)).to.deep.equal(['art.q1', 'treasury-2025']);
+		expect(loaded.get('treasury-2025')).to.include({
+			alias: 'treasury-2025', contractId: '0.0.7002', network: 'MAIN', nftToken: '0.0.600', registry: null, description: 'Treasury',
+		});
+		expect(loaded.get('art.q1').network).to.equal('TEST');
+		expect(fs.existsSync(`${file}.tmp`)).to.equal(false);
+	});
+
+	it('refuses to overwrite an alias unless asked to', () => {
+		const book = ProposalBook.load(file);
+		book.add('q1', { contractId: '0.0.7001' });
+		expect(() => book.add('q1', { contractId: '0.0.7009' })).to.throw(/already exists \(0.0.7001\)/);
+		expect(book.add('q1', { contractId: '0.0.7009' }, { replace: true }).contractId).to.equal('0.0.7009');
+	});
+
+	it('validates aliases, networks and entity IDs', () => {
+		const book = ProposalBook.load(file);
+		expect(() => book.add('has space', { contractId: '0.0.1' })).to.throw(/Invalid alias/);
+		expect(() => book.add('-dash', { contractId: '0.0.1' })).to.throw(/Invalid alias/);
+		expect(() => book.add('q1', { contractId: '0.0.1', network: 'mainnet' })).to.throw(/Invalid network "mainnet"/);
+		expect(() => book.add('q1', { contractId: 'not-an-id' })).to.throw();
+		expect(book.list()).to.deep.equal([]);
+	});
+
+	it('names the known aliases when one is missing, and removes entries', () => {
+		const book = ProposalBook.load(file);
+		expect(() => book.get('q1')).to.throw(/Add one with: lazyvote proposals add/);
+		book.add('q1', { contractId: '0.0.7001' });
+		expect(() => book.get('q2')).to.throw(/Known: q1/);
+		expect(book.remove('q1').contractId).to.equal('0.0.7001');
+		expect(book.list()).to.deep.equal([]);
+	});
+
+	it('uses LAZYVOTE_PROPOSALS_FILE when set', () => {
+		const previous = process.env.LAZYVOTE_PROPOSALS_FILE;
+		process.env.LAZYVOTE_PROPOSALS_FILE = file;
+		try {
+			expect(defaultBookPath()).to.equal(file);
+		}
+		finally {
+			if (previous === undefined) delete process.env.LAZYVOTE_PROPOSALS_FILE;
+			else process.env.LAZYVOTE_PROPOSALS_FILE = previous;
+		}
+	});
+});
@@ -0,0 +1,111 @@
+const { expect } = require('chai');
+const { describe, it, afterEach } = require('mocha');
+const { restoreMirror, stubMirror } = require('./helpers/mirror');
+const { FORMATS, buildReport, renderReport } = require('../../lib/report');
+
+const HOSTILE = 'Fund "A", or <b>B</b> | C\nthen D & \'E\'';
+const LONG_ZERO = `0x${'0'.repeat(36)}03e9`;
+const EVM = `0x${'ab'.repeat(20)}`;
+
+function report(overrides = {}) {
+	return {
+		contractId: '0.0.5005',
+		network: 'TEST',
+		generatedAt: '2030-01-01T00:00:00.000Z',
+		voteMessage: HOSTILE,
+		status: 'Ended',
+		startTime: 1893456000,
+		endTime: 1893542400,
+		tallies: { yes: 2, no: 1, abstain: 0, total: 3 },
+		quorum: { required: 2, reached: true },
+		eligible: 10,
+		turnout: 30,
+		votes: [{ serial: 1, choice: 'Yes', voter: '0.0.1001', address: LONG_ZERO, timestamp: 1893456100, time: '2030-01-01T00:01:40.000Z' }],
+		voters: [{ voter: null, address: '<script>alert(1)</script>', votes: 1 }],
+		...overrides,
+	};
+}
+
+describe('report', () => {
+	afterEach(restoreMirror);
+
+	describe('renderReport', () => {
+		it('quotes CSV cells holding commas, quotes or newlines and doubles their quotes', () => {
+			const csv = renderReport(report(), 'csv');
+			expect(csv).to.include('Proposal,"Fund ""A"", or <b>B</b> | C\nthen D & \'E\'"');
+			expect(csv).to.include(`1,Yes,0.0.1001,${LONG_ZERO},1893456100,2030-01-01T00:01:40.000Z`);
+			expect(csv.split('\n\n')).to.have.length(3);
+		});
+
+		it('keeps CSV text that starts like a formula as text, numbers as numbers', () => {
+			const csv = renderReport(report({
+				voteMessage: '=HYPERLINK("http://evil.example","Vote")',
+				voters: [{ voter: '+0.0.1', address: '@SUM(A1)', votes: 1 }, { voter: '-1', address: EVM, votes: -1 }],
+			}), 'csv');
+			expect(csv).to.include('Proposal,"\'=HYPERLINK(""http://evil.example"",""Vote"")"');
+			expect(csv).to.include('\'+0.0.1,\'@SUM(A1),1');
+			expect(csv).to.include(`'-1,${EVM},-1`);
+		});
+
+		it('keeps Markdown tables intact: pipes escaped, tags neutralised, newlines as <br>', () => {
+			const md = renderReport(report(), 'md');
+			const escaped = 'Fund "A", or &lt;b&gt;B&lt;/b&gt; \\| C<br>then D & \'E\'';
+			expect(md).to.include(`> ${escaped}`);
+			expect(md).to.include(`| Proposal | ${escaped} |`);
+			expect(md).to.include('| &lt;script&gt;alert(1)&lt;/script&gt; | 1 |');
+			expect(md).to.not.include('<b>');
+		});
+
+		it('escapes every value in the HTML page', () => {
+			const html = renderReport(report(), 'html');
+			expect(html).to.include('<blockquote>Fund &quot;A&quot;, or &lt;b&gt;B&lt;/b&gt; | C\nthen D &amp; &#39;E&#39;</blockquote>');
+			expect(html).to.include('&lt;script&gt;alert(1)&lt;/script&gt;');
+			expect(html).to.not.include('<script>');
+			expect(html).to.not.include('<b>');
+		});
+
+		it('renders JSON as is and rejects unknown formats', () => {
+			expect(JSON.parse(renderReport(report(), 'json')).voteMessage).to.equal(HOSTILE);
+			expect(FORMATS).to.deep.equal(['csv', 'json', 'md', 'html']);
+			expect(() => renderReport(report(), 'pdf')).to.throw(/Unknown report format "pdf"/);
+		});
+	});
+
+	describe('buildReport', () => {
+		it('joins votes with their timestamps and voters with their account IDs', async () => {
+			stubMirror('homebrewPopulateAccountNum', async (network, address) => {
+				expect(network).to.equal('mirror-target');
+				return address === EVM ? '0.0.2002' : null;
+			});
+			const voter = {
+				contractId: { toString: () => '0.0.5005' },
+				network: 'TEST',
+				mirror: 'mirror-target',
+				getVoteMessage: async () => 'Fund it?',
+				getStatus: async () => 'Ended',
+				getVotingWindow: async () => ({ startTime: 1893456000, endTime: 1893542400 }),
+				getResults: async () => ({ yes: 1, no: 1, abstain: 1 }),
+				getQuorum: async () => 2,
+				hasQuorum: async () => false,
+				totalEligibleVoters: async () => 4,
+				getAllVoters: async () => ({ voters: [LONG_ZERO, EVM], voteCounts: [1, 2] }),
+				allVotes: async function* () {
+					yield { serial: 3, voter: EVM, voteType: 2 };
+					yield { serial: 1, voter: LONG_ZERO, voteType: 1 };
+					yield { serial: 2, voter: EVM, voteType: 0 };
+				},
+				lastVoterForSerial: async serial => ({ timestamp: 1893456000 + serial }),
+			};
+			const built = await buildReport(voter);
+			expect(built).to.include({ contractId: '0.0.5005', turnout: 75, eligible: 4 });
+			expect(built.tallies).to.deep.equal({ yes: 1, no: 1, abstain: 1, total: 3 });
+			expect(built.quorum).to.deep.equal({ required: 2, reached: false });
+			expect(built.votes.map(v => [v.serial, v.choice, v.voter, v.timestamp])).to.deep.equal([
+				[1, 'Yes', '0.0.1001', 1893456001],
+				[2, 'No', '0.0.2002', 1893456002],
+				[3, 'Abstain', '0.0.2002', 1893456003],
+			]);
+			expect(built.voters.map(v => [v.voter, v.votes])).to.deep.equal([['0.0.2002', 2], ['0.0.1001', 1]]);
+		});
+	});
+});
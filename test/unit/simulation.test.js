@@ -0,0 +1,79 @@
+const { expect } = require('chai');
+const { describe, it, beforeEach, afterEach } = require('mocha');
+const { AccountId, ContractId } = require('@hashgraph/sdk');
+const { contractCalls, restoreMirror, revertError, stubMirror } = require('./helpers/mirror');
+const { rejection } = require('./helpers/assertions');
+const { simulateCall, SIMULATION_GAS } = require('../../lib/simulation');
+const { BadArgumentLengthError } = require('../../lib/errors');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const REGISTRY = '0.0.6006';
+const OPERATOR = AccountId.fromString('0.0.1001');
+const DELEGATE = `0x${'bb'.repeat(20)}`;
+const TOKEN = `0x${'cc'.repeat(20)}`;
+const iface = loadInterface('LazyDelegateRegistry');
+
+describe('simulation', () => {
+	let mirror;
+	let bodies;
+
+	beforeEach(() => {
+		mirror = contractCalls({
+			[REGISTRY]: {
+				iface,
+				gasEstimate: 412_000,
+				getSerialsDelegatedTo: () => [[3n, 4n]],
+				revokeDelegateNFT: () => {
+					throw revertError(iface, 'BadArgumentLength', [1, 2]);
+				},
+			},
+		});
+		bodies = [];
+		stubMirror('mirrorPost', (url, body) => {
+			bodies.push(body);
+			return mirror(url, body);
+		});
+	});
+
+	afterEach(() => {
+		restoreMirror();
+	});
+
+	function simulate(functionName, params, overrides = {}) {
+		return simulateCall({
+			network: 'TEST', contractId: ContractId.fromString(REGISTRY), iface, from: OPERATOR, functionName, params, ...overrides,
+		});
+	}
+
+	it('runs the call, then estimates it, as the sender and returns the decoded result', async () => {
+		const simulation = await simulate('getSerialsDelegatedTo', [DELEGATE, TOKEN]);
+		expect(simulation).to.deep.include({
+			simulated: true, success: true, contractId: REGISTRY, functionName: 'getSerialsDelegatedTo',
+			params: [DELEGATE, TOKEN], result: [[3, 4]], gasEstimate: 412_000, error: null,
+		});
+		expect(mirror.calls.map(c => c.estimate)).to.deep.equal([false, true]);
+		expect(bodies.every(b => b.from === OPERATOR.toSolidityAddress() && b.gas === SIMULATION_GAS)).to.equal(true);
+	});
+
+	it('reports a revert as its typed error without estimating', async () => {
+		const simulation = await simulate('revokeDelegateNFT', [TOKEN, [1]]);
+		expect(simulation).to.include({ success: false, result: null, gasEstimate: null });
+		expect(simulation.error).to.be.instanceOf(BadArgumentLengthError);
+		expect(simulation.error.code).to.equal('BAD_ARGUMENT_LENGTH');
+		expect(mirror.calls).to.have.length(1);
+	});
+
+	it('rethrows a mirror failure that is not a revert', async () => {
+		stubMirror('mirrorPost', async () => {
+			throw new Error('socket hang up');
+		});
+		const err = await rejection(simulate('getSerialsDelegatedTo', [DELEGATE, TOKEN]));
+		expect(err.message).to.equal('socket hang up');
+	});
+
+	it('needs a sender account', async () => {
+		const err = await rejection(simulate('getSerialsDelegatedTo', [DELEGATE, TOKEN], { from: null }));
+		expect(err.message).to.match(/sender account/);
+		expect(mirror.calls).to.have.length(0);
+	});
+});
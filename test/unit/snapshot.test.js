@@ -0,0 +1,135 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { expect } = require('chai');
+const { describe, it, afterEach } = require('mocha');
+const { restoreMirror, stubMirror } = require('./helpers/mirror');
+const { createSnapshot, hashSnapshot, readSnapshot, writeSnapshot } = require('../../lib/snapshot');
+
+const AT = '1000.000000000';
+
+const nft = (serial, created, modified, owner, deleted = false) => ({
+	serial_number: serial,
+	created_timestamp: `${created}.000000000`,
+	modified_timestamp: `${modified}.000000000`,
+	account_id: deleted ? null : owner,
+	deleted,
+});
+
+// Current state of the collection, and each changed serial's history (newest first)
+const NFTS = [
+	nft(1, 100, 500, '0.0.11'),
+	nft(2, 100, 2000, '0.0.99'),
+	nft(3, 1500, 1500, '0.0.11'),
+	nft(4, 100, 800, null, true),
+	nft(5, 100, 2000, null, true),
+	nft(6, 100, 2000, '0.0.99'),
+];
+const HISTORY = {
+	2: [{ type: 'CRYPTOTRANSFER', receiver_account_id: '0.0.99', consensus_timestamp: '2000.0' }, { type: 'CRYPTOTRANSFER', receiver_account_id: '0.0.12', consensus_timestamp: '900.0' }],
+	5: [{ type: 'TOKENBURN', receiver_account_id: null, consensus_timestamp: '2000.0' }, { type: 'CRYPTOTRANSFER', receiver_account_id: '0.0.13', consensus_timestamp: '600.0' }],
+	6: [{ type: 'CRYPTOTRANSFER', receiver_account_id: '0.0.99', consensus_timestamp: '2000.0' }, { type: 'TOKENWIPE', receiver_account_id: null, consensus_timestamp: '950.0' }],
+};
+
+function stubCollection() {
+	const historyCalls = [];
+	stubMirror('getTokenNFTsPage', async (env, token, options = {}) => {
+		const offset = options.next ? Number(options.next) : 0;
+		return { nfts: NFTS.slice(offset, offset + 2), next: offset + 2 < NFTS.length ? String(offset + 2) : null };
+	});
+	stubMirror('getNFTTransactions', async (env, token, serial, options) => {
+		historyCalls.push({ env, serial, options });
+		const toSeconds = Number(options.toTimestamp.split('.')[0]);
+		return HISTORY[serial].filter(t => Number(t.consensus_timestamp.split('.')[0]) <= toSeconds).slice(0, options.limit);
+	});
+	return historyCalls;
+}
+
+describe('snapshot', () => {
+	afterEach(restoreMirror);
+
+	describe('createSnapshot', () => {
+		it('reconstructs holders at a timestamp from current state and transfer history', async () => {
+			const historyCalls = stubCollection();
+			const snapshot = await createSnapshot('test', '0.0.700', { at: AT });
+			expect(snapshot).to.include({ version: 1, network: 'TEST', token: '0.0.700', timestamp: AT, holders: 3 });
+			expect(snapshot.serials).to.deep.equal([
+				{ serial: 1, owner: '0.0.11' },
+				{ serial: 2, owner: '0.0.12' },
+				{ serial: 5, owner: '0.0.13' },
+			]);
+			expect(historyCalls.map(c => c.serial)).to.have.members([2, 5, 6]);
+			expect(historyCalls[0].options).to.deep.equal({ toTimestamp: AT, limit: 1 });
+			expect(snapshot.hash).to.equal(hashSnapshot(snapshot));
+		});
+
+		it('queries the custom mirror when given one', async () => {
+			const historyCalls = stubCollection();
+			await createSnapshot('test', '0.0.700', { at: AT, mirrorUrl: 'https://mirror.example.com' });
+			expect(historyCalls[0].env).to.deep.equal({ network: 'test', mirrorUrl: 'https://mirror.example.com' });
+		});
+
+		it('reports progress through listing and history', async () => {
+			stubCollection();
+			const phases = [];
+			await createSnapshot('test', '0.0.700', { at: AT, onProgress: p => phases.push(p.phase) });
+			expect(phases.filter(p => p === 'list')).to.have.length(3);
+			expect(phases.filter(p => p === 'history')).to.have.length(3);
+		});
+	});
+
+	describe('hashSnapshot', () => {
+		const base = {
+			network: 'TEST', token: '0.0.700', timestamp: AT, createdAt: 'now',
+			serials: [{ serial: 2, owner: '0.0.12' }, { serial: 1, owner: '0.0.11' }],
+		};
+
+		it('ignores serial order and derived fields', () => {
+			const reordered = { ...base, serials: [...base.serials].reverse(), createdAt: 'later', holders: 2 };
+			expect(hashSnapshot(reordered)).to.equal(hashSnapshot(base));
+			expect(hashSnapshot(base)).to.match(/^sha256:[0-9a-f]{64}$/);
+		});
+
+		it('changes with any holding, the timestamp or the rules', () => {
+			const hash = hashSnapshot(base);
+			expect(hashSnapshot({ ...base, serials: [{ serial: 1, owner: '0.0.11' }, { serial: 2, owner: '0.0.13' }] })).to.not.equal(hash);
+			expect(hashSnapshot({ ...base, timestamp: '1000.000000001' })).to.not.equal(hash);
+			const filtered = { ...base, rules: { hash: 'sha256:aa' }, excluded: [] };
+			expect(hashSnapshot(filtered)).to.not.equal(hash);
+			expect(hashSnapshot({ ...filtered, rules: { hash: 'sha256:bb' } })).to.not.equal(hashSnapshot(filtered));
+		});
+	});
+
+	describe('readSnapshot', () => {
+		it('accepts a written snapshot and rejects one edited afterwards', async () => {
+			stubCollection();
+			const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lazyvote-snapshot-'));
+			try {
+				const file = path.join(dir, 'snapshot.json');
+				writeSnapshot(file, await createSnapshot('test', '0.0.700', { at: AT }));
+				expect(readSnapshot(file).serials).to.have.length(3);
+
+				const edited = JSON.parse(fs.readFileSync(file, 'utf8'));
+				edited.serials[0].owner = '0.0.66';
+				fs.writeFileSync(file, JSON.stringify(edited));
+				expect(() => readSnapshot(file)).to.throw(/does not match its hash/);
+			}
+			finally {
+				fs.rmSync(dir, { recursive: true, force: true });
+			}
+		});
+	});
+
+	it('takes the snapshot time as a consensus timestamp, a date, unix seconds or a relative time', async () => {
+		stubCollection();
+		const timestamps = [];
+		for (const at of ['1000.5', '2030-01-01T00:00:00Z', 1000, '1000']) {
+			timestamps.push((await createSnapshot('test', '0.0.700', { at })).timestamp);
+		}
+		expect(timestamps).to.deep.equal(['1000.500000000', '1893456000.000000000', '1000.000000000', '1000.000000000']);
+
+		const before = Math.floor(Date.now() / 1000) - 7200;
+		const seconds = Number((await createSnapshot('test', '0.0.700', { at: '2h ago' })).timestamp.split('.')[0]);
+		expect(seconds).to.be.within(before, before + 5);
+	});
+});
@@ -0,0 +1,39 @@
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { parseTime } = require('../../lib/timeParser');
+
+const NOW = 1735689600;
+
+describe('parseTime', () => {
+	it('reads unix seconds and ISO dates as they are', () => {
+		expect(parseTime('1735689600', NOW)).to.equal(1735689600);
+		expect(parseTime(1893456000, NOW)).to.equal(1893456000);
+		expect(parseTime('2030-01-01T00:00:00Z', NOW)).to.equal(1893456000);
+		expect(parseTime(' 2030-01-01T00:00:30.900Z ', NOW)).to.equal(1893456030);
+	});
+
+	it('reads times ahead of now, in any mix of units', () => {
+		expect(parseTime('in 2h', NOW)).to.equal(NOW + 7200);
+		expect(parseTime('+90m', NOW)).to.equal(NOW + 5400);
+		expect(parseTime('In 1d 12h', NOW)).to.equal(NOW + 129600);
+		expect(parseTime('in 1w 30s', NOW)).to.equal(NOW + 604830);
+	});
+
+	it('reads times before now', () => {
+		expect(parseTime('3d ago', NOW)).to.equal(NOW - 259200);
+		expect(parseTime('-6h', NOW)).to.equal(NOW - 21600);
+	});
+
+	it('defaults now to the current time', () => {
+		const before = Math.floor(Date.now() / 1000);
+		expect(parseTime('in 1m')).to.be.within(before + 60, before + 65);
+	});
+
+	it('rejects empty input, unknown units and text that is not a date', () => {
+		expect(() => parseTime('', NOW)).to.throw(/Time required/);
+		expect(() => parseTime(null, NOW)).to.throw(/Time required/);
+		expect(() => parseTime('in 2y', NOW)).to.throw(/Invalid relative time "in 2y"/);
+		expect(() => parseTime('2 hours ago', NOW)).to.throw(/Invalid relative time/);
+		expect(() => parseTime('next tuesday', NOW)).to.throw(/Invalid time "next tuesday"/);
+	});
+});
@@ -0,0 +1,86 @@
+const { expect } = require('chai');
+const { describe, it } = require('mocha');
+const { executed, reverted, revertedOnChain } = require('./helpers/transactions');
+const TxResult = require('../../lib/txResult');
+const { createLogger, withLogger } = require('../../lib/logger');
+const { logTransactionResult } = require('../../utils/gasHelpers');
+const { loadInterface } = require('../../utils/clientFactory');
+
+const ALICE = `0x${'11'.repeat(20)}`;
+const voterIface = loadInterface('LazyVoter');
+const registryIface = loadInterface('LazyDelegateRegistry');
+
+describe('TxResult', () => {
+	it('decodes the record logs with the called contract interface', () => {
+		const tx = TxResult.fromExecution(executed([
+			{ iface: voterIface, name: 'VoteCasted', args: [ALICE, [4, 5], 1] },
+			{ iface: voterIface, name: 'QuorumUpdated', args: [12] },
+		]), { iface: voterIface, gasLimit: 100_000, estimatedGas: 90_000 });
+		expect(tx.success).to.equal(true);
+		expect(tx.eventsNamed('VoteCasted')).to.have.length(1);
+		expect(tx.events.map(e => [e.name, e.logIndex, e.consensusTimestamp])).to.deep.equal([
+			['VoteCasted', 0, '1700000001.000000005'],
+			['QuorumUpdated', 1, '1700000001.000000005'],
+		]);
+		expect(tx.events[0].args).to.deep.equal({ voter: ALICE, serials: [4, 5], voteType: 1 });
+		expect(tx).to.include({ transactionId: '0.0.1001@1700000000.000000000', gasUsed: 81_000, gasLimit: 100_000, estimatedGas: 90_000 });
+		expect(tx.fee).to.equal('0.0521');
+	});
+
+	it('decodes logs from other contracts with eventInterfaces, skipping unknown ones', () => {
+		const logs = [
+			{ iface: voterIface, name: 'VotingPaused', args: [true] },
+			{ iface: registryIface, name: 'WalletDelegated', args: [ALICE, ALICE, true] },
+		];
+		expect(TxResult.fromExecution(executed(logs), { iface: voterIface }).events.map(e => e.name)).to.deep.equal(['VotingPaused']);
+		const both = TxResult.fromExecution(executed(logs), { iface: voterIface, eventInterfaces: [voterIface, registryIface] });
+		expect(both.events.map(e => e.name)).to.deep.equal(['VotingPaused', 'WalletDelegated']);
+	});
+
+	it('carries the typed error of a failed call and throws it on demand', () => {
+		const tx = TxResult.fromExecution(reverted(voterIface, 'VoteWindowClosed'), { iface: voterIface });
+		expect(tx).to.include({ success: false, status: 'CONTRACT_REVERT_EXECUTED', transactionId: '0.0.1001@1700000000.000000000' });
+		expect(tx.events).to.deep.equal([]);
+		expect(() => tx.throwIfFailed()).to.throw('The vote window is closed');
+	});
+
+	it('keeps the fee, gas used and consensus timestamp of a call that failed on chain', () => {
+		const tx = TxResult.fromExecution(revertedOnChain(voterIface, 'VotingIsPaused'), { iface: voterIface, gasLimit: 100_000 });
+		expect(tx).to.include({
+			success: false, status: 'CONTRACT_REVERT_EXECUTED', transactionId: '0.0.1001@1700000000.000000000',
+			consensusTimestamp: '1700000001.000000005', gasUsed: 81_000, gasLimit: 100_000,
+		});
+		expect(tx.fee).to.equal('0.0521');
+		expect(tx.error.code).to.equal('VOTING_PAUSED');
+
+		const precheck = TxResult.fromExecution(reverted(voterIface, 'VoteWindowClosed'), { iface: voterIface });
+		expect(precheck).to.include({ consensusTimestamp: null, gasUsed: null, fee: null });
+	});
+
+	it('serialises without the raw record', () => {
+		const json = JSON.parse(JSON.stringify(TxResult.fromExecution(executed([]), { iface: voterIface })));
+		expect(json).to.not.have.property('record');
+		expect(json).to.include({ status: 'SUCCESS', fee: '0.0521' });
+	});
+
+	describe('logTransactionResult', () => {
+		function capture(fn) {
+			const entries = [];
+			withLogger(createLogger({ level: 'info', sink: e => entries.push(e) }), fn);
+			return entries;
+		}
+
+		it('decodes the events of a raw result with the interface it is given', () => {
+			const entries = capture(() => logTransactionResult(
+				executed([{ iface: voterIface, name: 'VoteCasted', args: [ALICE, [4], 2] }]),
+				'Vote', { iface: voterIface, gasLimit: 100_000 },
+			));
+			expect(entries[0].events).to.have.length(1);
+			expect(entries.some(e => e.msg.startsWith('📣 VoteCasted'))).to.equal(true);
+		});
+
+		it('refuses a raw result without an interface rather than drop its events', () => {
+			expect(() => logTransactionResult(executed([]), 'Vote')).to.throw(/needs gasInfo.iface/);
+		});
+	});
+});
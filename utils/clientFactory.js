@@ -3,6 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const { ethers } = require('ethers');
 const { readOnlyEVMFromMirrorNode } = require('./solidityHelpers');
+const { getLogger } = require('../lib/logger');
 require('dotenv').config();
 
 /**
@@ -35,30 +36,40 @@ function createClient(env, operatorId, operatorKey) {
 	if (operatorId && operatorKey) {
 		client.setOperator(operatorId, operatorKey);
 	}
+	getLogger().debug(`Hedera client for ${env.toUpperCase()}${operatorId ? ` as ${operatorId}` : ''}`, { network: env.toUpperCase(), operatorId: operatorId?.toString() });
 	return client;
 }
 
 /**
- * Load operator credentials from environment variables
- * Supports both ED25519 and ECDSA key formats
- * @returns {{ operatorId: AccountId, operatorKey: PrivateKey }}
+ * Parse a private key string, trying ED25519 first and then ECDSA
+ * @param {string} keyString - DER or hex encoded private key
+ * @param {string} [label='PRIVATE_KEY'] - Name used in the error message
+ * @returns {PrivateKey}
  */
-function loadOperator() {
-	if (!process.env.ACCOUNT_ID || !process.env.PRIVATE_KEY) {
-		throw new Error('Must specify ACCOUNT_ID and PRIVATE_KEY in .env file');
-	}
-	let operatorKey;
+function parsePrivateKey(keyString, label = 'PRIVATE_KEY') {
 	try {
-		operatorKey = PrivateKey.fromStringED25519(process.env.PRIVATE_KEY);
+		return PrivateKey.fromStringED25519(keyString);
 	}
 	catch {
 		try {
-			operatorKey = PrivateKey.fromStringECDSA(process.env.PRIVATE_KEY);
+			return PrivateKey.fromStringECDSA(keyString);
 		}
 		catch {
-			throw new Error('PRIVATE_KEY must be a valid ED25519 or ECDSA private key');
+			throw new Error(`${label} must be a valid ED25519 or ECDSA private key`);
 		}
 	}
+}
+
+/**
+ * Load operator credentials from environment variables
+ * Supports both ED25519 and ECDSA key formats
+ * @returns {{ operatorId: AccountId, operatorKey: PrivateKey }}
+ */
+function loadOperator() {
+	if (!process.env.ACCOUNT_ID || !process.env.PRIVATE_KEY) {
+		throw new Error('Must specify ACCOUNT_ID and PRIVATE_KEY in .env file');
+	}
+	const operatorKey = parsePrivateKey(process.env.PRIVATE_KEY);
 	const operatorId = AccountId.fromString(process.env.ACCOUNT_ID);
 	return { operatorId, operatorKey };
 }
@@ -100,6 +111,7 @@ function loadInterface(contractName, artifactDir = './artifacts/contracts') {
  */
 async function readContractValue(env, contractId, iface, functionName, params = [], operatorId) {
 	const encoded = iface.encodeFunctionData(functionName, params);
+	getLogger().debug(`Reading ${functionName} from ${contractId}`, { contractId: contractId.toString(), functionName });
 	const result = await readOnlyEVMFromMirrorNode(env, contractId, encoded, operatorId, false);
 	return iface.decodeFunctionResult(functionName, result);
 }
@@ -107,6 +119,7 @@ async function readContractValue(env, contractId, iface, functionName, params =
 module.exports = {
 	createClient,
 	loadOperator,
+	parsePrivateKey,
 	loadInterface,
 	readContractValue,
 };
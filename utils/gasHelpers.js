@@ -1,4 +1,7 @@
-const { readOnlyEVMFromMirrorNode } = require('./solidityHelpers');
+const { readOnlyEVMFromMirrorNode, getMirrorRevert } = require('./solidityHelpers');
+const { fromMirrorRevert } = require('../lib/errors');
+const TxResult = require('../lib/txResult');
+const { getLogger } = require('../lib/logger');
 
 /**
  * Estimate gas for a contract function call using mirror node
@@ -8,11 +11,13 @@ const { readOnlyEVMFromMirrorNode } = require('./solidityHelpers');
  * @param {AccountId} operatorId - Operator account ID
  * @param {string} functionName - Function name to call
  * @param {Array} parameters - Function parameters
- * @param {number} fallbackGas - Fallback gas limit if estimation fails
+ * @param {number} fallbackGas - Fallback gas limit if the mirror node cannot be reached
  * @param {number} [value=0] - Amount of hbar to send in tinybars
  * @returns {Promise<{gasLimit: number, isEstimated: boolean, estimatedGas?: number}>}
+ * @throws {LazyVoterError} when the call would revert - there is no point sending it
  */
 async function estimateGas(env, contractId, contractInterface, operatorId, functionName, parameters, fallbackGas, value = 0) {
+	const logger = getLogger();
 	const openerString = `🔍 Estimating gas for ${functionName}...`;
 	try {
 		const encodedCommand = contractInterface.encodeFunctionData(functionName, parameters);
@@ -32,7 +37,10 @@ async function estimateGas(env, contractId, contractInterface, operatorId, funct
 		const gasWithBuffer = Math.min(Math.ceil(estimatedGas * multiplier), 14_500_000);
 		// Cap at 14.5 million gas
 
-		console.log(`${openerString}\t📊 Gas Estimate: ${estimatedGas.toLocaleString()} | With ${((multiplier - 1) * 100).toFixed(0)}% buffer: ${gasWithBuffer.toLocaleString()}`);
+		logger.info(
+			`${openerString}\t📊 Gas Estimate: ${estimatedGas.toLocaleString()} | With ${((multiplier - 1) * 100).toFixed(0)}% buffer: ${gasWithBuffer.toLocaleString()}`,
+			{ event: 'gas.estimate', functionName, estimatedGas, gasLimit: gasWithBuffer },
+		);
 
 		return {
 			gasLimit: gasWithBuffer,
@@ -41,8 +49,16 @@ async function estimateGas(env, contractId, contractInterface, operatorId, funct
 		};
 	}
 	catch (error) {
-		console.log(`${openerString}\t⚠️  Gas estimation failed for ${functionName}:`, error.message);
-		console.log(`📋 Using fallback gas limit: ${fallbackGas}`);
+		const revert = getMirrorRevert(error);
+		if (revert) {
+			const reverted = fromMirrorRevert(contractInterface, revert);
+			logger.warn(`${openerString}\t❌ ${functionName} would revert: ${reverted.message}`, { event: 'gas.revert', functionName, code: reverted.code });
+			throw reverted;
+		}
+		logger.warn(
+			`${openerString}\t⚠️  Gas estimation failed for ${functionName}: ${error.message}\n📋 Using fallback gas limit: ${fallbackGas}`,
+			{ event: 'gas.fallback', functionName, gasLimit: fallbackGas, error: error.message },
+		);
 
 		return {
 			gasLimit: fallbackGas,
@@ -53,47 +69,60 @@ async function estimateGas(env, contractId, contractInterface, operatorId, funct
 
 /**
  * Log transaction result with gas usage comparison
- * @param {Array} result - Contract execution result [status, returnValues, receipt]
+ * @param {TxResult|Array} result - TxResult, or a raw contractExecuteFunction result [status, returnValues, record]
  * @param {string} operation - Operation name for logging
- * @param {object} gasInfo - Gas estimation info from estimateGas
+ * @param {object} [gasInfo] - Gas estimation info from estimateGas (only needed for raw results)
+ * @param {ethers.Interface} [gasInfo.iface] - Interface of the called contract; required for raw results, to decode events and reverts
+ * Lines go to the current logger (see lib/logger); the first entry carries the whole TxResult as fields.
  */
-function logTransactionResult(result, operation, gasInfo) {
-	const [status, , receipt] = result;
-
-	// Handle both simple status strings and complex status objects
-	const statusString = typeof status === 'object' && status.status ? status.status.toString() : status?.toString();
+function logTransactionResult(result, operation, gasInfo = {}) {
+	if (!(result instanceof TxResult) && !gasInfo.iface) {
+		throw new Error(`logTransactionResult(${operation}): a raw result needs gasInfo.iface to decode its events`);
+	}
+	const tx = result instanceof TxResult
+		? result
+		: TxResult.fromExecution(result, { iface: gasInfo.iface, gasLimit: gasInfo.gasLimit, estimatedGas: gasInfo.estimatedGas });
+	const logger = getLogger();
+	const fields = { event: 'tx.result', operation, ...tx.toJSON() };
 
-	if (statusString === 'SUCCESS') {
-		console.log(`✅ ${operation} completed successfully!`);
+	if (tx.success) {
+		logger.info(`✅ ${operation} completed successfully!`, fields);
 
-		if (receipt?.transactionId) {
-			console.log(`📝 Transaction ID: ${receipt.transactionId.toString()}`);
+		if (tx.transactionId) {
+			logger.info(`📝 Transaction ID: ${tx.transactionId}`);
 		}
 
 		// Log gas usage comparison if available
-		if (receipt?.contractFunctionResult?.gasUsed) {
-			const gasUsed = Number(receipt.contractFunctionResult.gasUsed);
-			const gasLimit = gasInfo.gasLimit;
-			const efficiency = ((gasUsed / gasLimit) * 100).toFixed(1);
+		if (tx.gasUsed && tx.gasLimit) {
+			const efficiency = ((tx.gasUsed / tx.gasLimit) * 100).toFixed(1);
 
-			console.log(`⛽ Gas Usage: ${gasUsed.toLocaleString()} / ${gasLimit.toLocaleString()} (${efficiency}% efficiency)`);
+			logger.info(`⛽ Gas Usage: ${tx.gasUsed.toLocaleString()} / ${tx.gasLimit.toLocaleString()} (${efficiency}% efficiency)`);
 
-			if (gasInfo.estimatedGas) {
-				const accuracy = ((gasUsed / gasInfo.estimatedGas) * 100).toFixed(1);
-				console.log(`🎯 Estimate Accuracy: ${accuracy}% (${gasUsed.toLocaleString()} vs ${gasInfo.estimatedGas.toLocaleString()} estimated)`);
+			if (tx.estimatedGas) {
+				const accuracy = ((tx.gasUsed / tx.estimatedGas) * 100).toFixed(1);
+				logger.info(`🎯 Estimate Accuracy: ${accuracy}% (${tx.gasUsed.toLocaleString()} vs ${tx.estimatedGas.toLocaleString()} estimated)`);
 			}
 		}
+
+		if (tx.fee !== null) {
+			logger.info(`💸 Fee: ${tx.fee} HBAR`);
+		}
+
+		tx.events.forEach(event => logger.info(`📣 ${event.name} ${JSON.stringify(event.args)}`));
 	}
 	else {
-		console.log(`❌ ${operation} failed:`, statusString?.name);
+		logger.error(`❌ ${operation} failed: ${tx.error?.message ?? tx.status}`, fields);
 
-		// Log detailed failure information
-		// if (typeof result === 'object') {
-		// 	console.log('📋 Full status details:', JSON.stringify(result, null, 2));
-		// }
+		if (tx.transactionId) {
+			logger.error(`📝 Failed Transaction ID: ${tx.transactionId}`);
+		}
 
-		if (receipt?.transactionId) {
-			console.log(`📝 Failed Transaction ID: ${receipt.transactionId.toString()}`);
+		// a transaction that reached consensus is charged even though it failed
+		if (tx.gasUsed && tx.gasLimit) {
+			logger.error(`⛽ Gas Used: ${tx.gasUsed.toLocaleString()} / ${tx.gasLimit.toLocaleString()}`);
+		}
+		if (tx.fee !== null) {
+			logger.error(`💸 Fee: ${tx.fee} HBAR`);
 		}
 	}
 }
@@ -1,8 +1,22 @@
 const { AccountId } = require('@hashgraph/sdk');
 const { default: axios } = require('axios');
 const { ethers } = require('ethers');
+const { getLogger } = require('../lib/logger');
+
+/**
+ * Mirror node target for the env argument of the helpers here. A network name alone uses the
+ * network's public mirror; with a custom URL (e.g. a private or rate-limit-free node) the target
+ * carries it, so the override stays with whoever configured it.
+ * @param {string} network - TEST, MAIN, PREVIEW, LOCAL
+ * @param {string|null} [url] - Base URL without /api/v1
+ * @returns {string|{network: string, mirrorUrl: string}}
+ */
+function mirrorTarget(network, url) {
+	return url ? { network, mirrorUrl: url.replace(/\/$/, '') } : network;
+}
 
 function getBaseURL(env) {
+	if (env?.mirrorUrl) return env.mirrorUrl;
 	if (env.toLowerCase() == 'test' || env.toLowerCase() == 'testnet') {
 		return 'https://testnet.mirrornode.hedera.com';
 	}
@@ -20,6 +34,47 @@ function getBaseURL(env) {
 	}
 }
 
+/**
+ * Send a mirror node request, tracing the raw request and response (see --trace)
+ * @param {string} method - get or post
+ * @param {string} url
+ * @param {object} [body] - JSON body for post
+ * @returns {Promise<AxiosResponse>}
+ */
+async function mirrorRequest(method, url, body) {
+	const logger = getLogger();
+	logger.trace(`→ ${method.toUpperCase()} ${url}`, { event: 'mirror.request', method, url, body });
+	try {
+		const response = method === 'post' ? await axios.post(url, body) : await axios.get(url);
+		logger.trace(`← ${response.status} ${url}`, { event: 'mirror.response', method, url, status: response.status, data: response.data });
+		return response;
+	}
+	catch (err) {
+		const status = err.response?.status ?? err.code;
+		logger.trace(`← ${status} ${url}`, { event: 'mirror.response', method, url, status, data: err.response?.data ?? null });
+		throw err;
+	}
+}
+
+/**
+ * GET from the mirror node, see mirrorRequest
+ * @param {string} url
+ * @returns {Promise<AxiosResponse>}
+ */
+function mirrorGet(url) {
+	return mirrorRequest('get', url);
+}
+
+/**
+ * POST to the mirror node, see mirrorRequest
+ * @param {string} url
+ * @param {object} body
+ * @returns {Promise<AxiosResponse>}
+ */
+function mirrorPost(url, body) {
+	return mirrorRequest('post', url, body);
+}
+
 /**
  * Chyeck mirror for the allowance
  * @param {AccountId} _userId
@@ -31,7 +86,7 @@ async function checkMirrorAllowance(env, _userId, _tokenId, _spenderId) {
 	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/allowances/tokens`;
 
 	let rtnVal = 0;
-	await axios.get(url)
+	await mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 
@@ -43,7 +98,7 @@ async function checkMirrorAllowance(env, _userId, _tokenId, _spenderId) {
 			});
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return 0;
 		});
 
@@ -56,7 +111,7 @@ async function getNFTApprovedForAllAllowances(env, _userId) {
 
 	const spenderTokenMap = new Map();
 
-	await axios.get(url)
+	await mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 
@@ -78,7 +133,7 @@ async function getNFTApprovedForAllAllowances(env, _userId) {
 			}
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return 0;
 		});
 
@@ -90,7 +145,7 @@ async function checkMirrorNFTAllowance(env, _userId, _tokenId, _serial) {
 	const url = `${baseUrl}/api/v1/tokens/${_tokenId}/nfts?account.id=${_userId.toString()}`;
 
 	let rtnVal;
-	await axios.get(url)
+	await mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 
@@ -102,7 +157,7 @@ async function checkMirrorNFTAllowance(env, _userId, _tokenId, _serial) {
 			});
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return 0;
 		});
 
@@ -113,10 +168,10 @@ async function checkFTAllowances(env, _userId) {
 	const baseUrl = getBaseURL(env);
 	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/allowances/tokens`;
 
-	console.log('Checking FT Allowances:', url);
+	getLogger().debug(`Checking FT Allowances: ${url}`);
 
 	const rtnVal = [];
-	return axios.get(url)
+	return mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 			jsonResponse.allowances.forEach(allowance => {
@@ -125,7 +180,7 @@ async function checkFTAllowances(env, _userId) {
 			return rtnVal;
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return 0;
 		});
 }
@@ -135,10 +190,10 @@ async function checkHbarAllowances(env, _userId) {
 	const baseUrl = getBaseURL(env);
 	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/allowances/crypto`;
 
-	console.log('Checking Hbar Allowances:', url);
+	getLogger().debug(`Checking Hbar Allowances: ${url}`);
 
 	const rtnVal = [];
-	return axios.get(url)
+	return mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 			jsonResponse.allowances.forEach(allowance => {
@@ -147,7 +202,7 @@ async function checkHbarAllowances(env, _userId) {
 			return rtnVal;
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return 0;
 		});
 }
@@ -164,7 +219,7 @@ async function checkMirrorHbarAllowance(env, _userId, _spenderId) {
 	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/allowances/crypto`;
 
 	let rtnVal = 0;
-	await axios.get(url)
+	await mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 
@@ -176,7 +231,7 @@ async function checkMirrorHbarAllowance(env, _userId, _spenderId) {
 			});
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return 0;
 		});
 
@@ -191,7 +246,7 @@ async function getSerialsOwned(env, _userId, _tokenId) {
 
 	try {
 		while (url) {
-			const response = await axios.get(url);
+			const response = await mirrorGet(url);
 			const jsonResponse = response.data;
 
 			// Add all serials from this page
@@ -207,7 +262,7 @@ async function getSerialsOwned(env, _userId, _tokenId) {
 		return rtnVal;
 	}
 	catch (err) {
-		console.error('Error fetching serials owned:', err);
+		getLogger().error(`Error fetching serials owned: ${err.message}`, { error: err });
 		return null;
 	}
 }
@@ -227,7 +282,7 @@ async function checkLastMirrorEvent(env, contractId, iface, offset = 1, account
 	const url = `${baseUrl}/api/v1/contracts/${contractId.toString()}/results/logs?order=desc&limit=1`;
 
 	let rtnVal;
-	await axios.get(url)
+	await mirrorGet(url)
 		.then(function (response) {
 			const jsonResponse = response.data;
 
@@ -254,27 +309,32 @@ async function checkLastMirrorEvent(env, contractId, iface, offset = 1, account
 					output = f == 0 ? output : ' : ' + output;
 					outputStr += output;
 				}
-				console.log(outputStr);
+				getLogger().info(outputStr);
 				rtnVal = account ? AccountId.fromEvmAddress(0, 0, event.args[offset]) : Number(event.args[offset]);
 			});
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return null;
 		});
 	return rtnVal;
 }
 
+/**
+ * Decode every event a contract has emitted, newest first, into one display line each.
+ * Reads all pages of logs (see getContractLogsPage); on failure the error is logged and nothing is returned.
+ * @param {string} env
+ * @param {ContractId} contractId
+ * @param {ethers.Interface} iface
+ * @returns {Promise<string[]|undefined>}
+ */
 async function getEventsFromMirror(env, contractId, iface) {
-	const baseUrl = getBaseURL(env);
-
-	const url = `${baseUrl}/api/v1/contracts/${contractId.toString()}/results/logs?order=desc&limit=100`;
-
 	const eventsToReturn = [];
-	return axios.get(url)
-		.then(function (response) {
-			const jsonResponse = response.data;
-			jsonResponse.logs.forEach(log => {
+	try {
+		let next = null;
+		do {
+			const page = await getContractLogsPage(env, contractId, { order: 'desc', next });
+			page.logs.forEach(log => {
 				// decode the event data
 				if (log.data == '0x') return;
 				const event = iface.parseLog({ topics: log.topics, data: log.data });
@@ -285,7 +345,6 @@ async function getEventsFromMirror(env, contractId, iface) {
 
 				for (let f = 0; f < event.args.length; f++) {
 					const field = event.args[f];
-					// console.log('Field:', f, field, typeof field);
 
 					let output;
 					if (typeof field === 'string') {
@@ -299,11 +358,92 @@ async function getEventsFromMirror(env, contractId, iface) {
 				}
 				eventsToReturn.push(outputStr);
 			});
-			return eventsToReturn;
-		})
-		.catch(function (err) {
-			console.error(err);
-		});
+			next = page.next;
+		} while (next);
+		return eventsToReturn;
+	}
+	catch (err) {
+		getLogger().error(err.message, { error: err });
+	}
+}
+
+/**
+ * Fetch one page of contract logs from the mirror node, oldest first by default.
+ * Unlike getEventsFromMirror this returns raw logs and throws on failure so callers can retry.
+ * @param {string} env
+ * @param {ContractId|string} contractId
+ * @param {object} [options]
+ * @param {string} [options.fromTimestamp] consensus timestamp (seconds.nanos) to start from, inclusive
+ * @param {string} [options.toTimestamp] consensus timestamp (seconds.nanos) to stop at, inclusive
+ * @param {string} [options.order='asc'] asc or desc
+ * @param {number} [options.limit=100] page size (mirror maximum is 100)
+ * @param {string} [options.next] links.next path from a previous page; overrides the other options
+ * @returns {Promise<{logs: object[], next: string|null}>}
+ */
+async function getContractLogsPage(env, contractId, options = {}) {
+	const baseUrl = getBaseURL(env);
+
+	let url;
+	if (options.next) {
+		url = `${baseUrl}${options.next}`;
+	}
+	else {
+		const params = [`order=${options.order ?? 'asc'}`, `limit=${options.limit ?? 100}`];
+		if (options.fromTimestamp) params.push(`timestamp=gte:${options.fromTimestamp}`);
+		if (options.toTimestamp) params.push(`timestamp=lte:${options.toTimestamp}`);
+		url = `${baseUrl}/api/v1/contracts/${contractId.toString()}/results/logs?${params.join('&')}`;
+	}
+
+	const response = await mirrorGet(url);
+	return {
+		logs: response.data.logs ?? [],
+		next: response.data.links?.next ?? null,
+	};
+}
+
+/**
+ * Fetch one page of a token's NFTs (current state, burned serials included) from the mirror node.
+ * Throws on failure so callers can retry.
+ * @param {string} env
+ * @param {TokenId|string} tokenId
+ * @param {object} [options]
+ * @param {number} [options.limit=100] page size (mirror maximum is 100)
+ * @param {string} [options.next] links.next path from a previous page
+ * @returns {Promise<{nfts: object[], next: string|null}>}
+ */
+async function getTokenNFTsPage(env, tokenId, options = {}) {
+	const baseUrl = getBaseURL(env);
+	const url = options.next
+		? `${baseUrl}${options.next}`
+		: `${baseUrl}/api/v1/tokens/${tokenId.toString()}/nfts?order=asc&limit=${options.limit ?? 100}`;
+
+	const response = await mirrorGet(url);
+	return {
+		nfts: response.data.nfts ?? [],
+		next: response.data.links?.next ?? null,
+	};
+}
+
+/**
+ * Fetch the ownership history of one NFT serial (mints, transfers, burns, wipes) from the mirror node.
+ * Throws on failure so callers can retry.
+ * @param {string} env
+ * @param {TokenId|string} tokenId
+ * @param {number} serial
+ * @param {object} [options]
+ * @param {string} [options.toTimestamp] consensus timestamp (seconds.nanos) to stop at, inclusive
+ * @param {string} [options.order='desc'] asc or desc
+ * @param {number} [options.limit=25] page size (mirror maximum is 100)
+ * @returns {Promise<object[]>} transfers: { consensus_timestamp, type, sender_account_id, receiver_account_id, ... }
+ */
+async function getNFTTransactions(env, tokenId, serial, options = {}) {
+	const baseUrl = getBaseURL(env);
+	const params = [`order=${options.order ?? 'desc'}`, `limit=${options.limit ?? 25}`];
+	if (options.toTimestamp) params.push(`timestamp=lte:${options.toTimestamp}`);
+	const url = `${baseUrl}/api/v1/tokens/${tokenId.toString()}/nfts/${serial}/transactions?${params.join('&')}`;
+
+	const response = await mirrorGet(url);
+	return response.data.transactions ?? [];
 }
 
 /**
@@ -318,7 +458,7 @@ async function checkMirrorBalance(env, _userId, _tokenId) {
 	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}/tokens?token.id=${_tokenId.toString()}`;
 
 	let rtnVal = null;
-	await axios.get(url)
+	await mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 
@@ -330,7 +470,7 @@ async function checkMirrorBalance(env, _userId, _tokenId) {
 			});
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return null;
 		});
 
@@ -342,13 +482,13 @@ async function checkMirrorHbarBalance(env, _userId) {
 	const url = `${baseUrl}/api/v1/accounts/${_userId.toString()}`;
 
 	let rtnVal = null;
-	await axios.get(url)
+	await mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 			rtnVal = jsonResponse.balance.balance;
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return null;
 		});
 
@@ -360,7 +500,7 @@ async function checkNFTOwnership(env, _tokenId, _serial) {
 	const url = `${baseUrl}/api/v1/tokens/${_tokenId.toString()}/nfts/${_serial}`;
 
 	let rtnVal = null;
-	await axios.get(url)
+	await mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 			rtnVal = {
@@ -376,7 +516,7 @@ async function checkNFTOwnership(env, _tokenId, _serial) {
 			};
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 		});
 
 	return rtnVal;
@@ -393,7 +533,7 @@ async function getTokenDetails(env, _tokenId) {
 	const baseUrl = getBaseURL(env);
 	const url = `${baseUrl}/api/v1/tokens/${tokenAsString}`;
 	let rtnVal = null;
-	await axios.get(url)
+	await mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 			rtnVal = {
@@ -407,13 +547,54 @@ async function getTokenDetails(env, _tokenId) {
 			};
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return null;
 		});
 
 	return rtnVal;
 }
 
+/**
+ * Look up who an account ID belongs to: a contract (e.g. a marketplace escrow) or an account,
+ * and whether it has been deleted. Throws on failure so callers can retry.
+ * @param {string} env
+ * @param {AccountId|string} entityId
+ * @returns {Promise<{id: string, type: 'CONTRACT'|'ACCOUNT', deleted: boolean}|null>} null when the mirror does not know the ID
+ */
+async function getEntityInfo(env, entityId) {
+	const baseUrl = getBaseURL(env);
+	const id = entityId.toString();
+	const lookups = [
+		['CONTRACT', `${baseUrl}/api/v1/contracts/${id}`],
+		['ACCOUNT', `${baseUrl}/api/v1/accounts/${id}?transactions=false`],
+	];
+	for (const [type, url] of lookups) {
+		try {
+			const response = await mirrorGet(url);
+			return { id, type, deleted: Boolean(response.data.deleted) };
+		}
+		catch (err) {
+			if (err.response?.status !== 404) throw err;
+		}
+	}
+	return null;
+}
+
+/**
+ * Fetch an account's key from the mirror node. Throws on failure so callers can retry.
+ * @param {string} env
+ * @param {AccountId|string} accountId
+ * @returns {Promise<{type: string, key: string}>} type is ED25519, ECDSA_SECP256K1 or ProtobufEncoded (key lists)
+ */
+async function getAccountKey(env, accountId) {
+	const baseUrl = getBaseURL(env);
+	const url = `${baseUrl}/api/v1/accounts/${accountId.toString()}?transactions=false`;
+	const response = await mirrorGet(url);
+	const key = response.data.key;
+	if (!key) throw new Error(`Account ${accountId} has no key on the mirror node`);
+	return { type: key._type, key: key.key };
+}
+
 async function getContractResult(env, transactionIdOrHash, iface) {
 
 	const isTransactionIdObject = typeof transactionIdOrHash === 'object';
@@ -426,7 +607,7 @@ async function getContractResult(env, transactionIdOrHash, iface) {
 	const { parseError } = require('./solidityHelpers');
 
 	try {
-		const response = await axios.get(url);
+		const response = await mirrorGet(url);
 		// console.log('Response:', response.data.result);
 		// console.log('Error:', response.data.error_message);
 		// console.log('Call Result:', response.data.call_result);
@@ -460,7 +641,7 @@ async function getContractResult(env, transactionIdOrHash, iface) {
 
 	}
 	catch (error) {
-		console.error('Error:', error);
+		getLogger().error(`Error: ${error.message}`, { error });
 		return { success: false, error: 'Failed to query the mirror node' };
 	}
 }
@@ -492,13 +673,13 @@ async function getContractEVMAddress(env, contractId) {
 	const baseUrl = getBaseURL(env);
 	const url = `${baseUrl}/api/v1/contracts/${contractId.toString()}`;
 
-	return await axios.get(url)
+	return await mirrorGet(url)
 		.then((response) => {
 			const jsonResponse = response.data;
 			return jsonResponse.evm_address;
 		})
 		.catch(function (err) {
-			console.error(err);
+			getLogger().error(err.message, { error: err });
 			return null;
 		});
 }
@@ -529,11 +710,11 @@ async function homebrewPopulateAccountEvmAddress(env, accountId) {
 	let evmAddress;
 	try {
 		const url = `${baseUrl}/api/v1/accounts/${acctId.num.toString()}`;
-		const mirrorAccountId = (await axios.get(url)).data.evm_address;
+		const mirrorAccountId = (await mirrorGet(url)).data.evm_address;
 		evmAddress = ethers.getAddress(mirrorAccountId);
 	}
 	catch (error) {
-		console.error('Error fetching EVM address:', error);
+		getLogger().error(`Error fetching EVM address: ${error.message}`, { error });
 		evmAddress = acctId.toSolidityAddress();
 	}
 	return evmAddress;
@@ -547,7 +728,7 @@ async function homebrewPopulateAccountNum(env, evmAddress) {
 	const baseUrl = getBaseURL(env);
 
 	const url = `${baseUrl}/api/v1/accounts/${evmAddress}`;
-	const mirrorAccountId = (await axios.get(url)).data.account.id;
+	const mirrorAccountId = (await mirrorGet(url)).data.account;
 	const acctId = AccountId.fromString(mirrorAccountId);
 	const accountId = acctId.toString();
 
@@ -555,15 +736,23 @@ async function homebrewPopulateAccountNum(env, evmAddress) {
 }
 
 module.exports = {
+	mirrorGet,
+	mirrorPost,
 	checkMirrorAllowance,
 	checkMirrorNFTAllowance,
 	getSerialsOwned,
 	getBaseURL,
+	mirrorTarget,
 	checkLastMirrorEvent,
 	checkMirrorBalance,
 	checkFTAllowances,
 	getEventsFromMirror,
+	getContractLogsPage,
 	getTokenDetails,
+	getTokenNFTsPage,
+	getNFTTransactions,
+	getEntityInfo,
+	getAccountKey,
 	getContractResult,
 	translateTransactionForWebCall,
 	getContractEVMAddress,
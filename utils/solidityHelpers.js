@@ -1,8 +1,8 @@
 const ethers = require('ethers');
-const axios = require('axios');
 const dotenv = require('dotenv');
 const { ContractCallQuery, Client, TransactionRecordQuery, ContractExecuteTransaction, ContractCreateFlow } = require('@hashgraph/sdk');
-const { getBaseURL } = require('./hederaMirrorHelpers');
+const { getBaseURL, mirrorGet, mirrorPost } = require('./hederaMirrorHelpers');
+const { getLogger } = require('../lib/logger');
 const { sleep } = require('./nodeHelpers');
 dotenv.config();
 
@@ -73,11 +73,44 @@ function parseError(iface, errorData) {
 		return errDescription;
 	}
 	catch (e) {
-		console.error(errorData, e);
+		getLogger().debug(`Could not decode error data ${errorData}: ${e.message}`);
 		return `UNKNOWN ERROR: ${errorData}`;
 	}
 }
 
+/**
+ * Fetch the record of a transaction whatever its status (paid for by the client)
+ * @param {Client} client
+ * @param {TransactionId} transactionId
+ * @returns {Promise<TransactionRecord>}
+ */
+function getFailedRecord(client, transactionId) {
+	return new TransactionRecordQuery()
+		.setTransactionId(transactionId)
+		.setValidateReceiptStatus(false)
+		.execute(client);
+}
+
+/**
+ * Parse the revert carried by a failed transaction's record
+ * @param {TransactionRecord} record
+ * @param {TransactionId} transactionId
+ * @param {ethers.Interface} iface the interface boostrapped by the function ABI
+ * @returns {*} the parsed error, or a string when it cannot be decoded
+ */
+function parseRecordError(record, transactionId, iface) {
+	try {
+		if (!record?.contractFunctionResult?.errorMessage || record?.contractFunctionResult?.errorMessage == '0x') {
+			return `POORLY FORMED ERROR: ${transactionId}`;
+		}
+		return parseError(iface, record.contractFunctionResult.errorMessage);
+	}
+	catch (e) {
+		getLogger().debug(`Could not decode error for ${transactionId}: ${e.message}`);
+		return `UNKNOWN ERROR: ${transactionId} / ${record.contractFunctionResult.errorMessage}`;
+	}
+}
+
 /**
  * Generalised parseing function to error handle
  * If a client is passed in, it will use the network to get the record (paid for by the client).
@@ -88,21 +121,8 @@ function parseError(iface, errorData) {
  */
 async function parseErrorTransactionId(envOrClient, transactionId, iface) {
 	if (envOrClient instanceof Client) {
-		const record = await new TransactionRecordQuery()
-			.setTransactionId(transactionId)
-			.setValidateReceiptStatus(false)
-			.execute(envOrClient);
-
-		try {
-			if (!record?.contractFunctionResult?.errorMessage || record?.contractFunctionResult?.errorMessage == '0x') {
-				return `POORLY FORMED ERROR: ${transactionId}`;
-			}
-			return parseError(iface, record.contractFunctionResult.errorMessage);
-		}
-		catch (e) {
-			console.error(e);
-			return `UNKNOWN ERROR: ${transactionId} / ${record.contractFunctionResult.errorMessage}`;
-		}
+		const record = await getFailedRecord(envOrClient, transactionId);
+		return parseRecordError(record, transactionId, iface);
 	}
 
 	let url = getBaseURL(envOrClient);
@@ -115,9 +135,9 @@ async function parseErrorTransactionId(envOrClient, transactionId, iface) {
 
 	// console.log(' -Calling mirror node for transaction:', transactionId.toString(), url);
 
-	const response = await axios.get(url);
+	const response = await mirrorGet(url);
 	if (response.status != 200) {
-		console.log(' -ERROR', response.status, ' from mirror node');
+		getLogger().warn(` -ERROR ${response.status} from mirror node`);
 	}
 	else {
 		// console.log(' -Got', response.data.error_message, 'from mirror node');
@@ -129,7 +149,7 @@ async function parseErrorTransactionId(envOrClient, transactionId, iface) {
  * @param {String} env
  * @param {ContractId} contractId
  * @param {String} data command and parameters encoded as a string
- * @param {AccountId} from
+ * @param {AccountId} [from] caller, omitted from the request when not set
  * @param {Boolean} estimate gas estimate
  * @param {Number} gas gas limit
  * @returns {String} encoded result
@@ -141,20 +161,33 @@ async function readOnlyEVMFromMirrorNode(env, contractId, data, from, estimate =
 		'block': 'latest',
 		'data': data,
 		'estimate': estimate,
-		'from': from.toSolidityAddress(),
 		'gas': gas,
 		'gasPrice': 100000000,
 		'to': contractId.toSolidityAddress(),
 		'value': 0,
 	};
 
+	// read-only callers may have no operator; the mirror node then defaults the sender
+	if (from) body.from = from.toSolidityAddress();
+
 	const url = `${baseUrl}/api/v1/contracts/call`;
 
-	const response = await axios.post(url, body);
+	const response = await mirrorPost(url, body);
 
 	return response.data?.result;
 }
 
+/**
+ * Pull the revert out of a failed mirror node /contracts/call request
+ * @param {Error} err error thrown by axios
+ * @returns {{data: String, message: String} | null} revert data (may be '0x') and mirror message, or null if the call did not revert
+ */
+function getMirrorRevert(err) {
+	const message = err?.response?.data?._status?.messages?.[0];
+	if (!message || message.message !== 'CONTRACT_REVERT_EXECUTED') return null;
+	return { data: message.data || '0x', message: message.detail || message.message };
+}
+
 /**
  * Helper function for calling the contract methods
  * @param {ContractId} contractId the contract to call
@@ -174,7 +207,7 @@ async function contractExecuteQuery(contractId, iface, client, gasLim, fcnName,
 
 	const functionCallAsUint8Array = iface.encodeFunctionData(fcnName, params);
 
-	console.log('Calling function:', fcnName, 'with params:', params, 'on contract:', contractId.toString(), 'with gas limit:', gasLim);
+	getLogger().debug(`Calling function: ${fcnName} on contract: ${contractId.toString()} with gas limit: ${gasLim}`, { params });
 
 	let contractQuery;
 	try {
@@ -190,14 +223,13 @@ async function contractExecuteQuery(contractId, iface, client, gasLim, fcnName,
 		contractQuery = await contractQueryTx.execute(client);
 	}
 	catch (err) {
-		console.log('ERROR: Contract Call Failed');
-		console.dir(err, { depth: 5, colors: true });
+		getLogger().error('ERROR: Contract Call Failed', { error: err });
 
 		return [(parseError(iface, err.contractFunctionResult.errorMessage))];
 	}
 
 	const queryResult = iface.decodeFunctionResult(fcnName, contractQuery.bytes);
-	console.log('Query result:', fcnName, queryResult);
+	getLogger().debug(`Query result: ${fcnName}`, { result: queryResult });
 
 	if (expectedVars.length == 0) {
 		return queryResult;
@@ -231,6 +263,7 @@ async function contractExecuteFunction(contractId, iface, client, gasLim, fcnNam
 
 	const encodedCommand = iface.encodeFunctionData(fcnName, params);
 	// convert to UINT8ARRAY after stripping the '0x'
+	const logger = getLogger();
 	let contractExecuteTx;
 	try {
 		contractExecuteTx = await new ContractExecuteTransaction()
@@ -241,10 +274,10 @@ async function contractExecuteFunction(contractId, iface, client, gasLim, fcnNam
 			.execute(client);
 	}
 	catch (err) {
-		if (flagError) console.log('ERROR: Contract Transaction Failed');
+		if (flagError) logger.error('ERROR: Contract Transaction Failed');
 
 		if (!err?.contractFunctionResult?.errorMessage) {
-			console.log('NO CONTRACT ERROR MESSAGE:', contractExecuteTx?.transactionId?.toString(), err);
+			logger.error(`NO CONTRACT ERROR MESSAGE: ${contractExecuteTx?.transactionId?.toString()}`, { error: err });
 		}
 
 		return [(parseError(iface, err.contractFunctionResult.errorMessage))];
@@ -256,16 +289,16 @@ async function contractExecuteFunction(contractId, iface, client, gasLim, fcnNam
 	}
 	catch (e) {
 		try {
-			const error = await parseErrorTransactionId(client, e.transactionId, iface);
+			// the record is kept so the caller still sees the fee, gas used and consensus timestamp
+			const record = await getFailedRecord(client, e.transactionId);
+			const error = parseRecordError(record, e.transactionId, iface);
 			if (flagError) {
-				console.log('ERROR: Fetching Contract Receipt Failed');
-				console.log('ERROR:', typeof error, error);
+				logger.error('ERROR: Fetching Contract Receipt Failed', { error: String(error) });
 			}
-			return [{ status: error }, `${e.transactionId}`, null];
+			return [{ status: error }, `${e.transactionId}`, record];
 		}
 		catch (subError) {
-			console.log('ERROR: Parsing Error Failed');
-			console.log('ERROR:', e.transactionId, typeof subError, subError);
+			logger.error(`ERROR: Parsing Error Failed for ${e.transactionId}`, { error: subError });
 			return [{ status: e }, `${e.transactionId}`, null];
 		}
 
@@ -279,11 +312,12 @@ async function contractExecuteFunction(contractId, iface, client, gasLim, fcnNam
 	}
 	catch (e) {
 		if (e.data == '0x') {
-			console.log(contractExecuteTx.transactionId.toString(), 'No data returned from contract - check the call');
+			logger.warn(`${contractExecuteTx.transactionId.toString()} No data returned from contract - check the call`);
 		}
 		else {
-			console.log('Error', contractExecuteTx.transactionId.toString(), e);
-			console.log(parseError(iface, record.contractFunctionResult.bytes));
+			logger.warn(`Error decoding result of ${contractExecuteTx.transactionId.toString()}: ${e.message}`, {
+				decoded: String(parseError(iface, record.contractFunctionResult.bytes)),
+			});
 		}
 	}
 	// console.log('Contract Results:', contractResults);
@@ -304,9 +338,9 @@ function linkBytecode(bytecode, libNameArray, libAddressArray) {
 		const nameToHash = `contracts/${libName}.sol:${libName}`;
 
 		const placeholder = `__$${ethers.keccak256(ethers.toUtf8Bytes(nameToHash)).slice(2, 36)}$__`;
-		console.log('placeholder', placeholder);
+		getLogger().debug(`placeholder ${placeholder}`);
 		// const formattedAddress = libAddress.toLowerCase().replace('0x', '');
-		console.log('libAddress', libAddress);
+		getLogger().debug(`libAddress ${libAddress}`);
 
 		if (bytecode.indexOf(placeholder) === -1) {
 			throw new Error(`Unable to find placeholder for library ${libName}`);
@@ -325,7 +359,7 @@ function linkBytecode(bytecode, libNameArray, libAddressArray) {
  * @param {String} bytecode
  * @param {Number} gasLim
  * @param {ContractFunctionParameters} params
- * @returns {[ContractId, ContractAddress]} an array of the contractId and contractAddress as a string
+ * @returns {[ContractId, ContractAddress, TransactionId, Timestamp]} an array of the contractId, the contractAddress as a string, the create transaction ID and its consensus timestamp
  */
 async function contractDeployFunction(client, bytecode, gasLim = 800_000, params = null) {
 	const contractCreateTx = new ContractCreateFlow()
@@ -335,10 +369,11 @@ async function contractDeployFunction(client, bytecode, gasLim = 800_000, params
 	if (params) contractCreateTx.setConstructorParameters(params);
 
 	const contractCreateSubmit = await contractCreateTx.execute(client);
-	const contractCreateRx = await contractCreateSubmit.getReceipt(client);
-	const contractId = contractCreateRx.contractId;
+	// the record carries the receipt and the consensus timestamp of the create
+	const contractCreateRecord = await contractCreateSubmit.getRecord(client);
+	const contractId = contractCreateRecord.receipt.contractId;
 	const contractAddress = contractId.toEvmAddress();
-	return [contractId, contractAddress];
+	return [contractId, contractAddress, contractCreateSubmit.transactionId, contractCreateRecord.consensusTimestamp];
 }
 
 module.exports = {
@@ -347,6 +382,7 @@ module.exports = {
 	contractExecuteQuery,
 	contractExecuteFunction,
 	readOnlyEVMFromMirrorNode,
+	getMirrorRevert,
 	linkBytecode,
 	contractDeployFunction,
 };
\ No newline at end of file